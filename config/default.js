@@ -18,6 +18,7 @@ module.exports = {
   TOPIC: process.env.TOPIC || 'tc-x-events',
   TOPIC_CHALLENGE_ACTION_RESOURCE_CREATE: process.env.TOPIC_CHALLENGE_ACTION_RESOURCE_CREATE || 'challenge.action.resource.create',
   TOPIC_NOTIFICATION: process.env.TOPIC_NOTIFICATION || 'notifications.action.create',
+  TOPIC_DEAD_LETTER: process.env.TOPIC_DEAD_LETTER || 'tc-x-events.dead-letter',
   KAFKA_OPTIONS: {
     connectionString: process.env.KAFKA_URL || 'localhost:9092',
     groupId: process.env.KAFKA_GROUP_ID || 'topcoder-x-processor',
@@ -50,14 +51,28 @@ module.exports = {
   OPEN_FOR_PICKUP_ISSUE_LABEL: process.env.READY_FOR_REVIEW_ISSUE_LABEL || 'tcx_OpenForPickup',
   NOT_READY_ISSUE_LABEL: process.env.NOT_READY_ISSUE_LABEL || 'tcx_NotReady',
   CANCELED_ISSUE_LABEL: process.env.CANCELED_ISSUE_LABEL || 'tcx_Canceled',
+  DEFAULT_COPILOT_FEE: process.env.DEFAULT_COPILOT_FEE || 40,
+  EVENT_PROCESSING_CONCURRENCY: process.env.EVENT_PROCESSING_CONCURRENCY || 10,
+  CREATION_LOCK_TTL: process.env.CREATION_LOCK_TTL || 300000, // 5 minutes
   RETRY_COUNT: process.env.RETRY_COUNT || 2,
   RETRY_INTERVAL: process.env.RETRY_INTERVAL || 120000, // 2 minutes
+  RETRY_MAX_INTERVAL: process.env.RETRY_MAX_INTERVAL || 3600000, // 1 hour
+  RETRY_POLL_INTERVAL: process.env.RETRY_POLL_INTERVAL || 10000, // 10 seconds
+  RETRY_LOCK_TTL: process.env.RETRY_LOCK_TTL || 60000, // 1 minute
+  ASSIGNMENT_SLA_SWEEP_INTERVAL: process.env.ASSIGNMENT_SLA_SWEEP_INTERVAL || 3600000, // 1 hour
+  RECONCILE_INTERVAL: process.env.RECONCILE_INTERVAL || 0, // disabled
+  RECONCILE_FIX: process.env.RECONCILE_FIX === 'true',
+  STORAGE: process.env.STORAGE || 'dynamodb', // dynamodb or postgres
   DYNAMODB: {
     AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
     AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
     AWS_REGION: process.env.AWS_REGION,
     IS_LOCAL: process.env.IS_LOCAL
   },
+  POSTGRES: {
+    URL: process.env.POSTGRES_URL,
+    POOL_SIZE: process.env.POSTGRES_POOL_SIZE || 10
+  },
   // Configuration for m2m token generation
   AUTH0_URL: process.env.AUTH0_URL, // Auth0 credentials for Submission Service
   AUTH0_AUDIENCE: process.env.AUTH0_AUDIENCE,
@@ -77,10 +92,26 @@ module.exports = {
   DEFAULT_TIMELINE_TEMPLATE_ID: process.env.DEFAULT_TIMELINE_TEMPLATE_ID || '53a307ce-b4b3-4d6f-b9a1-3741a58f77e6',
   DEFAULT_TRACK_ID: process.env.DEFAULT_TRACK_ID || '9b6fc876-f4d9-4ccb-9dfd-419247628825',
   WORK_TYPE_ID: process.env.WORK_TYPE_ID || 'b658b280-6c4d-11e5-9d70-22000b2c9aef',
+  GITHUB_APP_ID: process.env.GITHUB_APP_ID,
+  GITHUB_APP_PRIVATE_KEY: process.env.GITHUB_APP_PRIVATE_KEY,
+  GITHUB_APP_REFRESH_TOKEN_BEFORE_EXPIRATION: 300,
   GITLAB_ACCESS_TOKEN_DEFAULT_EXPIRATION: 3600 * 2,
   GITLAB_REFRESH_TOKEN_BEFORE_EXPIRATION: 300,
   GITLAB_CLIENT_ID: process.env.GITLAB_CLIENT_ID,
   GITLAB_CLIENT_SECRET: process.env.GITLAB_CLIENT_SECRET,
   GITLAB_OWNER_USER_CALLBACK_URL: process.env.GITLAB_OWNER_USER_CALLBACK_URL,
-  GITLAB_GUEST_USER_CALLBACK_URL: process.env.GITLAB_GUEST_USER_CALLBACK_URL
+  GITLAB_GUEST_USER_CALLBACK_URL: process.env.GITLAB_GUEST_USER_CALLBACK_URL,
+  AZURE_API_BASE_URL: process.env.AZURE_API_BASE_URL || 'https://app.vssps.visualstudio.com',
+  AZURE_DEVOPS_API_BASE_URL: process.env.AZURE_DEVOPS_API_BASE_URL || 'https://dev.azure.com',
+  AZURE_ACCESS_TOKEN_DEFAULT_EXPIRATION: 3600,
+  AZURE_REFRESH_TOKEN_BEFORE_EXPIRATION: 300,
+  AZURE_CLIENT_SECRET: process.env.AZURE_CLIENT_SECRET,
+  AZURE_OWNER_CALLBACK_URL: process.env.AZURE_OWNER_CALLBACK_URL,
+  BITBUCKET_URL: process.env.BITBUCKET_URL || 'https://bitbucket.org',
+  BITBUCKET_API_BASE_URL: process.env.BITBUCKET_API_BASE_URL || 'https://api.bitbucket.org/2.0',
+  BITBUCKET_ACCESS_TOKEN_DEFAULT_EXPIRATION: 7200,
+  BITBUCKET_REFRESH_TOKEN_BEFORE_EXPIRATION: 300,
+  BITBUCKET_CLIENT_ID: process.env.BITBUCKET_CLIENT_ID,
+  BITBUCKET_CLIENT_SECRET: process.env.BITBUCKET_CLIENT_SECRET,
+  GITEA_API_BASE_URL: process.env.GITEA_API_BASE_URL || 'http://localhost:3000'
 };
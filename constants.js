@@ -14,9 +14,15 @@
 // The user types
 const USER_TYPES = {
   GITHUB: 'github',
-  GITLAB: 'gitlab'
+  GITLAB: 'gitlab',
+  AZURE: 'azure',
+  BITBUCKET: 'bitbucket',
+  GITEA: 'gitea'
 };
 
+// The kinds of the bitbucket issues, the labels with these names set the kind of the issue
+const BITBUCKET_ISSUE_KINDS = ['bug', 'enhancement', 'proposal', 'task'];
+
 // The user roles
 const USER_ROLES = {
   OWNER: 'owner',
@@ -53,11 +59,66 @@ const GITLAB_ACCESS_LEVELS = {
   OWNER: 50
 };
 
+// The permissions of the gitea repository collaborators
+const GITEA_PERMISSIONS = {
+  READ: 'read',
+  WRITE: 'write',
+  ADMIN: 'admin'
+};
+
+// The backoff curves of the retry policies
+const RETRY_BACKOFF = {
+  CONSTANT: 'constant',
+  LINEAR: 'linear',
+  EXPONENTIAL: 'exponential'
+};
+
+// The actions taken when an event exhausted the retries of its policy
+const RETRY_GIVE_UP_ACTIONS = {
+  // comment the error on the issue (and reopen it if closing failed)
+  NOTIFY: 'notify',
+  // only publish the event to the dead-letter topic
+  IGNORE: 'ignore'
+};
+
+// The copilot fee policies of the projects
+const COPILOT_FEE_TYPES = {
+  // a fixed amount
+  FIXED: 'fixed',
+  // a percentage of the winner prize
+  PERCENTAGE: 'percentage',
+  // a fixed amount or a percentage by winner prize band
+  TIERED: 'tiered'
+};
+
+// The status of the bids placed on the issues
+const BID_STATUS = {
+  ACTIVE: 'active',
+  WITHDRAWN: 'withdrawn',
+  ACCEPTED: 'accepted'
+};
+
+// The roles which can run the issue comment commands, from the lowest to the highest,
+// a role can run the commands of the lower roles
+const COMMAND_ROLES = {
+  ANYONE: 'anyone',
+  ASSIGNEE: 'assignee',
+  COPILOT: 'copilot',
+  OWNER: 'owner'
+};
+
 module.exports = {
   USER_ROLES,
   USER_TYPES,
   SERVICE_ERROR_STATUS,
   CHALLENGE_STATUS,
   ISSUE_STATUS,
-  GITLAB_ACCESS_LEVELS
+  GITLAB_ACCESS_LEVELS,
+  GITEA_PERMISSIONS,
+  BITBUCKET_ISSUE_KINDS,
+  RETRY_BACKOFF,
+  RETRY_GIVE_UP_ACTIONS,
+  COPILOT_FEE_TYPES,
+  BID_STATUS,
+  COMMAND_ROLES
 };
@@ -0,0 +1,54 @@
+/**
+ * This defines azure user mapping model.
+ */
+'use strict';
+
+const dynamoose = require('dynamoose');
+
+const Schema = dynamoose.Schema;
+
+/**
+ * @typedef {Object} AzureUserMapping
+ * @property {String} id The unique identifier for the AzureUserMapping entity.
+ * @property {String} topcoderUsername The Topcoder username associated with the Azure user.
+ * @property {String} azureEmail The Azure user's email, used as the Azure username.
+ * @property {String} azureUserId The Azure user's profile identifier.
+ */
+
+const schema = new Schema({
+  id: {
+    type: String,
+    required: true,
+    hashKey: true
+  },
+  topcoderUsername: {
+    type: String,
+    required: true,
+    index: {
+      global: true,
+      project: true,
+      rangKey: 'id',
+      name: 'TopcoderUsernameIndex'
+    }
+  },
+  azureEmail: {
+    type: String,
+    index: {
+      global: true,
+      project: true,
+      rangKey: 'id',
+      name: 'AzureEmailIndex'
+    }
+  },
+  azureUserId: {
+    type: String,
+    index: {
+      global: true,
+      project: true,
+      rangKey: 'id',
+      name: 'AzureUserIdIndex'
+    }
+  }
+});
+
+module.exports = schema;
@@ -0,0 +1,59 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * Schema for the bids placed on the issues.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const dynamoose = require('dynamoose');
+
+const Schema = dynamoose.Schema;
+
+/**
+ * @typedef {Object} Bid
+ * @property {String} id The id, built from the issue id and the bidder id, a member has one bid per issue.
+ * @property {String} issueId The id of the issue record.
+ * @property {String} bidder The git username of the bidder.
+ * @property {String} bidderId The git user id of the bidder.
+ * @property {Number} amount The amount of the bid.
+ * @property {String} currency The currency of the amount, the currency of the issue prizes.
+ * @property {String} status The status of the bid (active, withdrawn or accepted).
+ * @property {Date} createdAt Date when the bid was placed, a new bid of the member replaces it.
+ * @property {Date} updatedAt Date when the bid was last updated.
+ */
+
+const schema = new Schema({
+  id: {
+    type: String,
+    hashKey: true,
+    required: true
+  },
+  issueId: {
+    type: String,
+    required: true,
+    index: {
+      global: true,
+      rangeKey: 'createdAt',
+      project: true,
+      name: 'IssueIdIndex'
+    }
+  },
+  bidder: {type: String, required: true},
+  bidderId: {type: String, required: true},
+  amount: {type: Number, required: true},
+  currency: {type: String, required: false},
+  status: {type: String, required: true},
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = schema;
@@ -0,0 +1,54 @@
+/**
+ * This defines bitbucket user mapping model.
+ */
+'use strict';
+
+const dynamoose = require('dynamoose');
+
+const Schema = dynamoose.Schema;
+
+/**
+ * @typedef {Object} BitbucketUserMapping
+ * @property {String} id The unique identifier for the BitbucketUserMapping entity.
+ * @property {String} topcoderUsername The Topcoder username associated with the Bitbucket user.
+ * @property {String} bitbucketUsername The Bitbucket nickname.
+ * @property {String} bitbucketUserId The Bitbucket account id.
+ */
+
+const schema = new Schema({
+  id: {
+    type: String,
+    required: true,
+    hashKey: true
+  },
+  topcoderUsername: {
+    type: String,
+    required: true,
+    index: {
+      global: true,
+      project: true,
+      rangKey: 'id',
+      name: 'TopcoderUsernameIndex'
+    }
+  },
+  bitbucketUsername: {
+    type: String,
+    index: {
+      global: true,
+      project: true,
+      rangKey: 'id',
+      name: 'BitbucketUsernameIndex'
+    }
+  },
+  bitbucketUserId: {
+    type: String,
+    index: {
+      global: true,
+      project: true,
+      rangKey: 'id',
+      name: 'BitbucketUserIdIndex'
+    }
+  }
+});
+
+module.exports = schema;
@@ -34,7 +34,13 @@ const schema = new Schema({
     required: true
   },
   project: {
-    type: String
+    type: String,
+    index: {
+      global: true,
+      rangeKey: 'closed',
+      project: true,
+      name: 'ProjectClosedIndex'
+    }
   },
   amount: {type: Number, required: true},
   description: {type: String, required: true},
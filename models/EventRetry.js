@@ -0,0 +1,66 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * Schema for the scheduled event retries.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const dynamoose = require('dynamoose');
+
+const Schema = dynamoose.Schema;
+
+/**
+ * @typedef {Object} EventRetry
+ * @property {String} id The id, built from the retry id and the attempt number.
+ * @property {String} keyName The key of the entity the event belongs to (issue or copilot payment).
+ * @property {String} payload The JSON-encoded event to publish again.
+ * @property {Number} attempt The attempt number of the scheduled retry.
+ * @property {String} status The status of the retry (pending or published).
+ * @property {Date} nextRunAt The date when the event should be published again.
+ * @property {String} lastError The error that caused the retry.
+ * @property {String} lockId Lock identifier of the poller publishing the retry (if applicable).
+ * @property {Date} lockExpiration Expiration date of the lock (if applicable).
+ * @property {Date} createdAt Date when the retry was scheduled.
+ */
+
+const schema = new Schema({
+  id: {
+    type: String,
+    hashKey: true,
+    required: true
+  },
+  keyName: {
+    type: String,
+    required: true,
+    index: {
+      global: true,
+      project: true,
+      name: 'KeyNameIndex'
+    }
+  },
+  payload: {type: String, required: true},
+  attempt: {type: Number, required: true},
+  status: {
+    type: String,
+    required: true,
+    index: {
+      global: true,
+      rangeKey: 'nextRunAt',
+      project: true,
+      name: 'StatusIndex'
+    }
+  },
+  nextRunAt: {type: Date, required: true},
+  lastError: {type: String, required: false},
+  lockId: {type: String, required: false},
+  lockExpiration: {type: Date, required: false},
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = schema;
@@ -0,0 +1,54 @@
+/**
+ * This defines gitea user mapping model.
+ */
+'use strict';
+
+const dynamoose = require('dynamoose');
+
+const Schema = dynamoose.Schema;
+
+/**
+ * @typedef {Object} GiteaUserMapping
+ * @property {String} id The unique identifier for the GiteaUserMapping entity.
+ * @property {String} topcoderUsername The Topcoder username associated with the Gitea user.
+ * @property {String} giteaUsername The Gitea username.
+ * @property {Number} giteaUserId The Gitea user's numeric identifier.
+ */
+
+const schema = new Schema({
+  id: {
+    type: String,
+    required: true,
+    hashKey: true
+  },
+  topcoderUsername: {
+    type: String,
+    required: true,
+    index: {
+      global: true,
+      project: true,
+      rangKey: 'id',
+      name: 'TopcoderUsernameIndex'
+    }
+  },
+  giteaUsername: {
+    type: String,
+    index: {
+      global: true,
+      project: true,
+      rangKey: 'id',
+      name: 'GiteaUsernameIndex'
+    }
+  },
+  giteaUserId: {
+    type: Number,
+    index: {
+      global: true,
+      project: true,
+      rangKey: 'id',
+      name: 'GiteaUserIdIndex'
+    }
+  }
+});
+
+module.exports = schema;
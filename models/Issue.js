@@ -18,19 +18,29 @@ const Schema = dynamoose.Schema;
  * @property {Number} number From the receiver service.
  * @property {String} title The title.
  * @property {String} body The body.
- * @property {Number[]} prizes Prizes extracted from title.
+ * @property {Number[]} prizes Prizes extracted from title or from the front matter of the body.
+ * @property {String} currency The currency of the prizes, USD or POINT for the point values.
+ * @property {Number} copilotFee The explicit copilot fee.
+ * @property {Number} reviewerPrize The reviewer prize.
  * @property {String} provider Provider (github or gitlab).
  * @property {Number} repositoryId Repository ID.
  * @property {String} repoUrl Repository URL.
  * @property {String} repositoryIdStr Repository ID as a String.
  * @property {Array} labels Labels associated with the issue.
  * @property {String} assignee Assignee for the issue.
+ * @property {String[]} assignees All the registered assignees, when the project allows multiple assignees.
+ * @property {Array<{assignee: String, percentage: Number}>} prizeSplit The prize percentage of each assignee, evenly split if not set.
+ * @property {Date} bidDeadline Date when the bidding on the issue closes (if applicable).
+ * @property {String} lastError The last error of the processing of the issue events (if any).
+ * @property {Date} lastErrorAt Date of the last processing error (if any).
+ * @property {Number} retryCount The number of retries of the event which caused the last processing error.
  * @property {Date} updatedAt Date when the issue was last updated.
  * @property {Number} challengeId Challenge ID from topcoder API.
  * @property {String} challengeUUID Challenge UUID.
  * @property {String} projectId Project ID.
  * @property {String} status Status of the issue.
  * @property {Date} assignedAt Date when the issue was assigned (if applicable).
+ * @property {Date} assignmentRemindedAt Date when the assignee was reminded of the assignment deadline (if applicable).
  */
 
 const schema = new Schema({
@@ -42,7 +52,10 @@ const schema = new Schema({
   },
   title: {type: String, required: true},
   body: {type: String},
-  prizes: {type: [Number], required: true}, // extracted from title
+  prizes: {type: [Number], required: true}, // extracted from title or body
+  currency: {type: String, required: false},
+  copilotFee: {type: Number, required: false},
+  reviewerPrize: {type: Number, required: false},
   provider: {
     type: String,
     required: true
@@ -58,7 +71,12 @@ const schema = new Schema({
     }
   },
   repoUrl: {
-    type: String
+    type: String,
+    index: {
+      global: true,
+      project: true,
+      name: 'RepoUrlIndex'
+    }
   },
   repositoryIdStr: {type: String, required: false},
   labels: {
@@ -66,6 +84,22 @@ const schema = new Schema({
     required: false
   },
   assignee: {type: String, required: false},
+  assignees: {type: Array, required: false},
+  prizeSplit: {
+    type: 'list',
+    list: [{
+      type: 'map',
+      map: {
+        assignee: {type: String, required: true},
+        percentage: {type: Number, required: true}
+      }
+    }],
+    required: false
+  },
+  bidDeadline: {type: Date, required: false},
+  lastError: {type: String, required: false},
+  lastErrorAt: {type: Date, required: false},
+  retryCount: {type: Number, required: false},
   updatedAt: {
     type: Date,
     default: Date.now
@@ -75,7 +109,8 @@ const schema = new Schema({
   challengeUUID: {type: String, required: false},
   projectId: {type: String},
   status: {type: String},
-  assignedAt: {type: Date, required: false}
+  assignedAt: {type: Date, required: false},
+  assignmentRemindedAt: {type: Date, required: false}
 });
 
 module.exports = schema;
@@ -0,0 +1,62 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * Schema for the audit trail of the issue status transitions.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const dynamoose = require('dynamoose');
+
+const Schema = dynamoose.Schema;
+
+/**
+ * @typedef {Object} IssueHistory
+ * @property {String} id The id.
+ * @property {String} issueId The id of the issue record.
+ * @property {String} provider Provider of the issue (github or gitlab).
+ * @property {Number} repositoryId Repository ID of the issue.
+ * @property {Number} number Number of the issue.
+ * @property {String} fromStatus The status before the transition (empty if the issue record was created).
+ * @property {String} toStatus The status after the transition (empty if the issue record was removed).
+ * @property {String} eventId The id of the event which caused the transition.
+ * @property {String} event The type of the event which caused the transition.
+ * @property {String} actor The git user who triggered the event, or 'system'.
+ * @property {String} reason The reason of the transition (if any).
+ * @property {Date} createdAt Date of the transition.
+ */
+
+const schema = new Schema({
+  id: {
+    type: String,
+    hashKey: true,
+    required: true
+  },
+  issueId: {
+    type: String,
+    required: true,
+    index: {
+      global: true,
+      rangeKey: 'createdAt',
+      project: true,
+      name: 'IssueIdIndex'
+    }
+  },
+  provider: {type: String, required: true},
+  repositoryId: {type: Number, required: true},
+  number: {type: Number, required: true},
+  fromStatus: {type: String, required: false},
+  toStatus: {type: String, required: false},
+  eventId: {type: String, required: false},
+  event: {type: String, required: false},
+  actor: {type: String, required: true},
+  reason: {type: String, required: false},
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = schema;
@@ -0,0 +1,32 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * Schema for the distributed locks shared by the processor replicas.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const dynamoose = require('dynamoose');
+
+const Schema = dynamoose.Schema;
+
+/**
+ * @typedef {Object} Lock
+ * @property {String} id The name of the locked resource.
+ * @property {String} lockId Identifier of the current holder of the lock (if locked).
+ * @property {Date} lockExpiration Expiration date of the lock, an expired lock can be taken over (if locked).
+ */
+
+const schema = new Schema({
+  id: {
+    type: String,
+    hashKey: true,
+    required: true
+  },
+  lockId: {type: String, required: false},
+  lockExpiration: {type: Date, required: false}
+});
+
+module.exports = schema;
@@ -27,6 +27,13 @@ const Schema = dynamoose.Schema;
  * @property {Date} updatedAt The updated at.
  * @property {String} createCopilotPayments The create copilot payments.
  * @property {Boolean} isConnect Is Topcoder connect.
+ * @property {Boolean} allowMultipleAssignees Whether every assignee of a ticket is registered and paid.
+ * @property {Object} copilotFeePolicy The copilot fee policy, see utils/copilot-fee.js.
+ * @property {Number} bidDurationHours The hours the bidding on a ticket stays open after its first bid, no deadline if not set.
+ * @property {Boolean} autoAcceptLowestBid Whether the lowest bid of a ticket is accepted when its bidding closes.
+ * @property {Number} assignmentReminderDays The days without linked pull request or commit after which the assignee of a ticket is reminded.
+ * @property {Number} assignmentTimeoutDays The days without linked pull request or commit after which the assignee of a ticket is unassigned.
+ * @property {Array<{label: string, id: string, name: string}>} labelSkills The skills added to a challenge by the labels of its ticket.
  */
 
 const schema = new Schema({
@@ -80,7 +87,46 @@ const schema = new Schema({
     default: Date.now
   },
   createCopilotPayments: {type: String, required: false},
-  isConnect: {type: Boolean, required: false, default: true}
+  isConnect: {type: Boolean, required: false, default: true},
+  allowMultipleAssignees: {type: Boolean, required: false, default: false},
+  copilotFeePolicy: {
+    type: 'map',
+    map: {
+      type: {type: String, required: true},
+      amount: {type: Number},
+      percentage: {type: Number},
+      tiers: {
+        type: 'list',
+        list: [{
+          type: 'map',
+          map: {
+            upTo: {type: Number},
+            amount: {type: Number},
+            percentage: {type: Number}
+          }
+        }]
+      },
+      minimum: {type: Number},
+      maximum: {type: Number}
+    },
+    required: false
+  },
+  bidDurationHours: {type: Number, required: false},
+  autoAcceptLowestBid: {type: Boolean, required: false, default: false},
+  assignmentReminderDays: {type: Number, required: false},
+  assignmentTimeoutDays: {type: Number, required: false},
+  labelSkills: {
+    type: 'list',
+    list: [{
+      type: 'map',
+      map: {
+        label: {type: String, required: true},
+        id: {type: String, required: true},
+        name: {type: String, required: true}
+      }
+    }],
+    required: false
+  }
 });
 
 module.exports = schema;
@@ -34,7 +34,12 @@ const schema = new Schema({
   },
   challengeId: {
     type: String,
-    required: true
+    required: true,
+    index: {
+      global: true,
+      project: true,
+      name: 'ChallengeIdIndex'
+    }
   }
 });
 
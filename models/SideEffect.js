@@ -0,0 +1,48 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * Schema for the ledger of the completed outbound side effects of the events.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const dynamoose = require('dynamoose');
+
+const Schema = dynamoose.Schema;
+
+// the ledger entries are only needed while the event can be retried or replayed
+const LEDGER_TTL_SECONDS = 30 * 24 * 60 * 60; // eslint-disable-line no-magic-numbers
+
+/**
+ * @typedef {Object} SideEffect
+ * @property {String} id The id, built from the event id and the step name.
+ * @property {String} eventId The id of the event which caused the side effect.
+ * @property {String} step The name of the step.
+ * @property {String} result The JSON-encoded result of the step (if any).
+ * @property {Date} createdAt Date when the side effect completed.
+ * @property {Date} expiresAt Date when the entry is removed from the ledger.
+ */
+
+const schema = new Schema({
+  id: {
+    type: String,
+    hashKey: true,
+    required: true
+  },
+  eventId: {type: String, required: true},
+  step: {type: String, required: true},
+  result: {type: String, required: false},
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  expires: {
+    ttl: LEDGER_TTL_SECONDS,
+    attribute: 'expiresAt'
+  }
+});
+
+module.exports = schema;
@@ -49,8 +49,24 @@ const models = {
   GithubUserMapping: dynamoose.model('Topcoder_X.GithubUserMapping', require('./GithubUserMapping')),
   /** @type {import('dynamoose').ModelConstructor<import('./GitlabUserMapping').GitlabUserMapping>} */
   GitlabUserMapping: dynamoose.model('Topcoder_X.GitlabUserMapping', require('./GitlabUserMapping')),
+  /** @type {import('dynamoose').ModelConstructor<import('./AzureUserMapping').AzureUserMapping>} */
+  AzureUserMapping: dynamoose.model('Topcoder_X.AzureUserMapping', require('./AzureUserMapping')),
+  /** @type {import('dynamoose').ModelConstructor<import('./BitbucketUserMapping').BitbucketUserMapping>} */
+  BitbucketUserMapping: dynamoose.model('Topcoder_X.BitbucketUserMapping', require('./BitbucketUserMapping')),
+  /** @type {import('dynamoose').ModelConstructor<import('./GiteaUserMapping').GiteaUserMapping>} */
+  GiteaUserMapping: dynamoose.model('Topcoder_X.GiteaUserMapping', require('./GiteaUserMapping')),
   /** @type {import('dynamoose').ModelConstructor<import('./Repository').Repository>} */
-  Repository: dynamoose.model('Topcoder_X.Repository', require('./Repository'))
+  Repository: dynamoose.model('Topcoder_X.Repository', require('./Repository')),
+  /** @type {import('dynamoose').ModelConstructor<import('./EventRetry').EventRetry>} */
+  EventRetry: dynamoose.model('Topcoder_X.EventRetry', require('./EventRetry')),
+  /** @type {import('dynamoose').ModelConstructor<import('./Lock').Lock>} */
+  Lock: dynamoose.model('Topcoder_X.Lock', require('./Lock')),
+  /** @type {import('dynamoose').ModelConstructor<import('./SideEffect').SideEffect>} */
+  SideEffect: dynamoose.model('Topcoder_X.SideEffect', require('./SideEffect')),
+  /** @type {import('dynamoose').ModelConstructor<import('./IssueHistory').IssueHistory>} */
+  IssueHistory: dynamoose.model('Topcoder_X.IssueHistory', require('./IssueHistory')),
+  /** @type {import('dynamoose').ModelConstructor<import('./Bid').Bid>} */
+  Bid: dynamoose.model('Topcoder_X.Bid', require('./Bid'))
 };
 /* eslint-enable global-require */
 
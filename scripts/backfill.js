@@ -0,0 +1,150 @@
+/*
+ * Copyright (c) 2017 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * Script to import the tickets labelled before their repository was connected to Topcoder X.
+ *
+ * Usage:
+ *   node scripts/backfill.js --repo=https://github.com/owner/name [--dry-run] [--interval=1000]
+ *
+ * The open tickets with prizes and Topcoder X labels but without Issue record are imported: an `issue.created` event
+ * is published for each of them, followed by an `issue.assigned` event when the ticket has an assignee.
+ * --dry-run prints the events without publishing them,
+ * --interval is the delay in milliseconds between two imported tickets (defaults to 1000), it limits the load of the processor
+ * on the git host and the Topcoder API.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const config = require('config');
+const _ = require('lodash');
+const logger = require('../utils/logger');
+const models = require('../models');
+const dbHelper = require('../utils/db-helper');
+const helper = require('../utils/helper');
+const kafka = require('../utils/kafka');
+const kafkaSender = require('../utils/kafka-sender');
+const prizeParser = require('../utils/prize-parser');
+const providers = require('../utils/providers');
+const userService = require('../services/UserService');
+
+const DEFAULT_INTERVAL = 1000;
+
+/**
+ * Parse the command line arguments
+ * @param {Array} argv the command line arguments
+ * @returns {Object} the options
+ */
+function parseArguments(argv) {
+  const options = {};
+  _.forEach(argv, (arg) => {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+    if (!match) {
+      throw new Error(`Unknown argument "${arg}"`);
+    }
+    const [, name, value] = match;
+    options[_.camelCase(name)] = _.isUndefined(value) ? true : value;
+  });
+  if (!options.repo) {
+    throw new Error('The repository url must be given with --repo');
+  }
+  options.interval = _.isUndefined(options.interval) ? DEFAULT_INTERVAL : _.toInteger(options.interval);
+  return options;
+}
+
+/**
+ * Get the reason why a ticket is not imported
+ * @param {String} provider the git provider
+ * @param {Object} repository the repository
+ * @param {Object} ticket the ticket
+ * @returns {Promise<String>} the reason, null if the ticket is imported
+ */
+async function getSkipReason(provider, repository, ticket) {
+  if (!_.some(ticket.labels, (label) => _.startsWith(label, config.ISSUE_LABEL_PREFIX))) {
+    return 'it has no Topcoder X label';
+  }
+  try {
+    if (!prizeParser.parse(ticket.title, ticket.body)) {
+      return 'it has no prize';
+    }
+  } catch (err) {
+    return `its prize can't be parsed: ${err.message}`;
+  }
+  // Some provider has non numeric repo id, it is hashed in the Issue table.
+  const repositoryId = _.isString(repository.id) ? helper.hashCode(repository.id) : repository.id;
+  if (await dbHelper.queryOneIssue(models.Issue, repositoryId, ticket.number, provider)) {
+    return 'it is already imported';
+  }
+  return null;
+}
+
+/**
+ * Build the events importing a ticket, as sent by the receiver
+ * @param {String} provider the git provider
+ * @param {Object} repository the repository
+ * @param {Object} ticket the ticket
+ * @returns {Array} the events
+ */
+function buildEvents(provider, repository, ticket) {
+  const issue = providers.toEventIssue(ticket);
+  const events = [{event: 'issue.created', provider, data: {issue, repository}}];
+  if (!_.isEmpty(issue.assignees)) {
+    events.push({event: 'issue.assigned', provider, data: {issue, repository, assignee: _.head(issue.assignees)}});
+  }
+  return events;
+}
+
+/**
+ * Import the tickets of the repository
+ * @param {Object} options the options
+ */
+async function run(options) {
+  const parsed = providers.parseRepoUrl(options.repo);
+  if (!parsed) {
+    throw new Error(`No git provider hosts the repository ${options.repo}`);
+  }
+  const adapter = providers.getAdapter(parsed.provider);
+  if (!adapter.getRepository || !adapter.listIssues) {
+    throw new Error(`The tickets of the ${parsed.provider} repositories can't be listed`);
+  }
+  try {
+    await kafka.producerReady;
+    const copilot = await userService.getRepositoryCopilotOrOwner(parsed.provider, parsed.fullName);
+    const repository = await adapter.getRepository(copilot, parsed.fullName);
+    const tickets = _.filter(await adapter.listIssues(copilot, repository), {state: 'open'});
+    logger.info(`Found ${tickets.length} open tickets in ${options.repo}`);
+    let imported = 0;
+    for (const ticket of tickets) { // eslint-disable-line no-restricted-syntax
+      const reason = await getSkipReason(parsed.provider, repository, ticket);
+      if (reason) {
+        logger.info(`#${ticket.number} is skipped, ${reason}`);
+        continue; // eslint-disable-line no-continue
+      }
+      const events = buildEvents(parsed.provider, repository, ticket);
+      const eventNames = _.join(_.map(events, 'event'), ', ');
+      if (options.dryRun) {
+        logger.info(`#${ticket.number} ${ticket.title}: ${eventNames} would be published`);
+        continue; // eslint-disable-line no-continue
+      }
+      if (imported > 0) {
+        await new Promise((resolve) => setTimeout(resolve, options.interval));
+      }
+      for (const event of events) { // eslint-disable-line no-restricted-syntax
+        await kafkaSender.send(JSON.stringify(event));
+      }
+      imported += 1;
+      logger.info(`#${ticket.number} ${ticket.title}: ${eventNames} published`);
+    }
+    logger.info(`${imported} tickets imported`);
+  } finally {
+    await kafka.producer.end();
+  }
+}
+
+run(parseArguments(process.argv.slice(2))).then(() => { // eslint-disable-line no-magic-numbers
+  logger.info('Done');
+}).catch((err) => {
+  logger.logFullError(err, 'backfill');
+  process.exitCode = 1;
+});
@@ -12,23 +12,10 @@ const topcoderApiHelper = require('../utils/topcoder-api-helper');
 async function migrate() {
     // How many projects per scan
   const batchSize = process.env.BATCH_SIZE || 15; // eslint-disable-line no-magic-numbers
-  let batch = 1;
-    // How many projects have been returned in previous scan
-  let previousSize = batchSize;
-    // Key of a last project
-  let previousKey = null;
-  while (previousSize === batchSize) { // eslint-disable-line no-restricted-syntax
-    logger.info(`Starting batch ${batch}`);
-    // Scan for projects with field isConnect null and return its id and tcDirectId
-    const projects = await models.Project.scan('isConnect')
-            .null()
-            .attributes(['id', 'tcDirectId'])
-            .limit(batchSize)
-            .startAt(previousKey)
-            .consistent()
-            .exec();
-    previousSize = projects.count;
-    previousKey = projects.lastKey;
+  // The projects with field isConnect null
+  const batches = _.chunk(await dbHelper.scan(models.Project, {isConnect: null}), batchSize);
+  for (const [index, projects] of batches.entries()) { // eslint-disable-line no-restricted-syntax
+    logger.info(`Starting batch ${index + 1}`);
     const promises = _.map(projects, (project) => topcoderApiHelper.getProjectByDirectId(project.id, project.tcDirectId));
         // Execute all promises and process data
     await Promise.all(promises).then(async (resArray) => {
@@ -46,7 +33,6 @@ async function migrate() {
                      logger.debug(`Migrated direct project: ${directProject.data[0].directProjectId} to connect: ${directProject.data[0].id}, database id: ${directProject.dbId}`);
                    })));
     });
-    batch += 1;
   }
 }
 
@@ -0,0 +1,54 @@
+/*
+ * Copyright (c) 2017 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * Script to create or update the tables of the configured storage.
+ *
+ * Usage:
+ *   node scripts/migrate.js [--storage=dynamodb|postgres]
+ *
+ * The DynamoDB tables and their indexes are synchronized with the models, the pending PostgreSQL migrations are applied.
+ * --storage migrates another storage than the configured one.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const config = require('config');
+const _ = require('lodash');
+const logger = require('../utils/logger');
+const storage = require('../utils/storage');
+
+/**
+ * Parse the command line arguments
+ * @param {Array} argv the command line arguments
+ * @returns {Object} the options
+ */
+function parseArguments(argv) {
+  const options = {storage: config.STORAGE};
+  _.forEach(argv, (arg) => {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+    if (!match) {
+      throw new Error(`Unknown argument "${arg}"`);
+    }
+    const [, name, value] = match;
+    options[name] = _.isUndefined(value) ? true : value;
+  });
+  return options;
+}
+
+/**
+ * Migrate the storage
+ * @param {Object} options the options
+ */
+async function run(options) {
+  const applied = await storage.getStore(options.storage).migrate();
+  logger.info(`${options.storage} migrated: ${applied.join(', ') || 'already up to date'}`);
+}
+
+run(parseArguments(process.argv.slice(2))).then(() => { // eslint-disable-line no-magic-numbers
+  logger.info('Done');
+}).catch((err) => {
+  logger.logFullError(err, 'migrate');
+  process.exitCode = 1;
+});
@@ -0,0 +1,67 @@
+/*
+ * Copyright (c) 2017 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * Script to report the drift between the git tickets, their Issue records and their Topcoder challenges.
+ *
+ * Usage:
+ *   node scripts/reconcile.js [--fix] [--format=text|json] [--repo=https://github.com/owner/name]
+ *
+ * --fix applies the safe corrections: the missed ticket events are replayed and the challenges are renamed,
+ * --format prints the report for the humans (the default) or as JSON,
+ * --repo restricts the reconciliation to the repository with the url.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const _ = require('lodash');
+const logger = require('../utils/logger');
+const kafka = require('../utils/kafka');
+const ReconciliationService = require('../services/ReconciliationService');
+
+/**
+ * Parse the command line arguments
+ * @param {Array} argv the command line arguments
+ * @returns {Object} the options
+ */
+function parseArguments(argv) {
+  const options = {fix: false, format: 'text'};
+  _.forEach(argv, (arg) => {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+    if (!match) {
+      throw new Error(`Unknown argument "${arg}"`);
+    }
+    const [, name, value] = match;
+    options[name] = _.isUndefined(value) ? true : value;
+  });
+  if (!_.includes(['text', 'json'], options.format)) {
+    throw new Error(`Unknown format "${options.format}", it must be text or json`);
+  }
+  return options;
+}
+
+/**
+ * Reconcile the repositories and print the drift report
+ * @param {Object} options the options
+ */
+async function run(options) {
+  try {
+    await kafka.producerReady;
+    const report = await ReconciliationService.reconcile(_.pick(options, ['fix', 'repo']));
+    if (options.format === 'json') {
+      console.log(JSON.stringify(report, null, 2)); // eslint-disable-line no-console, no-magic-numbers
+    } else {
+      console.log(await ReconciliationService.formatReport(report)); // eslint-disable-line no-console
+    }
+  } finally {
+    await kafka.producer.end();
+  }
+}
+
+run(parseArguments(process.argv.slice(2))).then(() => { // eslint-disable-line no-magic-numbers
+  logger.info('Done');
+}).catch((err) => {
+  logger.logFullError(err, 'reconcile');
+  process.exitCode = 1;
+});
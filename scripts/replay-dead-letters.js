@@ -0,0 +1,189 @@
+/*
+ * Copyright (c) 2017 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * Script to list the dead-letter events and re-inject them into the Topcoder-X topic.
+ *
+ * Usage:
+ *   node scripts/replay-dead-letters.js list [--event=issue.created] [--repo=owner/name] [--issue=12]
+ *   node scripts/replay-dead-letters.js replay [--event=issue.created] [--repo=owner/name] [--issue=12] [--offsets=3,5]
+ *
+ * --repo matches either the repository full name or the repository id,
+ * --offsets restricts the replay to the dead letters at the given offsets of the dead-letter topic,
+ * --partition selects the partition of the dead-letter topic to read (defaults to 0).
+ * @author TCSCODER
+ * @version 1.0
+ */
+const config = require('config');
+const _ = require('lodash');
+const kafka = require('no-kafka');
+const logger = require('../utils/logger');
+
+/**
+ * Parse the command line arguments
+ * @param {Array} argv the command line arguments
+ * @returns {Object} the command and the options
+ */
+function parseArguments(argv) {
+  const options = {};
+  let command = 'list';
+  _.forEach(argv, (arg) => {
+    const match = /^--([^=]+)=(.*)$/.exec(arg);
+    if (match) {
+      const [, name, value] = match;
+      options[name] = value;
+    } else {
+      command = arg;
+    }
+  });
+  if (!_.includes(['list', 'replay'], command)) {
+    throw new Error(`Unknown command "${command}", it must be list or replay`);
+  }
+  if (options.offsets) {
+    options.offsets = _.map(options.offsets.split(','), _.toInteger);
+  }
+  options.partition = _.toInteger(options.partition);
+  return {command, options};
+}
+
+/**
+ * Parse a message of the dead-letter topic
+ * @param {Object} message the kafka message
+ * @returns {Object} the dead letter, or null if the message is invalid
+ */
+function parseDeadLetter(message) {
+  try {
+    const deadLetter = JSON.parse(message.message.value.toString('utf8')).payload;
+    deadLetter.offset = message.offset;
+    return deadLetter;
+  } catch (err) {
+    logger.warn(`The dead letter at offset ${message.offset} is not a valid JSON-formatted string, ignoring it.`);
+    return null;
+  }
+}
+
+/**
+ * Read all the messages currently in the dead-letter topic
+ * @param {Object} consumer the kafka consumer
+ * @param {Number} partition the partition to read
+ * @returns {Promise<Array>} the dead letters
+ */
+async function readDeadLetters(consumer, partition) {
+  const topic = config.TOPIC_DEAD_LETTER;
+  const earliestOffset = await consumer.offset(topic, partition, kafka.EARLIEST_OFFSET);
+  const latestOffset = await consumer.offset(topic, partition, kafka.LATEST_OFFSET);
+  const deadLetters = [];
+  if (earliestOffset >= latestOffset) {
+    return deadLetters;
+  }
+  await new Promise((resolve, reject) => {
+    consumer.subscribe(topic, partition, {time: kafka.EARLIEST_OFFSET}, (messageSet) => {
+      _.forEach(messageSet, (message) => {
+        if (message.offset < latestOffset) {
+          deadLetters.push(parseDeadLetter(message));
+        }
+      });
+      if (_.last(messageSet).offset + 1 >= latestOffset) {
+        resolve();
+      }
+    }).catch(reject);
+  });
+  await consumer.unsubscribe(topic, partition);
+  return _.compact(deadLetters);
+}
+
+/**
+ * Check whether the dead letter matches the filters
+ * @param {Object} deadLetter the dead letter
+ * @param {Object} options the filters
+ * @returns {Boolean} true if the dead letter matches
+ */
+function matches(deadLetter, options) {
+  if (options.event && deadLetter.event !== options.event) {
+    return false;
+  }
+  if (options.repo && deadLetter.repository !== options.repo && _.toString(deadLetter.repositoryId) !== options.repo) {
+    return false;
+  }
+  if (options.issue && _.toString(deadLetter.issue) !== options.issue) {
+    return false;
+  }
+  if (options.offsets && !_.includes(options.offsets, deadLetter.offset)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Build the kafka message re-injecting the dead letter into the Topcoder-X topic
+ * @param {Object} deadLetter the dead letter
+ * @returns {String} the kafka message
+ */
+function buildReplayMessage(deadLetter) {
+  if (deadLetter.stage !== 'processing') {
+    // the original kafka message could not be parsed, it is published again as is
+    return deadLetter.value;
+  }
+  // the event gets a fresh set of retries
+  const event = _.omit(JSON.parse(deadLetter.value), ['retryId']);
+  event.retryCount = 0;
+  return JSON.stringify({
+    topic: config.TOPIC,
+    originator: 'topcoder-x-processor',
+    timestamp: new Date().toISOString(),
+    'mime-type': 'application/json',
+    payload: {
+      value: JSON.stringify(event)
+    }
+  });
+}
+
+/**
+ * List or replay the dead letters
+ * @param {String} command the command, list or replay
+ * @param {Object} options the options
+ */
+async function run(command, options) {
+  const consumer = new kafka.SimpleConsumer(config.KAFKA_OPTIONS);
+  const producer = new kafka.Producer(config.KAFKA_OPTIONS);
+  try {
+    await consumer.init();
+    const deadLetters = _.filter(await readDeadLetters(consumer, options.partition), (deadLetter) => matches(deadLetter, options));
+    logger.info(`Found ${deadLetters.length} dead letters`);
+    if (command === 'list') {
+      _.forEach(deadLetters, (deadLetter) => {
+        logger.info(`#${deadLetter.offset} [${deadLetter.stage}] ${deadLetter.event || '-'} ${deadLetter.provider || '-'} ` +
+          `${deadLetter.repository || deadLetter.repositoryId || '-'} issue ${deadLetter.issue || '-'}: ` +
+          `[${_.get(deadLetter, 'error.statusCode', '-')}] ${_.get(deadLetter, 'error.message')}`);
+      });
+      return;
+    }
+    await producer.init();
+    for (const deadLetter of deadLetters) { // eslint-disable-line no-restricted-syntax
+      if (deadLetter.sourceTopic !== config.TOPIC) {
+        logger.warn(`The dead letter #${deadLetter.offset} was consumed from ${deadLetter.sourceTopic}, skipping it.`);
+        continue; // eslint-disable-line no-continue
+      }
+      await producer.send({
+        topic: config.TOPIC,
+        message: {
+          value: buildReplayMessage(deadLetter)
+        }
+      });
+      logger.info(`The dead letter #${deadLetter.offset} is re-injected into ${config.TOPIC}`);
+    }
+  } finally {
+    await consumer.end();
+    await producer.end();
+  }
+}
+
+const {command, options} = parseArguments(process.argv.slice(2)); // eslint-disable-line no-magic-numbers
+run(command, options).then(() => {
+  logger.info('Done');
+}).catch((err) => {
+  logger.logFullError(err, 'replay-dead-letters');
+  process.exitCode = 1;
+});
@@ -0,0 +1,179 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This service sweeps the assigned tickets of the projects with assignment thresholds.
+ * The assignee of a ticket without linked pull request or commit is reminded after the `assignmentReminderDays`
+ * of its project, and unassigned after the `assignmentTimeoutDays`: the ticket is open for pickup again.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const config = require('config');
+const _ = require('lodash');
+const uuid = require('uuid').v4;
+const logger = require('../utils/logger');
+const models = require('../models');
+const dbHelper = require('../utils/db-helper');
+const gitHelper = require('../utils/git-helper');
+const helper = require('../utils/helper');
+const issueStateMachine = require('../utils/issue-state-machine');
+const providers = require('../utils/providers');
+const topcoderApiHelper = require('../utils/topcoder-api-helper');
+const userService = require('./UserService');
+
+const DAY = 86400000;
+
+// the lock shared by the processor replicas, a single replica sweeps the tickets at a time
+const SWEEP_LOCK = 'assignment-sla-sweep';
+
+/**
+ * gets the project of a ticket, the projects are read once per sweep
+ * @param {Object} dbIssue the db issue
+ * @param {Object} projects the projects already read by id
+ * @returns {Promise<Object>} the project
+ * @private
+ */
+async function getProject(dbIssue, projects) {
+  if (!_.has(projects, dbIssue.projectId)) {
+    projects[dbIssue.projectId] = await dbHelper.getById(models.Project, dbIssue.projectId);
+  }
+  return projects[dbIssue.projectId];
+}
+
+/**
+ * builds the event the git changes of a ticket are made for, as the events of the receiver
+ * @param {Object} dbIssue the db issue
+ * @returns {Promise<Object>} the event
+ * @private
+ */
+async function buildEvent(dbIssue) {
+  const fullName = providers.parseRepoUrl(dbIssue.repoUrl).fullName;
+  return {
+    id: helper.generateIdentifier(),
+    event: 'issue.assignmentSla',
+    provider: dbIssue.provider,
+    data: {
+      repository: {
+        id: dbIssue.repositoryIdStr || dbIssue.repositoryId,
+        full_name: fullName,
+        repoUrl: dbIssue.repoUrl
+      }
+    },
+    copilot: await userService.getRepositoryCopilotOrOwner(dbIssue.provider, fullName)
+  };
+}
+
+/**
+ * reminds the assignee of a ticket to link their work
+ * @param {Object} event the event
+ * @param {Object} dbIssue the db issue
+ * @param {Object} project the project
+ * @param {Number} idleDays the days without linked work
+ * @private
+ */
+async function remindAssignee(event, dbIssue, project, idleDays) {
+  let comment = `@${dbIssue.assignee}, this ticket has no linked pull request or commit for ${idleDays} days.`;
+  if (project.assignmentTimeoutDays) {
+    comment += ` It will be open for pickup again after ${project.assignmentTimeoutDays} days without linked work.`;
+  }
+  await gitHelper.createComment(event, dbIssue.number, comment);
+  await dbHelper.update(models.Issue, dbIssue.id, {assignmentRemindedAt: new Date()});
+  logger.debug(`The assignee ${dbIssue.assignee} of the issue ${dbIssue.id} is reminded`);
+}
+
+/**
+ * unassigns the assignee of a ticket and opens it for pickup
+ * @param {Object} event the event
+ * @param {Object} dbIssue the db issue
+ * @param {Number} idleDays the days without linked work
+ * @private
+ */
+async function unassignAssignee(event, dbIssue, idleDays) {
+  const assignee = dbIssue.assignee;
+  const assigneeUserId = await gitHelper.getUserIdByLogin(event, assignee);
+  const userMapping = assigneeUserId ? await userService.getTCUserName(event.provider, assigneeUserId) : null;
+  if (userMapping && userMapping.topcoderUsername) {
+    await topcoderApiHelper.removeResourceToChallenge(dbIssue.challengeUUID, userMapping.topcoderUsername, config.ROLE_ID_SUBMITTER);
+  }
+  const labels = _(dbIssue.labels) // eslint-disable-line lodash/chaining
+    .without(config.ASSIGNED_ISSUE_LABEL)
+    .concat(config.OPEN_FOR_PICKUP_ISSUE_LABEL)
+    .uniq()
+    .value();
+  // the record is updated first, the unassignment event of the git host finds the ticket without assignee
+  await issueStateMachine.recordUpdate(dbIssue, {
+    event,
+    reason: `${assignee} was unassigned after ${idleDays} days without linked pull request or commit`
+  }, {
+    assignee: null,
+    assignedAt: null,
+    assignmentRemindedAt: null,
+    labels
+  });
+  await gitHelper.removeAssign(event, dbIssue.number, assigneeUserId, assignee);
+  await gitHelper.addLabels(event, dbIssue.number, labels);
+  await gitHelper.createComment(event, dbIssue.number,
+    `@${assignee} has been unassigned after ${idleDays} days without linked pull request or commit, the ticket is open for pickup again.`);
+  logger.debug(`The assignee ${assignee} of the issue ${dbIssue.id} is unassigned`);
+}
+
+/**
+ * checks the assignment of a ticket against the thresholds of its project
+ * @param {Object} dbIssue the db issue
+ * @param {Object} projects the projects already read by id
+ * @private
+ */
+async function checkAssignment(dbIssue, projects) {
+  // the linked work can't be found on every git host, the assignees would be unassigned while working
+  if (!providers.getAdapter(dbIssue.provider).getLinkedWorkAt) {
+    return;
+  }
+  const project = await getProject(dbIssue, projects);
+  // the tickets with several assignees are left to the copilot
+  if (!project || project.allowMultipleAssignees || !dbIssue.assignee ||
+    (!project.assignmentReminderDays && !project.assignmentTimeoutDays)) {
+    return;
+  }
+  const event = await buildEvent(dbIssue);
+  const linkedWorkAt = await gitHelper.getLinkedWorkAt(event, dbIssue.number);
+  const lastActivityAt = _.max(_.compact([new Date(dbIssue.assignedAt), linkedWorkAt]));
+  const idleDays = Math.floor((Date.now() - lastActivityAt.getTime()) / DAY);
+
+  if (project.assignmentTimeoutDays && idleDays >= project.assignmentTimeoutDays) {
+    await unassignAssignee(event, dbIssue, idleDays);
+  } else if (project.assignmentReminderDays && idleDays >= project.assignmentReminderDays &&
+    !(dbIssue.assignmentRemindedAt && new Date(dbIssue.assignmentRemindedAt) > lastActivityAt)) {
+    await remindAssignee(event, dbIssue, project, idleDays);
+  }
+}
+
+/**
+ * sweeps the assigned tickets, the failure of a ticket doesn't stop the sweep
+ */
+async function sweep() {
+  const lockId = uuid().replace(/-/g, '');
+  if (!await dbHelper.acquireLock(SWEEP_LOCK, lockId, _.toInteger(config.ASSIGNMENT_SLA_SWEEP_INTERVAL))) {
+    return;
+  }
+  try {
+    const projects = {};
+    const issues = await dbHelper.queryAssignedIssues();
+    for (const dbIssue of issues) { // eslint-disable-line no-restricted-syntax
+      try {
+        await checkAssignment(dbIssue, projects);
+      } catch (err) {
+        logger.error(`Failed to check the assignment of the issue ${dbIssue.id}. ${err.message}`);
+      }
+    }
+  } finally {
+    await dbHelper.releaseLock(SWEEP_LOCK, lockId);
+  }
+}
+
+module.exports = {
+  sweep
+};
+
+logger.buildService(module.exports);
@@ -14,6 +14,7 @@ const _ = require('lodash');
 const Joi = require('joi');
 const superagent = require('superagent');
 const superagentPromise = require('superagent-promise');
+const uuid = require('uuid').v4;
 const logger = require('../utils/logger');
 const dbHelper = require('../utils/db-helper');
 const errors = require('../utils/errors');
@@ -23,6 +24,12 @@ const models = require('../models');
 const request = superagentPromise(superagent, Promise);
 const MS_PER_SECOND = 1000;
 
+const LOCK_TTL_SECONDS = 20;
+
+const MAX_RETRY_COUNT = 30;
+
+const COOLDOWN_TIME = 1000;
+
 const copilotUserSchema = Joi.object().keys({
   accessToken: Joi.string().required(),
   userProviderId: Joi.number().required(),
@@ -328,6 +335,47 @@ refreshAzureUserAccessToken.schema = Joi.object().keys({
   })
 });
 
+/**
+ * Refresh the access token of the azure owner if it is about to expire.
+ * The user is locked while refreshing so concurrent events do not use a revoked refresh token.
+ * @param {Object} azureOwner the azure owner
+ * @returns {Promise<Object>} the user object with a valid access token
+ */
+async function refreshAccessToken(azureOwner) {
+  const lockId = uuid().replace(/-/g, '');
+  let lockedUser;
+  let tries = 0;
+  try {
+    // eslint-disable-next-line no-restricted-syntax
+    while ((tries < MAX_RETRY_COUNT) && !(lockedUser && lockedUser.lockId === lockId)) {
+      logger.debug(`[Lock ID: ${lockId}][Attempt #${tries + 1}] Acquiring lock on user ${azureOwner.username}.`);
+      lockedUser = await dbHelper.acquireLockOnUser(azureOwner.id, lockId, LOCK_TTL_SECONDS * MS_PER_SECOND);
+      if (!lockedUser) {
+        await new Promise((resolve) => setTimeout(resolve, COOLDOWN_TIME));
+      }
+      tries += 1;
+    }
+    if (!lockedUser) {
+      throw errors.internalDependencyError(`Failed to acquire lock on user ${azureOwner.id} after ${tries} attempts.`);
+    }
+    if (lockedUser.accessTokenExpiration && new Date().getTime() > lockedUser.accessTokenExpiration.getTime() -
+      (config.AZURE_REFRESH_TOKEN_BEFORE_EXPIRATION * MS_PER_SECOND)) {
+      logger.debug(`[Lock ID: ${lockId}] Refreshing access token for user ${azureOwner.username}.`);
+      try {
+        await refreshAzureUserAccessToken(lockedUser);
+      } catch (err) {
+        throw errors.convertAzureError(err, 'Failed to refresh the access token of the Azure user.');
+      }
+    }
+  } finally {
+    if (lockedUser) {
+      logger.debug(`[Lock ID: ${lockId}] Releasing lock on user ${azureOwner.username}.`);
+      lockedUser = await dbHelper.releaseLockOnUser(azureOwner.id, lockId);
+    }
+  }
+  return _.assign({}, azureOwner, _.pick(lockedUser, ['accessToken', 'accessTokenExpiration', 'refreshToken']));
+}
+
 module.exports = {
   createComment,
   updateIssue,
@@ -337,7 +385,8 @@ module.exports = {
   markIssueAsPaid,
   changeState,
   addLabels,
-  refreshAzureUserAccessToken
+  refreshAzureUserAccessToken,
+  refreshAccessToken
 };
 
 logger.buildService(module.exports);
@@ -0,0 +1,373 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This service registers the comment commands of the bids placed on the issues:
+ * `/bid`, `/bids`, `/withdraw_bid`, `/accept_bid` and `/bid_deadline`.
+ * When the project enables it, the lowest bid is accepted when the bidding of the issue closes.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const _ = require('lodash');
+const logger = require('../utils/logger');
+const models = require('../models');
+const dbHelper = require('../utils/db-helper');
+const gitHelper = require('../utils/git-helper');
+const idempotency = require('../utils/idempotency');
+const prizeParser = require('../utils/prize-parser');
+const commentCommands = require('../utils/comment-commands');
+const constants = require('../constants');
+const eventService = require('./EventService');
+
+const HOUR = 3600000;
+
+// the reply to the bid commands on a ticket without challenge
+const NO_CHALLENGE_COMMENT = 'This ticket has no Topcoder challenge, bids are only placed on the tickets with a prize.';
+
+// the relative deadlines of the `/bid_deadline` command, e.g. `48h` or `2d`, in hours by unit
+const DEADLINE_UNITS = {
+  h: 1,
+  d: 24
+};
+
+/**
+ * gets the db issue of the bids
+ * @param {Object} issue the issue
+ * @returns {Promise<Object>} the db issue, null if the issue has no challenge
+ * @private
+ */
+async function getDbIssue(issue) {
+  return await dbHelper.queryOneIssue(models.Issue, issue.repositoryId, issue.number, issue.provider);
+}
+
+/**
+ * ranks the active bids, the lowest amount first and the earliest bid first on a tie
+ * @param {Array} bids the bids of the issue
+ * @returns {Array} the ranked active bids
+ * @private
+ */
+function rankBids(bids) {
+  return _(bids).filter({status: constants.BID_STATUS.ACTIVE})
+    .sortBy(['amount', (bid) => new Date(bid.createdAt).getTime()])
+    .value();
+}
+
+/**
+ * checks whether the bidding of the issue is closed
+ * @param {Object} dbIssue the db issue
+ * @returns {Boolean} true if the bid deadline is past
+ * @private
+ */
+function isBiddingClosed(dbIssue) {
+  return Boolean(dbIssue.bidDeadline) && new Date(dbIssue.bidDeadline).getTime() <= Date.now();
+}
+
+/**
+ * saves the bid deadline of the issue, and schedules the acceptance of the lowest bid if the project enables it
+ * @param {Object} event the event
+ * @param {Object} dbIssue the db issue
+ * @param {Object} project the project
+ * @param {Date} bidDeadline the bid deadline
+ * @private
+ */
+async function saveBidDeadline(event, dbIssue, project, bidDeadline) {
+  await dbHelper.update(models.Issue, dbIssue.id, {
+    bidDeadline,
+    updatedAt: new Date()
+  });
+  if (project.autoAcceptLowestBid) {
+    await idempotency.runOnce(event, 'schedule.bidDeadline', async () => {
+      await eventService.scheduleEvent({
+        event: 'issue.bidDeadline',
+        provider: event.provider,
+        data: {
+          issue: event.data.issue,
+          repository: _.omit(event.data.repository, 'repoUrl'),
+          bidDeadline: bidDeadline.toISOString()
+        }
+      }, bidDeadline);
+    });
+  }
+}
+
+/**
+ * accepts the bid, the bid amount becomes the first placement prize of the issue and the bidder is assigned,
+ * the other placements and the copilot and reviewer modifiers of the title are kept
+ * @param {Object} event the event
+ * @param {Object} dbIssue the db issue
+ * @param {String} bidder the git username of the bidder
+ * @param {Number} amount the accepted amount
+ * @param {Object} bid the accepted bid (if any)
+ * @private
+ */
+async function assignBidder(event, dbIssue, bidder, amount, bid) {
+  const prize = _.assign(_.pick(dbIssue, ['currency', 'copilotFee', 'reviewerPrize']), {
+    prizes: _.concat([amount], _.tail(dbIssue.prizes))
+  });
+  const newTitle = `[${prizeParser.formatPrize(prize)}] ${dbIssue.title}`;
+  logger.debugWithContext(`updating issue: ${event.data.repository.name}/${dbIssue.number}`, event, dbIssue);
+  await idempotency.runOnce(event, 'issue.updateBidTitle', () => gitHelper.updateIssue(event, dbIssue.number, newTitle));
+
+  logger.debugWithContext(`assigning user, ${bidder} to issue: ${event.data.repository.name}/${dbIssue.number}`, event, dbIssue);
+  await idempotency.runOnce(event, 'issue.assignBidder', () => gitHelper.assignUser(event, dbIssue.number, bidder));
+  if (bid) {
+    await dbHelper.update(models.Bid, bid.id, {
+      status: constants.BID_STATUS.ACCEPTED,
+      updatedAt: new Date()
+    });
+  }
+}
+
+/**
+ * places the bid of the comment author, it replaces the previous bid of the author
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @param {Object} args the command arguments, the bid amount, e.g. `$500`
+ * @param {Object} context the command context, with the project of the issue
+ * @private
+ */
+async function placeBid(event, issue, args, context) {
+  const dbIssue = await getDbIssue(issue);
+  if (!dbIssue || !issue.prizes) {
+    await gitHelper.createComment(event, issue.number, NO_CHALLENGE_COMMENT);
+    return;
+  }
+  if (dbIssue.assignee || isBiddingClosed(dbIssue)) {
+    await gitHelper.createComment(event, issue.number, 'The bidding on this ticket is closed.');
+    return;
+  }
+  let amount;
+  try {
+    amount = prizeParser.parseAmount(args.amount, issue.currency, 'bid');
+  } catch (err) {
+    if (err.errorAt !== 'prize') {
+      throw err;
+    }
+    await gitHelper.createComment(event, issue.number, `${err.message}.`);
+    return;
+  }
+  if (amount.currency !== issue.currency) {
+    await gitHelper.createComment(event, issue.number, `The bid must be in the currency of the ticket prize, e.g. \`/bid ${
+      prizeParser.formatAmount(issue.prizes[0], issue.currency)}\`.`);
+    return;
+  }
+  const bidderId = String(event.data.comment.user.id);
+  const bidder = await gitHelper.getUsernameById(event, event.data.comment.user.id);
+  const id = `${dbIssue.id}-${bidderId}`;
+  const bid = {
+    bidder,
+    amount: amount.value,
+    currency: amount.currency,
+    status: constants.BID_STATUS.ACTIVE,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+  if (await dbHelper.getById(models.Bid, id)) {
+    await dbHelper.update(models.Bid, id, bid);
+  } else {
+    await dbHelper.create(models.Bid, _.assign({id, issueId: dbIssue.id, bidderId}, bid));
+  }
+  let comment = `The bid of @${bidder} for ${prizeParser.formatAmount(amount.value, amount.currency)} is recorded.`;
+  let bidDeadline = dbIssue.bidDeadline;
+  if (!bidDeadline && context.project.bidDurationHours) {
+    // the bidding window opens with the first bid
+    bidDeadline = new Date(Date.now() + context.project.bidDurationHours * HOUR);
+    await saveBidDeadline(event, dbIssue, context.project, bidDeadline);
+  }
+  if (bidDeadline) {
+    comment += ` The bidding closes at ${new Date(bidDeadline).toISOString()}.`;
+  }
+  await gitHelper.createComment(event, issue.number, comment);
+}
+
+/**
+ * posts the ranked summary of the active bids
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @private
+ */
+async function listBids(event, issue) {
+  const dbIssue = await getDbIssue(issue);
+  const bids = dbIssue ? rankBids(await dbHelper.queryBidsByIssueId(dbIssue.id)) : [];
+  if (bids.length === 0) {
+    await gitHelper.createComment(event, issue.number, 'There is no bid on this ticket yet, bid with `/bid <amount>`.');
+    return;
+  }
+  const rows = _.map(bids, (bid, index) => `| ${index + 1} | @${bid.bidder} | ${prizeParser.formatAmount(bid.amount, bid.currency)} | ${
+    new Date(bid.createdAt).toISOString()} |`);
+  let comment = ['| Rank | Bidder | Amount | Placed at |', '| :-- | :-- | --: | :-- |'].concat(rows).join('\n');
+  if (dbIssue.bidDeadline) {
+    comment += `\n\nThe bidding ${isBiddingClosed(dbIssue) ? 'closed' : 'closes'} at ${new Date(dbIssue.bidDeadline).toISOString()}.`;
+  }
+  await gitHelper.createComment(event, issue.number, comment);
+}
+
+/**
+ * withdraws the bid of the comment author
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @private
+ */
+async function withdrawBid(event, issue) {
+  const dbIssue = await getDbIssue(issue);
+  const bid = dbIssue ? await dbHelper.getById(models.Bid, `${dbIssue.id}-${event.data.comment.user.id}`) : null;
+  if (!bid || bid.status !== constants.BID_STATUS.ACTIVE) {
+    await gitHelper.createComment(event, issue.number, 'You have no active bid on this ticket.');
+    return;
+  }
+  await dbHelper.update(models.Bid, bid.id, {
+    status: constants.BID_STATUS.WITHDRAWN,
+    updatedAt: new Date()
+  });
+  await gitHelper.createComment(event, issue.number, `The bid of @${bid.bidder} is withdrawn.`);
+}
+
+/**
+ * accepts the bid of a member
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @param {Object} args the command arguments, the git username of the bidder and the accepted amount,
+ *  the amount of the active bid of the member if not given
+ * @private
+ */
+async function acceptBid(event, issue, args) {
+  const dbIssue = await getDbIssue(issue);
+  if (!dbIssue) {
+    await gitHelper.createComment(event, issue.number, NO_CHALLENGE_COMMENT);
+    return;
+  }
+  const bidder = args.user;
+  const bid = _.find(rankBids(await dbHelper.queryBidsByIssueId(dbIssue.id)), (item) => item.bidder.toLowerCase() === bidder.toLowerCase());
+  let amount = _.get(bid, 'amount');
+  if (args.amount) {
+    try {
+      amount = prizeParser.parseAmount(args.amount, dbIssue.currency, 'accepted bid').value;
+    } catch (err) {
+      if (err.errorAt !== 'prize') {
+        throw err;
+      }
+      await gitHelper.createComment(event, issue.number, `${err.message}.`);
+      return;
+    }
+  }
+  if (_.isNil(amount)) {
+    await gitHelper.createComment(event, issue.number, `@${bidder} has no active bid, please give the accepted amount.`);
+    return;
+  }
+  logger.debugWithContext(`Bid by ${bidder} is accepted with amount ${amount}`, event, issue);
+  await assignBidder(event, dbIssue, bidder, amount, bid);
+}
+
+/**
+ * sets the bid deadline of the issue
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @param {Object} args the command arguments, the deadline is a date or a duration from now,
+ *  e.g. `2030-01-31T12:00:00Z`, `48h` or `2d`
+ * @param {Object} context the command context, with the project of the issue
+ * @private
+ */
+async function setBidDeadline(event, issue, args, context) {
+  const dbIssue = await getDbIssue(issue);
+  if (!dbIssue) {
+    await gitHelper.createComment(event, issue.number, NO_CHALLENGE_COMMENT);
+    return;
+  }
+  const duration = args.deadline.match(/^(?<value>\d+)(?<unit>[hd])$/i);
+  const bidDeadline = duration ?
+    new Date(Date.now() + duration.groups.value * DEADLINE_UNITS[duration.groups.unit.toLowerCase()] * HOUR) :
+    new Date(args.deadline);
+  if (_.isNaN(bidDeadline.getTime()) || bidDeadline.getTime() <= Date.now()) {
+    await gitHelper.createComment(event, issue.number, 'The bid deadline must be a future date or a duration, e.g. `/bid_deadline 48h`.');
+    return;
+  }
+  await saveBidDeadline(event, dbIssue, context.project, bidDeadline);
+  await gitHelper.createComment(event, issue.number, `The bidding on this ticket closes at ${bidDeadline.toISOString()}.`);
+}
+
+/**
+ * accepts the lowest bid when the bidding of the issue closes, if the project enables it.
+ * The event is ignored if the deadline was moved since it was scheduled.
+ * @param {Object} event the scheduled bid deadline event
+ * @param {Object} issue the issue
+ */
+async function handleBidDeadline(event, issue) {
+  const project = await dbHelper.queryOneActiveProject(models.Project, issue.repoUrl);
+  const dbIssue = await getDbIssue(issue);
+  if (!dbIssue || !dbIssue.bidDeadline || new Date(dbIssue.bidDeadline).getTime() !== new Date(event.data.bidDeadline).getTime()) {
+    logger.debugWithContext('Ignoring the bid deadline. The bid deadline was changed.', event, issue);
+    return;
+  }
+  if (!project.autoAcceptLowestBid || dbIssue.assignee) {
+    logger.debugWithContext('Ignoring the bid deadline. The lowest bid is not accepted automatically.', event, issue);
+    return;
+  }
+  const bids = await dbHelper.queryBidsByIssueId(dbIssue.id);
+  if (_.some(bids, {status: constants.BID_STATUS.ACCEPTED})) {
+    logger.debugWithContext('Ignoring the bid deadline. A bid is already accepted.', event, issue);
+    return;
+  }
+  const lowestBid = _.head(rankBids(bids));
+  if (!lowestBid) {
+    await idempotency.runOnce(event, 'comment.bidDeadline', () =>
+      gitHelper.createComment(event, issue.number, 'The bidding on this ticket is closed without any bid.'));
+    return;
+  }
+  await assignBidder(event, dbIssue, lowestBid.bidder, lowestBid.amount, lowestBid);
+  const comment = `The bidding on this ticket is closed, the lowest bid of @${lowestBid.bidder} for ${
+    prizeParser.formatAmount(lowestBid.amount, lowestBid.currency)} is accepted.`;
+  await idempotency.runOnce(event, 'comment.bidDeadline', () => gitHelper.createComment(event, issue.number, comment));
+}
+
+commentCommands.register({
+  name: 'bid',
+  usage: '/bid <amount>',
+  description: 'places a bid in the currency of the ticket prize, a new bid replaces the previous one',
+  role: constants.COMMAND_ROLES.ANYONE,
+  syntax: /^(?<amount>.+)$/,
+  handler: placeBid
+});
+
+commentCommands.register({
+  name: 'bids',
+  usage: '/bids',
+  description: 'lists the active bids ranked by amount',
+  role: constants.COMMAND_ROLES.ANYONE,
+  syntax: /^$/,
+  handler: listBids
+});
+
+commentCommands.register({
+  name: 'withdraw_bid',
+  usage: '/withdraw_bid',
+  description: 'withdraws the bid of the comment author',
+  role: constants.COMMAND_ROLES.ANYONE,
+  syntax: /^$/,
+  handler: withdrawBid
+});
+
+commentCommands.register({
+  name: 'accept_bid',
+  usage: '/accept_bid @<member> [amount]',
+  description: 'sets the prize of the ticket to the amount, or to the bid of the member, and assigns the member',
+  role: constants.COMMAND_ROLES.COPILOT,
+  syntax: /^@(?<user>\S+)(?:\s+(?<amount>.+))?$/,
+  handler: acceptBid
+});
+
+commentCommands.register({
+  name: 'bid_deadline',
+  usage: '/bid_deadline <date or duration>',
+  description: 'closes the bidding at the date, e.g. `/bid_deadline 48h`',
+  role: constants.COMMAND_ROLES.COPILOT,
+  syntax: /^(?<deadline>\S+)$/,
+  handler: setBidDeadline
+});
+
+module.exports = {
+  handleBidDeadline
+};
+
+logger.buildService(module.exports);
@@ -0,0 +1,475 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This provides methods around bitbucket cloud api.
+ * Bitbucket issues have no labels: the Topcoder X labels are kept in the component of the issue
+ * (the components must be created in the repository) and the labels named after an issue kind set its kind.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const config = require('config');
+const uuid = require('uuid').v4;
+const _ = require('lodash');
+const Joi = require('joi');
+const superagent = require('superagent');
+const superagentPromise = require('superagent-promise');
+const constants = require('../constants');
+const logger = require('../utils/logger');
+const errors = require('../utils/errors');
+const models = require('../models');
+const helper = require('../utils/helper');
+const dbHelper = require('../utils/db-helper');
+
+const request = superagentPromise(superagent, Promise);
+
+// milliseconds per second
+const MS_PER_SECOND = 1000;
+
+const LOCK_TTL_SECONDS = 20;
+
+const MAX_RETRY_COUNT = 30;
+
+const COOLDOWN_TIME = 1000;
+
+// the formats of the atlassian account ids
+const ACCOUNT_ID_REGEX = /^([0-9a-f]{24}|\d+:[0-9a-f-]{36})$/i;
+
+/**
+ * A schema for a Bitbucket user, as stored in the TCX database.
+ * @typedef {Object} User
+ * @property {String} accessToken the access token
+ * @property {Date} accessTokenExpiration the access token expiration date
+ * @property {String} refreshToken the refresh token
+ * @property {String} userProviderIdStr the account id
+ * @property {String} topcoderUsername the topcoder username
+ * @property {String} username the nickname
+ * @property {String} type the type
+ * @property {String} id the id
+ * @property {String} role the role
+ */
+
+const USER_SCHEMA = Joi.object().keys({
+  accessToken: Joi.string().required(),
+  accessTokenExpiration: Joi.date().required(),
+  refreshToken: Joi.string().required(),
+  userProviderId: Joi.number().optional(),
+  userProviderIdStr: Joi.string().optional(),
+  topcoderUsername: Joi.string(),
+  username: Joi.string().optional(),
+  type: Joi.string().valid('bitbucket').required(),
+  id: Joi.string().optional(),
+  role: Joi.string().valid('owner', 'guest').required(),
+  lockId: Joi.string().optional(),
+  lockExpiration: Joi.date().optional()
+}).required();
+
+/**
+ * @typedef {Object} RepositoryWithFullName
+ * @property {String} full_name the `workspace/repo_slug` full name
+ */
+
+const REPOSITORY_SCHEMA = Joi.object().keys({
+  full_name: Joi.string().required()
+}).unknown(true).required();
+
+class BitbucketService {
+  /** @type {User} */
+  #user = null;
+
+  constructor(user) {
+    if (!user) {
+      throw new Error('User is required.');
+    }
+    Joi.attempt(user, USER_SCHEMA);
+    this.#user = user;
+  }
+
+  /**
+   * Get the full URL for a Bitbucket repository from its full name.
+   * @param {String} repoFullName Repo full name
+   * @returns {String}
+   */
+  static getRepoUrl(repoFullName) {
+    return `${config.BITBUCKET_URL}/${repoFullName}`;
+  }
+
+  /**
+   * Checks whether the value is an account id, the bitbucket users have no numeric id.
+   * @param {String} value the value
+   * @returns {Boolean} true if the value is an account id
+   */
+  static isAccountId(value) {
+    return _.isString(value) && ACCOUNT_ID_REGEX.test(value);
+  }
+
+  /**
+   * Helper method for initializing a BitbucketService instance with an active
+   * access token.
+   * @param {User} user the user
+   * @returns {Promise<BitbucketService>} the BitbucketService instance
+   */
+  static async create(user) {
+    const svc = new BitbucketService(user);
+    try {
+      await svc.refreshAccessToken();
+      return svc;
+    } catch (err) {
+      throw errors.handleBitbucketError(err, 'Authentication failed for Bitbucket user');
+    }
+  }
+
+  /**
+   * Refresh the user access token if needed
+   */
+  async refreshAccessToken() {
+    const lockId = uuid().replace(/-/g, '');
+    let lockedUser;
+    let tries = 0;
+    try {
+      // eslint-disable-next-line no-restricted-syntax
+      while ((tries < MAX_RETRY_COUNT) && !(lockedUser && lockedUser.lockId === lockId)) {
+        logger.debug(`[Lock ID: ${lockId}][Attempt #${tries + 1}] Acquiring lock on user ${this.#user.username}.`);
+        lockedUser = await dbHelper.acquireLockOnUser(this.#user.id, lockId, LOCK_TTL_SECONDS * MS_PER_SECOND);
+        if (!lockedUser) {
+          await new Promise((resolve) => setTimeout(resolve, COOLDOWN_TIME));
+        }
+        tries += 1;
+      }
+      if (!lockedUser) {
+        throw new Error(`Failed to acquire lock on user ${this.#user.id} after ${tries} attempts.`);
+      }
+      logger.debug(`[Lock ID: ${lockId}] Acquired lock on user ${this.#user.username}.`);
+      if (lockedUser.accessTokenExpiration && new Date().getTime() > lockedUser.accessTokenExpiration.getTime() -
+        (config.BITBUCKET_REFRESH_TOKEN_BEFORE_EXPIRATION * MS_PER_SECOND)) {
+        logger.debug(`[Lock ID: ${lockId}] Refreshing access token for user ${this.#user.username}.`);
+        const refreshTokenResult = await request
+          .post(`${config.BITBUCKET_URL}/site/oauth2/access_token`)
+          .auth(config.BITBUCKET_CLIENT_ID, config.BITBUCKET_CLIENT_SECRET)
+          .type('form')
+          .send({
+            grant_type: 'refresh_token',
+            refresh_token: lockedUser.refreshToken
+          })
+          .end();
+        // save user token data
+        const expiresIn = refreshTokenResult.body.expires_in || config.BITBUCKET_ACCESS_TOKEN_DEFAULT_EXPIRATION;
+        const updates = {
+          accessToken: refreshTokenResult.body.access_token,
+          accessTokenExpiration: new Date(new Date().getTime() + expiresIn * MS_PER_SECOND),
+          refreshToken: refreshTokenResult.body.refresh_token
+        };
+        _.assign(lockedUser, updates);
+        await dbHelper.update(models.User, lockedUser.id, updates);
+      }
+    } finally {
+      if (lockedUser) {
+        logger.debug(`[Lock ID: ${lockId}] Releasing lock on user ${this.#user.username}.`);
+        const newUser = await dbHelper.releaseLockOnUser(this.#user.id, lockId);
+        // Not assigning directly because the old object sometimes has properties
+        // that are not in the new one
+        _.assign(this.#user, newUser);
+      }
+    }
+  }
+
+  /**
+   * Get the api url of the bitbucket issue
+   * @param {RepositoryWithFullName} repository the repository
+   * @param {Number} issueId the issue number
+   * @returns {String} the url
+   * @private
+   */
+  #getIssueApiUrl(repository, issueId) {
+    return `${config.BITBUCKET_API_BASE_URL}/repositories/${repository.full_name}/issues/${issueId}`;
+  }
+
+  /**
+   * Get bitbucket issue url
+   * @param {String} repoPath the repo path
+   * @param {Number} issueId the issue number
+   * @returns {String} the url
+   * @private
+   */
+  #getIssueUrl(repoPath, issueId) {
+    return `${BitbucketService.getRepoUrl(repoPath)}/issues/${issueId}`;
+  }
+
+  /**
+   * Updates the fields of the issue
+   * @param {RepositoryWithFullName} repository the repository
+   * @param {Number} issueId the issue number
+   * @param {Object} fields the fields to update
+   * @private
+   */
+  async #editIssue(repository, issueId, fields) {
+    await request
+      .put(this.#getIssueApiUrl(repository, issueId))
+      .set('Authorization', `Bearer ${this.#user.accessToken}`)
+      .send(fields)
+      .end();
+  }
+
+  /**
+   * Posts a comment on the issue
+   * @param {RepositoryWithFullName} repository the repository
+   * @param {Number} issueId the issue number
+   * @param {String} body the comment body text
+   * @private
+   */
+  async #postComment(repository, issueId, body) {
+    await request
+      .post(`${this.#getIssueApiUrl(repository, issueId)}/comments`)
+      .set('Authorization', `Bearer ${this.#user.accessToken}`)
+      .send({content: {raw: body}})
+      .end();
+  }
+
+  /**
+   * Gets the component and the kind of the issue matching the labels
+   * @param {Array} labels the labels
+   * @returns {Object} the fields to update
+   * @private
+   */
+  #getLabelFields(labels) {
+    // the last Topcoder X label is the latest one set by the processor
+    const component = _.findLast(labels, (label) => _.startsWith(label, config.ISSUE_LABEL_PREFIX));
+    const kind = _.findLast(labels, (label) => _.includes(constants.BITBUCKET_ISSUE_KINDS, label));
+    const fields = {component: component ? {name: component} : null};
+    if (kind) {
+      fields.kind = kind;
+    }
+    return fields;
+  }
+
+  /**
+   * creates the comments on bitbucket issue
+   * @param {RepositoryWithFullName} repository the repository
+   * @param {Number} issueId the issue number
+   * @param {String} body the comment body text
+   */
+  async createComment(repository, issueId, body) {
+    Joi.attempt({repository, issueId, body}, {
+      repository: REPOSITORY_SCHEMA,
+      issueId: Joi.number().positive().required(),
+      body: Joi.string().required()
+    });
+    try {
+      body = helper.prepareAutomatedComment(body, this.#user);
+      await this.#postComment(repository, issueId, body);
+    } catch (err) {
+      throw errors.handleBitbucketError(
+        err,
+        'Error occurred during creating comment on issue.',
+        this.#user.topcoderUsername,
+        this.#getIssueUrl(repository.full_name, issueId)
+      );
+    }
+    logger.debug(`Bitbucket comment is added on issue with message: "${body}"`);
+  }
+
+  /**
+   * updates the title of bitbucket issue
+   * @param {RepositoryWithFullName} repository the repository
+   * @param {Number} issueId the issue number
+   * @param {String} title new title
+   */
+  async updateIssue(repository, issueId, title) {
+    Joi.attempt({repository, issueId, title}, {
+      repository: REPOSITORY_SCHEMA,
+      issueId: Joi.number().positive().required(),
+      title: Joi.string().required()
+    });
+    try {
+      await this.#editIssue(repository, issueId, {title});
+    } catch (err) {
+      throw errors.handleBitbucketError(
+        err,
+        'Error occurred during updating issue.',
+        this.#user.topcoderUsername,
+        this.#getIssueUrl(repository.full_name, issueId)
+      );
+    }
+    logger.debug(`Bitbucket issue title is updated for issue number ${issueId}`);
+  }
+
+  /**
+   * Assigns the issue to user, a bitbucket issue has a single assignee
+   * @param {RepositoryWithFullName} repository the repository
+   * @param {Number} issueId the issue number
+   * @param {String} userId the account id of assignee
+   */
+  async assignUser(repository, issueId, userId) {
+    Joi.attempt({repository, issueId, userId}, {
+      repository: REPOSITORY_SCHEMA,
+      issueId: Joi.number().positive().required(),
+      userId: Joi.string().required()
+    });
+    try {
+      await this.#editIssue(repository, issueId, {assignee: {account_id: userId}});
+    } catch (err) {
+      throw errors.handleBitbucketError(
+        err,
+        'Error occurred during assigning issue user.',
+        this.#user.topcoderUsername,
+        this.#getIssueUrl(repository.full_name, issueId)
+      );
+    }
+    logger.debug(`Bitbucket issue with number ${issueId} is assigned to ${userId}`);
+  }
+
+  /**
+   * Removes the assignee from the issue
+   * @param {RepositoryWithFullName} repository the repository
+   * @param {Number} issueId the issue number
+   */
+  async removeAssign(repository, issueId) {
+    Joi.attempt({repository, issueId}, {
+      repository: REPOSITORY_SCHEMA,
+      issueId: Joi.number().positive().required()
+    });
+    try {
+      await this.#editIssue(repository, issueId, {assignee: null});
+    } catch (err) {
+      throw errors.handleBitbucketError(
+        err,
+        'Error occurred during remove assignee from issue.',
+        this.#user.topcoderUsername,
+        this.#getIssueUrl(repository.full_name, issueId)
+      );
+    }
+    logger.debug(`Bitbucket user is unassigned from issue number ${issueId}`);
+  }
+
+  /**
+   * Gets the user name by user id
+   * @param {String} userId the account id
+   * @returns {Promise<string>} the nickname if found else null
+   */
+  async getUsernameById(userId) {
+    Joi.attempt({userId}, {userId: Joi.string().required()});
+    try {
+      const user = await request
+        .get(`${config.BITBUCKET_API_BASE_URL}/users/${encodeURIComponent(userId)}`)
+        .set('Authorization', `Bearer ${this.#user.accessToken}`)
+        .end()
+        .then((res) => res.body);
+      return user ? user.nickname : null;
+    } catch (err) {
+      throw errors.handleBitbucketError(err, 'Error occurred during getting the user.');
+    }
+  }
+
+  /**
+   * Gets the user id by username.
+   * The bitbucket api can't find the users by nickname, they are found in the user mappings of Topcoder X.
+   * @param {String} login the nickname
+   * @returns {Promise<String>} the account id if found else null
+   */
+  async getUserIdByLogin(login) {
+    Joi.attempt({login}, {login: Joi.string().required()});
+    const userMapping = await dbHelper.queryOneUserMappingByBitbucketUsername(models.BitbucketUserMapping, login)
+      .catch(_.constant(null));
+    return userMapping ? userMapping.bitbucketUserId : null;
+  }
+
+  /** updates the bitbucket issue as paid and fix accepted
+   * @param {RepositoryWithFullName} repository the repository
+   * @param {Number} issueId the issue number
+   * @param {String} challengeUUID the challenge uuid
+   * @param {Array} existLabels the issue labels
+   * @param {String} winner the winner topcoder handle
+   * @param {String} copilotFee the formatted copilot fee, the copilot is not paid if it is not given
+   */
+  async markIssueAsPaid(repository, issueId, challengeUUID, existLabels, winner, copilotFee) {
+    Joi.attempt({repository, issueId, challengeUUID, existLabels, winner, copilotFee}, {
+      repository: REPOSITORY_SCHEMA,
+      issueId: Joi.number().positive().required(),
+      challengeUUID: Joi.string().required(),
+      existLabels: Joi.array().items(Joi.string()).required(),
+      winner: Joi.string().required(),
+      copilotFee: Joi.string().allow(null).optional()
+    });
+    const labels = _(existLabels).filter((i) => i !== config.FIX_ACCEPTED_ISSUE_LABEL)
+      .push(config.FIX_ACCEPTED_ISSUE_LABEL, config.PAID_ISSUE_LABEL).value();
+    try {
+      await this.#editIssue(repository, issueId, this.#getLabelFields(labels));
+      let commentMessage = '';
+
+      commentMessage += `Payment task has been updated: ${config.TC_URL}/challenges/${challengeUUID}\n\n`;
+      commentMessage += '*Payments Complete*\n\n';
+      commentMessage += `Winner: ${winner}\n\n`;
+      if (copilotFee) {
+        commentMessage += `Copilot: ${this.#user.topcoderUsername} (${copilotFee})\n\n`;
+      }
+      commentMessage += `Challenge \`${challengeUUID}\` has been paid and closed.`;
+
+      const body = helper.prepareAutomatedComment(commentMessage, this.#user);
+      await this.#postComment(repository, issueId, body);
+    } catch (err) {
+      throw errors.handleBitbucketError(
+        err,
+        'Error occurred during updating issue as paid.',
+        this.#user.topcoderUsername,
+        this.#getIssueUrl(repository.full_name, issueId)
+      );
+    }
+    logger.debug(`Bitbucket issue is updated for as paid and fix accepted for ${issueId}`);
+  }
+
+  /**
+   * change the state of bitbucket issue
+   * @param {RepositoryWithFullName} repository the repository
+   * @param {Number} issueId the issue number
+   * @param {string} state new state
+   */
+  async changeState(repository, issueId, state) {
+    Joi.attempt({repository, issueId, state}, {
+      repository: REPOSITORY_SCHEMA,
+      issueId: Joi.number().positive().required(),
+      state: Joi.string().required()
+    });
+    try {
+      await this.#editIssue(repository, issueId, {state});
+    } catch (err) {
+      throw errors.handleBitbucketError(
+        err,
+        'Error occurred during updating status of issue.',
+        this.#user.topcoderUsername,
+        this.#getIssueUrl(repository.full_name, issueId)
+      );
+    }
+    logger.debug(`Bitbucket issue state is updated to '${state}' for issue number ${issueId}`);
+  }
+
+  /**
+   * updates the component and the kind of the bitbucket issue from the labels
+   * @param {RepositoryWithFullName} repository the repository
+   * @param {Number} issueId the issue number
+   * @param {Array} labels the labels
+   */
+  async addLabels(repository, issueId, labels) {
+    Joi.attempt({repository, issueId, labels}, {
+      repository: REPOSITORY_SCHEMA,
+      issueId: Joi.number().positive().required(),
+      labels: Joi.array().items(Joi.string()).required()
+    });
+    try {
+      await this.#editIssue(repository, issueId, this.#getLabelFields(labels));
+    } catch (err) {
+      throw errors.handleBitbucketError(
+        err,
+        'Error occurred during adding label in issue.',
+        this.#user.topcoderUsername,
+        this.#getIssueUrl(repository.full_name, issueId)
+      );
+    }
+    logger.debug(`Bitbucket issue is updated with new labels for ${issueId}`);
+  }
+}
+
+module.exports = BitbucketService;
+
+logger.buildService(module.exports, true);
@@ -14,6 +14,8 @@ const Joi = require('joi');
 const logger = require('../utils/logger');
 const topcoderApiHelper = require('../utils/topcoder-api-helper');
 const dbHelper = require('../utils/db-helper');
+const labelSkills = require('../utils/label-skills');
+const models = require('../models');
 
 /**
  * Update challenge tags
@@ -23,8 +25,13 @@ async function handleChallengeTagsUpdate(event) {
   const tags = event.data.tags;
   await Promise.all(
     event.data.challengeUUIDsList.map(async (challengeUUIDs) => {
-      if (_.isString(challengeUUIDs)) { // repoUrl
-        challengeUUIDs = await dbHelper.queryChallengeUUIDsByRepoUrl(challengeUUIDs);
+      if (_.isString(challengeUUIDs)) { // repoUrl, the skills of the ticket labels are kept
+        const project = await dbHelper.queryOneActiveProject(models.Project, challengeUUIDs);
+        const issues = _.filter(await dbHelper.queryIssuesByRepoUrl(challengeUUIDs), 'challengeUUID');
+        return issues.map(
+          async (issue) => await topcoderApiHelper.applySkillsSetToChallenge(issue.challengeUUID,
+            labelSkills.getChallengeSkills({tags, labelSkills: _.get(project, 'labelSkills')}, issue.labels))
+        );
       }
       return challengeUUIDs.map(
         async (challengeUUID) => await topcoderApiHelper.applySkillsSetToChallenge(challengeUUID, tags)
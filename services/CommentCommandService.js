@@ -0,0 +1,442 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This service runs the commands of the issue comments, see utils/comment-commands.js.
+ * It checks the syntax and the role of every command before running it, and replies on the ticket when they are wrong.
+ * The core commands are registered here, the other services register their own commands.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const config = require('config');
+const _ = require('lodash');
+const logger = require('../utils/logger');
+const models = require('../models');
+const dbHelper = require('../utils/db-helper');
+const gitHelper = require('../utils/git-helper');
+const idempotency = require('../utils/idempotency');
+const issueStateMachine = require('../utils/issue-state-machine');
+const kafkaSender = require('../utils/kafka-sender');
+const prizeParser = require('../utils/prize-parser');
+const retryPolicy = require('../utils/retry-policy');
+const topcoderApiHelper = require('../utils/topcoder-api-helper');
+const commentCommands = require('../utils/comment-commands');
+const constants = require('../constants');
+const userService = require('./UserService');
+const eventService = require('./EventService');
+
+const COMMAND_ROLES = constants.COMMAND_ROLES;
+
+// the names of the challenge resource roles
+const RESOURCE_ROLES = {
+  [config.ROLE_ID_COPILOT]: 'Copilot',
+  [config.ROLE_ID_ITERATIVE_REVIEWER]: 'Iterative Reviewer',
+  [config.ROLE_ID_SUBMITTER]: 'Submitter'
+};
+
+// the roles from the lowest to the highest
+const ROLE_RANKS = [COMMAND_ROLES.ANYONE, COMMAND_ROLES.ASSIGNEE, COMMAND_ROLES.COPILOT, COMMAND_ROLES.OWNER];
+
+// the members who can run the commands of each role
+const ROLE_MEMBERS = {
+  [COMMAND_ROLES.ANYONE]: 'anyone',
+  [COMMAND_ROLES.ASSIGNEE]: 'the assignees of the ticket, the copilot or the owner of the project',
+  [COMMAND_ROLES.COPILOT]: 'the copilot or the owner of the project',
+  [COMMAND_ROLES.OWNER]: 'the owner of the project'
+};
+
+/**
+ * gets the text of the comment, the Azure DevOps comments are HTML
+ * @param {Object} event the event
+ * @returns {String} the comment text, one command per line
+ * @private
+ */
+function getCommentText(event) {
+  const body = _.get(event, 'data.comment.body') || '';
+  if (event.provider !== 'azure') {
+    return body;
+  }
+  return body.replace(/<br\s*\/?>|<\/(?:div|p|li)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ');
+}
+
+/**
+ * gets the highest role of the comment author
+ * @param {Object} event the event
+ * @param {Object} project the project
+ * @returns {Promise<String>} the role, one of constants.COMMAND_ROLES
+ * @private
+ */
+async function getAuthorRole(event, project) {
+  const authorId = _.get(event, 'data.comment.user.id');
+  if (_.isNil(authorId)) {
+    return COMMAND_ROLES.ANYONE;
+  }
+  const userMapping = await userService.getTCUserName(event.provider, authorId);
+  const handle = _.toLower(_.get(userMapping, 'topcoderUsername'));
+  if (handle && handle === _.toLower(project.owner)) {
+    return COMMAND_ROLES.OWNER;
+  }
+  if (handle && handle === _.toLower(project.copilot)) {
+    return COMMAND_ROLES.COPILOT;
+  }
+  if (_.some(event.data.issue.assignees, (assignee) => String(assignee.id) === String(authorId))) {
+    return COMMAND_ROLES.ASSIGNEE;
+  }
+  return COMMAND_ROLES.ANYONE;
+}
+
+/**
+ * gets the db issue of the command
+ * @param {Object} issue the issue
+ * @returns {Promise<Object>} the db issue, null if the issue has no challenge
+ * @private
+ */
+async function getDbIssue(issue) {
+  return await dbHelper.queryOneIssue(models.Issue, issue.repositoryId, issue.number, issue.provider);
+}
+
+/**
+ * gets the challenge url of the db issue
+ * @param {Object} dbIssue the db issue
+ * @returns {String} the challenge url
+ * @private
+ */
+function getChallengeUrl(dbIssue) {
+  return `${config.TC_URL}/challenges/${dbIssue.challengeUUID}`;
+}
+
+/**
+ * runs a command of the issue comment
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @param {Object} parsedCommand the command and its text
+ * @param {String} step the step of the command in the side effects ledger
+ * @param {Object} context the command context, with the project of the issue
+ * @private
+ */
+async function runCommand(event, issue, parsedCommand, step, context) {
+  const {command, text} = parsedCommand;
+  const args = text.match(command.syntax);
+  if (!args) {
+    await idempotency.runOnce(event, step, () =>
+      gitHelper.createComment(event, issue.number, `The command \`/${command.name}\` is not valid, use \`${command.usage}\`.`));
+    return;
+  }
+  if (command.role !== COMMAND_ROLES.ANYONE) {
+    context.role = context.role || await getAuthorRole(event, context.project);
+    if (_.indexOf(ROLE_RANKS, context.role) < _.indexOf(ROLE_RANKS, command.role)) {
+      await idempotency.runOnce(event, step, () =>
+        gitHelper.createComment(event, issue.number, `Only ${ROLE_MEMBERS[command.role]} can run \`/${command.name}\`.`));
+      return;
+    }
+  }
+  logger.debugWithContext(`Running the comment command /${command.name}`, event, issue);
+  await idempotency.runOnce(event, step, () => command.handler(event, issue, args.groups || {}, context));
+}
+
+/**
+ * runs the commands of the issue comment, a failed command doesn't stop the next ones.
+ * The failures which can't be retried are replied on the ticket, the first one which can be retried reschedules the event,
+ * the completed commands are skipped when it is retried.
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ */
+async function handleComment(event, issue) {
+  const parsedCommands = commentCommands.parse(getCommentText(event));
+  if (parsedCommands.length === 0) {
+    return;
+  }
+  const context = {
+    project: await dbHelper.queryOneActiveProject(models.Project, issue.repoUrl)
+  };
+  let retryableError = null;
+  for (const [index, parsedCommand] of parsedCommands.entries()) { // eslint-disable-line no-restricted-syntax
+    const step = `command.${index}.${parsedCommand.command.name}`;
+    try {
+      await runCommand(event, issue, parsedCommand, step, context);
+    } catch (err) {
+      logger.error(`The comment command /${parsedCommand.command.name} failed. ${err.message}`);
+      if (retryPolicy.getPolicy(err)) {
+        retryableError = retryableError || err;
+      } else {
+        await idempotency.runOnce(event, `${step}.failed`, () =>
+          gitHelper.createComment(event, issue.number, `The command \`/${parsedCommand.command.name}\` failed: ${err.message}`));
+      }
+    }
+  }
+  if (retryableError) {
+    await eventService.handleEventGracefully(event, issue, retryableError);
+  }
+}
+
+/**
+ * replies with the usage of the registered commands
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @private
+ */
+async function showHelp(event, issue) {
+  const lines = _.map(commentCommands.getCommands(), (command) =>
+    `- \`${command.usage}\`: ${command.description}, run by ${ROLE_MEMBERS[command.role]}`);
+  await gitHelper.createComment(event, issue.number, ['The Topcoder X commands, one per comment line:'].concat(lines).join('\n'));
+}
+
+/**
+ * assigns the member to the ticket, the challenge is updated by the assignment event
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @param {Object} args the command arguments
+ * @private
+ */
+async function assign(event, issue, args) {
+  await gitHelper.assignUser(event, issue.number, args.user);
+}
+
+/**
+ * unassigns a member from the ticket, the assignees can only unassign themselves.
+ * The comment author is unassigned if it is an assignee, else the first assignee.
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @param {Object} args the command arguments
+ * @param {Object} context the command context, with the role of the comment author
+ * @private
+ */
+async function unassign(event, issue, args, context) {
+  const authorId = String(event.data.comment.user.id);
+  const assigneeIds = _.map(event.data.issue.assignees, (assignee) => String(assignee.id));
+  let assigneeId;
+  if (args.user) {
+    assigneeId = String(await gitHelper.getUserIdByLogin(event, args.user));
+  } else {
+    assigneeId = _.includes(assigneeIds, authorId) ? authorId : _.head(assigneeIds);
+  }
+  if (!assigneeId || !_.includes(assigneeIds, assigneeId)) {
+    await gitHelper.createComment(event, issue.number, `${args.user ? `@${args.user} is not` : 'No member is'} assigned to this ticket.`);
+    return;
+  }
+  if (context.role === COMMAND_ROLES.ASSIGNEE && assigneeId !== authorId) {
+    await gitHelper.createComment(event, issue.number, `Only ${ROLE_MEMBERS[COMMAND_ROLES.COPILOT]} can unassign another member.`);
+    return;
+  }
+  const assigneeUsername = args.user || await gitHelper.getUsernameById(event, assigneeId);
+  await gitHelper.removeAssign(event, issue.number, assigneeId, assigneeUsername);
+}
+
+/**
+ * sets the prizes of the ticket in its title, they replace the prizes of the title even if they can't be parsed.
+ * The challenge is created or updated by the issue update event.
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @param {Object} args the command arguments
+ * @private
+ */
+async function setPrize(event, issue, args) {
+  const title = `[${args.prize}] ${prizeParser.removePrize(issue.title)}`;
+  let prize;
+  try {
+    prize = prizeParser.parse(title, '');
+  } catch (err) {
+    if (err.errorAt !== 'prize') {
+      throw err;
+    }
+    await gitHelper.createComment(event, issue.number, `${err.message}.`);
+    return;
+  }
+  if (!prize) {
+    await gitHelper.createComment(event, issue.number, 'The prize is not valid, use an amount like `$500`, `500 EUR` or `100pts`.');
+    return;
+  }
+  await gitHelper.updateIssue(event, issue.number, title);
+}
+
+/**
+ * cancels the challenge of the ticket
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @private
+ */
+async function cancel(event, issue) {
+  const dbIssue = await getDbIssue(issue);
+  if (!dbIssue || !dbIssue.challengeUUID || !issueStateMachine.canTransition(dbIssue.status, constants.ISSUE_STATUS.CHALLENGE_CANCELLED)) {
+    await gitHelper.createComment(event, issue.number, 'The challenge of this ticket can\'t be cancelled.');
+    return;
+  }
+  await idempotency.runOnce(event, 'challenge.cancel', () => topcoderApiHelper.cancelPrivateContent(dbIssue.challengeUUID));
+  await issueStateMachine.transition(dbIssue, constants.ISSUE_STATUS.CHALLENGE_CANCELLED, {event, reason: 'The challenge was cancelled by /cancel'});
+  await gitHelper.createComment(event, issue.number, `Challenge ${dbIssue.challengeUUID} has been cancelled`);
+}
+
+/**
+ * processes the failed payment of the ticket again, by publishing the close event of the ticket
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @private
+ */
+async function reopenPayment(event, issue) {
+  const dbIssue = await getDbIssue(issue);
+  if (!dbIssue || dbIssue.status !== constants.ISSUE_STATUS.CHALLENGE_PAYMENT_FAILED) {
+    await gitHelper.createComment(event, issue.number, 'The payment of this ticket has not failed, there is nothing to reopen.');
+    return;
+  }
+  await idempotency.runOnce(event, 'payment.reopen', async () => {
+    await kafkaSender.send(JSON.stringify({
+      event: 'issue.closed',
+      provider: event.provider,
+      data: {
+        issue: event.data.issue,
+        repository: _.omit(event.data.repository, 'repoUrl'),
+        assignee: {id: _.get(event, 'data.issue.assignees[0].id', null)}
+      }
+    }));
+  });
+  await gitHelper.createComment(event, issue.number, `The payment of challenge ${getChallengeUrl(dbIssue)} is being processed again.`);
+}
+
+/**
+ * gets the live status of the challenge
+ * @param {Object} dbIssue the db issue
+ * @returns {Promise<String>} the challenge status, or why it is unavailable
+ * @private
+ */
+async function getChallengeStatus(dbIssue) {
+  try {
+    const challenge = await topcoderApiHelper.getChallengeById(dbIssue.challengeUUID);
+    return `\`${challenge.status}\``;
+  } catch (err) {
+    return `unavailable (${err.message})`;
+  }
+}
+
+/**
+ * gets the members registered on the challenge with their roles
+ * @param {Object} dbIssue the db issue
+ * @returns {Promise<String>} the registered resources, or why they are unavailable
+ * @private
+ */
+async function getChallengeResources(dbIssue) {
+  let resources;
+  try {
+    resources = await topcoderApiHelper.getResourcesFromChallenge(dbIssue.challengeUUID);
+  } catch (err) {
+    return `unavailable (${err.message})`;
+  }
+  return _.map(resources, (resource) => `${resource.memberHandle} (${RESOURCE_ROLES[resource.roleId] || resource.roleId})`).join(', ') || 'none';
+}
+
+/**
+ * gets the Topcoder member of every assignee of the ticket
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @param {Object} dbIssue the db issue
+ * @returns {Promise<String>} the assignees with their Topcoder member
+ * @private
+ */
+async function getAssigneeMappings(event, issue, dbIssue) {
+  const assignees = dbIssue.assignees || _.compact([dbIssue.assignee || issue.assignee]);
+  const mappings = [];
+  for (const assignee of assignees) { // eslint-disable-line no-restricted-syntax
+    const userMapping = await userService.getTCUserName(event.provider, assignee);
+    mappings.push(`${assignee} → ${_.get(userMapping, 'topcoderUsername') || 'not mapped to a Topcoder member'}`);
+  }
+  return mappings.join(', ') || 'none';
+}
+
+/**
+ * replies with the Topcoder state of the ticket: the issue record, the live challenge,
+ * the assignee mappings and the last processing error
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @private
+ */
+async function showStatus(event, issue) {
+  const dbIssue = await getDbIssue(issue);
+  if (!dbIssue) {
+    await gitHelper.createComment(event, issue.number, 'This ticket has no Topcoder challenge.');
+    return;
+  }
+  const lines = [
+    `- Issue status: \`${dbIssue.status}\``,
+    `- Challenge: ${dbIssue.challengeUUID ? `${dbIssue.challengeUUID} (${getChallengeUrl(dbIssue)})` : 'not created'}`
+  ];
+  if (dbIssue.challengeUUID) {
+    lines.push(`- Challenge status: ${await getChallengeStatus(dbIssue)}`);
+    lines.push(`- Registered resources: ${await getChallengeResources(dbIssue)}`);
+  }
+  lines.push(`- Assignees: ${await getAssigneeMappings(event, issue, dbIssue)}`);
+  lines.push(`- Last processing error: ${dbIssue.lastError ? `${dbIssue.lastError} at ${new Date(dbIssue.lastErrorAt).toISOString()}` : 'none'}`);
+  lines.push(`- Retry count: ${_.toInteger(dbIssue.retryCount)}`);
+  await gitHelper.createComment(event, issue.number, ['Topcoder state of this ticket:'].concat(lines).join('\n'));
+}
+
+commentCommands.register({
+  name: 'help',
+  usage: '/help',
+  description: 'lists the commands',
+  role: COMMAND_ROLES.ANYONE,
+  syntax: /^$/,
+  handler: showHelp
+});
+
+commentCommands.register({
+  name: 'assign',
+  usage: '/assign @<member>',
+  description: 'assigns the member to the ticket',
+  role: COMMAND_ROLES.COPILOT,
+  syntax: /^@(?<user>\S+)$/,
+  handler: assign
+});
+
+commentCommands.register({
+  name: 'unassign',
+  usage: '/unassign [@<member>]',
+  description: 'unassigns the member, or the comment author, from the ticket',
+  role: COMMAND_ROLES.ASSIGNEE,
+  syntax: /^(?:@(?<user>\S+))?$/,
+  handler: unassign
+});
+
+commentCommands.register({
+  name: 'prize',
+  usage: '/prize <prizes>',
+  description: 'sets the prizes of the ticket, e.g. `/prize $500, $200 +cp $50`',
+  role: COMMAND_ROLES.COPILOT,
+  syntax: /^(?<prize>[^[\]]+)$/,
+  handler: setPrize
+});
+
+commentCommands.register({
+  name: 'cancel',
+  usage: '/cancel',
+  description: 'cancels the challenge of the ticket',
+  role: COMMAND_ROLES.COPILOT,
+  syntax: /^$/,
+  handler: cancel
+});
+
+commentCommands.register({
+  name: 'reopen-payment',
+  usage: '/reopen-payment',
+  description: 'processes the failed payment of the ticket again',
+  role: COMMAND_ROLES.COPILOT,
+  syntax: /^$/,
+  handler: reopenPayment
+});
+
+commentCommands.register({
+  name: 'status',
+  usage: '/status',
+  description: 'shows the Topcoder state of the ticket: its challenge, registered members, assignees and last processing error',
+  role: COMMAND_ROLES.ANYONE,
+  syntax: /^$/,
+  handler: showStatus
+});
+
+module.exports = {
+  handleComment
+};
+
+logger.buildService(module.exports);
@@ -14,10 +14,14 @@ const _ = require('lodash');
 const Joi = require('joi');
 const MarkdownIt = require('markdown-it');
 const moment = require('moment');
+const uuid = require('uuid').v4;
 const logger = require('../utils/logger');
 const topcoderApiHelper = require('../utils/topcoder-api-helper');
 const models = require('../models');
 const dbHelper = require('../utils/db-helper');
+const errors = require('../utils/errors');
+const helper = require('../utils/helper');
+const idempotency = require('../utils/idempotency');
 const eventService = require('./EventService');
 const constants = require('../constants');
 
@@ -63,10 +67,8 @@ function updateChallengeDetails(payments) {
  */
 async function getExistingChallengeIdIfExists(event, dbPayment) {
   // check if there is existing active challenge associated with this project
-  const existingPayments = await dbHelper.scan(models.CopilotPayment, {
-    project: {eq: dbPayment.project},
-    username: {eq: event.project.copilot},
-    closed: {eq: 'false'}
+  const existingPayments = _.filter(await dbHelper.queryCopilotPaymentsByProject(dbPayment.project, 'false'), {
+    username: event.project.copilot
   });
 
   const payment = _.find(existingPayments, (x) => x.challengeUUID);
@@ -101,10 +103,8 @@ async function _updateChallenge(copilotUsername, projectId, challengeId) {
   }
 
   // get all unclosed payments for given project and user
-  const dbPayments = await dbHelper.scan(models.CopilotPayment, {
-    project: projectId,
-    username: copilotUsername,
-    closed: 'false'
+  const dbPayments = _.filter(await dbHelper.queryCopilotPaymentsByProject(projectId, 'false'), {
+    username: copilotUsername
   });
 
   if (dbPayments.length) {
@@ -131,40 +131,36 @@ async function _updateChallenge(copilotUsername, projectId, challengeId) {
 }
 
 /**
- * checks if any existing challenge is creating matching payment detail if yes then it will reschedule this event
+ * checks if any existing challenge is creating matching payment detail if yes then it will reschedule this event.
+ * The rescheduling error is thrown, when the retries are exhausted the payment is removed and true is returned instead.
+ * In both cases the payment must not be processed further.
  * @param {Object} event the event
  * @param {Object} payment the payment detail
- * @returns {Boolean} true if rescheduled, false otherwise.
+ * @returns {Boolean} true if the payment was given up, false if no challenge of the copilot is being created
  */
 async function _checkAndReSchedule(event, payment) {
   // get all unclosed payments for given project and user
-  const existingPending = await dbHelper.scan(models.CopilotPayment, {
-    project: payment.project,
+  const existingPending = _.filter(await dbHelper.queryCopilotPaymentsByProject(payment.project, 'false'), {
     username: event.project.copilot,
-    closed: 'false',
     status: 'challenge_creation_pending'
   });
 
   if (existingPending.length) {
-    // reschedule
-    setTimeout(async () => {
-      const kafka = require('../utils/kafka'); // eslint-disable-line
-      const eventToHandle = _.omit(event, ['project']);
-      await kafka.send(JSON.stringify(eventToHandle));
-      logger.debug('The event is scheduled for retry');
-    }, config.RETRY_INTERVAL);
+    // reschedule according to the retry policy of the challenges being created
+    await eventService.handleEventGracefully(_.omit(event, ['project']), payment,
+      errors.internalDependencyError(`Challenge for the copilot payment ${payment.id} is creating, rescheduling this event`));
     return true;
   }
   return false;
 }
 
 /**
- * handles the issue create event
+ * creates the challenge of the payment, or updates the existing challenge of the project
  * @param {Object} event the event
- * @param {Object} payment the issue
+ * @param {Object} payment the payment
  * @private
  */
-async function handlePaymentAdd(event, payment) {
+async function _addPayment(event, payment) {
   const copilot = {handle: event.project.copilot};
 
   payment = await getExistingChallengeIdIfExists(event, payment);
@@ -200,10 +196,10 @@ async function handlePaymentAdd(event, payment) {
       };
 
       // Create a new challenge
-      const challengeUUID = await topcoderApiHelper.createChallenge(newChallenge);
+      const challengeUUID = await idempotency.runOnce(event, 'challenge.create', () => topcoderApiHelper.createChallenge(newChallenge));
 
       // Apply skills to the challenge
-      await topcoderApiHelper.applySkillsSet(challengeUUID, project.tags);
+      await idempotency.runOnce(event, 'challenge.applySkills', () => topcoderApiHelper.applySkillsSet(challengeUUID, project.tags));
 
       logger.debug(`updating database payment with new challenge id:${challengeUUID}`);
 
@@ -214,10 +210,10 @@ async function handlePaymentAdd(event, payment) {
       });
 
       // adding user as registrants
-      await topcoderApiHelper.assignUserAsRegistrant(copilot.handle, challengeUUID);
+      await idempotency.runOnce(event, 'challenge.assignRegistrant', () => topcoderApiHelper.assignUserAsRegistrant(copilot.handle, challengeUUID));
 
       // active challenge
-      await topcoderApiHelper.activateChallenge(challengeUUID);
+      await idempotency.runOnce(event, 'challenge.activate', () => topcoderApiHelper.activateChallenge(challengeUUID));
 
       logger.debug(`challenge ${challengeUUID} has been activated!`);
     } catch (ex) {
@@ -230,6 +226,28 @@ async function handlePaymentAdd(event, payment) {
   }
 }
 
+/**
+ * handles the issue create event
+ * @param {Object} event the event
+ * @param {Object} payment the issue
+ * @private
+ */
+async function handlePaymentAdd(event, payment) {
+  // The lock is shared by all the processor replicas to prevent duplicate creation process.
+  const creationLockKey = `copilotPayment-${payment.project}-${event.project.copilot}`;
+  const creationLockId = uuid().replace(/-/g, '');
+  if (!await dbHelper.acquireLock(creationLockKey, creationLockId, _.toInteger(config.CREATION_LOCK_TTL))) {
+    await eventService.handleEventGracefully(_.omit(event, ['project']), payment,
+      errors.internalDependencyError(`Copilot payment ${creationLockKey} is creating, rescheduling this event`));
+    return;
+  }
+  try {
+    await _addPayment(event, payment);
+  } finally {
+    await dbHelper.releaseLock(creationLockKey, creationLockId);
+  }
+}
+
 /**
  * handles the issue update event
  * @param {Object} event the event
@@ -260,35 +278,11 @@ async function handlePaymentDelete(event, payment) {
  * @param {Object} event the event
  */
 async function handlePaymentUpdates(event) {
-  const filterValues = {};
-  const filter = {
-    FilterExpression: '#owner= :handle or copilot = :handle',
-    ExpressionAttributeNames: {
-      '#owner': 'owner'
-    },
-    ExpressionAttributeValues: {
-      ':handle': event.data.copilot.handle
-    }
-  };
-  const projects = await dbHelper.scan(models.Project, filter);
+  const projects = await dbHelper.queryProjectsByCopilotOrOwner(event.data.copilot.handle);
   if (projects && projects.length > 0) {
     // get all unclosed payments for current user
-    const filterProjectIds = _.join(projects.map((p, index) => {
-      const id = `:id${index}`;
-      filterValues[id] = p.id;
-      return id;
-    }), ',');
-
-    const FilterExpression = `#project in (${filterProjectIds}) AND closed = :status`;
-    filterValues[':status'] = 'false';
-
-    const dbPayments = await dbHelper.scan(models.CopilotPayment, {
-      FilterExpression,
-      ExpressionAttributeNames: {
-        '#project': 'project'
-      },
-      ExpressionAttributeValues: filterValues
-    });
+    const dbPayments = _.flatten(await Promise.all(_.map(projects,
+      (project) => dbHelper.queryCopilotPaymentsByProject(project.id, 'false'))));
 
     if (dbPayments) {
       const challengeIds = _(dbPayments).map('challengeUUID').uniq().filter(_.isString)
@@ -319,6 +313,8 @@ async function handlePaymentUpdates(event) {
  */
 async function process(event) {
   Joi.attempt(event, process.schema);
+  // identifies the event in the side effects ledger, the retries and the replays keep it
+  event.id = event.id || helper.generateIdentifier();
 
   const payment = event.data && event.data.payment ? {
     id: event.data.payment.id,
@@ -370,6 +366,8 @@ process.schema = Joi.object().keys({
     }).optional().allow(null)
   }).optional(),
   retryCount: Joi.number().integer().default(0).optional(),
+  id: Joi.string().optional(),
+  retryId: Joi.string().optional(),
   provider: Joi.string().default('copilotPayment').allow(null)
 });
 
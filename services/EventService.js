@@ -10,13 +10,18 @@
  */
 const config = require('config');
 const _ = require('lodash');
+const uuid = require('uuid').v4;
 const logger = require('../utils/logger');
 const models = require('../models');
 const dbHelper = require('../utils/db-helper');
-const gitHubService = require('./GithubService');
-const GitlabService = require('./GitlabService');
+const helper = require('../utils/helper');
+const kafkaSender = require('../utils/kafka-sender');
+const retryPolicy = require('../utils/retry-policy');
+const providers = require('../utils/providers');
+const constants = require('../constants');
 
-const timeoutMapper = {};
+// the events whose processing failed, their issue error is kept
+const failedEvents = new WeakSet();
 
 /**
  * re opens the issue
@@ -24,50 +29,213 @@ const timeoutMapper = {};
  * @param {Object} issue the issue
  */
 async function reOpenIssue(event, issue) {
-  if (event.provider === 'github') {
-    await gitHubService.changeState(event.copilot, event.data.repository.full_name, issue.number, 'open');
-  } else if (event.provider === 'gitlab') {
-    const gitlabService = await GitlabService.create(event.copilot);
-    await gitlabService.changeState(event.data.repository.id, issue.number, 'reopen');
+  await providers.getAdapter(event.provider).reOpenIssue(event.copilot, event.data.repository, issue.number);
+}
+
+/**
+ * gets the key of the issue or the copilot payment the event belongs to
+ * @param {Object} event the event
+ * @returns {String} the key name
+ */
+function getEventKeyName(event) {
+  if (event.provider === 'copilotPayment') {
+    return `${event.provider}-${event.data.payment._id}-${event.data.payment.description}-${event.data.payment.amount}`;
+  }
+  return `${event.provider}-${event.data.repository.id}-${event.data.issue.number}`;
+}
+
+/**
+ * stores the event to be published to kafka at the given date.
+ * @param {Object} event the event to publish
+ * @param {String} keyName the key of the schedule
+ * @param {Date} nextRunAt the date when the event is published
+ * @param {Object} err the error which caused the retry (if any)
+ * @returns {Promise<Object>} the scheduled event
+ * @private
+ */
+async function storeSchedule(event, keyName, nextRunAt, err) {
+  const newEvent = _.omit(event, ['copilot', 'project']);
+  newEvent.retryId = newEvent.retryId || helper.generateIdentifier();
+  const attempt = _.toInteger(newEvent.retryCount);
+  return await dbHelper.create(models.EventRetry, {
+    id: `${newEvent.retryId}-${attempt}`,
+    keyName,
+    payload: JSON.stringify(newEvent),
+    attempt,
+    status: 'pending',
+    nextRunAt,
+    lastError: err ? `[${err.statusCode}]: ${err.message}` : null
+  });
+}
+
+/**
+ * stores the event to be published again to kafka after the given delay.
+ * The schedule is persisted so it survives the restart of the processor.
+ * @param {Object} event the event to publish again
+ * @param {Number} delay the delay in milliseconds
+ * @param {Object} err the error which caused the retry (if any)
+ * @returns {Promise<Object>} the scheduled event retry
+ */
+async function scheduleRetry(event, delay, err) {
+  const eventRetry = await storeSchedule(event, getEventKeyName(event), new Date(Date.now() + delay), err);
+  logger.debug(`The event is scheduled for retry #${eventRetry.attempt} at ${eventRetry.nextRunAt.toISOString()}`);
+  return eventRetry;
+}
+
+/**
+ * stores a new event to be published to kafka at the given date, e.g. when the bidding of an issue closes.
+ * It is kept apart from the retries of the issue, so it is not cancelled when another event exhausts its retries.
+ * @param {Object} event the event to publish
+ * @param {Date} runAt the date when the event is published
+ * @returns {Promise<Object>} the scheduled event
+ */
+async function scheduleEvent(event, runAt) {
+  const scheduledEvent = await storeSchedule(event, `${getEventKeyName(event)}-${event.event}`, runAt);
+  logger.debug(`The event ${event.event} is scheduled at ${scheduledEvent.nextRunAt.toISOString()}`);
+  return scheduledEvent;
+}
+
+/**
+ * removes the pending retries of the issue or the copilot payment the event belongs to
+ * @param {Object} event the event
+ */
+async function cancelRetries(event) {
+  const eventRetries = await dbHelper.queryEventRetriesByKeyName(getEventKeyName(event));
+  for (const eventRetry of _.filter(eventRetries, {status: 'pending'})) { // eslint-disable-line no-restricted-syntax
+    await dbHelper.removeEventRetry(eventRetry.id);
+  }
+}
+
+/**
+ * publishes the scheduled retries which are due to kafka.
+ * Each retry is locked before publishing so concurrent pollers never publish it twice.
+ */
+async function publishDueRetries() {
+  const eventRetries = await dbHelper.queryDueEventRetries(new Date());
+  for (const eventRetry of eventRetries) { // eslint-disable-line no-restricted-syntax
+    const lockId = uuid().replace(/-/g, '');
+    const lockedRetry = await dbHelper.acquireLockOnEventRetry(eventRetry.id, lockId, _.toInteger(config.RETRY_LOCK_TTL));
+    if (lockedRetry && lockedRetry.status === 'pending') {
+      await kafkaSender.send(lockedRetry.payload);
+      await dbHelper.markEventRetryPublished(lockedRetry.id, lockId);
+      logger.debug(`The event retry ${lockedRetry.id} is published`);
+    }
+  }
+}
+
+/**
+ * acknowledges the consumption of a retried event by removing its schedule.
+ * @param {Object} event the event
+ * @returns {Promise<Boolean>} false if the retry was already consumed, so the event is a duplicate
+ */
+async function acknowledgeRetry(event) {
+  if (!event.retryId) {
+    return true;
   }
+  const consumed = await dbHelper.removeEventRetry(`${event.retryId}-${_.toInteger(event.retryCount)}`);
+  if (!consumed) {
+    logger.debug(`The event retry ${event.retryId}-${event.retryCount} is already consumed, ignoring duplicate.`);
+  }
+  return consumed;
 }
 
 /**
- * handles the event gracefully when there is error processing the event
+ * publishes the event which exhausted its retries to the dead-letter topic, so it can be replayed later.
+ * Failing to publish is only logged, the error notification of the event must still happen.
+ * @param {Object} event the event
+ * @param {Object} err the error
+ */
+async function sendToDeadLetter(event, err) {
+  try {
+    await kafkaSender.sendDeadLetter(JSON.stringify(_.omit(event, ['copilot', 'project'])), {
+      sourceTopic: config.TOPIC,
+      stage: 'processing',
+      event: event.event,
+      provider: event.provider,
+      repository: _.get(event, 'data.repository.full_name'),
+      repositoryId: _.get(event, 'data.repository.id'),
+      issue: _.get(event, 'data.issue.number'),
+      retryCount: event.retryCount,
+      error: _.pick(err, ['name', 'message', 'statusCode', 'errorAt'])
+    });
+  } catch (e) {
+    logger.error(`Failed to publish the event to the dead-letter topic. ${e.message}`);
+  }
+}
+
+/**
+ * records the processing error on the issue record, the `/status` command shows it.
+ * Failing to record it is only logged, the error handling of the event must still happen.
  * @param {Object} event the event
  * @param {Object} data the issue data or the copilot payment data
  * @param {Object} err the error
+ * @private
  */
-async function handleEventGracefully(event, data, err) { // eslint-disable-line complexity
-  if (err.errorAt === 'topcoder' || err.errorAt === 'processor') {
-    event.retryCount = _.toInteger(event.retryCount);
-    let keyName = '';
-    if (event.provider === 'copilotPayment') {
-      keyName = `${event.provider}-${event.data.payment._id}-${event.data.payment.description}-${event.data.payment.amount}`;
-    } else {
-      keyName = `${event.provider}-${event.data.repository.id}-${event.data.issue.number}`;
+async function recordIssueError(event, data, err) {
+  if (event.provider === 'copilotPayment' || !data || _.isNil(data.repositoryId)) {
+    return;
+  }
+  try {
+    const dbIssue = await dbHelper.queryOneIssue(models.Issue, data.repositoryId, data.number, data.provider);
+    if (dbIssue) {
+      await dbHelper.update(models.Issue, dbIssue.id, {
+        lastError: err.statusCode ? `[${err.statusCode}]: ${err.message}` : err.message,
+        lastErrorAt: new Date(),
+        retryCount: _.toInteger(event.retryCount)
+      });
     }
-    timeoutMapper[keyName] = timeoutMapper[keyName] ? timeoutMapper[keyName] : [];
-    // reschedule event
-    if (event.retryCount < config.RETRY_COUNT) {
-      logger.debug('Scheduling event for next retry');
-      const newEvent = {...event};
-      newEvent.retryCount += 1;
-      delete newEvent.copilot;
-      const timeoutKey = setTimeout(async () => {
-        const kafka = require('../utils/kafka'); // eslint-disable-line
-        await kafka.send(JSON.stringify(newEvent));
-        logger.debug('The event is scheduled for retry');
-      }, config.RETRY_INTERVAL);
-      timeoutMapper[keyName].push(timeoutKey);
+  } catch (e) {
+    logger.error(`Failed to record the error on the issue. ${e.message}`);
+  }
+}
+
+/**
+ * clears the processing error of the issue record once an event of the issue succeeds,
+ * the events whose error was handled gracefully keep it.
+ * @param {Object} event the event
+ * @param {Object} issue the issue data
+ */
+async function clearIssueError(event, issue) {
+  if (failedEvents.has(event)) {
+    return;
+  }
+  try {
+    const dbIssue = await dbHelper.queryOneIssue(models.Issue, issue.repositoryId, issue.number, issue.provider);
+    if (dbIssue && (dbIssue.lastError || dbIssue.retryCount)) {
+      await dbHelper.update(models.Issue, dbIssue.id, {lastError: null, lastErrorAt: null, retryCount: 0});
     }
+  } catch (e) {
+    logger.error(`Failed to clear the error of the issue. ${e.message}`);
+  }
+}
 
-    if (event.retryCount === config.RETRY_COUNT) {
-      // Clear out the kafka queue of any queued messages (assignment, label changes, etc...)
-      const timeoutsToClear = timeoutMapper[keyName];
-      for (let i = 0; i < timeoutsToClear.length; i++) { // eslint-disable-line no-restricted-syntax
-        clearTimeout(timeoutsToClear[i]);
-      }
+/**
+ * handles the event gracefully when there is error processing the event.
+ * The error is marked as handled, it is rethrown as is by the handlers it goes through, e.g. the assignment handler
+ * creating the challenge of the issue, so the event is retried once.
+ * @param {Object} event the event
+ * @param {Object} data the issue data or the copilot payment data
+ * @param {Object} err the error
+ */
+async function handleEventGracefully(event, data, err) { // eslint-disable-line complexity
+  if (err.eventHandled) {
+    throw err;
+  }
+  err.eventHandled = true;
+  failedEvents.add(event);
+  await recordIssueError(event, data, err);
+  const policy = retryPolicy.getPolicy(err);
+  if (policy) {
+    event.retryCount = _.toInteger(event.retryCount);
+    // reschedule event
+    if (event.retryCount < policy.maxAttempts) {
+      const delay = retryPolicy.getDelay(policy, event.retryCount + 1);
+      logger.debug(`Scheduling event for next retry in ${delay}ms according to the ${policy.name} retry policy`);
+      await scheduleRetry({...event, retryCount: event.retryCount + 1}, delay, err);
+    } else {
+      // Clear out the scheduled retries of any queued messages (assignment, label changes, etc...)
+      await cancelRetries(event);
+      await sendToDeadLetter(event, err);
       let comment = `[${err.statusCode}]: ${err.message}`;
       if (event.event === 'issue.closed') {
         if (event.paymentSuccessful !== undefined && event.paymentSuccessful === false) { // eslint-disable-line no-undefined
@@ -92,17 +260,17 @@ async function handleEventGracefully(event, data, err) { // eslint-disable-line
         // we dont need to put comment for copilot payment
         return;
       }
-      // notify error in git host
-      if (event.provider === 'github') {
-        await gitHubService.createComment(event.copilot, event.data.repository.full_name, data.number, comment);
-      } else if (event.provider === 'gitlab') {
-        const gitlabService = await GitlabService.create(event.copilot);
-        await gitlabService.createComment(event.data.repository.id, data.number, comment);
+      if (policy.giveUp === constants.RETRY_GIVE_UP_ACTIONS.IGNORE) {
+        logger.debug(`Giving up the event according to the ${policy.name} retry policy`);
+        throw err;
       }
+      // notify error in git host
+      const adapter = providers.getAdapter(event.provider);
+      await adapter.createComment(event.copilot, event.data.repository, data.number, comment);
 
       if (event.event === 'issue.closed') {
         // reopen
-        await reOpenIssue(event, data);
+        await adapter.reOpenIssue(event.copilot, event.data.repository, data.number);
       }
     }
   }
@@ -111,7 +279,12 @@ async function handleEventGracefully(event, data, err) { // eslint-disable-line
 
 module.exports = {
   handleEventGracefully,
-  reOpenIssue
+  clearIssueError,
+  reOpenIssue,
+  scheduleRetry,
+  scheduleEvent,
+  publishDueRetries,
+  acknowledgeRetry
 };
 
 logger.buildService(module.exports);
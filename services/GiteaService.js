@@ -0,0 +1,438 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This provides methods around gitea api, Forgejo serves the same api.
+ * The users authenticate with an access token, there is no token to refresh.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const config = require('config');
+const _ = require('lodash');
+const Joi = require('joi');
+const superagent = require('superagent');
+const superagentPromise = require('superagent-promise');
+const logger = require('../utils/logger');
+const errors = require('../utils/errors');
+const helper = require('../utils/helper');
+
+const request = superagentPromise(superagent, Promise);
+
+// the maximum page size of the gitea api
+const PAGE_SIZE = 50;
+
+/**
+ * A schema for a Gitea user, as stored in the TCX database.
+ * @typedef {Object} User
+ * @property {String} accessToken the access token
+ * @property {Number} userProviderId the user provider id
+ * @property {String} topcoderUsername the topcoder username
+ * @property {String} username the username
+ * @property {String} type the type
+ * @property {String} id the id
+ * @property {String} role the role
+ */
+
+const USER_SCHEMA = Joi.object().keys({
+  accessToken: Joi.string().required(),
+  accessTokenExpiration: Joi.date().optional(),
+  refreshToken: Joi.string().optional(),
+  userProviderId: Joi.number().required(),
+  topcoderUsername: Joi.string(),
+  username: Joi.string().optional(),
+  type: Joi.string().valid('gitea').required(),
+  id: Joi.string().optional(),
+  role: Joi.string().valid('owner', 'guest').required(),
+  lockId: Joi.string().optional(),
+  lockExpiration: Joi.date().optional()
+}).required();
+
+/**
+ * @typedef {Object} RepositoryWithFullName
+ * @property {String} full_name the `owner/repo` full name
+ */
+
+const REPOSITORY_SCHEMA = Joi.object().keys({
+  full_name: Joi.string().required()
+}).unknown(true).required();
+
+class GiteaService {
+  /** @type {User} */
+  #user = null;
+
+  constructor(user) {
+    if (!user) {
+      throw new Error('User is required.');
+    }
+    Joi.attempt(user, USER_SCHEMA);
+    this.#user = user;
+  }
+
+  /**
+   * Get the full URL for a Gitea repository from its full name.
+   * @param {String} repoFullName Repo full name
+   * @returns {String}
+   */
+  static getRepoUrl(repoFullName) {
+    return `${config.GITEA_API_BASE_URL}/${repoFullName}`;
+  }
+
+  /**
+   * Helper method for initializing a GiteaService instance, it keeps the shape of the other
+   * git services although the access token of gitea doesn't need to be refreshed.
+   * @param {User} user the user
+   * @returns {Promise<GiteaService>} the GiteaService instance
+   */
+  static async create(user) {
+    return new GiteaService(user);
+  }
+
+  /**
+   * Sends a request to the gitea api
+   * @param {String} method the http method
+   * @param {String} path the path of the api endpoint
+   * @param {Object} body the request body (if any)
+   * @param {Object} query the query parameters (if any)
+   * @returns {Promise<Object>} the response
+   * @private
+   */
+  async #request(method, path, body, query) {
+    let req = request[method](`${config.GITEA_API_BASE_URL}/api/v1${path}`)
+      .set('Authorization', `token ${this.#user.accessToken}`);
+    if (query) {
+      req = req.query(query);
+    }
+    if (body) {
+      req = req.send(body);
+    }
+    return await req.end();
+  }
+
+  /**
+   * Get gitea issue url
+   * @param {String} repoPath the repo path
+   * @param {Number} issueId the issue number
+   * @returns {String} the url
+   * @private
+   */
+  #getIssueUrl(repoPath, issueId) {
+    return `${GiteaService.getRepoUrl(repoPath)}/issues/${issueId}`;
+  }
+
+  /**
+   * creates the comments on gitea issue
+   * @param {RepositoryWithFullName} project the repository
+   * @param {Number} issueId the issue number
+   * @param {String} body the comment body text
+   */
+  async createComment(project, issueId, body) {
+    Joi.attempt({project, issueId, body}, {
+      project: REPOSITORY_SCHEMA,
+      issueId: Joi.number().positive().required(),
+      body: Joi.string().required()
+    });
+    try {
+      body = helper.prepareAutomatedComment(body, this.#user);
+      await this.#request('post', `/repos/${project.full_name}/issues/${issueId}/comments`, {body});
+    } catch (err) {
+      throw errors.handleGiteaError(
+        err,
+        'Error occurred during creating comment on issue.',
+        this.#user.topcoderUsername,
+        this.#getIssueUrl(project.full_name, issueId)
+      );
+    }
+    logger.debug(`Gitea comment is added on issue with message: "${body}"`);
+  }
+
+  /**
+   * updates the title of gitea issue
+   * @param {RepositoryWithFullName} project the repository
+   * @param {Number} issueId the issue number
+   * @param {String} title new title
+   */
+  async updateIssue(project, issueId, title) {
+    Joi.attempt({project, issueId, title}, {
+      project: REPOSITORY_SCHEMA,
+      issueId: Joi.number().positive().required(),
+      title: Joi.string().required()
+    });
+    try {
+      await this.#request('patch', `/repos/${project.full_name}/issues/${issueId}`, {title});
+    } catch (err) {
+      throw errors.handleGiteaError(
+        err,
+        'Error occurred during updating issue.',
+        this.#user.topcoderUsername,
+        this.#getIssueUrl(project.full_name, issueId)
+      );
+    }
+    logger.debug(`Gitea issue title is updated for issue number ${issueId}`);
+  }
+
+  /**
+   * Assigns the issue to user login, the other assignees are removed
+   * @param {RepositoryWithFullName} project the repository
+   * @param {Number} issueId the issue number
+   * @param {String} login the username of assignee
+   */
+  async assignUser(project, issueId, login) {
+    Joi.attempt({project, issueId, login}, {
+      project: REPOSITORY_SCHEMA,
+      issueId: Joi.number().positive().required(),
+      login: Joi.string().required()
+    });
+    try {
+      await this.#request('patch', `/repos/${project.full_name}/issues/${issueId}`, {assignees: [login]});
+    } catch (err) {
+      throw errors.handleGiteaError(
+        err,
+        'Error occurred during assigning issue user.',
+        this.#user.topcoderUsername,
+        this.#getIssueUrl(project.full_name, issueId)
+      );
+    }
+    logger.debug(`Gitea issue with number ${issueId} is assigned to ${login}`);
+  }
+
+  /**
+   * Removes an assignee from the issue
+   * @param {RepositoryWithFullName} project the repository
+   * @param {Number} issueId the issue number
+   * @param {String} login the username of assignee to remove
+   */
+  async removeAssign(project, issueId, login) {
+    Joi.attempt({project, issueId, login}, {
+      project: REPOSITORY_SCHEMA,
+      issueId: Joi.number().positive().required(),
+      login: Joi.string().required()
+    });
+    try {
+      const issue = await this.#request('get', `/repos/${project.full_name}/issues/${issueId}`).then((res) => res.body);
+      const assignees = _.without(_.map(issue.assignees, 'login'), login);
+      await this.#request('patch', `/repos/${project.full_name}/issues/${issueId}`, {assignees});
+    } catch (err) {
+      throw errors.handleGiteaError(
+        err,
+        'Error occurred during remove assignees from issue.',
+        this.#user.topcoderUsername,
+        this.#getIssueUrl(project.full_name, issueId)
+      );
+    }
+    logger.debug(`Gitea user ${login} is unassigned from issue number ${issueId}`);
+  }
+
+  /**
+   * Gets the user name by user id
+   * @param {Number} userId the user id
+   * @returns {Promise<string>} the username if found else null
+   */
+  async getUsernameById(userId) {
+    Joi.attempt({userId}, {userId: Joi.number().required()});
+    try {
+      const result = await this.#request('get', '/users/search', null, {uid: userId}).then((res) => res.body);
+      const user = _.head(result.data);
+      return user ? user.login : null;
+    } catch (err) {
+      throw errors.handleGiteaError(err, 'Error occurred during getting the user.');
+    }
+  }
+
+  /**
+   * Gets the user id by username
+   * @param {String} login the username
+   * @returns {Promise<Number>} the user id if found else null
+   */
+  async getUserIdByLogin(login) {
+    Joi.attempt({login}, {login: Joi.string().required()});
+    try {
+      const user = await this.#request('get', `/users/${encodeURIComponent(login)}`).then((res) => res.body);
+      return user ? user.id : null;
+    } catch (err) {
+      if (err.status === 404) { // eslint-disable-line no-magic-numbers
+        return null;
+      }
+      throw errors.handleGiteaError(err, 'Error occurred during getting the user.');
+    }
+  }
+
+  /** updates the gitea issue as paid and fix accepted
+   * @param {RepositoryWithFullName} project the repository
+   * @param {Number} issueId the issue number
+   * @param {String} challengeUUID the challenge uuid
+   * @param {Array} existLabels the issue labels
+   * @param {String} winner the winner topcoder handle
+   * @param {String} copilotFee the formatted copilot fee, the copilot is not paid if it is not given
+   */
+  async markIssueAsPaid(project, issueId, challengeUUID, existLabels, winner, copilotFee) {
+    Joi.attempt({project, issueId, challengeUUID, existLabels, winner, copilotFee}, {
+      project: REPOSITORY_SCHEMA,
+      issueId: Joi.number().positive().required(),
+      challengeUUID: Joi.string().required(),
+      existLabels: Joi.array().items(Joi.string()).required(),
+      winner: Joi.string().required(),
+      copilotFee: Joi.string().allow(null).optional()
+    });
+    const labels = _(existLabels).filter((i) => i !== config.FIX_ACCEPTED_ISSUE_LABEL)
+      .push(config.FIX_ACCEPTED_ISSUE_LABEL, config.PAID_ISSUE_LABEL).value();
+    try {
+      await this.#request('put', `/repos/${project.full_name}/issues/${issueId}/labels`, {labels});
+      let commentMessage = '';
+
+      commentMessage += `Payment task has been updated: ${config.TC_URL}/challenges/${challengeUUID}\n\n`;
+      commentMessage += '*Payments Complete*\n\n';
+      commentMessage += `Winner: ${winner}\n\n`;
+      if (copilotFee) {
+        commentMessage += `Copilot: ${this.#user.topcoderUsername} (${copilotFee})\n\n`;
+      }
+      commentMessage += `Challenge \`${challengeUUID}\` has been paid and closed.`;
+
+      const body = helper.prepareAutomatedComment(commentMessage, this.#user);
+      await this.#request('post', `/repos/${project.full_name}/issues/${issueId}/comments`, {body});
+    } catch (err) {
+      throw errors.handleGiteaError(
+        err,
+        'Error occurred during updating issue as paid.',
+        this.#user.topcoderUsername,
+        this.#getIssueUrl(project.full_name, issueId)
+      );
+    }
+    logger.debug(`Gitea issue is updated for as paid and fix accepted for ${issueId}`);
+  }
+
+  /**
+   * change the state of gitea issue
+   * @param {RepositoryWithFullName} project the repository
+   * @param {Number} issueId the issue number
+   * @param {string} state new state, open or closed
+   */
+  async changeState(project, issueId, state) {
+    Joi.attempt({project, issueId, state}, {
+      project: REPOSITORY_SCHEMA,
+      issueId: Joi.number().positive().required(),
+      state: Joi.string().valid('open', 'closed').required()
+    });
+    try {
+      await this.#request('patch', `/repos/${project.full_name}/issues/${issueId}`, {state});
+    } catch (err) {
+      throw errors.handleGiteaError(
+        err,
+        'Error occurred during updating status of issue.',
+        this.#user.topcoderUsername,
+        this.#getIssueUrl(project.full_name, issueId)
+      );
+    }
+    logger.debug(`Gitea issue state is updated to '${state}' for issue number ${issueId}`);
+  }
+
+  /**
+   * replaces the labels of the gitea issue, the labels are given by name
+   * @param {RepositoryWithFullName} project the repository
+   * @param {Number} issueId the issue number
+   * @param {Array} labels the labels
+   */
+  async addLabels(project, issueId, labels) {
+    Joi.attempt({project, issueId, labels}, {
+      project: REPOSITORY_SCHEMA,
+      issueId: Joi.number().positive().required(),
+      labels: Joi.array().items(Joi.string()).required()
+    });
+    try {
+      await this.#request('put', `/repos/${project.full_name}/issues/${issueId}/labels`, {labels});
+    } catch (err) {
+      throw errors.handleGiteaError(
+        err,
+        'Error occurred during adding label in issue.',
+        this.#user.topcoderUsername,
+        this.#getIssueUrl(project.full_name, issueId)
+      );
+    }
+    logger.debug(`Gitea issue is updated with new labels for ${issueId}`);
+  }
+
+  /**
+   * Get gitea repository
+   * @param {String} repoURL The repository URL
+   * @returns {Promise<Object>} the repository
+   */
+  async getRepository(repoURL) {
+    Joi.attempt({repoURL}, {repoURL: Joi.string().required()});
+    const repoFullName = repoURL.replace(`${config.GITEA_API_BASE_URL}/`, '');
+    return await this.#request('get', `/repos/${repoFullName}`).then((res) => res.body);
+  }
+
+  /**
+   * Add a user to a gitea repository as collaborator
+   * @param {RepositoryWithFullName} repository The repository
+   * @param {User} user The user
+   * @param {String} permission The collaborator permission
+   */
+  async addUserToRepository(repository, user, permission) {
+    Joi.attempt({repository, user, permission}, {
+      repository: REPOSITORY_SCHEMA,
+      user: Joi.object().required(),
+      permission: Joi.string().required()
+    });
+    // adding an existing collaborator updates its permission
+    await this.#request('put', `/repos/${repository.full_name}/collaborators/${encodeURIComponent(user.username)}`, {permission});
+  }
+
+  /**
+   * Fork a gitea repository
+   * @param {RepositoryWithFullName} repository The repository
+   */
+  async forkRepository(repository) {
+    Joi.attempt({repository}, {repository: REPOSITORY_SCHEMA});
+    await this.#request('post', `/repos/${repository.full_name}/forks`, {});
+  }
+
+  /**
+   * Get the diff patch for a gitea pull request
+   * @param {Object} pullRequest The pull request
+   * @returns {Promise<String>} The diff patch
+   */
+  async getMergeRequestDiffPatches(pullRequest) {
+    Joi.attempt({pullRequest}, {
+      pullRequest: Joi.object().keys({
+        number: Joi.number().required(),
+        html_url: Joi.string().required(),
+        base: Joi.object().keys({
+          repo: REPOSITORY_SCHEMA
+        }).unknown(true).required()
+      }).unknown(true).required()
+    });
+    const res = await this.#request('get', `/repos/${pullRequest.base.repo.full_name}/pulls/${pullRequest.number}.diff`);
+    logger.debug(`Gitea diff patch is downloaded for ${pullRequest.html_url}`);
+    return res.text;
+  }
+
+  /**
+   * Get the open pull requests of a user in a gitea repository
+   * @param {RepositoryWithFullName} repository The repository
+   * @param {Number} userId the user id
+   * @returns {Promise<Array>} the pull requests
+   */
+  async getOpenMergeRequestsByUser(repository, userId) {
+    Joi.attempt({repository, userId}, {
+      repository: REPOSITORY_SCHEMA,
+      userId: Joi.number().required()
+    });
+    const pullRequests = [];
+    let page = 1;
+    let result;
+    // eslint-disable-next-line no-restricted-syntax
+    do {
+      result = await this.#request('get', `/repos/${repository.full_name}/pulls`, null, {state: 'open', page, limit: PAGE_SIZE})
+        .then((res) => res.body);
+      pullRequests.push(...result);
+      page += 1;
+    } while (result.length === PAGE_SIZE);
+    return _.filter(pullRequests, (pullRequest) => _.get(pullRequest, 'user.id') === userId);
+  }
+}
+
+module.exports = GiteaService;
+
+logger.buildService(module.exports, true);
@@ -12,17 +12,18 @@
 const config = require('config');
 const _ = require('lodash');
 const Joi = require('joi');
-const superagent = require('superagent');
-const superagentPromise = require('superagent-promise');
 const {Octokit} = require('@octokit/rest');
 const logger = require('../utils/logger');
 const errors = require('../utils/errors');
 const helper = require('../utils/helper');
+const githubAppAuth = require('../utils/github-app-auth');
 
-const request = superagentPromise(superagent, Promise);
+// the items read per page of the github lists
+const PAGE_SIZE = 100;
 
+// the access token is only used on the repositories where the GitHub App is not installed
 const copilotUserSchema = Joi.object().keys({
-  accessToken: Joi.string().required(),
+  accessToken: Joi.string(),
   userProviderId: Joi.number().required(),
   topcoderUsername: Joi.string()
 }).required();
@@ -41,17 +42,30 @@ function _parseRepoUrl(fullName) {
 }
 
 /**
- * authenticate the github using access token
- * @param {String} accessToken the access token of copilot
- * @returns {Promise<Object>} the github instance
+ * authenticate the github using the installation token of the GitHub App on the repository,
+ * or using the access token of copilot when the app is not installed
+ * @param {Object} copilot the copilot
+ * @param {String} repoFullName the repository
+ * @returns {Promise<Object>} the github instance, its request method for the endpoints without github method
+ * and the handle of the copilot whose token is used (null for the app)
  * @private
  */
-async function _authenticate(accessToken) {
+async function _authenticate(copilot, repoFullName) {
+  let appToken;
+  try {
+    appToken = await githubAppAuth.getRepositoryToken(repoFullName);
+  } catch (err) {
+    throw errors.handleGitHubError(err, 'Failed to authenticate to Github as the GitHub App.');
+  }
+  if (!appToken && !copilot.accessToken) {
+    throw errors.handleGitHubError(new Error(`The GitHub App is not installed on ${repoFullName}`),
+      'Failed to authenticate to Github, the copilot has no access token.');
+  }
   try {
     const octokit = new Octokit({
-      auth: accessToken
+      auth: appToken || copilot.accessToken
     });
-    return octokit.rest;
+    return {github: octokit.rest, request: octokit.request, tokenOwner: appToken ? null : copilot.topcoderUsername};
   } catch (err) {
     throw errors.handleGitHubError(err, 'Failed to authenticate to Github using access token of copilot.');
   }
@@ -79,20 +93,6 @@ async function _removeAssignees(github, owner, repo, number, assignees) {
   }
 }
 
-/**
- * gets the username of given user id
- * @param {Number} id the user id
- * @returns {Promise<string>} username if found
- */
-async function _getUsernameById(id) {
-  const user = await request
-    .get(`https://api.github.com/user/${id}`)
-    .end()
-    .then((res) => res.body);
-
-  return user ? user.login : null;
-}
-
 /**
  * Get github issue url
  * @param {String} repoPath the repo path
@@ -113,12 +113,12 @@ function _getIssueUrl(repoPath, number) {
  */
 async function updateIssue(copilot, repoFullName, number, title) {
   Joi.attempt({copilot, repoFullName, number, title}, updateIssue.schema);
-  const github = await _authenticate(copilot.accessToken);
+  const {github, tokenOwner} = await _authenticate(copilot, repoFullName);
   const {owner, repo} = _parseRepoUrl(repoFullName);
   try {
     await github.issues.update({owner, repo, issue_number: number, title});
   } catch (err) {
-    throw errors.handleGitHubError(err, 'Error occurred during updating issue.', copilot.topcoderUsername, _getIssueUrl(repoFullName, number));
+    throw errors.handleGitHubError(err, 'Error occurred during updating issue.', tokenOwner, _getIssueUrl(repoFullName, number));
   }
   logger.debug(`Github issue title is updated for issue number ${number}`);
 }
@@ -139,7 +139,7 @@ updateIssue.schema = {
  */
 async function assignUser(copilot, repoFullName, number, user) {
   Joi.attempt({copilot, repoFullName, number, user}, assignUser.schema);
-  const github = await _authenticate(copilot.accessToken);
+  const {github, tokenOwner} = await _authenticate(copilot, repoFullName);
   const {owner, repo} = _parseRepoUrl(repoFullName);
   try {
     const issue = await github.issues.get({owner, repo, issue_number: number});
@@ -150,7 +150,7 @@ async function assignUser(copilot, repoFullName, number, user) {
     }
     await github.issues.addAssignees({owner, repo, issue_number: number, assignees: [user]});
   } catch (err) {
-    throw errors.handleGitHubError(err, 'Error occurred during assigning issue user.', copilot.topcoderUsername, _getIssueUrl(repoFullName, number));
+    throw errors.handleGitHubError(err, 'Error occurred during assigning issue user.', tokenOwner, _getIssueUrl(repoFullName, number));
   }
   logger.debug(`Github issue with number ${number} is assigned to ${user}`);
 }
@@ -172,7 +172,7 @@ assignUser.schema = {
 async function removeAssign(copilot, repoFullName, number, user) {
   Joi.attempt({copilot, repoFullName, number, user}, removeAssign.schema);
 
-  const github = await _authenticate(copilot.accessToken);
+  const {github} = await _authenticate(copilot, repoFullName);
   const {owner, repo} = _parseRepoUrl(repoFullName);
   await _removeAssignees(github, owner, repo, number, [user]);
   logger.debug(`Github user ${user} is unassigned from issue number ${number}`);
@@ -189,13 +189,16 @@ removeAssign.schema = assignUser.schema;
  */
 async function createComment(copilot, repoFullName, number, body) {
   Joi.attempt({copilot, repoFullName, number, body}, createComment.schema);
-  const github = await _authenticate(copilot.accessToken);
+  const {github, tokenOwner} = await _authenticate(copilot, repoFullName);
   const {owner, repo} = _parseRepoUrl(repoFullName);
   try {
-    body = helper.prepareAutomatedComment(body, copilot);
+    // the app comments are posted by its bot, not on behalf of the copilot
+    if (tokenOwner) {
+      body = helper.prepareAutomatedComment(body, copilot);
+    }
     await github.issues.createComment({owner, repo, issue_number: number, body});
   } catch (err) {
-    throw errors.handleGitHubError(err, 'Error occurred during creating comment on issue.', copilot.topcoderUsername, _getIssueUrl(repoFullName, number));
+    throw errors.handleGitHubError(err, 'Error occurred during creating comment on issue.', tokenOwner, _getIssueUrl(repoFullName, number));
   }
   logger.debug(`Github comment is added on issue with message: "${body}"`);
 }
@@ -210,38 +213,150 @@ createComment.schema = {
 /**
  * Gets the user name by user id
  * @param {Object} copilot the copilot
+ * @param {string} repoFullName the repository, its token is used
  * @param {Number} userId the user id
  * @returns {Promise<string>} the username if found else null
  */
-async function getUsernameById(copilot, userId) {
-  Joi.attempt({copilot, userId}, getUsernameById.schema);
-  const login = await _getUsernameById(userId);
-  return login;
+async function getUsernameById(copilot, repoFullName, userId) {
+  Joi.attempt({copilot, repoFullName, userId}, getUsernameById.schema);
+  const {request, tokenOwner} = await _authenticate(copilot, repoFullName);
+  let user;
+  try {
+    user = await request('GET /user/{account_id}', {account_id: userId});
+  } catch (err) {
+    throw errors.handleGitHubError(err, 'Error occurred during getting the user.', tokenOwner, `https://github.com/${repoFullName}`);
+  }
+  return user.data ? user.data.login : null;
 }
 
 getUsernameById.schema = {
   copilot: copilotUserSchema,
+  repoFullName: Joi.string().required(),
   userId: Joi.number().required()
 };
 
 /**
  * Gets the user id by username
  * @param {Object} copilot the copilot
+ * @param {string} repoFullName the repository, its token is used
  * @param {string} login the username
  * @returns {Promise<Number>} the user id if found else null
  */
-async function getUserIdByLogin(copilot, login) {
-  Joi.attempt({copilot, login}, getUserIdByLogin.schema);
-  const github = await _authenticate(copilot.accessToken);
-  const user = await github.users.getByUsername({username: login});
+async function getUserIdByLogin(copilot, repoFullName, login) {
+  Joi.attempt({copilot, repoFullName, login}, getUserIdByLogin.schema);
+  const {github, tokenOwner} = await _authenticate(copilot, repoFullName);
+  let user;
+  try {
+    user = await github.users.getByUsername({username: login});
+  } catch (err) {
+    throw errors.handleGitHubError(err, 'Error occurred during getting the user.', tokenOwner, `https://github.com/${repoFullName}`);
+  }
   return user.data ? user.data.id : null;
 }
 
 getUserIdByLogin.schema = {
   copilot: copilotUserSchema,
+  repoFullName: Joi.string().required(),
   login: Joi.string().required()
 };
 
+/**
+ * gets the date of the latest pull request or commit referencing the github issue
+ * @param {Object} copilot the copilot
+ * @param {string} repoFullName the repository
+ * @param {Number} number the issue number
+ * @returns {Promise<Date>} the date of the latest linked work, null if there is none
+ */
+async function getLinkedWorkAt(copilot, repoFullName, number) {
+  Joi.attempt({copilot, repoFullName, number}, getLinkedWorkAt.schema);
+  const {github, tokenOwner} = await _authenticate(copilot, repoFullName);
+  const {owner, repo} = _parseRepoUrl(repoFullName);
+  // the timeline is listed oldest first, all its pages are read to find the latest work
+  const timeline = [];
+  let page = 0;
+  let pageItems;
+  try {
+    do { // eslint-disable-line no-restricted-syntax
+      page += 1;
+      pageItems = (await github.issues.listEventsForTimeline({owner, repo, issue_number: number, per_page: PAGE_SIZE, page})).data;
+      timeline.push(...pageItems);
+    } while (pageItems.length === PAGE_SIZE);
+  } catch (err) {
+    throw errors.handleGitHubError(err, 'Error occurred during getting the timeline of issue.', tokenOwner, _getIssueUrl(repoFullName, number));
+  }
+  const linkedWork = _.filter(timeline, (item) =>
+    (item.event === 'cross-referenced' && _.get(item, 'source.issue.pull_request')) || (item.event === 'referenced' && item.commit_id));
+  const latest = _.maxBy(linkedWork, 'created_at');
+  return latest ? new Date(latest.created_at) : null;
+}
+
+getLinkedWorkAt.schema = {
+  copilot: copilotUserSchema,
+  repoFullName: Joi.string().required(),
+  number: Joi.number().required()
+};
+
+/**
+ * gets the github repository
+ * @param {Object} copilot the copilot
+ * @param {string} repoFullName the repository
+ * @returns {Promise<Object>} the repository `{id, name, full_name}`, as in the receiver events
+ */
+async function getRepository(copilot, repoFullName) {
+  Joi.attempt({copilot, repoFullName}, getRepository.schema);
+  const {github, tokenOwner} = await _authenticate(copilot, repoFullName);
+  const {owner, repo} = _parseRepoUrl(repoFullName);
+  try {
+    const repository = await github.repos.get({owner, repo});
+    return _.pick(repository.data, ['id', 'name', 'full_name']);
+  } catch (err) {
+    throw errors.handleGitHubError(err, 'Error occurred during getting the repository.', tokenOwner, `https://github.com/${repoFullName}`);
+  }
+}
+
+getRepository.schema = {
+  copilot: copilotUserSchema,
+  repoFullName: Joi.string().required()
+};
+
+/**
+ * lists the open and closed issues of the github repository, the pull requests are left out
+ * @param {Object} copilot the copilot
+ * @param {string} repoFullName the repository
+ * @returns {Promise<Array>} the issues as in the receiver events, with their state
+ */
+async function listIssues(copilot, repoFullName) {
+  Joi.attempt({copilot, repoFullName}, listIssues.schema);
+  const {github, tokenOwner} = await _authenticate(copilot, repoFullName);
+  const {owner, repo} = _parseRepoUrl(repoFullName);
+  const items = [];
+  let page = 0;
+  let pageItems;
+  try {
+    do { // eslint-disable-line no-restricted-syntax
+      page += 1;
+      pageItems = (await github.issues.listForRepo({owner, repo, state: 'all', per_page: PAGE_SIZE, page})).data;
+      items.push(...pageItems);
+    } while (pageItems.length === PAGE_SIZE);
+  } catch (err) {
+    throw errors.handleGitHubError(err, 'Error occurred during listing the issues.', tokenOwner, `https://github.com/${repoFullName}`);
+  }
+  return _(items) // eslint-disable-line lodash/chaining
+    .reject('pull_request')
+    .map((item) => ({
+      number: item.number,
+      title: item.title,
+      body: item.body || '',
+      state: item.state,
+      labels: _.map(item.labels, 'name'),
+      assignees: _.map(item.assignees, (assignee) => ({id: assignee.id, username: assignee.login})),
+      owner: {id: item.user.id}
+    }))
+    .value();
+}
+
+listIssues.schema = getRepository.schema;
+
 /**
  * updates the github issue as paid and fix accepted
  * @param {Object} copilot the copilot
@@ -250,12 +365,12 @@ getUserIdByLogin.schema = {
  * @param {String} challengeUUID the challenge id
  * @param {Array} existLabels the issue labels
  * @param {String} winner the winner topcoder handle
- * @param {Boolean} createCopilotPayments the option to create copilot payments or not
+ * @param {String} copilotFee the formatted copilot fee, the copilot is not paid if it is not given
  *
  */
-async function markIssueAsPaid(copilot, repoFullName, number, challengeUUID, existLabels, winner, createCopilotPayments) { // eslint-disable-line max-params
-  Joi.attempt({copilot, repoFullName, number, challengeUUID, existLabels, winner, createCopilotPayments}, markIssueAsPaid.schema);
-  const github = await _authenticate(copilot.accessToken);
+async function markIssueAsPaid(copilot, repoFullName, number, challengeUUID, existLabels, winner, copilotFee) { // eslint-disable-line max-params
+  Joi.attempt({copilot, repoFullName, number, challengeUUID, existLabels, winner, copilotFee}, markIssueAsPaid.schema);
+  const {github, tokenOwner} = await _authenticate(copilot, repoFullName);
   const {owner, repo} = _parseRepoUrl(repoFullName);
   const labels = _(existLabels).filter((i) => i !== config.FIX_ACCEPTED_ISSUE_LABEL)
     .push(config.FIX_ACCEPTED_ISSUE_LABEL, config.PAID_ISSUE_LABEL).value();
@@ -265,15 +380,15 @@ async function markIssueAsPaid(copilot, repoFullName, number, challengeUUID, exi
     commentMessage += `Payment task has been updated: ${config.TC_URL}/challenges/${challengeUUID}\n`;
     commentMessage += '*Payments Complete*\n';
     commentMessage += `Winner: ${winner}\n`;
-    if (createCopilotPayments) {
-      commentMessage += `Copilot: ${copilot.topcoderUsername}\n`;
+    if (copilotFee) {
+      commentMessage += `Copilot: ${copilot.topcoderUsername} (${copilotFee})\n`;
     }
     commentMessage += `Challenge \`${challengeUUID}\` has been paid and closed.`;
 
-    const body = helper.prepareAutomatedComment(commentMessage, copilot);
+    const body = tokenOwner ? helper.prepareAutomatedComment(commentMessage, copilot) : commentMessage;
     await github.issues.createComment({owner, repo, issue_number: number, body});
   } catch (err) {
-    throw errors.handleGitHubError(err, 'Error occurred during updating issue as paid.', copilot.topcoderUsername, _getIssueUrl(repoFullName, number));
+    throw errors.handleGitHubError(err, 'Error occurred during updating issue as paid.', tokenOwner, _getIssueUrl(repoFullName, number));
   }
   logger.debug(`Github issue title is updated for as paid and fix accepted for ${number}`);
 }
@@ -283,7 +398,7 @@ markIssueAsPaid.schema = {
   repoFullName: Joi.string().required(),
   number: Joi.number().required(),
   winner: Joi.string().required(),
-  createCopilotPayments: Joi.boolean().default(false).optional(),
+  copilotFee: Joi.string().allow(null).optional(),
   challengeUUID: Joi.string().required(),
   existLabels: Joi.array().items(Joi.string()).required()
 };
@@ -297,12 +412,12 @@ markIssueAsPaid.schema = {
  */
 async function changeState(copilot, repoFullName, number, state) {
   Joi.attempt({copilot, repoFullName, number, state}, changeState.schema);
-  const github = await _authenticate(copilot.accessToken);
+  const {github, tokenOwner} = await _authenticate(copilot, repoFullName);
   const {owner, repo} = _parseRepoUrl(repoFullName);
   try {
     await github.issues.update({owner, repo, issue_number: number, state});
   } catch (err) {
-    throw errors.handleGitHubError(err, 'Error occurred during updating status of issue.', copilot.topcoderUsername, _getIssueUrl(repoFullName, number));
+    throw errors.handleGitHubError(err, 'Error occurred during updating status of issue.', tokenOwner, _getIssueUrl(repoFullName, number));
   }
   logger.debug(`Github issue state is updated to '${state}' for issue number ${number}`);
 }
@@ -323,12 +438,12 @@ changeState.schema = {
  */
 async function addLabels(copilot, repoFullName, number, labels) {
   Joi.attempt({copilot, repoFullName, number, labels}, addLabels.schema);
-  const github = await _authenticate(copilot.accessToken);
+  const {github, tokenOwner} = await _authenticate(copilot, repoFullName);
   const {owner, repo} = _parseRepoUrl(repoFullName);
   try {
     await github.issues.update({owner, repo, issue_number: number, labels});
   } catch (err) {
-    throw errors.handleGitHubError(err, 'Error occurred during adding label in issue.', copilot.topcoderUsername, _getIssueUrl(repoFullName, number));
+    throw errors.handleGitHubError(err, 'Error occurred during adding label in issue.', tokenOwner, _getIssueUrl(repoFullName, number));
   }
   logger.debug(`Github issue is updated with new labels for ${number}`);
 }
@@ -347,6 +462,9 @@ module.exports = {
   createComment,
   getUsernameById,
   getUserIdByLogin,
+  getLinkedWorkAt,
+  getRepository,
+  listIssues,
   markIssueAsPaid,
   changeState,
   addLabels
@@ -326,16 +326,16 @@ class GitlabService {
    * @param {String} challengeUUID the challenge uuid
    * @param {Array} existLabels the issue labels
    * @param {String} winner the winner topcoder handle
-   * @param {Boolean} createCopilotPayments the option to create copilot payments or not
+   * @param {String} copilotFee the formatted copilot fee, the copilot is not paid if it is not given
    */
-  async markIssueAsPaid(project, issueId, challengeUUID, existLabels, winner, createCopilotPayments) {
-    Joi.attempt({project, issueId, challengeUUID, existLabels, winner, createCopilotPayments}, {
+  async markIssueAsPaid(project, issueId, challengeUUID, existLabels, winner, copilotFee) {
+    Joi.attempt({project, issueId, challengeUUID, existLabels, winner, copilotFee}, {
       project: PROJECT_WITH_ID_SCHEMA,
       issueId: Joi.number().positive().required(),
       challengeUUID: Joi.string().required(),
       existLabels: Joi.array().items(Joi.string()).required(),
       winner: Joi.string().required(),
-      createCopilotPayments: Joi.boolean().default(false).optional()
+      copilotFee: Joi.string().allow(null).optional()
     });
     const projectId = project.id;
     const labels = _(existLabels).filter((i) => i !== config.FIX_ACCEPTED_ISSUE_LABEL)
@@ -347,8 +347,8 @@ class GitlabService {
       commentMessage += `Payment task has been updated: ${config.TC_URL}/challenges/${challengeUUID}\n\n`;
       commentMessage += '*Payments Complete*\n\n';
       commentMessage += `Winner: ${winner}\n\n`;
-      if (createCopilotPayments) {
-        commentMessage += `Copilot: ${this.#user.topcoderUsername}\n\n`;
+      if (copilotFee) {
+        commentMessage += `Copilot: ${this.#user.topcoderUsername} (${copilotFee})\n\n`;
       }
       commentMessage += `Challenge \`${challengeUUID}\` has been paid and closed.`;
 
@@ -508,6 +508,65 @@ class GitlabService {
     return patchFile;
   }
 
+  /**
+   * lists the open and closed issues of the gitlab project
+   * @param {ProjectWithId} project the project object
+   * @returns {Promise<Array>} the issues as in the receiver events, with their state
+   */
+  async listIssues(project) {
+    Joi.attempt({project}, {project: PROJECT_WITH_ID_SCHEMA});
+    let issues;
+    try {
+      issues = await this.#gitlab.Issues.all({projectId: project.id});
+    } catch (err) {
+      throw errors.handleGitLabError(err, 'Error occurred during listing the issues.', this.#user.topcoderUsername,
+        GitlabService.getRepoUrl(project.full_name));
+    }
+    return _.map(issues, (issue) => ({
+      number: issue.iid,
+      title: issue.title,
+      body: issue.description || '',
+      state: issue.state === 'opened' ? 'open' : 'closed',
+      labels: issue.labels,
+      assignees: _.map(issue.assignees, (assignee) => ({id: assignee.id, username: assignee.username})),
+      owner: {id: issue.author.id}
+    }));
+  }
+
+  /**
+   * gets the date of the latest work linked to the gitlab issue: the merge requests related to the issue, their commits
+   * and the commits mentioning the issue. The other activity of the merge requests, as their comments, isn't linked work.
+   * @param {ProjectWithId} project the project object
+   * @param {Number} issueId the issue number
+   * @returns {Promise<Date>} the date of the latest linked work, null if there is none
+   */
+  async getLinkedWorkAt(project, issueId) {
+    Joi.attempt({project, issueId}, {
+      project: PROJECT_WITH_ID_SCHEMA,
+      issueId: Joi.number().positive().required()
+    });
+    const dates = [];
+    try {
+      const mergeRequests = await this.#gitlab.Issues.allRelatedMergeRequests(project.id, issueId);
+      for (const mergeRequest of mergeRequests) { // eslint-disable-line no-restricted-syntax
+        const commits = await this.#gitlab.MergeRequests.allCommits(mergeRequest.project_id, mergeRequest.iid);
+        dates.push(mergeRequest.created_at, ..._.map(commits, 'committed_date'));
+      }
+      // the commits mentioning the issue are only found in its system notes
+      const notes = await this.#gitlab.IssueNotes.all(project.id, issueId);
+      dates.push(..._.map(_.filter(notes, (note) => note.system && _.startsWith(note.body, 'mentioned in commit')), 'created_at'));
+    } catch (err) {
+      throw errors.handleGitLabError(
+        err,
+        'Error occurred during getting the linked work of issue.',
+        this.#user.topcoderUsername,
+        this.#getIssueUrl(project.full_name, issueId)
+      );
+    }
+    const latest = _.maxBy(_.compact(dates), (date) => new Date(date).getTime());
+    return latest ? new Date(latest) : null;
+  }
+
   /**
    * Get a list of all merge requests for a gitlab repository
    * @param {ProjectSchema} repository The repository
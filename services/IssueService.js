@@ -13,6 +13,7 @@
 const config = require('config');
 const _ = require('lodash');
 const Joi = require('joi');
+const uuid = require('uuid').v4;
 const logger = require('../utils/logger');
 const errors = require('../utils/errors');
 const topcoderApiHelper = require('../utils/topcoder-api-helper');
@@ -20,14 +21,24 @@ const models = require('../models');
 const dbHelper = require('../utils/db-helper');
 const helper = require('../utils/helper');
 const gitHelper = require('../utils/git-helper');
+const idempotency = require('../utils/idempotency');
+const issueStateMachine = require('../utils/issue-state-machine');
+const prizeParser = require('../utils/prize-parser');
+const copilotFeePolicy = require('../utils/copilot-fee');
+const challengeDescription = require('../utils/challenge-description');
+const labelSkills = require('../utils/label-skills');
+const commentCommands = require('../utils/comment-commands');
 const constants = require('../constants');
 const userService = require('./UserService');
 const eventService = require('./EventService');
+const bidService = require('./BidService');
+const commentCommandService = require('./CommentCommandService');
 
+// the percentages of a prize split add up to 100
+const PERCENT = 100;
 
-// A variable to store issue creation lock to prevent duplicate creation process.
-// The key is `${provider}-${repositoryId}-${number}`. The value is True.
-const issueCreationLock = {};
+// the parsed prize fields of an issue, besides the placement prizes
+const PRIZE_FIELDS = ['currency', 'copilotFee', 'reviewerPrize'];
 
 /**
  * Generate the contest url, given the challenge id
@@ -40,23 +51,43 @@ function getUrlForChallengeId(issue) {
 }
 
 /**
- * Parse the prize from issue title.
+ * Parse the prizes from issue title or from the front matter of its body.
+ * The parsed title and body don't have the prizes.
  * @param {Object} issue the issue
- * @returns {boolean} true if the prizes can be parsed; or false otherwise
+ * @returns {boolean} true if the issue has prizes; or false otherwise
+ * @throws {Error} the parse error if the prizes are not valid
  * @private
  */
 function parsePrizes(issue) {
-  const matches = issue.title.match(/(\$[0-9]+)(?=.*\])/g);
-
-  if (!matches || matches.length === 0) {
+  const prize = prizeParser.parse(issue.title, issue.body);
+  if (!prize) {
     return false;
   }
-
-  issue.prizes = _.map(matches, (match) => parseInt(match.replace('$', ''), 10));
-  issue.title = issue.title.replace(/^(\[.*\])/, '').trim();
+  _.assign(issue, _.pick(prize, 'title', 'body', 'prizes', 'currency', 'copilotFee', 'reviewerPrize'));
   return true;
 }
 
+/**
+ * explains the prizes parse error on the ticket, only when the ticket is created or updated
+ * and has a Topcoder X label, the other tickets of the repository aren't meant to be challenges
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @param {Error} err the parse error
+ * @private
+ */
+async function handlePrizeParseError(event, issue, err) {
+  logger.debugWithContext(`The prizes of issue ${issue.number} can't be parsed: ${err.message}`, event, issue);
+  if (event.event !== 'issue.created' && event.event !== 'issue.updated') {
+    return;
+  }
+  if (!_.some(issue.labels, (label) => _.startsWith(label, config.ISSUE_LABEL_PREFIX))) {
+    return;
+  }
+  event.copilot = await userService.getRepositoryCopilotOrOwner(event.provider, event.data.repository.full_name);
+  const comment = `The prize of this ticket can't be parsed: ${err.message}. Please fix the title or the description to create the challenge.`;
+  await idempotency.runOnce(event, 'comment.prizeParseError', () => gitHelper.createComment(event, issue.number, comment));
+}
+
 /**
  * check if challenge is exists for given issue in db/topcoder
  * @param {Object} event the event
@@ -83,7 +114,7 @@ async function ensureChallengeExists(event, issue, create = true) {
   const hasOpenForPickupLabel = _.includes(issue.labels, config.OPEN_FOR_PICKUP_ISSUE_LABEL);
   if (dbIssue && dbIssue.status === constants.ISSUE_STATUS.CHALLENGE_CREATION_FAILED && hasOpenForPickupLabel) {
     // remove issue from db
-    await dbHelper.removeIssue(models.Issue, issue.repositoryId, issue.number, issue.provider);
+    await issueStateMachine.removeIssue(dbIssue, {event, reason: 'The challenge creation failed and the issue is open for pickup again'});
     dbIssue = null;
   }
   if (dbIssue && dbIssue.status === constants.ISSUE_STATUS.CHALLENGE_CANCELLED) {
@@ -113,6 +144,39 @@ async function getProjectDetail(event) {
   return project;
 }
 
+/**
+ * gets the assignees of the git ticket with their usernames
+ * @param {Object} event the event
+ * @returns {Promise<Array>} the assignees
+ * @private
+ */
+async function getIssueAssignees(event) {
+  const assignees = _.filter(event.data.issue.assignees, 'id');
+  for (const assignee of assignees) { // eslint-disable-line
+    if (!assignee.username) {
+      assignee.username = await gitHelper.getUsernameById(event, assignee.id);
+    }
+  }
+  return assignees;
+}
+
+/**
+ * splits a prize between the assignees, by the percentages of the split command or evenly if there is no valid split
+ * @param {Number} prize the prize
+ * @param {Array} assignees the assignee usernames
+ * @param {Array} prizeSplit the percentage of each assignee
+ * @returns {Array<Number>} the prize of each assignee, in the assignees order
+ * @private
+ */
+function splitPrize(prize, assignees, prizeSplit) {
+  const percentages = _.map(assignees, (assignee) => _.get(_.find(prizeSplit, {assignee}), 'percentage'));
+  const hasSplit = _.size(prizeSplit) === assignees.length && _.every(percentages);
+  const prizes = _.map(percentages, (percentage) => Math.floor(hasSplit ? prize * percentage / PERCENT : prize / assignees.length));
+  // the rounding remainder goes to the first assignee, the prizes always add up to the whole prize
+  prizes[0] += prize - _.sum(prizes);
+  return prizes;
+}
+
 /**
  * removes the current assignee if user is not found in topcoder X mapping.
  * user first need to sign up in Topcoder X
@@ -137,41 +201,85 @@ async function rollbackAssignee(event, assigneeUserId, issue, reOpen = false, co
 }
 
 /**
- * Parse the comments from issue comment.
- * @param {Object} comment the comment
- * @returns {Object} the parsed comment
+ * unregisters a removed assignee of a ticket with multiple assignees from the challenge
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @param {Object} dbIssue the db issue
+ * @param {String} username the git username of the assignee
  * @private
  */
-function parseComment(comment) {
-  const parsedComment = {};
-
-  parsedComment.isBid = /\/bid/.test(comment.body);
-  if (parsedComment.isBid) {
-    // parse bid amount
-    const amountWithCommand = comment.body.match(/\/bid[ \t]+\$[0-9]+/g);
-    if (!amountWithCommand || amountWithCommand.length === 0) {
-      throw new Error(`Cannot parse bid amount from comment: '${comment.body}'`);
-    }
-    const numberPart = amountWithCommand[0].match(/\$[0-9]+/g)[0].replace('$', '');
-    parsedComment.bidAmount = parseInt(numberPart, 10);
+async function unregisterAssignee(event, issue, dbIssue, username) {
+  const assigneeUserId = await gitHelper.getUserIdByLogin(event, username);
+  const userMapping = assigneeUserId ? await userService.getTCUserName(event.provider, assigneeUserId) : null;
+  if (userMapping && userMapping.topcoderUsername) {
+    logger.debugWithContext(`un-assigning user from challenge: ${userMapping.topcoderUsername}`, event, issue);
+    await topcoderApiHelper.removeResourceToChallenge(dbIssue.challengeUUID, userMapping.topcoderUsername, config.ROLE_ID_SUBMITTER);
+    const comment = `Challenge ${getUrlForChallengeId(dbIssue)} ${userMapping.topcoderUsername} has been unassigned.`;
+    await gitHelper.createComment(event, issue.number, comment);
+  }
+}
+
+/**
+ * registers every mapped assignee of the ticket as a submitter and unregisters the removed ones,
+ * it replaces the single assignee handling when the project allows multiple assignees
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @param {Object} dbIssue the db issue
+ * @param {Boolean} force force to assign (if there is no OpenForPickup label)
+ * @private
+ */
+async function reconcileAssignees(event, issue, dbIssue, force = false) {
+  const registered = dbIssue.assignees || _.compact([dbIssue.assignee]);
+  const assignees = await getIssueAssignees(event);
+  const usernames = _.map(assignees, 'username');
+  const contestUrl = getUrlForChallengeId(dbIssue);
+
+  for (const username of _.difference(registered, usernames)) { // eslint-disable-line
+    await unregisterAssignee(event, issue, dbIssue, username);
   }
 
-  parsedComment.isAcceptBid = /\/accept_bid/.test(comment.body);
-  if (parsedComment.isAcceptBid) {
-    // eslint-disable-next-line no-useless-escape
-    const command = comment.body.match(/\/accept_bid[ \t]+\@([^\s]+)[ \t]+\$[0-9]+/g);
-    if (!command || command.length === 0) {
-      throw new Error('Accept bid command is not valid');
+  // the first assignees can only be registered when the ticket is open for pickup
+  const canAssign = !_.isEmpty(registered) || force || _.includes(issue.labels, config.OPEN_FOR_PICKUP_ISSUE_LABEL);
+  const added = [];
+  for (const assignee of _.reject(assignees, (item) => _.includes(registered, item.username))) { // eslint-disable-line
+    logger.debugWithContext(`Looking up TC handle of git user: ${assignee.id}`, event, issue);
+    const userMapping = await userService.getTCUserName(event.provider, assignee.id);
+    if (!(userMapping && userMapping.topcoderUsername)) {
+      await rollbackAssignee(event, assignee.id, issue);
+    } else if (!canAssign) {
+      const comment = `This ticket isn't quite ready to be worked on yet. Please wait until it has the ${config.OPEN_FOR_PICKUP_ISSUE_LABEL} label`;
+      await rollbackAssignee(event, assignee.id, issue, false, comment);
+    } else {
+      logger.debugWithContext(`Assigning user to challenge: ${userMapping.topcoderUsername}`, event, issue);
+      await topcoderApiHelper.assignUserAsRegistrant(userMapping.topcoderUsername, dbIssue.challengeUUID);
+      added.push({username: assignee.username, topcoderUsername: userMapping.topcoderUsername});
     }
-    // parse the accepted user
-    // any word after @ till first space
-    parsedComment.assignedUser = command[0].match(/@([^\s]+)/g)[0].replace('@', '');
-    // parse accepted bid amount
-    const numberPart = command[0].match(/\$[0-9]+/g)[0].replace('$', '');
-    logger.debug(`parsed dollar amount out as ${numberPart}`);
-    parsedComment.acceptedBidAmount = parseInt(numberPart, 10);
-  }
-  return parsedComment;
+  }
+
+  const current = _.concat(_.intersection(registered, usernames), _.map(added, 'username'));
+  if (_.isEqual(current, registered)) {
+    logger.debugWithContext('The registered assignees are not changed', event, issue);
+    return;
+  }
+  // the prize split is given for a set of assignees, it is evenly split again when they change
+  await dbHelper.update(models.Issue, dbIssue.id, {
+    assignee: _.head(current) || null,
+    assignees: _.isEmpty(current) ? null : current,
+    assignedAt: _.isEmpty(current) ? null : dbIssue.assignedAt || new Date(),
+    prizeSplit: null,
+    updatedAt: new Date()
+  });
+  if (_.isEmpty(current) || _.isEmpty(registered)) {
+    const updateLabels = _(issue.labels) // eslint-disable-line lodash/chaining
+      .filter((i) => i !== config.OPEN_FOR_PICKUP_ISSUE_LABEL && i !== config.ASSIGNED_ISSUE_LABEL)
+      .push(_.isEmpty(current) ? config.OPEN_FOR_PICKUP_ISSUE_LABEL : config.ASSIGNED_ISSUE_LABEL)
+      .value();
+    await gitHelper.addLabels(event, issue.number, updateLabels);
+  }
+  if (!_.isEmpty(added)) {
+    const comment = `Challenge ${contestUrl} has been assigned to ${_.map(added, 'topcoderUsername').join(', ')}.`;
+    await gitHelper.createComment(event, issue.number, comment);
+  }
 }
 
 /**
@@ -204,7 +312,12 @@ async function handleIssueAssignment(event, issue, force = false) {
         logger.debugWithContext('Ignoring this issue processing. The issue has challenge_payment_successful.', event, issue);
         return;
       }
-      // Handle multiple assignees. TC-X allows only one assignee.
+      const project = await getProjectDetail(event);
+      if (project.allowMultipleAssignees) {
+        await reconcileAssignees(event, issue, dbIssue, force);
+        return;
+      }
+      // Handle multiple assignees. TC-X allows only one assignee unless the project allows multiple assignees.
       if (event.data.issue.assignees && event.data.issue.assignees.length > 1) {
         const comment = 'Topcoder-X only supports a single assignee on a ticket to avoid issues with payment';
         await gitHelper.createComment(event, issue.number, comment);
@@ -217,9 +330,9 @@ async function handleIssueAssignment(event, issue, force = false) {
         return;
       }
       const hasAssignedLabel = _.includes(issue.labels, config.ASSIGNED_ISSUE_LABEL);
-      // Gitlab doesn't send separate unassignment hook if we unassigne and assigne users in the same step
+      // Gitlab, Azure and Bitbucket don't send separate unassignment hook if we unassigne and assigne users in the same step
       // in result new assignee was not handled previously
-      if (dbIssue.assignee && event.provider === 'gitlab' && dbIssue.assignee !== assigneeUserId && hasAssignedLabel) {
+      if (dbIssue.assignee && event.provider !== 'github' && dbIssue.assignee !== assigneeUserId && hasAssignedLabel) {
         await handleIssueUnAssignment(event, issue);
         return;
       }
@@ -276,7 +389,7 @@ async function handleIssueAssignment(event, issue, force = false) {
 
       await gitHelper.addLabels(event, issue.number, updateLabels);
     } catch (err) {
-      eventService.handleEventGracefully(event, issue, err);
+      await eventService.handleEventGracefully(event, issue, err);
       return;
     }
     const contestUrl = getUrlForChallengeId(dbIssue);
@@ -290,27 +403,83 @@ async function handleIssueAssignment(event, issue, force = false) {
 }
 
 /**
- * handles the issue comment event
+ * handles the prize split command, the percentages are saved and applied when the ticket is paid
  * @param {Object} event the event
  * @param {Object} issue the issue
+ * @param {Object} args the command arguments, the percentage of each assignee, e.g. `@user1 60% @user2 40%`
+ * @param {Object} context the command context, with the project of the issue
  * @private
  */
-async function handleIssueComment(event, issue) {
-  const parsedComment = parseComment(event.data.comment);
-  if (parsedComment.isBid) {
-    logger.debugWithContext(`New bid is received with amount ${parsedComment.bidAmount}.`, event, issue);
+async function handlePrizeSplit(event, issue, args, context) {
+  if (!context.project.allowMultipleAssignees) {
+    await gitHelper.createComment(event, issue.number, 'The prize can only be split when the project allows multiple assignees');
+    return;
   }
-  if (parsedComment.isAcceptBid) {
-    logger.debugWithContext(`Bid by ${parsedComment.assignedUser} is accepted with amount ${parsedComment.bidAmount} `, event, issue);
-    const newTitle = `[$${parsedComment.acceptedBidAmount}] ${issue.title}`;
-    logger.debugWithContext(`updating issue: ${event.data.repository.name}/${issue.number}`, event, issue);
+  const prizeSplit = _.map(args.shares.match(/@[^\s]+[ \t]+[0-9]+%?/g), (share) => ({
+    assignee: share.match(/@([^\s]+)/)[1],
+    percentage: parseInt(share.match(/([0-9]+)%?$/)[1], 10)
+  }));
+  const dbIssue = await dbHelper.queryOneIssue(models.Issue, issue.repositoryId, issue.number, issue.provider);
+  if (!dbIssue || !issue.prizes) {
+    await gitHelper.createComment(event, issue.number, 'This ticket has no Topcoder challenge, there is no prize to split.');
+    return;
+  }
+  if (dbIssue.status === constants.ISSUE_STATUS.CHALLENGE_PAYMENT_SUCCESSFUL) {
+    logger.debugWithContext('Ignoring the prize split. The issue is already paid.', event, issue);
+    return;
+  }
+  const assignees = dbIssue.assignees || _.compact([dbIssue.assignee]);
+  // the split is saved with the usernames of the registered assignees
+  const split = _.map(assignees, (assignee) => ({
+    assignee,
+    percentage: _.get(_.find(prizeSplit, (share) => share.assignee.toLowerCase() === assignee.toLowerCase()), 'percentage')
+  }));
+  if (assignees.length < 2 || prizeSplit.length !== assignees.length || !_.every(split, 'percentage') || // eslint-disable-line no-magic-numbers
+    _.sumBy(split, 'percentage') !== PERCENT) {
+    let comment = 'The prize split is not valid. Please give the percentage of every assignee, adding up to 100%, e.g. ';
+    comment += `\`/split ${_.map(assignees, (assignee) => `@${assignee} ${Math.floor(PERCENT / assignees.length)}%`).join(' ')}\``;
+    await gitHelper.createComment(event, issue.number, comment);
+    return;
+  }
+  await dbHelper.update(models.Issue, dbIssue.id, {
+    prizeSplit: split,
+    updatedAt: new Date()
+  });
+  const prizes = splitPrize(issue.prizes[0], assignees, split);
+  const shares = _.map(split, (share, index) => `@${share.assignee} ${prizeParser.formatAmount(prizes[index], issue.currency)} (${share.percentage}%)`);
+  await gitHelper.createComment(event, issue.number, `The prize of challenge ${getUrlForChallengeId(dbIssue)} will be split: ${shares.join(', ')}.`);
+}
 
-    await gitHelper.updateIssue(event, issue.number, newTitle);
+/**
+ * handles the issue comment event
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @private
+ */
+async function handleIssueComment(event, issue) {
+  await commentCommandService.handleComment(event, issue);
+}
 
-    // assign user
-    logger.debugWithContext(`assigning user, ${parsedComment.assignedUser} to issue: ${event.data.repository.name}/${issue.number}`, event, issue);
-    await gitHelper.assignUser(event, issue.number, parsedComment.assignedUser);
+/**
+ * gets the challenge fields changed by an issue update, the other issue changes (labels, assignees) don't modify the challenge
+ * @param {Object} dbIssue the db issue
+ * @param {Object} issue the issue
+ * @returns {Object} the challenge update body, empty when the challenge is unchanged
+ * @private
+ */
+function getChallengeChanges(dbIssue, issue) {
+  const changes = {};
+  if (dbIssue.title !== issue.title) {
+    changes.name = issue.title;
+  }
+  if ((dbIssue.body || '') !== (issue.body || '')) {
+    changes.description = challengeDescription.render(issue.body, issue.repoUrl, issue.provider);
+  }
+  if (!_.isEqual(_.sortBy(dbIssue.prizes), _.sortBy(issue.prizes)) ||
+    !_.isEqual(_.pick(dbIssue, PRIZE_FIELDS), _.pick(issue, PRIZE_FIELDS))) {
+    changes.prizeSets = prizeParser.toPrizeSets(issue);
   }
+  return changes;
 }
 
 /**
@@ -338,29 +507,28 @@ async function handleIssueUpdate(event, issue) {
       logger.debugWithContext('Ignoring this issue processing. The issue has challenge_payment_successful.', event, issue);
       return;
     }
-    if (dbIssue.title === issue.title &&
-      dbIssue.body === issue.body &&
-      dbIssue.prizes.length === issue.prizes.length &&
-      dbIssue.prizes[0] === issue.prizes[0]) {
+    const changes = getChallengeChanges(dbIssue, issue);
+    if (_.isEmpty(changes)) {
       // Title, body, prizes doesn't change, just ignore
       logger.debugWithContext(`nothing changed for issue ${issue.number}`, event, issue);
       return;
     }
 
-    // Update the challenge
-    await topcoderApiHelper.updateChallenge(dbIssue.challengeUUID, {
-      name: issue.title,
-      description: issue.body,
-      prizeSets: [{
-        type: 'placement',
-        prizes: _.map(issue.prizes, (prize) => ({type: 'USD', value: prize}))
-      }]
-    });
+    // Update the challenge, a completed challenge is never modified
+    const challenge = await topcoderApiHelper.getChallengeById(dbIssue.challengeUUID);
+    if (challenge.status === constants.CHALLENGE_STATUS.COMPLETED) {
+      logger.debugWithContext(`challenge ${dbIssue.challengeUUID} is completed, it is not updated`, event, issue);
+    } else {
+      await topcoderApiHelper.updateChallenge(dbIssue.challengeUUID, changes);
+    }
     // Save
     await dbHelper.update(models.Issue, dbIssue.id, {
       title: issue.title,
       body: issue.body,
       prizes: issue.prizes,
+      currency: issue.currency,
+      copilotFee: issue.copilotFee,
+      reviewerPrize: issue.reviewerPrize,
       labels: issue.labels,
       assignee: issue.assignee,
       updatedAt: new Date()
@@ -374,6 +542,51 @@ async function handleIssueUpdate(event, issue) {
 }
 
 
+/**
+ * gets the topcoder handles and the prizes of the registered assignees of a ticket with multiple assignees
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @param {Object} dbIssue the db issue
+ * @returns {Promise<Array<{topcoderUsername: String, prize: Number}>>} the payees
+ * @private
+ */
+async function getPayees(event, issue, dbIssue) {
+  const prizes = splitPrize(issue.prizes[0], dbIssue.assignees, dbIssue.prizeSplit);
+  const payees = [];
+  for (let i = 0; i < dbIssue.assignees.length; i++) { // eslint-disable-line no-restricted-syntax
+    const assigneeUserId = await gitHelper.getUserIdByLogin(event, dbIssue.assignees[i]);
+    logger.debugWithContext(`Looking up TC handle of git user: ${assigneeUserId}`, event, issue);
+    const userMapping = assigneeUserId ? await userService.getTCUserName(event.provider, assigneeUserId) : null;
+    if (!(userMapping && userMapping.topcoderUsername)) {
+      throw new Error(`The assignee ${dbIssue.assignees[i]} isn't mapped to a Topcoder handle`);
+    }
+    payees.push({topcoderUsername: userMapping.topcoderUsername, prize: prizes[i]});
+  }
+  return payees;
+}
+
+/**
+ * registers the payees which are not registered as submitters yet
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @param {Object} dbIssue the db issue
+ * @param {Array} payees the payees
+ * @private
+ */
+async function registerPayees(event, issue, dbIssue, payees) {
+  const resources = await topcoderApiHelper.getResourcesFromChallenge(dbIssue.challengeUUID);
+  const submitters = _.map(_.filter(resources, {roleId: config.ROLE_ID_SUBMITTER}), (resource) => _.toLower(resource.memberHandle));
+  for (const payee of payees) { // eslint-disable-line
+    if (_.includes(submitters, _.toLower(payee.topcoderUsername))) {
+      logger.debugWithContext(`Assignee ${payee.topcoderUsername} is already set, so skipping`, event, issue);
+    } else {
+      logger.debugWithContext(`Adding assignee ${payee.topcoderUsername} because it was not set`, event, issue);
+      await idempotency.runOnce(event, `challenge.assignRegistrant.${payee.topcoderUsername}`,
+        () => topcoderApiHelper.assignUserAsRegistrant(payee.topcoderUsername, dbIssue.challengeUUID));
+    }
+  }
+}
+
 /**
  * handles the issue closed event
  * @param {Object} event the event
@@ -414,20 +627,18 @@ async function handleIssueClose(event, issue) { // eslint-disable-line
         logger.debugWithContext(`This issue ${issue.number} is closed without fix accepted label.`, event, issue);
         let comment = 'This ticket was not processed for payment. If you would like to process it for payment,';
         comment += ' please reopen it, add the ```' + config.FIX_ACCEPTED_ISSUE_LABEL + '``` label, and then close it again';// eslint-disable-line
-        await gitHelper.createComment(event, issue.number, comment);
+        await idempotency.runOnce(event, 'comment.notProcessedForPayment', () => gitHelper.createComment(event, issue.number, comment));
         return;
       }
 
       // if issue is close with cancelled label
       if (_.includes(event.data.issue.labels, config.CANCELED_ISSUE_LABEL)) {
         const comment = `Challenge ${dbIssue.challengeUUID} has been cancelled`;
-        await topcoderApiHelper.cancelPrivateContent(dbIssue.challengeUUID);
-        await gitHelper.createComment(event, issue.number, comment);
+        await idempotency.runOnce(event, 'challenge.cancel', () => topcoderApiHelper.cancelPrivateContent(dbIssue.challengeUUID));
+        await idempotency.runOnce(event, 'comment.cancelled', () => gitHelper.createComment(event, issue.number, comment));
         // update the issue status to payment pending to prevent double processing.
-        await dbHelper.update(models.Issue, dbIssue.id, {
-          status: constants.ISSUE_STATUS.CHALLENGE_CANCELLED,
-          updatedAt: new Date()
-        });
+        await issueStateMachine.transition(dbIssue, constants.ISSUE_STATUS.CHALLENGE_CANCELLED, {event,
+          reason: `The issue was closed with the ${config.CANCELED_ISSUE_LABEL} label`});
         closeChallenge = true;
       }
 
@@ -438,10 +649,7 @@ async function handleIssueClose(event, issue) { // eslint-disable-line
       if (closeChallenge) {
         logger.debugWithContext(`The associated challenge ${dbIssue.challengeUUID} is being scheduled for cancellation since no payment will be given`,
           event, issue);
-        await dbHelper.update(models.Issue, dbIssue.id, {
-          status: constants.ISSUE_STATUS.CHALLENGE_CANCELLED,
-          updatedAt: new Date()
-        });
+        await issueStateMachine.transition(dbIssue, constants.ISSUE_STATUS.CHALLENGE_CANCELLED, {event, reason: 'No payment will be given'});
         return;
       }
 
@@ -464,66 +672,74 @@ async function handleIssueClose(event, issue) { // eslint-disable-line
         return;
       }
 
-      // update the issue status to payment pending to prevent double processing.
-      await dbHelper.update(models.Issue, dbIssue.id, {
-        status: constants.ISSUE_STATUS.CHALLENGE_PAYMENT_PENDING,
-        updatedAt: new Date()
-      });
+      // get project detail from db
+      const project = await getProjectDetail(event);
 
-      logger.debugWithContext(`Looking up TC handle of git user: ${event.data.assignee.id}`, event, issue);
-      const assigneeMember = await userService.getTCUserName(event.provider, event.data.assignee.id);
-      event.assigneeMember = assigneeMember;
+      let payees;
+      if (project.allowMultipleAssignees && _.size(dbIssue.assignees) > 1) {
+        payees = await getPayees(event, issue, dbIssue);
+      } else {
+        logger.debugWithContext(`Looking up TC handle of git user: ${event.data.assignee.id}`, event, issue);
+        const assigneeMember = await userService.getTCUserName(event.provider, event.data.assignee.id);
 
-      // no mapping is found for current assignee remove assign, re-open issue and make comment
-      // to assignee to login with Topcoder X
-      if (!(assigneeMember && assigneeMember.topcoderUsername)) {
-        await rollbackAssignee(event, event.data.assignee.id, issue, true);
+        // no mapping is found for current assignee remove assign, re-open issue and make comment
+        // to assignee to login with Topcoder X, the issue is paid when it is closed again
+        if (!(assigneeMember && assigneeMember.topcoderUsername)) {
+          await rollbackAssignee(event, event.data.assignee.id, issue, true);
+          return;
+        }
+        payees = [{topcoderUsername: assigneeMember.topcoderUsername, prize: issue.prizes[0]}];
       }
 
-      // get project detail from db
-      const project = await getProjectDetail(event);
+      // update the issue status to payment pending to prevent double processing.
+      await issueStateMachine.transition(dbIssue, constants.ISSUE_STATUS.CHALLENGE_PAYMENT_PENDING, {event});
+      event.assigneeMember = _.head(payees);
+      event.payees = payees;
+      // every assignee of a ticket with multiple assignees is a winner, placed by the assignment order
+      const placementPrizes = payees.length > 1 ? _.map(payees, 'prize') : issue.prizes;
 
       // adding assignees as well if it is missed/failed during update
       // prize needs to be again set after adding billing account otherwise it won't let activate
       const updateBody = {
-        prizeSets: [{
-          type: 'placement',
-          prizes: _.map(issue.prizes, (prize) => ({type: 'USD', value: prize}))
-        }]
+        prizeSets: prizeParser.toPrizeSets(issue, placementPrizes)
       };
-      await topcoderApiHelper.updateChallenge(dbIssue.challengeUUID, updateBody);
-
-      const createCopilotPayments = project.createCopilotPayments === 'true' &&
-            event.copilot.topcoderUsername.toLowerCase() !== assigneeMember.topcoderUsername.toLowerCase();
+      await idempotency.runOnce(event, 'challenge.updatePrizes', () => topcoderApiHelper.updateChallenge(dbIssue.challengeUUID, updateBody));
+
+      // an explicit copilot fee of the ticket pays the copilot even if the project doesn't create copilot payments,
+      // and overrides the copilot fee policy of the project
+      let copilotFee = 0;
+      if ((project.createCopilotPayments === 'true' || _.isNumber(issue.copilotFee)) &&
+        !_.some(payees, (payee) => event.copilot.topcoderUsername.toLowerCase() === payee.topcoderUsername.toLowerCase())) {
+        copilotFee = _.isNumber(issue.copilotFee) ? issue.copilotFee : copilotFeePolicy.calculate(project.copilotFeePolicy, _.sumBy(payees, 'prize'));
+      }
+      const createCopilotPayments = copilotFee > 0;
       event.createCopilotPayments = createCopilotPayments;
+      event.copilotFee = copilotFee;
 
       if (createCopilotPayments) {
-        logger.debugWithContext('Setting copilot payment');
+        logger.debugWithContext(`Setting copilot payment of ${copilotFee}`, event, issue);
 
         const _updateBody = {
-          prizeSets: [{
-            type: 'placement',
-            prizes: _.map(issue.prizes, (prize) => ({type: 'USD', value: prize}))
-          },
-          {
-            type: 'copilot',
-            prizes: [{type: 'USD', value: 40}]
-          }
-          ]
+          prizeSets: prizeParser.toPrizeSets(issue, placementPrizes, copilotFee)
         };
-        await topcoderApiHelper.updateChallenge(dbIssue.challengeUUID, _updateBody);
+        await idempotency.runOnce(event, 'challenge.updateCopilotPrizes', () => topcoderApiHelper.updateChallenge(dbIssue.challengeUUID, _updateBody));
       } else {
         logger.debugWithContext('Create copilot payments is unchecked on the Topcoder-X project setup, so skipping', event, issue);
       }
 
-      logger.debugWithContext(`Getting the topcoder member ID for member name: ${assigneeMember.topcoderUsername}`, event, issue);
-      const winnerId = await topcoderApiHelper.getTopcoderMemberId(assigneeMember.topcoderUsername);
-      const assigneeAlreadySet = await topcoderApiHelper.roleAlreadySet(dbIssue.challengeUUID, config.ROLE_ID_SUBMITTER);
+      const winners = [];
+      for (const payee of payees) { // eslint-disable-line
+        logger.debugWithContext(`Getting the topcoder member ID for member name: ${payee.topcoderUsername}`, event, issue);
+        winners.push({userId: await topcoderApiHelper.getTopcoderMemberId(payee.topcoderUsername), handle: payee.topcoderUsername});
+      }
 
-      if (!assigneeAlreadySet) {
+      if (payees.length > 1) {
+        await registerPayees(event, issue, dbIssue, payees);
+      } else if (!await topcoderApiHelper.roleAlreadySet(dbIssue.challengeUUID, config.ROLE_ID_SUBMITTER)) {
         // adding reg
         logger.debugWithContext('Adding assignee because one was not set', event, issue);
-        await topcoderApiHelper.assignUserAsRegistrant(assigneeMember.topcoderUsername, dbIssue.challengeUUID);
+        await idempotency.runOnce(event, 'challenge.assignRegistrant',
+          () => topcoderApiHelper.assignUserAsRegistrant(event.assigneeMember.topcoderUsername, dbIssue.challengeUUID));
       } else {
         logger.debugWithContext('Assignee is already set, so skipping', event, issue);
       }
@@ -531,24 +747,21 @@ async function handleIssueClose(event, issue) { // eslint-disable-line
       // activate challenge
 
       if (challenge.status === 'Draft') {
-        await topcoderApiHelper.activateChallenge(dbIssue.challengeUUID);
+        await idempotency.runOnce(event, 'challenge.activate', () => topcoderApiHelper.activateChallenge(dbIssue.challengeUUID));
         // HACK - sleep 30 seconds so the legacy processor has time to "catch up"
         // logger.debugWithContext('Sleeping for 1 seconds after activation so everything propagates...', event, issue);
         // await new Promise(resolve => setTimeout(resolve, 1000));
       }
 
-      logger.debugWithContext(`Closing challenge with winner ${assigneeMember.topcoderUsername}(${winnerId})`, event, issue);
-      await topcoderApiHelper.closeChallenge(dbIssue.challengeUUID, winnerId, assigneeMember.topcoderUsername);
+      logger.debugWithContext(`Closing challenge with winners ${_.map(winners, (winner) => `${winner.handle}(${winner.userId})`).join(', ')}`, event, issue);
+      await idempotency.runOnce(event, 'challenge.close', () => topcoderApiHelper.closeChallenge(dbIssue.challengeUUID, winners));
       event.paymentSuccessful = true;
     }
   } catch (e) {
     event.paymentSuccessful = event.paymentSuccessful === true; // if once paid shouldn't be false
     // update the issue status to payment failed
-    if (!event.paymentSuccessful && dbIssue && dbIssue.id) {
-      await dbHelper.update(models.Issue, dbIssue.id, {
-        status: constants.ISSUE_STATUS.CHALLENGE_PAYMENT_FAILED,
-        updatedAt: new Date()
-      });
+    if (!event.paymentSuccessful && dbIssue && dbIssue.status === constants.ISSUE_STATUS.CHALLENGE_PAYMENT_PENDING) {
+      await issueStateMachine.transition(dbIssue, constants.ISSUE_STATUS.CHALLENGE_PAYMENT_FAILED, {event, reason: e.message});
     }
     await eventService.handleEventGracefully(event, issue, e);
     return;
@@ -561,13 +774,13 @@ async function handleIssueClose(event, issue) { // eslint-disable-line
         .filter((i) => i !== config.OPEN_FOR_PICKUP_ISSUE_LABEL && i !== config.ASSIGNED_ISSUE_LABEL)
         .push(config.ASSIGNED_ISSUE_LABEL)
         .value();
-      dbIssue = await dbHelper.update(models.Issue, dbIssue.id, {
-        labels,
-        status: constants.ISSUE_STATUS.CHALLENGE_PAYMENT_SUCCESSFUL,
-        updatedAt: new Date()
-      });
-      await gitHelper.markIssueAsPaid(event, issue.number, dbIssue.challengeUUID, labels, event.assigneeMember.topcoderUsername,
-        event.createCopilotPayments);
+      dbIssue = await issueStateMachine.transition(dbIssue, constants.ISSUE_STATUS.CHALLENGE_PAYMENT_SUCCESSFUL, {event}, {labels});
+      // the prize of each payee is listed when the prize is split
+      const winner = _.size(event.payees) > 1
+        ? _.map(event.payees, (payee) => `${payee.topcoderUsername} (${prizeParser.formatAmount(payee.prize, issue.currency)})`).join(', ')
+        : event.assigneeMember.topcoderUsername;
+      await idempotency.runOnce(event, 'issue.markAsPaid', () => gitHelper.markIssueAsPaid(event, issue.number, dbIssue.challengeUUID, labels,
+        winner, event.createCopilotPayments ? prizeParser.formatAmount(event.copilotFee, issue.currency) : null));
     } catch (e) {
       await eventService.handleEventGracefully(event, issue, e);
       return;
@@ -575,14 +788,36 @@ async function handleIssueClose(event, issue) { // eslint-disable-line
   }
 }
 
+/**
+ * acquires the creation lock of the issue, it is shared by all the processor replicas to prevent duplicate creation process.
+ * The event is rescheduled when another event holds the lock.
+ * @param {Object} event the event
+ * @param {Object} issue the issue
+ * @returns {Promise<Object>} the lock `{key, id}`, null if the event is rescheduled
+ * @private
+ */
+async function acquireCreationLock(event, issue) {
+  const lock = {
+    key: `issue-${issue.provider}-${issue.repositoryId}-${issue.number}`,
+    id: uuid().replace(/-/g, '')
+  };
+  if (!await dbHelper.acquireLock(lock.key, lock.id, _.toInteger(config.CREATION_LOCK_TTL))) {
+    await eventService.handleEventGracefully(event, issue,
+      errors.internalDependencyError(`Issue ${lock.key} is creating, rescheduling this event`));
+    return null;
+  }
+  return lock;
+}
+
 /**
  * handles the issue create event
  * @param {Object} event the event
  * @param {Object} issue the issue
  * @param {Boolean} forceAssign force the creation process to assign user
+ * @param {Object} heldLock the creation lock already held by the caller, it is released by the caller
  * @private
  */
-async function handleIssueCreate(event, issue, forceAssign = false) {
+async function handleIssueCreate(event, issue, forceAssign = false, heldLock = null) {
   // check if project for such repository is already created
   const project = await getProjectDetail(event);
 
@@ -604,27 +839,27 @@ async function handleIssueCreate(event, issue, forceAssign = false) {
     return;
   }
 
-  const creationLockKey = `${issue.provider}-${issue.repositoryId}-${issue.number}`;
-  if (issueCreationLock[creationLockKey]) {
-    throw new Error(
-      `Issue ${creationLockKey} is creating.`);
+  const creationLock = heldLock || await acquireCreationLock(event, issue);
+  if (!creationLock) {
+    return;
   }
-  issueCreationLock[creationLockKey] = true;
+  const releaseCreationLock = async () => {
+    if (!heldLock) {
+      await dbHelper.releaseLock(creationLock.key, creationLock.id);
+    }
+  };
 
   try {
     // create issue with challenge creation pending
     const issueObject = _.assign({}, _.omit(issue, 'assignee'), {
-      id: helper.generateIdentifier(),
-      status: constants.ISSUE_STATUS.CHALLENGE_CREATION_PENDING
+      id: helper.generateIdentifier()
     });
 
     if (!dbIssue) {
-      dbIssue = await dbHelper.create(models.Issue, issueObject);
-    } else if (dbIssue && dbIssue.status !== 'challenge_cancelled') {
-      await dbHelper.update(models.Issue, dbIssue.id, {
-        status: constants.ISSUE_STATUS.CHALLENGE_CREATION_PENDING,
-        updatedAt: new Date()
-      });
+      dbIssue = await issueStateMachine.createIssue(issueObject, {event});
+    } else {
+      // the challenge of the issue was cancelled, a new one is created
+      await issueStateMachine.transition(dbIssue, constants.ISSUE_STATUS.CHALLENGE_CREATION_PENDING, {event});
     }
 
     const projectId = project.tcDirectId;
@@ -632,41 +867,44 @@ async function handleIssueCreate(event, issue, forceAssign = false) {
     logger.debugWithContext(`existing project was found with id ${projectId} for repository ${event.data.repository.full_name}`, event, issue);
 
     // Create a new challenge
-    issue.challengeUUID = await topcoderApiHelper.createChallenge({
+    issue.challengeUUID = await idempotency.runOnce(event, 'challenge.create', () => topcoderApiHelper.createChallenge({
       name: issue.title,
       projectId,
-      detailedRequirements: issue.body,
-      prizes: issue.prizes
-    });
+      detailedRequirements: challengeDescription.render(issue.body, issue.repoUrl, issue.provider),
+      prizeSets: prizeParser.toPrizeSets(issue)
+    }));
 
     // Apply skills to the challenge
-    await topcoderApiHelper.applySkillsSetToChallenge(issue.challengeUUID, project.tags);
+    await idempotency.runOnce(event, 'challenge.applySkills', () => topcoderApiHelper.applySkillsSetToChallenge(issue.challengeUUID,
+      labelSkills.getChallengeSkills(project, issue.labels)));
 
     // Save
     // update db payment
-    await dbHelper.update(models.Issue, dbIssue.id, {
-      challengeUUID: issue.challengeUUID,
-      status: constants.ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL,
-      updatedAt: new Date()
+    await issueStateMachine.transition(dbIssue, constants.ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL, {event}, {
+      challengeUUID: issue.challengeUUID
     });
 
     logger.debugWithContext(`Adding copilot to issue: ${event.copilot.topcoderUsername}`, event, issue);
     // get copilot tc user id
-    await topcoderApiHelper.addResourceToChallenge(issue.challengeUUID, event.copilot.topcoderUsername, config.ROLE_ID_COPILOT);
-    await topcoderApiHelper.addResourceToChallenge(issue.challengeUUID, event.copilot.topcoderUsername, config.ROLE_ID_ITERATIVE_REVIEWER);
+    await idempotency.runOnce(event, 'challenge.addCopilot',
+      () => topcoderApiHelper.addResourceToChallenge(issue.challengeUUID, event.copilot.topcoderUsername, config.ROLE_ID_COPILOT));
+    await idempotency.runOnce(event, 'challenge.addIterativeReviewer',
+      () => topcoderApiHelper.addResourceToChallenge(issue.challengeUUID, event.copilot.topcoderUsername, config.ROLE_ID_ITERATIVE_REVIEWER));
   } catch (e) {
     logger.error(`Challenge creation failure: ${e}`);
-    delete issueCreationLock[creationLockKey];
-    await dbHelper.removeIssue(models.Issue, issue.repositoryId, issue.number, issue.provider);
+    await releaseCreationLock();
+    if (dbIssue) {
+      await issueStateMachine.removeIssue(dbIssue, {event, reason: `Challenge creation failure: ${e.message}`});
+    }
     await eventService.handleEventGracefully(event, issue, e);
     return;
   }
   try {
     const contestUrl = getUrlForChallengeId(issue);
     const comment = `Challenge ${contestUrl} has been created for this ticket.`;
-    await gitHelper.createComment(event, issue.number, comment);
+    await idempotency.runOnce(event, 'comment.challengeCreated', () => gitHelper.createComment(event, issue.number, comment));
 
-    if (event.provider === 'gitlab' || forceAssign) {
+    if (event.provider !== 'github' || forceAssign) {
       // if assignee is added during issue create then assign as well
       if (event.data.issue.assignees && event.data.issue.assignees.length > 0 && event.data.issue.assignees[0].id) {
         event.data.assignee = {
@@ -675,10 +913,10 @@ async function handleIssueCreate(event, issue, forceAssign = false) {
         await handleIssueAssignment(event, issue, true);
       }
     }
-    delete issueCreationLock[creationLockKey];
+    await releaseCreationLock();
   } catch (err) {
     logger.error(`Comment creation failure: ${err}`, err);
-    delete issueCreationLock[creationLockKey];
+    await releaseCreationLock();
     logger.debugWithContext(`new challenge created with id ${issue.challengeUUID} for issue ${issue.number}`, event, issue);
   }
 }
@@ -708,10 +946,20 @@ async function handleIssueLabelUpdated(event, issue) {
     logger.debugWithContext('Ignoring this issue processing. The issue has challenge_payment_successful.', event, issue);
     return;
   }
-  await dbHelper.update(models.Issue, dbIssue.id, {
-    labels: issue.labels,
-    updatedAt: new Date()
-  });
+  try {
+    // the skills of the added labels are added to the challenge, the skills of the removed labels are removed
+    const project = await getProjectDetail(event);
+    const skills = labelSkills.getChallengeSkills(project, issue.labels);
+    if (!labelSkills.isSameSkills(skills, labelSkills.getChallengeSkills(project, dbIssue.labels))) {
+      await idempotency.runOnce(event, 'challenge.applySkills', () => topcoderApiHelper.applySkillsSetToChallenge(dbIssue.challengeUUID, skills));
+    }
+    await dbHelper.update(models.Issue, dbIssue.id, {
+      labels: issue.labels,
+      updatedAt: new Date()
+    });
+  } catch (e) {
+    await eventService.handleEventGracefully(event, issue, e);
+  }
 }
 
 /**
@@ -735,6 +983,11 @@ async function handleIssueUnAssignment(event, issue) {
       logger.debugWithContext('Ignoring this issue processing. The issue has challenge_payment_successful.', event, issue);
       return;
     }
+    const project = await getProjectDetail(event);
+    if (project.allowMultipleAssignees) {
+      await reconcileAssignees(event, issue, dbIssue);
+      return;
+    }
     if (dbIssue.assignee) {
       const assigneeUserId = await gitHelper.getUserIdByLogin(event, dbIssue.assignee);
       if (!assigneeUserId) {
@@ -813,47 +1066,54 @@ async function handleIssueUnAssignment(event, issue) {
  * @private
  */
 async function handleIssueRecreate(event, issue) {
-  const dbIssue = await dbHelper.queryOneIssue(models.Issue, issue.repositoryId, issue.number, issue.provider);
+  // the events of the issue are rescheduled until its new challenge is created
+  const creationLock = await acquireCreationLock(event, issue);
+  if (!creationLock) {
+    return;
+  }
+  try {
+    const dbIssue = await dbHelper.queryOneIssue(models.Issue, issue.repositoryId, issue.number, issue.provider);
 
-  // remove open for pickup and add assigned
-  const updateLabels = _(issue.labels) // eslint-disable-line lodash/chaining
-    .filter((i) => !i.startsWith(config.ISSUE_LABEL_PREFIX))
-    .value();
+    // remove open for pickup and add assigned
+    const updateLabels = _(issue.labels) // eslint-disable-line lodash/chaining
+      .filter((i) => !i.startsWith(config.ISSUE_LABEL_PREFIX))
+      .value();
 
-  await gitHelper.addLabels(event, issue.number, updateLabels);
+    await gitHelper.addLabels(event, issue.number, updateLabels);
 
-  // Unassign the user.
-  if (event.data.issue.assignees && event.data.issue.assignees.length > 0 && event.data.issue.assignees[0].id) {
-    event.data.assignee = {
-      id: event.data.issue.assignees[0].id
-    };
-    const assigneeUserId = event.data.assignee.id;
-    const assigneeUsername = await gitHelper.getUsernameById(event, assigneeUserId);
-    await gitHelper.removeAssign(event, issue.number, assigneeUserId, assigneeUsername);
-  }
+    // Unassign the user.
+    if (event.data.issue.assignees && event.data.issue.assignees.length > 0 && event.data.issue.assignees[0].id) {
+      event.data.assignee = {
+        id: event.data.issue.assignees[0].id
+      };
+      const assigneeUserId = event.data.assignee.id;
+      const assigneeUsername = await gitHelper.getUsernameById(event, assigneeUserId);
+      await gitHelper.removeAssign(event, issue.number, assigneeUserId, assigneeUsername);
+    }
 
-  try {
-    await dbIssue.delete();
-  } catch (err) {
-    // Just log the error, keep the process go on.
-    logger.error(`Error cleaning the old DB and its challenge.\n ${err}`);
-  }
+    try {
+      await issueStateMachine.removeIssue(dbIssue, {event, reason: 'The issue was recreated'});
+    } catch (err) {
+      // Just log the error, keep the process go on.
+      logger.error(`Error cleaning the old DB and its challenge.\n ${err}`);
+    }
 
-  const issueLabels = _(updateLabels).push(config.OPEN_FOR_PICKUP_ISSUE_LABEL).value(); // eslint-disable-line lodash/chaining
-  logger.debugWithContext(`Adding label ${config.OPEN_FOR_PICKUP_ISSUE_LABEL}`, event, issue);
-  await gitHelper.addLabels(event, issue.number, issueLabels);
+    const issueLabels = _(updateLabels).push(config.OPEN_FOR_PICKUP_ISSUE_LABEL).value(); // eslint-disable-line lodash/chaining
+    logger.debugWithContext(`Adding label ${config.OPEN_FOR_PICKUP_ISSUE_LABEL}`, event, issue);
+    await gitHelper.addLabels(event, issue.number, issueLabels);
 
-  const creationLockKey = `${issue.provider}-${issue.repositoryId}-${issue.number}`;
-  delete issueCreationLock[creationLockKey];
-  await handleIssueCreate(event, issue, false);
+    await handleIssueCreate(event, issue, false, creationLock);
 
-  if (event.data.issue.assignees && event.data.issue.assignees.length > 0 && event.data.issue.assignees[0].id) {
-    event.data.assignee = {
-      id: event.data.issue.assignees[0].id
-    };
-    const assigneeUserId = event.data.assignee.id;
-    const assigneeUsername = await gitHelper.getUsernameById(event, assigneeUserId);
-    await gitHelper.assignUser(event, issue.number, assigneeUsername);
+    if (event.data.issue.assignees && event.data.issue.assignees.length > 0 && event.data.issue.assignees[0].id) {
+      event.data.assignee = {
+        id: event.data.issue.assignees[0].id
+      };
+      const assigneeUserId = event.data.assignee.id;
+      const assigneeUsername = await gitHelper.getUsernameById(event, assigneeUserId);
+      await gitHelper.assignUser(event, issue.number, assigneeUsername);
+    }
+  } finally {
+    await dbHelper.releaseLock(creationLock.key, creationLock.id);
   }
 }
 
@@ -861,8 +1121,10 @@ async function handleIssueRecreate(event, issue) {
  * Process issue event.
  * @param {Object} event the event
  */
-async function process(event) {
+async function process(event) { // eslint-disable-line complexity
   Joi.attempt(event, process.schema);
+  // identifies the event in the side effects ledger, the retries and the replays keep it
+  event.id = event.id || helper.generateIdentifier();
 
   const issue = {
     number: event.data.issue.number,
@@ -881,10 +1143,20 @@ async function process(event) {
   issue.projectId = project.id;
   issue.repoUrl = fullRepoUrl;
 
-  // Parse prize from title
-  const hasPrizes = parsePrizes(issue);
-  // If the issue does not have prizes set, skip all processing
-  if (!hasPrizes) {
+  // the comment commands run on every ticket, each command checks whether it needs the challenge of the ticket
+  const isComment = event.event === 'comment.created' || event.event === 'comment.updated';
+  // Parse prize from title or body
+  let hasPrizes = false;
+  try {
+    hasPrizes = parsePrizes(issue);
+  } catch (err) {
+    if (err.errorAt !== 'prize') {
+      throw err;
+    }
+    await handlePrizeParseError(event, issue, err);
+  }
+  // If the issue does not have valid prizes set, skip all processing
+  if (!hasPrizes && !isComment) {
     return;
   }
 
@@ -915,7 +1187,7 @@ async function process(event) {
     await handleIssueUpdate(event, issue);
   } else if (event.event === 'issue.closed') {
     await handleIssueClose(event, issue);
-  } else if (event.event === 'comment.created' || event.event === 'comment.updated') {
+  } else if (isComment) {
     await handleIssueComment(event, issue);
   } else if (event.event === 'issue.assigned') {
     await handleIssueAssignment(event, issue);
@@ -925,13 +1197,25 @@ async function process(event) {
     await handleIssueUnAssignment(event, issue);
   } else if (event.event === 'issue.recreated') {
     await handleIssueRecreate(event, issue);
+  } else if (event.event === 'issue.bidDeadline') {
+    await bidService.handleBidDeadline(event, issue);
   }
+  await eventService.clearIssueError(event, issue);
 }
 
+commentCommands.register({
+  name: 'split',
+  usage: '/split @<member> <percentage>% @<member> <percentage>%',
+  description: 'splits the prize between the assignees of the ticket, evenly if not set',
+  role: constants.COMMAND_ROLES.COPILOT,
+  syntax: /^(?<shares>(?:@\S+[ \t]+[0-9]+%?\s*)+)$/,
+  handler: handlePrizeSplit
+});
+
 process.schema = Joi.object().keys({
   event: Joi.string().valid('issue.created', 'issue.updated', 'issue.closed', 'comment.created', 'comment.updated', 'issue.assigned',
-    'issue.labelUpdated', 'issue.unassigned', 'issue.recreated').required(),
-  provider: Joi.string().valid('github', 'gitlab').required(),
+    'issue.labelUpdated', 'issue.unassigned', 'issue.recreated', 'issue.bidDeadline').required(),
+  provider: Joi.string().valid('github', 'gitlab', 'azure', 'bitbucket', 'gitea').required(),
   data: Joi.object().keys({
     issue: Joi.object().keys({
       number: Joi.number().required(),
@@ -961,14 +1245,22 @@ process.schema = Joi.object().keys({
     assignee: Joi.object().keys({
       id: Joi.alternatives().try(Joi.string(), Joi.number()).required().allow(null)
     }),
-    labels: Joi.array().items(Joi.string())
+    labels: Joi.array().items(Joi.string()),
+    bidDeadline: Joi.date().iso()
   }).required(),
   retryCount: Joi.number().integer().default(0).optional(),
+  id: Joi.string().optional(),
+  retryId: Joi.string().optional(),
   paymentSuccessful: Joi.boolean().default(false).optional(),
   createCopilotPayments: Joi.boolean().default(false).optional(),
+  copilotFee: Joi.number().optional(),
   challengeValid: Joi.boolean().default(false).optional(),
   dbIssue: Joi.object().optional(),
-  assigneeMember: Joi.object().optional()
+  assigneeMember: Joi.object().optional(),
+  payees: Joi.array().items(Joi.object().keys({
+    topcoderUsername: Joi.string().required(),
+    prize: Joi.number().required()
+  })).optional()
 });
 
 
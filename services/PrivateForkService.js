@@ -1,6 +1,7 @@
 'use strict';
 /* eslint-disable no-magic-numbers */
 
+const _ = require('lodash');
 const Joi = require('joi');
 const uuid = require('uuid').v4;
 const models = require('../models');
@@ -8,11 +9,101 @@ const dbHelper = require('../utils/db-helper');
 const logger = require('../utils/logger');
 const errors = require('../utils/errors');
 const GitlabService = require('../services/GitlabService');
-const {GITLAB_ACCESS_LEVELS, USER_ROLES, USER_TYPES} = require('../constants');
+const GiteaService = require('../services/GiteaService');
+const {GITLAB_ACCESS_LEVELS, GITEA_PERMISSIONS, USER_ROLES, USER_TYPES} = require('../constants');
 
 const Project = models.Project;
 const User = models.User;
-const GitlabUserMapping = models.GitlabUserMapping;
+
+// the git hosts supporting the private forks, by user type
+const FORK_HOSTS = {
+  [USER_TYPES.GITLAB]: {
+    name: 'Gitlab',
+    service: GitlabService,
+    userMapping: models.GitlabUserMapping,
+    usernameField: 'gitlabUsername',
+    accessLevel: GITLAB_ACCESS_LEVELS.DEVELOPER,
+    handleError: errors.handleGitLabError
+  },
+  [USER_TYPES.GITEA]: {
+    name: 'Gitea',
+    service: GiteaService,
+    userMapping: models.GiteaUserMapping,
+    usernameField: 'giteaUsername',
+    accessLevel: GITEA_PERMISSIONS.WRITE,
+    handleError: errors.handleGiteaError
+  }
+};
+
+/**
+ * Gets the type of the git host of a repository
+ * @param {String} repoUrl the repository url
+ * @returns {String} the user type of the git host, undefined if it doesn't support the private forks
+ */
+function getForkHostType(repoUrl) {
+  return _.findKey(FORK_HOSTS, (host) => _.startsWith(repoUrl, host.service.getRepoUrl('')));
+}
+
+/**
+ * Adds the member to the repositories of a git host and forks them in the member's namespace.
+ * @param {String} type the user type of the git host
+ * @param {Array} repositories the repositories of the git host
+ * @param {String} copilotHandle the copilot handle
+ * @param {String} memberHandle the member handle
+ * @param {String} logPrefix the log prefix
+ */
+async function forkRepositories(type, repositories, copilotHandle, memberHandle, logPrefix) {
+  const host = FORK_HOSTS[type];
+  // Get Co-pilot user mapping
+  const copilotUserMapping = await dbHelper.queryOneUserMappingByTCUsername(host.userMapping, copilotHandle);
+  if (!copilotUserMapping) {
+    logger.info(`${logPrefix} ${host.name}UserMapping not found for copilot: ${copilotHandle}`);
+    return;
+  }
+  logger.debug(`${logPrefix} ${host.name}UserMapping[Copilot]: ${JSON.stringify(copilotUserMapping)}`);
+  // Get Co-pilot git user
+  const copilotUser = await dbHelper.queryOneUserByTypeAndRole(User, copilotUserMapping[host.usernameField], type, USER_ROLES.OWNER);
+  if (!copilotUser) {
+    logger.info(`${logPrefix} User[Type=${type}, Role=${USER_ROLES.OWNER}] not found for copilot: ${copilotHandle}`);
+    return;
+  }
+  logger.debug(`${logPrefix} ${host.name}User[Copilot]: ${JSON.stringify(copilotUser)}`);
+  // Initialize Copilot git service
+  const copilotService = await host.service.create(copilotUser);
+  // Get Member user mapping
+  const memberUserMapping = await dbHelper.queryOneUserMappingByTCUsername(host.userMapping, memberHandle);
+  if (!memberUserMapping) {
+    logger.info(`${logPrefix} ${host.name}UserMapping not found for memberHandle: ${memberHandle}`);
+    return;
+  }
+  logger.debug(`${logPrefix} ${host.name}UserMapping[Member]: ${JSON.stringify(memberUserMapping)}`);
+  // Get Member git user
+  const memberUser = await dbHelper.queryOneUserByTypeAndRole(User, memberUserMapping[host.usernameField], type, USER_ROLES.GUEST);
+  if (!memberUser) {
+    logger.info(`${logPrefix} ${host.name}User not found for memberHandle: ${memberHandle}`);
+    return;
+  }
+  logger.debug(`${logPrefix} ${host.name}User[Member]: ${JSON.stringify(memberUser)}`);
+  // Initialize Member git service
+  const memberService = await host.service.create(memberUser);
+  await Promise.all(repositories.map(async (repo) => {
+    try {
+      const repository = await memberService.getRepository(repo.url);
+      if (!repository) {
+        logger.info(`${logPrefix} Repository not found for repo: ${repo}`);
+        return;
+      }
+      // Add user to the repo
+      await copilotService.addUserToRepository(repository, memberUser, host.accessLevel);
+      logger.debug(`${logPrefix} User (${memberUser.username}) added to repository (${repo.url})`);
+      // Fork the repository
+      await memberService.forkRepository(repository);
+      logger.debug(`${logPrefix} Repository (${repo.url}) forked for user: ${memberUser.username}`);
+    } catch (err) {
+      throw host.handleError(err, `Error occurred while forking repository to user's namespace in ${host.name}`);
+    }
+  }));
+}
 
 /**
  * Handles a user registration event.
@@ -49,54 +140,14 @@ async function process(payload) {
     return;
   }
   logger.debug(`${logPrefix} Repository: ${JSON.stringify(repositories)}`);
-  // Get Co-pilot GitlabUserMapping
-  const copilotGitlabUserMapping = await dbHelper.queryOneUserMappingByTCUsername(GitlabUserMapping, project.copilot);
-  if (!copilotGitlabUserMapping) {
-    logger.info(`${logPrefix} GitlabUserMapping not found for copilot: ${project.copilot}`);
-    return;
-  }
-  logger.debug(`${logPrefix} GitlabUserMapping[Copilot]: ${JSON.stringify(copilotGitlabUserMapping)}`);
-  // Get Gitlab User
-  const copilotGitlabUser = await dbHelper.queryOneUserByTypeAndRole(User, copilotGitlabUserMapping.gitlabUsername, USER_TYPES.GITLAB, USER_ROLES.OWNER);
-  if (!copilotGitlabUser) {
-    logger.info(`${logPrefix} User[Type=${USER_TYPES.GITLAB}, Role=${USER_ROLES.OWNER}] not found for copilot: ${project.copilot}`);
-    return;
-  }
-  logger.debug(`${logPrefix} GitlabUser[Copilot]: ${JSON.stringify(copilotGitlabUser)}`);
-  // Initialize Copilot Gitlab Service
-  const copilotGitlabService = await GitlabService.create(copilotGitlabUser);
-  // Get Member GitlabUserMapping
-  const memberGitlabUserMapping = await dbHelper.queryOneUserMappingByTCUsername(GitlabUserMapping, memberHandle);
-  if (!memberGitlabUserMapping) {
-    logger.info(`${logPrefix} GitlabUserMapping not found for memberHandle: ${memberHandle}`);
-    return;
-  }
-  logger.debug(`${logPrefix} GitlabUserMapping[Member]: ${JSON.stringify(memberGitlabUserMapping)}`);
-  // Get Gitlab User
-  const memberGitlabUser = await dbHelper.queryOneUserByTypeAndRole(User, memberGitlabUserMapping.gitlabUsername, USER_TYPES.GITLAB, USER_ROLES.GUEST);
-  if (!memberGitlabUser) {
-    logger.info(`${logPrefix} GitlabUser not found for memberHandle: ${memberHandle}`);
-    return;
-  }
-  logger.debug(`${logPrefix} GitlabUser[Member]: ${JSON.stringify(memberGitlabUser)}`);
-  // Initialize Member Gitlab Service
-  const memberGitlabService = await GitlabService.create(memberGitlabUser);
-  await Promise.all(repositories.map(async (repo) => {
-    try {
-      const repository = await memberGitlabService.getRepository(repo.url);
-      if (!repository) {
-        logger.info(`${logPrefix} Repository not found for repo: ${repo}`);
-        return;
-      }
-      // Add user as a guest to the repo
-      await copilotGitlabService.addUserToRepository(repository, memberGitlabUser, GITLAB_ACCESS_LEVELS.DEVELOPER);
-      logger.debug(`${logPrefix} User (${memberGitlabUser.username}) added to repository (${repo.url})`);
-      // Fork the repository
-      await memberGitlabService.forkRepository(repository);
-      logger.debug(`${logPrefix} Repository (${repo.url}) forked for user: ${memberGitlabUser.username}`);
-    } catch (err) {
-      throw errors.handleGitLabError(err, 'Error occurred while forking repository to user\'s namespace in GitLab');
+  // Fork the repositories of each git host supporting the private forks
+  const repositoriesByHost = _.groupBy(repositories, (repo) => getForkHostType(repo.url));
+  await Promise.all(_.map(repositoriesByHost, async (hostRepositories, type) => {
+    if (!_.has(FORK_HOSTS, type)) {
+      logger.info(`${logPrefix} Private forks are not supported for repositories: ${_.map(hostRepositories, 'url').join(', ')}`);
+      return;
     }
+    await forkRepositories(type, hostRepositories, project.copilot, memberHandle, logPrefix);
   }));
 }
 process.schema = Joi.object().keys({
@@ -8,9 +8,28 @@ const models = require('../models');
 const dbHelper = require('../utils/db-helper');
 const logger = require('../utils/logger');
 const GitlabService = require('../services/GitlabService');
+const GiteaService = require('../services/GiteaService');
 const TopcoderApiHelper = require('../utils/topcoder-api-helper');
 
-const GitlabUserMapping = models.GitlabUserMapping;
+// the git hosts whose merge requests are submitted, by provider
+const SUBMISSION_HOSTS = {
+  gitlab: {
+    name: 'Gitlab',
+    service: GitlabService,
+    userMapping: models.GitlabUserMapping,
+    usernameField: 'gitlabUsername',
+    userIdField: 'gitlabUserId',
+    queryUserMappingByUserId: dbHelper.queryOneUserMappingByGitlabUserId
+  },
+  gitea: {
+    name: 'Gitea',
+    service: GiteaService,
+    userMapping: models.GiteaUserMapping,
+    usernameField: 'giteaUsername',
+    userIdField: 'giteaUserId',
+    queryUserMappingByUserId: dbHelper.queryOneUserMappingByGiteaUserId
+  }
+};
 
 /**
  * Normalizes a string to be used as a file name.
@@ -24,7 +43,7 @@ function normalizeFileName(fileName) {
 /**
  * Handles a pull request creation event.
  * @param {Object} payload The event payload.
- * @param {String} payload.provider The provider (gitlab or github)
+ * @param {String} payload.provider The provider (gitlab or gitea)
  * @param {Object} payload.data The event payload.
  * @param {Object} payload.data.pull_request The pull request.
  * @param {Number} payload.data.pull_request.number The pull request number.
@@ -53,20 +72,21 @@ async function process(payload) {
   logger.debug(`${logPrefix}: Repo Id: ${repoId}`);
   logger.debug(`${logPrefix}: Repo Name: ${repoName}`);
   logger.debug(`${logPrefix}: Repo Full Name: ${repoFullName}`);
-  // 1. Find the TCX user using the GitLab user id (if not found, return)
-  const submitter = await dbHelper.queryOneUserMappingByGitlabUserId(GitlabUserMapping, userId);
+  const host = SUBMISSION_HOSTS[provider];
+  // 1. Find the TCX user using the git user id (if not found, return)
+  const submitter = await host.queryUserMappingByUserId(host.userMapping, userId);
   if (!submitter) {
-    logger.info(`${logPrefix} GitlabUserMapping not found for userId: ${userId}`);
+    logger.info(`${logPrefix} ${host.name}UserMapping not found for userId: ${userId}`);
     return;
   }
-  logger.debug(`${logPrefix} GitlabUserMapping[Submitter]: ${JSON.stringify(submitter)}`);
-  // 2. Get the full GitLab project link
-  const gitlabProjectLink = await GitlabService.getRepoUrl(repoFullName);
-  logger.debug(`${logPrefix} GitLab project link: ${gitlabProjectLink}`);
-  // 3. Find the TCX project using the GitLab project link (if not found, return)
-  const project = await dbHelper.queryOneProjectByRepositoryLink(gitlabProjectLink);
+  logger.debug(`${logPrefix} ${host.name}UserMapping[Submitter]: ${JSON.stringify(submitter)}`);
+  // 2. Get the full git project link
+  const projectLink = await host.service.getRepoUrl(repoFullName);
+  logger.debug(`${logPrefix} ${host.name} project link: ${projectLink}`);
+  // 3. Find the TCX project using the git project link (if not found, return)
+  const project = await dbHelper.queryOneProjectByRepositoryLink(projectLink);
   if (!project) {
-    logger.info(`${logPrefix} Project not found for gitlabProjectLink: ${gitlabProjectLink}`);
+    logger.info(`${logPrefix} Project not found for projectLink: ${projectLink}`);
     return;
   }
   logger.debug(`${logPrefix} Project: ${JSON.stringify(project)}`);
@@ -84,24 +104,24 @@ async function process(payload) {
     return;
   }
   logger.debug(`${logPrefix} Repositories: ${JSON.stringify(repositories)}`);
-  // 6. Get co-pilot's GitlabUserMapping
-  const copilot = await dbHelper.queryOneUserMappingByTCUsername(GitlabUserMapping, project.copilot);
+  // 6. Get co-pilot's user mapping
+  const copilot = await dbHelper.queryOneUserMappingByTCUsername(host.userMapping, project.copilot);
   if (!copilot) {
-    logger.info(`${logPrefix} GitlabUserMapping not found for copilot: ${project.copilot}`);
+    logger.info(`${logPrefix} ${host.name}UserMapping not found for copilot: ${project.copilot}`);
     return;
   }
-  logger.debug(`${logPrefix} GitlabUserMapping[Copilot]: ${JSON.stringify(copilot)}`);
-  // 7. Get co-pilot's Gitlab user
-  const copilotGitlabUser = await dbHelper.queryOneUserByType(models.User, copilot.gitlabUsername, 'gitlab');
-  if (!copilotGitlabUser) {
-    logger.info(`${logPrefix} GitlabUser not found for copilot: ${project.copilot}`);
+  logger.debug(`${logPrefix} ${host.name}UserMapping[Copilot]: ${JSON.stringify(copilot)}`);
+  // 7. Get co-pilot's git user
+  const copilotUser = await dbHelper.queryOneUserByType(models.User, copilot[host.usernameField], provider);
+  if (!copilotUser) {
+    logger.info(`${logPrefix} ${host.name}User not found for copilot: ${project.copilot}`);
     return;
   }
-  logger.debug(`${logPrefix} GitlabUser[Copilot]: ${JSON.stringify(copilotGitlabUser)}`);
-  // 8. Init the Gitlab service for co-pilot
-  const copilotGitlabService = await GitlabService.create(copilotGitlabUser);
+  logger.debug(`${logPrefix} ${host.name}User[Copilot]: ${JSON.stringify(copilotUser)}`);
+  // 8. Init the git service for co-pilot
+  const copilotService = await host.service.create(copilotUser);
   // 9. For each project, get the repositories
-  const gitRepositories = await Promise.all(repositories.map((repo) => copilotGitlabService.getRepository(repo.url)));
+  const gitRepositories = await Promise.all(repositories.map((repo) => copilotService.getRepository(repo.url)));
   if (!gitRepositories || gitRepositories.length === 0) {
     logger.info(`${logPrefix} Git repositories not found for repositories: ${JSON.stringify(repositories)}`);
     return;
@@ -109,7 +129,7 @@ async function process(payload) {
   logger.debug(`${logPrefix} Git repositories: ${JSON.stringify(gitRepositories)}`);
   // 10. For each repository, get the merge requests
   const mergeRequests = await Promise.all(
-    gitRepositories.map((repo) => copilotGitlabService.getOpenMergeRequestsByUser(repo, submitter.gitlabUserId))
+    gitRepositories.map((repo) => copilotService.getOpenMergeRequestsByUser(repo, submitter[host.userIdField]))
   );
   if (!mergeRequests || mergeRequests.length === 0) {
     logger.info(`${logPrefix} Merge requests not found for repositories: ${JSON.stringify(gitRepositories)}`);
@@ -121,7 +141,7 @@ async function process(payload) {
   for (let i = 0; i < mergeRequests.length; i += 1) {
     const mr = mergeRequests[i];
     if (!mr || mr.length === 0) {
-      logger.info(`${logPrefix} Merge request not found for repository: ${gitRepositories[i].web_url}`);
+      logger.info(`${logPrefix} Merge request not found for repository: ${gitRepositories[i].web_url || gitRepositories[i].html_url}`);
       return;
     }
   }
@@ -130,7 +150,7 @@ async function process(payload) {
   logger.debug(`${logPrefix} Latest merge requests: ${JSON.stringify(latestMergeRequests)}`);
   // 13. Create patch files for each merge request
   const patches = await Promise.all(
-    latestMergeRequests.map((mr) => copilotGitlabService.getMergeRequestDiffPatches(mr))
+    latestMergeRequests.map((mr) => copilotService.getMergeRequestDiffPatches(mr))
   );
   if (!patches || patches.length !== latestMergeRequests.length) {
     logger.info(`${logPrefix} Patches not found for merge requests.`);
@@ -177,7 +197,7 @@ async function process(payload) {
 
 process.schema = Joi.object().keys({
   event: Joi.string().valid('pull_request.created').required(),
-  provider: Joi.string().valid('gitlab').required(),
+  provider: Joi.string().valid(_.keys(SUBMISSION_HOSTS)).required(),
   data: Joi.object().keys({
     pullRequest: Joi.object().keys({
       number: Joi.number().required(),
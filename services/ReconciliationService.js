@@ -0,0 +1,293 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This service detects the drift between the git tickets, their Issue records and their Topcoder challenges,
+ * e.g. after a missed webhook. The safe corrections replay the missed events of the tickets through the Topcoder-X topic,
+ * or rename the challenges, the other drifts are only reported.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const config = require('config');
+const _ = require('lodash');
+const uuid = require('uuid').v4;
+const logger = require('../utils/logger');
+const models = require('../models');
+const dbHelper = require('../utils/db-helper');
+const kafkaSender = require('../utils/kafka-sender');
+const prizeParser = require('../utils/prize-parser');
+const providers = require('../utils/providers');
+const topcoderApiHelper = require('../utils/topcoder-api-helper');
+const constants = require('../constants');
+const userService = require('./UserService');
+
+const ISSUE_STATUS = constants.ISSUE_STATUS;
+const CHALLENGE_STATUS = constants.CHALLENGE_STATUS;
+
+// the lock shared by the processor replicas, a single replica reconciles the repositories at a time
+const RECONCILE_LOCK = 'reconciliation';
+
+// the drift types
+const DRIFT = {
+  MISSING_RECORD: 'missing_record',
+  ORPHAN_RECORD: 'orphan_record',
+  CONTENT: 'content',
+  LABELS: 'labels',
+  ASSIGNEE: 'assignee',
+  STATE: 'state',
+  CHALLENGE_UNAVAILABLE: 'challenge_unavailable',
+  CHALLENGE_NAME: 'challenge_name',
+  CHALLENGE_STATUS: 'challenge_status'
+};
+
+// the events replayed to fix the drifts of the records
+const FIX_EVENTS = {
+  [DRIFT.MISSING_RECORD]: 'issue.created',
+  [DRIFT.CONTENT]: 'issue.updated',
+  [DRIFT.LABELS]: 'issue.labelUpdated'
+};
+
+// the record statuses of the closed tickets
+const CLOSED_STATUSES = [ISSUE_STATUS.CHALLENGE_PAYMENT_PENDING, ISSUE_STATUS.CHALLENGE_PAYMENT_SUCCESSFUL,
+  ISSUE_STATUS.CHALLENGE_PAYMENT_FAILED, ISSUE_STATUS.CHALLENGE_CANCELLED];
+
+// the challenge statuses expected by record status, the other records are not compared with the status of their challenge
+const CHALLENGE_STATUSES = {
+  [ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL]: [CHALLENGE_STATUS.ACTIVE],
+  [ISSUE_STATUS.CHALLENGE_PAYMENT_PENDING]: [CHALLENGE_STATUS.ACTIVE, CHALLENGE_STATUS.COMPLETED],
+  [ISSUE_STATUS.CHALLENGE_PAYMENT_FAILED]: [CHALLENGE_STATUS.ACTIVE],
+  [ISSUE_STATUS.CHALLENGE_PAYMENT_SUCCESSFUL]: [CHALLENGE_STATUS.COMPLETED],
+  [ISSUE_STATUS.CHALLENGE_CANCELLED]: [CHALLENGE_STATUS.CANCELED]
+};
+
+/**
+ * @typedef {Object} Drift
+ * @property {Number} number the ticket number
+ * @property {String} type the drift type, one of DRIFT
+ * @property {String} message what differs
+ * @property {Boolean} fixable whether `--fix` corrects the drift
+ * @property {Boolean} fixed whether the drift was corrected
+ */
+
+/**
+ * creates a drift
+ * @param {Number} number the ticket number
+ * @param {String} type the drift type
+ * @param {String} message what differs
+ * @returns {Drift} the drift
+ * @private
+ */
+function createDrift(number, type, message) {
+  return {number, type, message, fixable: _.has(FIX_EVENTS, type) || type === DRIFT.CHALLENGE_NAME, fixed: false};
+}
+
+/**
+ * parses the prizes of a git ticket
+ * @param {Object} gitIssue the git ticket
+ * @returns {Object} the parsed title, body and prizes, null if the ticket has no valid prizes
+ * @private
+ */
+function parsePrize(gitIssue) {
+  try {
+    return prizeParser.parse(gitIssue.title, gitIssue.body);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * compares a git ticket with its record
+ * @param {Object} gitIssue the git ticket
+ * @param {Object} dbIssue the record, null if the ticket has none
+ * @param {Object} project the project
+ * @returns {Drift[]} the drifts
+ * @private
+ */
+function compareIssue(gitIssue, dbIssue, project) { // eslint-disable-line complexity
+  const number = gitIssue.number;
+  const prize = parsePrize(gitIssue);
+  if (!dbIssue) {
+    return prize ? [createDrift(number, DRIFT.MISSING_RECORD, 'the ticket has no record')] : [];
+  }
+  const drifts = [];
+  if (prize && (prize.title !== dbIssue.title || (prize.body || '') !== (dbIssue.body || '') ||
+    !_.isEqual(_.sortBy(prize.prizes), _.sortBy(dbIssue.prizes)))) {
+    drifts.push(createDrift(number, DRIFT.CONTENT, 'the title, the description or the prizes of the record are outdated'));
+  }
+  if (!_.isEqual(_.sortBy(gitIssue.labels), _.sortBy(dbIssue.labels))) {
+    drifts.push(createDrift(number, DRIFT.LABELS, `the ticket labels are [${_.join(gitIssue.labels, ', ')}], ` +
+      `the record labels are [${_.join(dbIssue.labels, ', ')}]`));
+  }
+  const gitAssignees = _.sortBy(_.map(gitIssue.assignees, 'username'));
+  const dbAssignees = project.allowMultipleAssignees ? _.sortBy(dbIssue.assignees) : _.compact([dbIssue.assignee]);
+  if (!_.isEqual(project.allowMultipleAssignees ? gitAssignees : _.take(gitAssignees, 1), dbAssignees)) {
+    drifts.push(createDrift(number, DRIFT.ASSIGNEE, `the ticket is assigned to [${_.join(gitAssignees, ', ')}], ` +
+      `the record to [${_.join(dbAssignees, ', ')}]`));
+  }
+  const closedRecord = _.includes(CLOSED_STATUSES, dbIssue.status);
+  if ((gitIssue.state === 'closed' && !closedRecord) || (gitIssue.state === 'open' && dbIssue.status === ISSUE_STATUS.CHALLENGE_PAYMENT_SUCCESSFUL)) {
+    drifts.push(createDrift(number, DRIFT.STATE, `the ticket is ${gitIssue.state}, the record is ${dbIssue.status}`));
+  }
+  return drifts;
+}
+
+/**
+ * compares a record with its challenge
+ * @param {Object} dbIssue the record
+ * @returns {Promise<Drift[]>} the drifts
+ * @private
+ */
+async function compareChallenge(dbIssue) {
+  let challenge;
+  try {
+    challenge = await topcoderApiHelper.getChallengeById(dbIssue.challengeUUID);
+  } catch (err) {
+    return [createDrift(dbIssue.number, DRIFT.CHALLENGE_UNAVAILABLE, `the challenge ${dbIssue.challengeUUID} can't be read: ${err.message}`)];
+  }
+  const drifts = [];
+  if (challenge.name !== dbIssue.title && challenge.status !== CHALLENGE_STATUS.COMPLETED) {
+    drifts.push(createDrift(dbIssue.number, DRIFT.CHALLENGE_NAME, `the challenge is named "${challenge.name}", the record "${dbIssue.title}"`));
+  }
+  const expected = CHALLENGE_STATUSES[dbIssue.status];
+  if (expected && !_.some(expected, (status) => _.startsWith(challenge.status, status))) {
+    drifts.push(createDrift(dbIssue.number, DRIFT.CHALLENGE_STATUS, `the challenge is ${challenge.status}, the record is ${dbIssue.status}`));
+  }
+  return drifts;
+}
+
+/**
+ * fixes a drift
+ * @param {Drift} drift the drift
+ * @param {Object} context the provider, the repository, the git ticket and its record
+ * @private
+ */
+async function fixDrift(drift, context) {
+  if (drift.type === DRIFT.CHALLENGE_NAME) {
+    // the record title is outdated too when the content drifted, the challenge takes the title of the ticket
+    const prize = parsePrize(context.gitIssue);
+    await topcoderApiHelper.updateChallenge(context.dbIssue.challengeUUID, {name: prize ? prize.title : context.dbIssue.title});
+  } else {
+    await kafkaSender.send(JSON.stringify({
+      event: FIX_EVENTS[drift.type],
+      provider: context.provider,
+      data: {issue: providers.toEventIssue(context.gitIssue), repository: context.repository}
+    }));
+  }
+  drift.fixed = true;
+}
+
+/**
+ * reconciles a repository
+ * @param {Object} project the project
+ * @param {Object} repo the repository record
+ * @param {Object} options the options, `fix` to fix the drifts
+ * @returns {Promise<Object>} the report of the repository
+ * @private
+ */
+async function reconcileRepository(project, repo, options) {
+  const result = {url: repo.url, issues: 0, drifts: []};
+  const parsed = providers.parseRepoUrl(repo.url);
+  const adapter = parsed ? providers.getAdapter(parsed.provider) : null;
+  if (!adapter || !adapter.getRepository || !adapter.listIssues) {
+    result.skipped = 'the issues of the git host can\'t be listed';
+    return result;
+  }
+  result.provider = parsed.provider;
+  const copilot = await userService.getRepositoryCopilotOrOwner(parsed.provider, parsed.fullName);
+  const repository = await adapter.getRepository(copilot, parsed.fullName);
+  const allIssues = await adapter.listIssues(copilot, repository);
+  const dbIssues = _.keyBy(await dbHelper.queryIssuesByRepoUrl(repo.url), 'number');
+  const gitIssues = _.filter(allIssues, (gitIssue) => _.has(dbIssues, gitIssue.number) ||
+    _.some(gitIssue.labels, (label) => _.startsWith(label, config.ISSUE_LABEL_PREFIX)));
+  result.issues = gitIssues.length;
+
+  for (const gitIssue of gitIssues) { // eslint-disable-line no-restricted-syntax
+    const dbIssue = dbIssues[gitIssue.number] || null;
+    const drifts = compareIssue(gitIssue, dbIssue, project);
+    if (dbIssue && dbIssue.challengeUUID) {
+      drifts.push(...await compareChallenge(dbIssue));
+    }
+    if (options.fix) {
+      const context = {provider: parsed.provider, repository, gitIssue, dbIssue};
+      for (const drift of _.filter(drifts, 'fixable')) { // eslint-disable-line no-restricted-syntax
+        await fixDrift(drift, context);
+      }
+    }
+    result.drifts.push(...drifts);
+  }
+  const orphans = _.omit(dbIssues, _.map(allIssues, 'number'));
+  result.drifts.push(..._.map(orphans, (dbIssue) => createDrift(dbIssue.number, DRIFT.ORPHAN_RECORD, 'the record has no ticket')));
+  return result;
+}
+
+/**
+ * reconciles the repositories of the active projects
+ * @param {Object} options the options
+ * @param {Boolean} options.fix fix the drifts
+ * @param {String} options.repo reconcile only the repository with the url
+ * @returns {Promise<Object>} the drift report
+ */
+async function reconcile(options = {}) {
+  const report = {generatedAt: new Date().toISOString(), fix: Boolean(options.fix), repositories: []};
+  const projects = await dbHelper.scan(models.Project, {archived: 'false'});
+  for (const project of projects) { // eslint-disable-line no-restricted-syntax
+    const repositories = _.filter(await dbHelper.queryAllRepositoriesByProjectId(project.id),
+      (repo) => repo.archived === 'false' && (!options.repo || repo.url === options.repo));
+    for (const repo of repositories) { // eslint-disable-line no-restricted-syntax
+      try {
+        report.repositories.push(await reconcileRepository(project, repo, options));
+      } catch (err) {
+        logger.error(`Failed to reconcile the repository ${repo.url}. ${err.message}`);
+        report.repositories.push({url: repo.url, issues: 0, drifts: [], skipped: err.message});
+      }
+    }
+  }
+  return report;
+}
+
+/**
+ * formats the drift report for the humans
+ * @param {Object} report the drift report
+ * @returns {String} the text report
+ */
+function formatReport(report) {
+  const lines = [`Drift report of ${report.generatedAt}${report.fix ? ', the fixable drifts are fixed' : ''}`];
+  _.forEach(report.repositories, (repo) => {
+    if (repo.skipped) {
+      lines.push(`${repo.url}: skipped, ${repo.skipped}`);
+      return;
+    }
+    lines.push(`${repo.url} (${repo.provider}): ${repo.issues} tickets, ${repo.drifts.length} drifts`);
+    _.forEach(_.sortBy(repo.drifts, 'number'), (drift) => {
+      const state = drift.fixed ? ' [fixed]' : (drift.fixable && ' [fixable]') || '';
+      lines.push(`  #${drift.number} ${drift.type}: ${drift.message}${state}`);
+    });
+  });
+  return lines.join('\n');
+}
+
+/**
+ * reconciles the repositories periodically, the drifts are fixed when RECONCILE_FIX is set
+ */
+async function runScheduled() {
+  const lockId = uuid().replace(/-/g, '');
+  if (!await dbHelper.acquireLock(RECONCILE_LOCK, lockId, _.toInteger(config.RECONCILE_INTERVAL))) {
+    return;
+  }
+  try {
+    const report = await reconcile({fix: config.RECONCILE_FIX === true || config.RECONCILE_FIX === 'true'});
+    logger.info(formatReport(report));
+  } finally {
+    await dbHelper.releaseLock(RECONCILE_LOCK, lockId);
+  }
+}
+
+module.exports = {
+  reconcile,
+  formatReport,
+  runScheduled
+};
+
+logger.buildService(module.exports);
@@ -9,13 +9,26 @@
  * @version 1.0
  */
 
-const config = require('config');
 const Joi = require('joi');
 const v = require('validator');
 const _ = require('lodash');
 const logger = require('../utils/logger');
 const dbHelper = require('../utils/db-helper');
 const models = require('../models');
+const providers = require('../utils/providers');
+
+/**
+ * checks whether the git user is given by id rather than by username
+ * @param {ProviderAdapter} adapter the adapter of the git provider
+ * @param {String|Number} gitUser the user id or username in git provider
+ * @returns {Boolean} true if it is an id
+ */
+function isUserId(adapter, gitUser) {
+  if (adapter.isUserId) {
+    return adapter.isUserId(gitUser);
+  }
+  return _.isNumber(gitUser) || v.isUUID(gitUser);
+}
 
 /**
  * gets the tc handle for given git user id from a mapping captured by Topcoder x tool
@@ -25,25 +38,16 @@ const models = require('../models');
  */
 async function getTCUserName(provider, gitUser) {
   Joi.attempt({provider, gitUser}, getTCUserName.schema);
-  if (_.isNumber(gitUser) || v.isUUID(gitUser)) {
-    if (provider === 'github') {
-      return await dbHelper.queryOneUserMappingByGithubUserId(models.GithubUserMapping, gitUser);
-    } else if (provider === 'gitlab') {
-      return await dbHelper.queryOneUserMappingByGitlabUserId(models.GitlabUserMapping, gitUser);
-    }
-  }
-  if (_.isString(gitUser) || v.isEmail(gitUser)) {
-    if (provider === 'github') {
-      return await dbHelper.queryOneUserMappingByGithubUsername(models.GithubUserMapping, gitUser);
-    } else if (provider === 'gitlab') {
-      return await dbHelper.queryOneUserMappingByGitlabUsername(models.GitlabUserMapping, gitUser);
-    }
+  if (!_.isNumber(gitUser) && !_.isString(gitUser)) {
+    throw new Error('Can\'t find the TCUserName. Invalid gitUser.');
   }
-  throw new Error('Can\'t find the TCUserName. Invalid gitUser.');
+  const adapter = providers.getAdapter(provider);
+  const {model, userId, username} = adapter.userMapping;
+  return await dbHelper.queryOneUserMapping(models[model], isUserId(adapter, gitUser) ? userId : username, gitUser);
 }
 
 getTCUserName.schema = {
-  provider: Joi.string().valid('github', 'gitlab').required(),
+  provider: Joi.string().valid('github', 'gitlab', 'azure', 'bitbucket', 'gitea').required(),
   gitUser: Joi.any().required()
 };
 
@@ -56,12 +60,8 @@ getTCUserName.schema = {
  */
 async function getRepositoryCopilotOrOwner(provider, repoFullName) {
   Joi.attempt({provider, repoFullName}, getRepositoryCopilotOrOwner.schema);
-  let fullRepoUrl;
-  if (provider === 'github') {
-    fullRepoUrl = `https://github.com/${repoFullName}`;
-  } else if (provider === 'gitlab') {
-    fullRepoUrl = `${config.GITLAB_API_BASE_URL}/${repoFullName}`;
-  }
+  const adapter = providers.getAdapter(provider);
+  const fullRepoUrl = adapter.getRepoUrl(repoFullName);
   const project = await dbHelper.queryOneActiveProject(models.Project, fullRepoUrl);
 
   const hasCopilot = project.copilot !== undefined; // eslint-disable-line no-undefined
@@ -70,20 +70,17 @@ async function getRepositoryCopilotOrOwner(provider, repoFullName) {
     throw new Error(`This repository '${repoFullName}' is not managed by Topcoder X tool.`);
   }
 
-  const userMapping = await dbHelper.queryOneUserMappingByTCUsername(
-    provider === 'github' ? models.GithubUserMapping : models.GitlabUserMapping,
+  const mappingFields = adapter.userMapping;
+  const userMapping = await dbHelper.queryOneUserMappingByTCUsername(models[mappingFields.model],
     hasCopilot ? project.copilot.toLowerCase() : project.owner.toLowerCase());
 
   logger.debug('userMapping');
   logger.debug(userMapping);
 
-  if (!userMapping ||
-    (provider === 'github' && !userMapping.githubUserId) ||
-    (provider === 'gitlab' && !userMapping.gitlabUserId)) {
+  if (!userMapping || !userMapping[mappingFields.userId]) {
     throw new Error(`Couldn't find githost username for '${provider}' for this repository '${repoFullName}'.`);
   }
-  const user = await dbHelper.queryOneUserByType(models.User,
-    provider === 'github' ? userMapping.githubUsername : userMapping.gitlabUsername, provider); // eslint-disable-line no-nested-ternary
+  let user = await dbHelper.queryOneUserByType(models.User, userMapping[mappingFields.username], provider);
 
   if (!user && !hasCopilot) {
     // throw no copilot is configured
@@ -92,6 +89,9 @@ async function getRepositoryCopilotOrOwner(provider, repoFullName) {
     // is copilot not set, return null
     return null;
   }
+  if (adapter.refreshCopilot) {
+    user = await adapter.refreshCopilot(user);
+  }
 
   return {
     ...user,
@@ -100,7 +100,7 @@ async function getRepositoryCopilotOrOwner(provider, repoFullName) {
 }
 
 getRepositoryCopilotOrOwner.schema = {
-  provider: Joi.string().valid('github', 'gitlab').required(),
+  provider: Joi.string().valid('github', 'gitlab', 'azure', 'bitbucket', 'gitea').required(),
   repoFullName: Joi.string().required()
 };
 
@@ -0,0 +1,108 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the assignment deadlines sweep, the database is in memory and the git hosts and the Topcoder API are stubbed.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+/* eslint-disable no-magic-numbers */
+
+process.env.NODE_ENV = 'test';
+
+const _ = require('lodash');
+const {assert} = require('chai');
+const models = require('../models');
+const constants = require('../constants');
+const dbHelper = require('../utils/db-helper');
+const gitHelper = require('../utils/git-helper');
+const providers = require('../utils/providers');
+const topcoderApiHelper = require('../utils/topcoder-api-helper');
+const AssignmentSlaService = require('../services/AssignmentSlaService');
+const UserService = require('../services/UserService');
+const stubs = require('./stubs');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const PROJECT = {
+  id: 'project',
+  title: 'Project',
+  tcDirectId: 1,
+  copilot: 'copilot',
+  owner: 'owner',
+  archived: 'false',
+  assignmentTimeoutDays: 7
+};
+
+/**
+ * builds an issue assigned 10 days ago
+ * @param {String} provider the git provider
+ * @param {String} repoUrl the repository url
+ * @returns {Object} the issue
+ */
+function buildAssignedIssue(provider, repoUrl) {
+  return {
+    id: `${provider}-issue`,
+    number: 1,
+    title: 'Fix the login',
+    body: 'body',
+    prizes: [500],
+    provider,
+    repositoryId: 1,
+    repoUrl,
+    projectId: PROJECT.id,
+    status: constants.ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL,
+    challengeUUID: 'challenge',
+    assignee: 'member',
+    assignedAt: new Date(Date.now() - 10 * DAY),
+    labels: ['tcx_Assigned']
+  };
+}
+
+describe('Assignment deadlines sweep', () => {
+  let removeAssignCalls;
+  let linkedWorkAt;
+
+  beforeEach(async () => {
+    stubs.useMemoryStore();
+    linkedWorkAt = null;
+    stubs.stub(providers.getAdapter('github'), 'getLinkedWorkAt', () => Promise.resolve(linkedWorkAt));
+    stubs.stub(UserService, 'getRepositoryCopilotOrOwner', _.constant(Promise.resolve({username: 'copilot'})));
+    stubs.stub(UserService, 'getTCUserName', _.constant(Promise.resolve({topcoderUsername: 'member'})));
+    stubs.stub(gitHelper, 'getUserIdByLogin', _.constant(Promise.resolve(2)));
+    stubs.stub(gitHelper, 'addLabels');
+    stubs.stub(gitHelper, 'createComment');
+    stubs.stub(topcoderApiHelper, 'removeResourceToChallenge');
+    removeAssignCalls = stubs.stub(gitHelper, 'removeAssign');
+    await dbHelper.create(models.Project, PROJECT);
+  });
+
+  afterEach(() => {
+    stubs.restore();
+  });
+
+  it('unassigns the assignee without linked work', async () => {
+    const issue = await dbHelper.create(models.Issue, buildAssignedIssue('github', 'https://github.com/owner/repo'));
+    await AssignmentSlaService.sweep();
+    assert.lengthOf(removeAssignCalls, 1);
+    assert.notExists((await dbHelper.getById(models.Issue, issue.id)).assignee);
+  });
+
+  it('keeps the assignee with recent linked work', async () => {
+    linkedWorkAt = new Date(Date.now() - DAY);
+    const issue = await dbHelper.create(models.Issue, buildAssignedIssue('github', 'https://github.com/owner/repo'));
+    await AssignmentSlaService.sweep();
+    assert.lengthOf(removeAssignCalls, 0);
+    assert.equal((await dbHelper.getById(models.Issue, issue.id)).assignee, 'member');
+  });
+
+  it('skips the tickets of the git hosts whose linked work can\'t be found', async () => {
+    const issue = await dbHelper.create(models.Issue, buildAssignedIssue('azure', 'https://dev.azure.com/owner/repo'));
+    await AssignmentSlaService.sweep();
+    assert.lengthOf(removeAssignCalls, 0);
+    assert.equal((await dbHelper.getById(models.Issue, issue.id)).assignee, 'member');
+  });
+});
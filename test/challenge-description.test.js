@@ -0,0 +1,60 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the challenge descriptions rendered from the issue bodies, see utils/challenge-description.js.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+
+process.env.NODE_ENV = 'test';
+
+const {assert} = require('chai');
+const challengeDescription = require('../utils/challenge-description');
+
+const GITHUB_REPO = 'https://github.com/owner/repo';
+
+const GITLAB_REPO = 'https://gitlab.com/group/repo';
+
+describe('Challenge description', () => {
+  it('renders the markdown body', () => {
+    assert.equal(challengeDescription.render('**Fix** the login', GITHUB_REPO, 'github'), '<p><strong>Fix</strong> the login</p>\n');
+    assert.equal(challengeDescription.render(null, GITHUB_REPO, 'github'), '');
+  });
+
+  it('escapes the raw HTML of the body', () => {
+    const html = challengeDescription.render('<script>alert(1)</script>\n\n<img src="x" onerror="alert(1)">', GITHUB_REPO, 'github');
+    assert.notInclude(html, '<script>');
+    assert.notInclude(html, '<img');
+    assert.include(html, '&lt;script&gt;');
+  });
+
+  it('drops the script links', () => {
+    assert.notInclude(challengeDescription.render('[link](javascript:alert(1))', GITHUB_REPO, 'github'), 'href="javascript:');
+  });
+
+  it('resolves the relative links and images against the GitHub repository', () => {
+    assert.include(challengeDescription.render('[spec](docs/spec.md)', GITHUB_REPO, 'github'),
+      `href="${GITHUB_REPO}/docs/spec.md"`);
+    assert.include(challengeDescription.render('![screen](./images/screen.png)', GITHUB_REPO, 'github'),
+      `src="${GITHUB_REPO}/images/screen.png"`);
+    assert.include(challengeDescription.render('![avatar](/owner.png)', GITHUB_REPO, 'github'), 'src="https://github.com/owner.png"');
+  });
+
+  it('resolves the uploads against the GitLab repository', () => {
+    assert.include(challengeDescription.render('![screen](/uploads/secret/screen.png)', GITLAB_REPO, 'gitlab'),
+      `src="${GITLAB_REPO}/uploads/secret/screen.png"`);
+    assert.include(challengeDescription.render('[spec](docs/spec.md)', GITLAB_REPO, 'gitlab'), `href="${GITLAB_REPO}/docs/spec.md"`);
+    assert.include(challengeDescription.render('[help](/help)', GITLAB_REPO, 'gitlab'), 'href="https://gitlab.com/help"');
+  });
+
+  it('keeps the absolute links and the anchors', () => {
+    const html = challengeDescription.render('[site](https://www.topcoder.com) [top](#top) [cdn](//cdn.example.com/a.js)', GITHUB_REPO, 'github');
+    assert.include(html, 'href="https://www.topcoder.com"');
+    assert.include(html, 'href="#top"');
+    assert.include(html, 'href="//cdn.example.com/a.js"');
+  });
+});
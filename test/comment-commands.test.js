@@ -0,0 +1,219 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the issue comment commands, see utils/comment-commands.js and services/CommentCommandService.js.
+ * The database is in memory and the git host is stubbed.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+/* eslint-disable no-magic-numbers */
+
+process.env.NODE_ENV = 'test';
+
+const _ = require('lodash');
+const {assert} = require('chai');
+const models = require('../models');
+const constants = require('../constants');
+const dbHelper = require('../utils/db-helper');
+const errors = require('../utils/errors');
+const gitHelper = require('../utils/git-helper');
+const kafkaSender = require('../utils/kafka-sender');
+const commentCommands = require('../utils/comment-commands');
+const IssueService = require('../services/IssueService');
+const UserService = require('../services/UserService');
+const stubs = require('./stubs');
+
+const PROJECT = {id: 'project', title: 'Project', tcDirectId: 1, copilot: 'copilot', owner: 'owner', archived: 'false'};
+
+const REPOSITORY = {id: 'repository', projectId: PROJECT.id, url: 'https://github.com/owner/repo', archived: 'false'};
+
+// the git user ids of the members
+const COPILOT_ID = 1;
+const MEMBER_ID = 2;
+
+/**
+ * builds the comment event of a ticket
+ * @param {String} title the ticket title
+ * @param {String} body the comment body
+ * @param {Number} authorId the git user id of the comment author
+ * @returns {Object} the event
+ */
+function buildCommentEvent(title, body, authorId) {
+  return {
+    event: 'comment.created',
+    provider: 'github',
+    data: {
+      issue: {number: 1, title, body: '', labels: []},
+      repository: {id: 1, name: 'repo', full_name: 'owner/repo'},
+      comment: {id: 1, body, user: {id: authorId}}
+    }
+  };
+}
+
+describe('Comment commands', () => {
+  describe('registry', () => {
+    it('finds the registered commands of the comment lines', () => {
+      const parsed = commentCommands.parse('Some text\n/help\r\n  /PRIZE  $500 \n/unknown command');
+      assert.deepEqual(_.map(parsed, 'command.name'), ['help', 'prize']);
+      assert.deepEqual(_.map(parsed, 'text'), ['', '$500']);
+    });
+
+    it('ignores the comments without commands', () => {
+      assert.lengthOf(commentCommands.parse('a path like /usr/bin isn\'t a command'), 0);
+      assert.lengthOf(commentCommands.parse(''), 0);
+      assert.lengthOf(commentCommands.parse(null), 0);
+    });
+
+    it('rejects the commands without a role, a syntax or a handler', () => {
+      assert.throws(() => commentCommands.register({name: 'x', syntax: /^$/, handler: _.noop, role: 'nobody'}), /must have/);
+      assert.throws(() => commentCommands.register({name: 'x', syntax: '', handler: _.noop, role: 'anyone'}), /must have/);
+      assert.throws(() => commentCommands.register({name: 'x', syntax: /^$/, role: 'anyone'}), /must have/);
+    });
+  });
+
+  describe('tickets without prize', () => {
+    let commentCalls;
+    let updateIssueCalls;
+
+    beforeEach(async () => {
+      stubs.useMemoryStore();
+      commentCalls = stubs.stub(gitHelper, 'createComment');
+      updateIssueCalls = stubs.stub(gitHelper, 'updateIssue');
+      stubs.stub(UserService, 'getRepositoryCopilotOrOwner', _.constant(Promise.resolve({username: 'copilot', topcoderUsername: 'copilot'})));
+      stubs.stub(UserService, 'getTCUserName', (provider, gitUserId) =>
+        Promise.resolve({topcoderUsername: gitUserId === COPILOT_ID ? 'copilot' : 'member'}));
+      await dbHelper.create(models.Project, PROJECT);
+      await dbHelper.create(models.Repository, REPOSITORY);
+    });
+
+    afterEach(() => {
+      stubs.restore();
+    });
+
+    it('sets the prize of the title', async () => {
+      await IssueService.process(buildCommentEvent('Fix the login', '/prize $500', COPILOT_ID));
+      assert.deepEqual(_.map(updateIssueCalls, 2), ['[$500] Fix the login']);
+      assert.lengthOf(commentCalls, 0);
+    });
+
+    it('replaces a prize which can\'t be parsed', async () => {
+      await IssueService.process(buildCommentEvent('[$500, soon] Fix the login', '/prize $500, $200', COPILOT_ID));
+      assert.deepEqual(_.map(updateIssueCalls, 2), ['[$500, $200] Fix the login']);
+    });
+
+    it('replies with the commands', async () => {
+      await IssueService.process(buildCommentEvent('Fix the login', '/help', MEMBER_ID));
+      assert.lengthOf(commentCalls, 1);
+      assert.match(commentCalls[0][2], /`\/prize <prizes>`/);
+    });
+
+    it('replies that there is no challenge to bid on', async () => {
+      await IssueService.process(buildCommentEvent('Fix the login', '/bid $100', MEMBER_ID));
+      assert.lengthOf(commentCalls, 1);
+      assert.match(commentCalls[0][2], /has no Topcoder challenge/);
+    });
+
+    it('replies when the syntax or the role is wrong', async () => {
+      await IssueService.process(buildCommentEvent('Fix the login', '/prize [$500]\n/prize $500', MEMBER_ID));
+      assert.deepEqual(_.map(commentCalls, 2), [
+        'The command `/prize` is not valid, use `/prize <prizes>`.',
+        'Only the copilot or the owner of the project can run `/prize`.'
+      ]);
+      assert.lengthOf(updateIssueCalls, 0);
+    });
+
+    it('replies with the failure of a command and runs the next ones', async () => {
+      stubs.stub(gitHelper, 'updateIssue', () => Promise.reject(new Error('The ticket is locked')));
+      await IssueService.process(buildCommentEvent('Fix the login', '/prize $500\n/help', COPILOT_ID));
+      assert.lengthOf(commentCalls, 2);
+      assert.equal(commentCalls[0][2], 'The command `/prize` failed: The ticket is locked');
+      assert.match(commentCalls[1][2], /`\/prize <prizes>`/);
+    });
+
+    it('retries the event of a command which can be retried, without running the completed commands again', async () => {
+      stubs.stub(kafkaSender, 'sendDeadLetter');
+      let updateAttempts = 0;
+      updateIssueCalls = stubs.stub(gitHelper, 'updateIssue', () => {
+        updateAttempts += 1;
+        return updateAttempts === 1 ? Promise.reject(errors.convertTopcoderApiError({response: {status: 503}}, 'Failed to update.')) : Promise.resolve();
+      });
+      let error = null;
+      try {
+        await IssueService.process(buildCommentEvent('Fix the login', '/help\n/prize $500\n/status', COPILOT_ID));
+      } catch (err) {
+        error = err;
+      }
+      assert.equal(_.get(error, 'errorAt'), 'topcoder');
+      assert.lengthOf(commentCalls, 2);
+      assert.match(commentCalls[1][2], /has no Topcoder challenge/);
+
+      const retries = await dbHelper.scan(models.EventRetry, {});
+      assert.lengthOf(retries, 1);
+      await IssueService.process(JSON.parse(retries[0].payload));
+      assert.lengthOf(commentCalls, 2);
+      assert.deepEqual(_.map(updateIssueCalls, 2), ['[$500] Fix the login', '[$500] Fix the login']);
+    });
+
+    it('ignores the other events of the tickets without prize', async () => {
+      const event = _.assign(buildCommentEvent('Fix the login', '/help', MEMBER_ID), {event: 'issue.updated'});
+      await IssueService.process(event);
+      assert.lengthOf(commentCalls, 0);
+    });
+  });
+
+  describe('bids', () => {
+    let updateIssueCalls;
+    let assignUserCalls;
+
+    beforeEach(async () => {
+      stubs.useMemoryStore();
+      stubs.stub(gitHelper, 'createComment');
+      updateIssueCalls = stubs.stub(gitHelper, 'updateIssue');
+      assignUserCalls = stubs.stub(gitHelper, 'assignUser');
+      stubs.stub(UserService, 'getRepositoryCopilotOrOwner', _.constant(Promise.resolve({username: 'copilot', topcoderUsername: 'copilot'})));
+      stubs.stub(UserService, 'getTCUserName', (provider, gitUserId) =>
+        Promise.resolve({topcoderUsername: gitUserId === COPILOT_ID ? 'copilot' : 'member'}));
+      await dbHelper.create(models.Project, PROJECT);
+      await dbHelper.create(models.Repository, REPOSITORY);
+      await dbHelper.create(models.Issue, {
+        id: 'issue',
+        number: 1,
+        title: 'Fix the login',
+        body: '',
+        prizes: [500, 200],
+        currency: 'USD',
+        copilotFee: 50,
+        reviewerPrize: 30,
+        provider: 'github',
+        repositoryId: 1,
+        repoUrl: REPOSITORY.url,
+        projectId: PROJECT.id,
+        status: constants.ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL,
+        challengeUUID: 'challenge'
+      });
+    });
+
+    afterEach(() => {
+      stubs.restore();
+    });
+
+    it('keeps the other placements and the modifiers of the title when a bid is accepted', async () => {
+      await IssueService.process(buildCommentEvent('[$500, $200 +cp $50 +rv $30] Fix the login', '/accept_bid @member $400', COPILOT_ID));
+      assert.deepEqual(_.map(updateIssueCalls, 2), ['[$400, $200 +cp $50 +rv $30] Fix the login']);
+      assert.deepEqual(_.map(assignUserCalls, 2), ['member']);
+    });
+
+    it('updates the title and assigns the bidder once when the event is replayed', async () => {
+      const event = buildCommentEvent('[$500, $200 +cp $50 +rv $30] Fix the login', '/accept_bid @member $400', COPILOT_ID);
+      event.id = 'event';
+      await IssueService.process(_.cloneDeep(event));
+      await IssueService.process(_.cloneDeep(event));
+      assert.lengthOf(updateIssueCalls, 1);
+      assert.lengthOf(assignUserCalls, 1);
+    });
+  });
+});
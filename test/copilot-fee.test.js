@@ -0,0 +1,75 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the copilot fee policies, see utils/copilot-fee.js.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+/* eslint-disable no-magic-numbers */
+
+process.env.NODE_ENV = 'test';
+
+const config = require('config');
+const _ = require('lodash');
+const {assert} = require('chai');
+const copilotFee = require('../utils/copilot-fee');
+
+const TIERS = [
+  {upTo: 1000, percentage: 10},
+  {upTo: 200, amount: 25},
+  {percentage: 5}
+];
+
+describe('Copilot fee', () => {
+  it('pays the default fee without policy', () => {
+    assert.equal(copilotFee.calculate(null, 500), _.toNumber(config.DEFAULT_COPILOT_FEE));
+  });
+
+  it('pays the fixed fee', () => {
+    assert.equal(copilotFee.calculate({type: 'fixed', amount: 75}, 500), 75);
+    assert.equal(copilotFee.calculate({type: 'fixed', amount: 75, percentage: null}, 5000), 75);
+  });
+
+  it('pays a percentage of the winner prize, rounded to the cent', () => {
+    assert.equal(copilotFee.calculate({type: 'percentage', percentage: 10}, 500), 50);
+    assert.equal(copilotFee.calculate({type: 'percentage', percentage: 12.5}, 333), 41.63);
+  });
+
+  it('pays the fee of the band of the winner prize', () => {
+    const policy = {type: 'tiered', tiers: TIERS};
+    assert.equal(copilotFee.calculate(policy, 150), 25);
+    assert.equal(copilotFee.calculate(policy, 200), 25);
+    assert.equal(copilotFee.calculate(policy, 500), 50);
+    assert.equal(copilotFee.calculate(policy, 5000), 250);
+  });
+
+  it('pays the prizes above every band in the highest band', () => {
+    assert.equal(copilotFee.calculate({type: 'tiered', tiers: [{upTo: 100, amount: 10}, {upTo: 1000, amount: 50}]}, 5000), 50);
+  });
+
+  it('bounds the fee by the minimum and the maximum', () => {
+    assert.equal(copilotFee.calculate({type: 'percentage', percentage: 10, minimum: 30}, 100), 30);
+    assert.equal(copilotFee.calculate({type: 'percentage', percentage: 10, maximum: 200}, 5000), 200);
+    assert.equal(copilotFee.calculate({type: 'percentage', percentage: 10, minimum: 30, maximum: 200}, 1000), 100);
+    assert.equal(copilotFee.calculate({type: 'tiered', tiers: TIERS, minimum: null, maximum: 100}, 5000), 100);
+  });
+
+  it('rejects the policies without the amount or the percentage of their type', () => {
+    assert.throws(() => copilotFee.calculate({type: 'fixed'}, 500), /Invalid copilot fee policy/);
+    assert.throws(() => copilotFee.calculate({type: 'fixed', amount: null}, 500), /"amount" must be a number/);
+    assert.throws(() => copilotFee.calculate({type: 'percentage', percentage: null}, 500), /"percentage" must be a number/);
+    assert.throws(() => copilotFee.calculate({type: 'tiered', tiers: []}, 500), /Invalid copilot fee policy/);
+    assert.throws(() => copilotFee.calculate({type: 'tiered', tiers: [{upTo: 100, amount: null, percentage: null}]}, 500),
+      /"percentage" must be a number/);
+  });
+
+  it('rejects the invalid amounts', () => {
+    assert.throws(() => copilotFee.calculate({type: 'percentage', percentage: 150}, 500), /Invalid copilot fee policy/);
+    assert.throws(() => copilotFee.calculate({type: 'fixed', amount: -5}, 500), /Invalid copilot fee policy/);
+    assert.throws(() => copilotFee.calculate({type: 'unknown', amount: 5}, 500), /Invalid copilot fee policy/);
+  });
+});
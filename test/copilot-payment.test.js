@@ -0,0 +1,99 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the copilot payment events, the database is in memory and the Topcoder API and kafka are stubbed.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+
+process.env.NODE_ENV = 'test';
+
+const _ = require('lodash');
+const {assert} = require('chai');
+const models = require('../models');
+const dbHelper = require('../utils/db-helper');
+const kafkaSender = require('../utils/kafka-sender');
+const topcoderApiHelper = require('../utils/topcoder-api-helper');
+const CopilotPaymentService = require('../services/CopilotPaymentService');
+const stubs = require('./stubs');
+
+// the attempts of the challenge-creating retry policy
+const CHALLENGE_CREATING_ATTEMPTS = 10;
+
+const PROJECT = {id: 'project', title: 'Project', tcDirectId: 1, copilot: 'copilot', owner: 'owner', archived: 'false'};
+
+// the payment of the copilot whose challenge is being created
+const PENDING_PAYMENT = {
+  id: 'pending',
+  project: PROJECT.id,
+  amount: 20,
+  description: 'fee',
+  username: PROJECT.copilot,
+  status: 'challenge_creation_pending'
+};
+
+// the added payment
+const PAYMENT = {
+  id: 'payment',
+  project: PROJECT.id,
+  amount: 10,
+  description: 'review',
+  username: PROJECT.copilot
+};
+
+/**
+ * builds the add event of a payment
+ * @param {Number} retryCount the retries of the event
+ * @returns {Object} the event
+ */
+function buildAddEvent(retryCount) {
+  return {
+    event: 'copilotPayment.add',
+    provider: 'copilotPayment',
+    retryCount,
+    data: {payment: _.omit(PAYMENT, 'username')}
+  };
+}
+
+describe('Copilot payment events', () => {
+  let createChallengeCalls;
+  let deadLetterCalls;
+
+  beforeEach(async () => {
+    stubs.useMemoryStore();
+    createChallengeCalls = stubs.stub(topcoderApiHelper, 'createChallenge', _.constant(Promise.resolve('challenge')));
+    deadLetterCalls = stubs.stub(kafkaSender, 'sendDeadLetter', _.noop);
+    await dbHelper.create(models.Project, PROJECT);
+    await dbHelper.create(models.CopilotPayment, PENDING_PAYMENT);
+    await dbHelper.create(models.CopilotPayment, PAYMENT);
+  });
+
+  afterEach(() => {
+    stubs.restore();
+  });
+
+  it('reschedules the payment while another challenge of the copilot is being created', async () => {
+    try {
+      await CopilotPaymentService.process(buildAddEvent(0));
+      assert.fail('the rescheduling error must be thrown');
+    } catch (err) {
+      assert.match(err.message, /is creating, rescheduling this event/);
+    }
+    assert.lengthOf(createChallengeCalls, 0);
+    const payment = await dbHelper.getById(models.CopilotPayment, PAYMENT.id);
+    assert.notExists(payment.status);
+    assert.lengthOf(await dbHelper.scan(models.EventRetry, {}), 1);
+  });
+
+  it('gives up the payment without creating its challenge when the rescheduling is exhausted', async () => {
+    await CopilotPaymentService.process(buildAddEvent(CHALLENGE_CREATING_ATTEMPTS));
+    assert.lengthOf(createChallengeCalls, 0);
+    assert.isNull(await dbHelper.getById(models.CopilotPayment, PAYMENT.id));
+    assert.lengthOf(deadLetterCalls, 1);
+    assert.lengthOf(await dbHelper.scan(models.EventRetry, {}), 0);
+  });
+});
@@ -0,0 +1,101 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the publishing and the acknowledgement of the scheduled event retries, see services/EventService.js.
+ * The database is in memory and kafka is stubbed.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+/* eslint-disable no-magic-numbers */
+
+process.env.NODE_ENV = 'test';
+
+const _ = require('lodash');
+const {assert} = require('chai');
+const models = require('../models');
+const dbHelper = require('../utils/db-helper');
+const kafkaSender = require('../utils/kafka-sender');
+const EventService = require('../services/EventService');
+const stubs = require('./stubs');
+
+/**
+ * builds the event of a ticket which is retried
+ * @returns {Object} the event
+ */
+function buildEvent() {
+  return {
+    event: 'issue.assigned',
+    provider: 'github',
+    retryCount: 1,
+    data: {
+      issue: {number: 1, title: '[$500] Fix the login', body: '', labels: []},
+      repository: {id: 1, name: 'repo', full_name: 'owner/repo'}
+    }
+  };
+}
+
+describe('Event retries', () => {
+  let sendCalls;
+  let eventRetry;
+
+  beforeEach(async () => {
+    stubs.useMemoryStore();
+    sendCalls = stubs.stub(kafkaSender, 'send');
+    eventRetry = await EventService.scheduleRetry(buildEvent(), -1000);
+  });
+
+  afterEach(() => {
+    stubs.restore();
+  });
+
+  describe('publishing', () => {
+    it('publishes a due retry once when the retries are published concurrently', async () => {
+      await Promise.all([EventService.publishDueRetries(), EventService.publishDueRetries()]);
+      assert.lengthOf(sendCalls, 1);
+      assert.equal(sendCalls[0][0], eventRetry.payload);
+      assert.equal((await dbHelper.getById(models.EventRetry, eventRetry.id)).status, 'published');
+
+      await EventService.publishDueRetries();
+      assert.lengthOf(sendCalls, 1);
+    });
+
+    it('doesn\'t publish a retry locked by another poller', async () => {
+      await dbHelper.acquireLockOnEventRetry(eventRetry.id, 'other', 60000);
+      await EventService.publishDueRetries();
+      assert.lengthOf(sendCalls, 0);
+    });
+
+    it('publishes again a retry whose lock expired before it was published', async () => {
+      // the poller holding the lock stopped before marking the retry as published
+      await dbHelper.acquireLockOnEventRetry(eventRetry.id, 'stopped', -1000);
+      await EventService.publishDueRetries();
+      assert.lengthOf(sendCalls, 1);
+      assert.equal((await dbHelper.getById(models.EventRetry, eventRetry.id)).status, 'published');
+    });
+
+    it('doesn\'t publish the retries which aren\'t due', async () => {
+      await EventService.scheduleRetry(_.assign(buildEvent(), {retryCount: 2}), 60000);
+      await EventService.publishDueRetries();
+      assert.deepEqual(_.map(sendCalls, (call) => JSON.parse(call[0]).retryCount), [1]);
+    });
+  });
+
+  describe('acknowledgement', () => {
+    it('drops the second delivery of a consumed retry', async () => {
+      await EventService.publishDueRetries();
+      const event = JSON.parse(sendCalls[0][0]);
+      assert.isTrue(await EventService.acknowledgeRetry(event));
+      assert.isNull(await dbHelper.getById(models.EventRetry, eventRetry.id));
+      assert.isFalse(await EventService.acknowledgeRetry(_.cloneDeep(event)));
+    });
+
+    it('accepts the events which aren\'t retries', async () => {
+      assert.isTrue(await EventService.acknowledgeRetry(_.omit(buildEvent(), 'retryCount')));
+      assert.isTrue(await EventService.acknowledgeRetry(_.omit(buildEvent(), 'retryCount')));
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the GitHub App authentication, see utils/github-app-auth.js. The GitHub API is stubbed.
+ * The installations and the tokens stay cached between the tests, so each test uses its own repositories.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+/* eslint-disable no-magic-numbers */
+
+process.env.NODE_ENV = 'test';
+
+const crypto = require('crypto');
+const config = require('config');
+const _ = require('lodash');
+const {assert} = require('chai');
+const superagent = require('superagent');
+const githubAppAuth = require('../utils/github-app-auth');
+const stubs = require('./stubs');
+
+const APP_ID = 1234;
+
+const {privateKey, publicKey} = crypto.generateKeyPairSync('rsa', { // eslint-disable-line no-sync
+  modulusLength: 2048,
+  publicKeyEncoding: {type: 'spki', format: 'pem'},
+  privateKeyEncoding: {type: 'pkcs8', format: 'pem'}
+});
+
+/**
+ * decodes a base64url part of the JWT
+ * @param {String} part the part
+ * @returns {Object} the decoded JSON
+ */
+function decodeJwtPart(part) {
+  return JSON.parse(Buffer.from(part.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+}
+
+describe('GitHub App authentication', () => {
+  // the installation id by repository, the app isn't installed on the other repositories
+  let installed;
+  // the validity of the issued tokens in milliseconds
+  let tokenValidity;
+  // the requests to the GitHub API, `<method> <url>`
+  let requests;
+
+  beforeEach(() => {
+    installed = {};
+    tokenValidity = 3600000;
+    stubs.set(config, 'GITHUB_APP_ID', APP_ID);
+    stubs.set(config, 'GITHUB_APP_PRIVATE_KEY', privateKey);
+    requests = [];
+    stubs.stub(superagent.Request.prototype, 'end', function fakeGithub(callback) {
+      const {method, url} = this; // eslint-disable-line no-invalid-this
+      requests.push(`${method} ${url}`);
+      const installation = url.match(/\/repos\/(.+)\/installation$/);
+      setImmediate(() => {
+        if (installation && !installed[installation[1]]) {
+          return callback(_.assign(new Error('Not Found'), {status: 404}));
+        }
+        const body = installation ? {id: installed[installation[1]]}
+          : {token: `token-${requests.length}`, expires_at: new Date(Date.now() + tokenValidity).toISOString()};
+        return callback(null, {body});
+      });
+    });
+  });
+
+  afterEach(() => {
+    stubs.restore();
+  });
+
+  it('signs the JWT of the app', () => {
+    const [header, payload, signature] = githubAppAuth.createAppJwt().split('.');
+    assert.deepEqual(decodeJwtPart(header), {alg: 'RS256', typ: 'JWT'});
+    const claims = decodeJwtPart(payload);
+    assert.equal(claims.iss, String(APP_ID));
+    assert.isAtMost(claims.exp - claims.iat, 600);
+    assert.isBelow(claims.iat, Date.now() / 1000);
+    assert.isTrue(crypto.createVerify('RSA-SHA256').update(`${header}.${payload}`)
+      .verify(publicKey, Buffer.from(signature.replace(/-/g, '+').replace(/_/g, '/'), 'base64')));
+  });
+
+  it('reads the private key with escaped new lines', () => {
+    stubs.set(config, 'GITHUB_APP_PRIVATE_KEY', privateKey.replace(/\n/g, '\\n'));
+    assert.lengthOf(githubAppAuth.createAppJwt().split('.'), 3);
+  });
+
+  it('gives no token when the app isn\'t configured', async () => {
+    stubs.set(config, 'GITHUB_APP_ID', '');
+    assert.isFalse(githubAppAuth.isEnabled());
+    assert.isNull(await githubAppAuth.getRepositoryToken('owner/configured'));
+    assert.lengthOf(requests, 0);
+  });
+
+  it('caches the installation and its token', async () => {
+    installed['owner/cached'] = 1;
+    const token = await githubAppAuth.getRepositoryToken('owner/cached');
+    assert.equal(await githubAppAuth.getRepositoryToken('owner/cached'), token);
+    assert.deepEqual(requests, [
+      'GET https://api.github.com/repos/owner/cached/installation',
+      'POST https://api.github.com/app/installations/1/access_tokens'
+    ]);
+  });
+
+  it('requests a single token for the concurrent events', async () => {
+    installed['owner/concurrent'] = 2;
+    await githubAppAuth.getInstallationId('owner/concurrent');
+    const tokens = await Promise.all(_.times(3, () => githubAppAuth.getRepositoryToken('owner/concurrent')));
+    assert.lengthOf(_.uniq(tokens), 1);
+    assert.lengthOf(_.filter(requests, (request) => _.endsWith(request, '/access_tokens')), 1);
+  });
+
+  it('refreshes the token before it expires', async () => {
+    installed['owner/expiring'] = 3;
+    tokenValidity = (config.GITHUB_APP_REFRESH_TOKEN_BEFORE_EXPIRATION - 1) * 1000;
+    const token = await githubAppAuth.getRepositoryToken('owner/expiring');
+    assert.notEqual(await githubAppAuth.getRepositoryToken('owner/expiring'), token);
+    assert.lengthOf(_.filter(requests, (request) => _.endsWith(request, '/access_tokens')), 2);
+  });
+
+  it('remembers the repositories without installation', async () => {
+    assert.isNull(await githubAppAuth.getRepositoryToken('owner/not-installed'));
+    assert.isNull(await githubAppAuth.getRepositoryToken('owner/not-installed'));
+    assert.deepEqual(requests, ['GET https://api.github.com/repos/owner/not-installed/installation']);
+  });
+});
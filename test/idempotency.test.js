@@ -0,0 +1,81 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the side effects ledger of the events, see utils/idempotency.js. The database is in memory.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+/* eslint-disable no-magic-numbers */
+
+process.env.NODE_ENV = 'test';
+
+const _ = require('lodash');
+const {assert} = require('chai');
+const idempotency = require('../utils/idempotency');
+const stubs = require('./stubs');
+
+const EVENT = {id: 'event'};
+
+describe('Idempotency ledger', () => {
+  let calls;
+
+  /**
+   * builds a step recording its calls
+   * @param {*} result the result of the step
+   * @returns {Function} the step
+   */
+  function step(result) {
+    return () => {
+      calls += 1;
+      return Promise.resolve(result);
+    };
+  }
+
+  beforeEach(() => {
+    calls = 0;
+    stubs.useMemoryStore();
+  });
+
+  afterEach(() => {
+    stubs.restore();
+  });
+
+  it('returns the recorded result of a completed step on replay', async () => {
+    assert.equal(await idempotency.runOnce(EVENT, 'challenge.create', step('challenge')), 'challenge');
+    assert.equal(await idempotency.runOnce(_.clone(EVENT), 'challenge.create', step('other')), 'challenge');
+    assert.equal(calls, 1);
+  });
+
+  it('returns null for a completed step which recorded no result', async () => {
+    assert.isUndefined(await idempotency.runOnce(EVENT, 'comment.created', step()));
+    assert.isNull(await idempotency.runOnce(EVENT, 'comment.created', step('comment')));
+    assert.equal(calls, 1);
+  });
+
+  it('runs the step again when it failed', async () => {
+    try {
+      await idempotency.runOnce(EVENT, 'challenge.close', () => Promise.reject(new Error('failed')));
+      assert.fail('the step must fail');
+    } catch (err) {
+      assert.equal(err.message, 'failed');
+    }
+    assert.equal(await idempotency.runOnce(EVENT, 'challenge.close', step('closed')), 'closed');
+    assert.equal(calls, 1);
+  });
+
+  it('records the steps by event', async () => {
+    await idempotency.runOnce(EVENT, 'challenge.close', step());
+    await idempotency.runOnce({id: 'other-event'}, 'challenge.close', step());
+    assert.equal(calls, 2);
+  });
+
+  it('runs every step of the events without id', async () => {
+    await idempotency.runOnce({}, 'challenge.close', step());
+    await idempotency.runOnce({}, 'challenge.close', step());
+    assert.equal(calls, 2);
+  });
+});
@@ -0,0 +1,351 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the issue events, the database is in memory and the git host, the Topcoder API and kafka are stubbed.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+/* eslint-disable no-magic-numbers */
+
+process.env.NODE_ENV = 'test';
+
+const _ = require('lodash');
+const {assert} = require('chai');
+const models = require('../models');
+const constants = require('../constants');
+const dbHelper = require('../utils/db-helper');
+const errors = require('../utils/errors');
+const gitHelper = require('../utils/git-helper');
+const kafkaSender = require('../utils/kafka-sender');
+const topcoderApiHelper = require('../utils/topcoder-api-helper');
+const EventService = require('../services/EventService');
+const IssueService = require('../services/IssueService');
+const UserService = require('../services/UserService');
+const stubs = require('./stubs');
+
+const PROJECT = {id: 'project', title: 'Project', tcDirectId: 1, copilot: 'copilot', owner: 'owner', archived: 'false'};
+
+const REPOSITORY = {id: 'repository', projectId: PROJECT.id, url: 'https://github.com/owner/repo', archived: 'false'};
+
+// the git user id of the copilot and of the assignee
+const COPILOT_ID = 1;
+const ASSIGNEE_ID = 2;
+
+// the Topcoder handles of the git users by id
+const HANDLES = {[COPILOT_ID]: 'copilot', [ASSIGNEE_ID]: 'alice', 3: 'bob', 4: 'carol'};
+
+/**
+ * builds the assignment event of a ticket with a prize
+ * @returns {Object} the event
+ */
+function buildAssignedEvent() {
+  return {
+    event: 'issue.assigned',
+    provider: 'github',
+    data: {
+      issue: {number: 1, title: '[$500] Fix the login', body: 'body', labels: ['tcx_OpenForPickup'], assignees: [{id: ASSIGNEE_ID}]},
+      repository: {id: 1, name: 'repo', full_name: 'owner/repo'},
+      assignee: {id: ASSIGNEE_ID}
+    }
+  };
+}
+
+/**
+ * builds the recreation event of a ticket with a prize
+ * @returns {Object} the event
+ */
+function buildRecreatedEvent() {
+  return _.assign(_.omit(buildAssignedEvent(), 'data.assignee'), {event: 'issue.recreated'});
+}
+
+/**
+ * builds the update event of a ticket with a prize
+ * @param {String} title the ticket title
+ * @returns {Object} the event
+ */
+function buildUpdatedEvent(title) {
+  return _.assign(_.omit(buildAssignedEvent(), 'data.assignee'), {event: 'issue.updated'}, {
+    data: _.assign(buildAssignedEvent().data, {issue: {number: 1, title, body: 'body', labels: ['tcx_OpenForPickup']}})
+  });
+}
+
+/**
+ * builds the closing event of a ticket with a prize, accepted for payment
+ * @param {Number} prize the prize
+ * @returns {Object} the event
+ */
+function buildClosedEvent(prize) {
+  const labels = ['tcx_Assigned', 'tcx_FixAccepted'];
+  return {
+    event: 'issue.closed',
+    provider: 'github',
+    data: {
+      issue: {number: 1, title: `[$${prize}] Fix the login`, body: 'body', labels, assignees: [{id: ASSIGNEE_ID}]},
+      repository: {id: 1, name: 'repo', full_name: 'owner/repo'},
+      assignee: {id: ASSIGNEE_ID}
+    }
+  };
+}
+
+/**
+ * builds the comment event of a ticket with a prize
+ * @param {Number} prize the prize
+ * @param {String} body the comment body
+ * @returns {Object} the event
+ */
+function buildCommentEvent(prize, body) {
+  return {
+    event: 'comment.created',
+    provider: 'github',
+    data: {
+      issue: {number: 1, title: `[$${prize}] Fix the login`, body: 'body', labels: ['tcx_Assigned']},
+      repository: {id: 1, name: 'repo', full_name: 'owner/repo'},
+      comment: {id: 1, body, user: {id: COPILOT_ID}}
+    }
+  };
+}
+
+/**
+ * processes the event, it must fail
+ * @param {Object} event the event
+ * @returns {Promise<Error>} the error
+ */
+async function processFailing(event) {
+  try {
+    await IssueService.process(event);
+  } catch (err) {
+    return err;
+  }
+  throw new Error('the event must fail');
+}
+
+describe('Issue events', () => {
+  let createChallengeCalls;
+
+  beforeEach(async () => {
+    stubs.useMemoryStore();
+    createChallengeCalls = stubs.stub(topcoderApiHelper, 'createChallenge', () =>
+      Promise.reject(errors.convertTopcoderApiError({response: {status: 503}}, 'Failed to create the challenge.')));
+    stubs.stub(kafkaSender, 'sendDeadLetter');
+    stubs.stub(gitHelper, 'createComment');
+    stubs.stub(gitHelper, 'getUsernameById', _.constant(Promise.resolve('member')));
+    stubs.stub(UserService, 'getRepositoryCopilotOrOwner', _.constant(Promise.resolve({username: 'copilot', topcoderUsername: 'copilot'})));
+    stubs.stub(UserService, 'getTCUserName', _.constant(Promise.resolve({topcoderUsername: 'member'})));
+    await dbHelper.create(models.Project, PROJECT);
+    await dbHelper.create(models.Repository, REPOSITORY);
+  });
+
+  afterEach(() => {
+    stubs.restore();
+  });
+
+  describe('challenge creation by another event', () => {
+    it('schedules one retry when the challenge creation fails', async () => {
+      const err = await processFailing(buildAssignedEvent());
+      assert.equal(err.errorAt, 'topcoder');
+      assert.lengthOf(createChallengeCalls, 1);
+      assert.lengthOf(await dbHelper.scan(models.EventRetry, {}), 1);
+    });
+
+    it('schedules one retry when the challenge is being created by another event', async () => {
+      await dbHelper.acquireLock('issue-github-1-1', 'other', 60000);
+      const err = await processFailing(buildAssignedEvent());
+      assert.match(err.message, /is creating, rescheduling this event/);
+      assert.lengthOf(createChallengeCalls, 0);
+      assert.lengthOf(await dbHelper.scan(models.EventRetry, {}), 1);
+    });
+  });
+
+  describe('processing errors of the issue', () => {
+    beforeEach(async () => {
+      await dbHelper.create(models.Issue, {
+        id: 'issue',
+        number: 1,
+        title: 'Fix the login',
+        body: 'body',
+        prizes: [500],
+        provider: 'github',
+        repositoryId: 1,
+        repoUrl: REPOSITORY.url,
+        projectId: PROJECT.id,
+        status: constants.ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL,
+        challengeUUID: 'challenge',
+        currency: 'USD',
+        lastError: '[503]: Failed to update the challenge.',
+        lastErrorAt: new Date(),
+        retryCount: 2
+      });
+    });
+
+    it('clears the error when an event of the issue succeeds', async () => {
+      await IssueService.process(buildUpdatedEvent('[$500] Fix the login'));
+      const dbIssue = await dbHelper.getById(models.Issue, 'issue');
+      assert.notExists(dbIssue.lastError);
+      assert.notExists(dbIssue.lastErrorAt);
+      assert.equal(dbIssue.retryCount, 0);
+    });
+
+    it('keeps the error of a failed event', async () => {
+      stubs.stub(topcoderApiHelper, 'getChallengeById', () =>
+        Promise.reject(errors.convertTopcoderApiError({response: {status: 503}}, 'Failed to get the challenge.')));
+      await processFailing(buildUpdatedEvent('[$500] Fix the logout'));
+      const dbIssue = await dbHelper.getById(models.Issue, 'issue');
+      assert.match(dbIssue.lastError, /Failed to get the challenge/);
+      assert.lengthOf(await dbHelper.scan(models.EventRetry, {}), 1);
+    });
+  });
+
+  describe('payment', () => {
+    let updateChallengeCalls;
+    let closeChallengeCalls;
+    let commentCalls;
+
+    beforeEach(async () => {
+      stubs.stub(UserService, 'getTCUserName', (provider, gitUserId) =>
+        Promise.resolve(HANDLES[gitUserId] ? {topcoderUsername: HANDLES[gitUserId]} : null));
+      stubs.stub(gitHelper, 'getUserIdByLogin', (event, login) => Promise.resolve(_.toInteger(_.findKey(HANDLES, (handle) => handle === login))));
+      commentCalls = stubs.stub(gitHelper, 'createComment');
+      stubs.stub(gitHelper, 'removeAssign');
+      stubs.stub(gitHelper, 'markIssueAsPaid');
+      stubs.stub(topcoderApiHelper, 'getChallengeById', _.constant(Promise.resolve({status: constants.CHALLENGE_STATUS.ACTIVE})));
+      updateChallengeCalls = stubs.stub(topcoderApiHelper, 'updateChallenge');
+      stubs.stub(topcoderApiHelper, 'getTopcoderMemberId', (handle) => Promise.resolve(`${handle}-id`));
+      stubs.stub(topcoderApiHelper, 'getResourcesFromChallenge', _.constant(Promise.resolve([])));
+      stubs.stub(topcoderApiHelper, 'roleAlreadySet', _.constant(Promise.resolve(true)));
+      stubs.stub(topcoderApiHelper, 'assignUserAsRegistrant');
+      closeChallengeCalls = stubs.stub(topcoderApiHelper, 'closeChallenge');
+      await dbHelper.update(models.Project, PROJECT.id, {allowMultipleAssignees: true});
+      await dbHelper.create(models.Issue, {
+        id: 'issue',
+        number: 1,
+        title: 'Fix the login',
+        body: 'body',
+        prizes: [100],
+        currency: 'USD',
+        provider: 'github',
+        repositoryId: 1,
+        repoUrl: REPOSITORY.url,
+        projectId: PROJECT.id,
+        status: constants.ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL,
+        challengeUUID: 'challenge',
+        assignee: 'alice',
+        assignees: ['alice', 'bob', 'carol']
+      });
+    });
+
+    /**
+     * gets the placement prizes given to the challenge when the ticket is paid
+     * @returns {Array<Number>} the prizes
+     */
+    function getPlacementPrizes() {
+      const prizeSet = _.find(updateChallengeCalls[0][1].prizeSets, {type: 'placement'});
+      return _.map(prizeSet.prizes, 'value');
+    }
+
+    it('splits the prize evenly between the assignees, the rounding remainder goes to the first placement', async () => {
+      await IssueService.process(buildClosedEvent(100));
+      assert.deepEqual(getPlacementPrizes(), [34, 33, 33]);
+      assert.deepEqual(_.map(closeChallengeCalls[0][1], 'handle'), ['alice', 'bob', 'carol']);
+      assert.equal((await dbHelper.getById(models.Issue, 'issue')).status, constants.ISSUE_STATUS.CHALLENGE_PAYMENT_SUCCESSFUL);
+    });
+
+    it('splits the prize by the percentages of the split command', async () => {
+      await IssueService.process(buildCommentEvent(101, '/split @alice 25% @bob 25% @carol 50%'));
+      assert.match(commentCalls[0][2], /will be split: @alice \$26 \(25%\), @bob \$25 \(25%\), @carol \$50 \(50%\)\.$/);
+      await dbHelper.update(models.Issue, 'issue', {prizes: [101]});
+      await IssueService.process(buildClosedEvent(101));
+      assert.deepEqual(getPlacementPrizes(), [26, 25, 50]);
+    });
+
+    it('rejects a split which doesn\'t add up to the whole prize', async () => {
+      await IssueService.process(buildCommentEvent(100, '/split @alice 50% @bob 30% @carol 30%'));
+      assert.match(commentCalls[0][2], /The prize split is not valid/);
+      assert.notExists((await dbHelper.getById(models.Issue, 'issue')).prizeSplit);
+    });
+
+    it('resumes the payment of a replayed event after its last completed step', async () => {
+      await dbHelper.update(models.Project, PROJECT.id, {allowMultipleAssignees: false});
+      await dbHelper.update(models.Issue, 'issue', {assignees: null});
+      stubs.stub(topcoderApiHelper, 'getChallengeById', _.constant(Promise.resolve({status: 'Draft'})));
+      stubs.stub(topcoderApiHelper, 'roleAlreadySet', _.constant(Promise.resolve(false)));
+      const assignCalls = stubs.stub(topcoderApiHelper, 'assignUserAsRegistrant');
+      const activateCalls = stubs.stub(topcoderApiHelper, 'activateChallenge');
+      const paidCalls = stubs.stub(gitHelper, 'markIssueAsPaid');
+      let closeAttempts = 0;
+      stubs.stub(topcoderApiHelper, 'closeChallenge', () => {
+        closeAttempts += 1;
+        return closeAttempts === 1 ? Promise.reject(errors.convertTopcoderApiError({response: {status: 503}}, 'Failed to close the challenge.'))
+          : Promise.resolve();
+      });
+      const event = _.assign(buildClosedEvent(100), {id: 'close-event'});
+      await processFailing(event);
+      const [retry] = await dbHelper.scan(models.EventRetry, {});
+      const replay = JSON.parse(retry.payload);
+      assert.equal(replay.id, 'close-event');
+      await IssueService.process(replay);
+      assert.lengthOf(updateChallengeCalls, 1);
+      assert.lengthOf(assignCalls, 1);
+      assert.lengthOf(activateCalls, 1);
+      assert.equal(closeAttempts, 2);
+      assert.lengthOf(paidCalls, 1);
+      assert.equal((await dbHelper.getById(models.Issue, 'issue')).status, constants.ISSUE_STATUS.CHALLENGE_PAYMENT_SUCCESSFUL);
+    });
+
+    it('reopens the ticket of an assignee without Topcoder handle and keeps the record unpaid', async () => {
+      await dbHelper.update(models.Project, PROJECT.id, {allowMultipleAssignees: false});
+      await dbHelper.update(models.Issue, 'issue', {assignees: null});
+      stubs.stub(UserService, 'getTCUserName', _.constant(Promise.resolve(null)));
+      const reOpenCalls = stubs.stub(EventService, 'reOpenIssue');
+      await IssueService.process(buildClosedEvent(100));
+      assert.lengthOf(reOpenCalls, 1);
+      assert.lengthOf(closeChallengeCalls, 0);
+      assert.equal((await dbHelper.getById(models.Issue, 'issue')).status, constants.ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL);
+    });
+  });
+
+  describe('issue recreation', () => {
+    let addLabelsCalls;
+
+    beforeEach(async () => {
+      addLabelsCalls = stubs.stub(gitHelper, 'addLabels');
+      stubs.stub(gitHelper, 'removeAssign');
+      stubs.stub(gitHelper, 'assignUser');
+      await dbHelper.create(models.Issue, {
+        id: 'issue',
+        number: 1,
+        title: 'Fix the login',
+        body: 'body',
+        prizes: [500],
+        provider: 'github',
+        repositoryId: 1,
+        repoUrl: REPOSITORY.url,
+        projectId: PROJECT.id,
+        status: constants.ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL,
+        challengeUUID: 'old-challenge'
+      });
+    });
+
+    it('recreates the challenge and releases the creation lock', async () => {
+      stubs.stub(topcoderApiHelper, 'createChallenge', _.constant(Promise.resolve('new-challenge')));
+      stubs.stub(topcoderApiHelper, 'applySkillsSetToChallenge');
+      stubs.stub(topcoderApiHelper, 'addResourceToChallenge');
+      await IssueService.process(buildRecreatedEvent());
+      const dbIssue = await dbHelper.queryOneIssue(models.Issue, 1, 1, 'github');
+      assert.equal(dbIssue.challengeUUID, 'new-challenge');
+      assert.exists(await dbHelper.acquireLock('issue-github-1-1', 'other', 60000));
+    });
+
+    it('reschedules the recreation while the challenge is being created by another event', async () => {
+      await dbHelper.acquireLock('issue-github-1-1', 'other', 60000);
+      const err = await processFailing(buildRecreatedEvent());
+      assert.match(err.message, /is creating, rescheduling this event/);
+      assert.lengthOf(addLabelsCalls, 0);
+      assert.equal((await dbHelper.getById(models.Issue, 'issue')).challengeUUID, 'old-challenge');
+      assert.lengthOf(await dbHelper.scan(models.EventRetry, {}), 1);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the lifecycle of the issue records, see utils/issue-state-machine.js. The database is in memory.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+/* eslint-disable no-magic-numbers */
+
+process.env.NODE_ENV = 'test';
+
+const _ = require('lodash');
+const {assert} = require('chai');
+const models = require('../models');
+const constants = require('../constants');
+const dbHelper = require('../utils/db-helper');
+const issueStateMachine = require('../utils/issue-state-machine');
+const stubs = require('./stubs');
+
+const ISSUE_STATUS = constants.ISSUE_STATUS;
+
+const ISSUE = {
+  id: 'issue',
+  number: 1,
+  title: 'Fix the login',
+  prizes: [500],
+  provider: 'github',
+  repositoryId: 1,
+  repoUrl: 'https://github.com/owner/repo',
+  projectId: 'project'
+};
+
+const EVENT = {id: 'event', event: 'comment.created', provider: 'github', data: {comment: {user: {id: 2}}}};
+
+/**
+ * gets the transitions written to the issue history, `<from> -> <to>`
+ * @returns {Promise<Array<String>>} the transitions
+ */
+async function getHistory() {
+  const rows = _.sortBy(await dbHelper.queryIssueHistory(ISSUE.id), 'createdAt');
+  return _.map(rows, (row) => `${row.fromStatus || 'none'} -> ${row.toStatus || 'none'}`);
+}
+
+describe('Issue state machine', () => {
+  describe('transitions', () => {
+    it('allows the lifecycle of a paid issue', () => {
+      assert.isTrue(issueStateMachine.canTransition(null, ISSUE_STATUS.CHALLENGE_CREATION_PENDING));
+      assert.isTrue(issueStateMachine.canTransition(ISSUE_STATUS.CHALLENGE_CREATION_PENDING, ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL));
+      assert.isTrue(issueStateMachine.canTransition(ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL, ISSUE_STATUS.CHALLENGE_PAYMENT_PENDING));
+      assert.isTrue(issueStateMachine.canTransition(ISSUE_STATUS.CHALLENGE_PAYMENT_PENDING, ISSUE_STATUS.CHALLENGE_PAYMENT_SUCCESSFUL));
+    });
+
+    it('allows the retries of the failed creations and payments', () => {
+      assert.isTrue(issueStateMachine.canTransition(ISSUE_STATUS.CHALLENGE_CREATION_FAILED, ISSUE_STATUS.CHALLENGE_CREATION_RETRIED));
+      assert.isTrue(issueStateMachine.canTransition(ISSUE_STATUS.CHALLENGE_PAYMENT_FAILED, ISSUE_STATUS.CHALLENGE_PAYMENT_PENDING));
+      assert.isTrue(issueStateMachine.canTransition(ISSUE_STATUS.CHALLENGE_CANCELLED, ISSUE_STATUS.CHALLENGE_CREATION_PENDING));
+    });
+
+    it('rejects the illegal transitions', () => {
+      assert.isFalse(issueStateMachine.canTransition(null, ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL));
+      assert.isFalse(issueStateMachine.canTransition(ISSUE_STATUS.CHALLENGE_CREATION_PENDING, ISSUE_STATUS.CHALLENGE_PAYMENT_PENDING));
+      assert.isFalse(issueStateMachine.canTransition(ISSUE_STATUS.CHALLENGE_PAYMENT_SUCCESSFUL, ISSUE_STATUS.CHALLENGE_CANCELLED));
+      assert.isFalse(issueStateMachine.canTransition(ISSUE_STATUS.CHALLENGE_PAYMENT_SUCCESSFUL, ISSUE_STATUS.CHALLENGE_PAYMENT_PENDING));
+    });
+  });
+
+  describe('history', () => {
+    beforeEach(() => {
+      stubs.useMemoryStore();
+    });
+
+    afterEach(() => {
+      stubs.restore();
+    });
+
+    it('writes a history row for each transition', async () => {
+      const dbIssue = await issueStateMachine.createIssue(ISSUE, {event: EVENT});
+      await issueStateMachine.transition(dbIssue, ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL, {event: EVENT}, {challengeUUID: 'challenge'});
+      await issueStateMachine.transition(dbIssue, ISSUE_STATUS.CHALLENGE_CANCELLED, {reason: 'No payment will be given'});
+      assert.deepEqual(await getHistory(), [
+        'none -> challenge_creation_pending',
+        'challenge_creation_pending -> challenge_creation_successful',
+        'challenge_creation_successful -> challenge_cancelled'
+      ]);
+      const stored = await dbHelper.getById(models.Issue, ISSUE.id);
+      assert.equal(stored.status, ISSUE_STATUS.CHALLENGE_CANCELLED);
+      assert.equal(stored.challengeUUID, 'challenge');
+    });
+
+    it('records the event, the actor and the reason of the transition', async () => {
+      const dbIssue = await issueStateMachine.createIssue(ISSUE, {event: EVENT});
+      await issueStateMachine.transition(dbIssue, ISSUE_STATUS.CHALLENGE_CREATION_FAILED, {reason: 'The challenge creation failed'});
+      const rows = _.sortBy(await dbHelper.queryIssueHistory(ISSUE.id), 'createdAt');
+      assert.include(rows[0], {eventId: 'event', event: 'comment.created', actor: 'github:2'});
+      assert.include(rows[1], {actor: 'system', reason: 'The challenge creation failed'});
+    });
+
+    it('rejects an illegal transition without changing the issue', async () => {
+      const dbIssue = await issueStateMachine.createIssue(ISSUE, {event: EVENT});
+      try {
+        await issueStateMachine.transition(dbIssue, ISSUE_STATUS.CHALLENGE_PAYMENT_SUCCESSFUL, {event: EVENT});
+        assert.fail('the transition must fail');
+      } catch (err) {
+        assert.include(err, {statusCode: 409, errorAt: 'state'});
+      }
+      assert.equal((await dbHelper.getById(models.Issue, ISSUE.id)).status, ISSUE_STATUS.CHALLENGE_CREATION_PENDING);
+      assert.lengthOf(await getHistory(), 1);
+    });
+
+    it('updates the issue without history row when the status doesn\'t change', async () => {
+      const dbIssue = await issueStateMachine.createIssue(ISSUE, {event: EVENT});
+      await issueStateMachine.transition(dbIssue, ISSUE_STATUS.CHALLENGE_CREATION_PENDING, {event: EVENT}, {title: 'Fix the logout'});
+      assert.equal((await dbHelper.getById(models.Issue, ISSUE.id)).title, 'Fix the logout');
+      assert.lengthOf(await getHistory(), 1);
+    });
+
+    it('writes the removal of the record', async () => {
+      const dbIssue = await issueStateMachine.createIssue(ISSUE, {event: EVENT});
+      await issueStateMachine.removeIssue(dbIssue, {reason: 'recreated'});
+      assert.notExists(await dbHelper.getById(models.Issue, ISSUE.id));
+      assert.deepEqual(await getHistory(), ['none -> challenge_creation_pending', 'challenge_creation_pending -> none']);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the executor running the tasks serially per key, see utils/keyed-executor.js.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+/* eslint-disable no-magic-numbers */
+
+process.env.NODE_ENV = 'test';
+
+const _ = require('lodash');
+const {assert} = require('chai');
+const KeyedExecutor = require('../utils/keyed-executor');
+
+/**
+ * waits for the pending callbacks, the started tasks reach their first await
+ * @returns {Promise} resolved on the next turn of the event loop
+ */
+function tick() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('Keyed executor', () => {
+  // the started and finished tasks, `start <name>` or `end <name>`
+  let log;
+  // the functions finishing the running tasks by name
+  let finishers;
+
+  /**
+   * builds a task which runs until it is finished by the test
+   * @param {String} name the task name
+   * @returns {Function} the task
+   */
+  function task(name) {
+    return () => {
+      log.push(`start ${name}`);
+      return new Promise((resolve) => {
+        finishers[name] = () => {
+          log.push(`end ${name}`);
+          resolve(name);
+        };
+      });
+    };
+  }
+
+  beforeEach(() => {
+    log = [];
+    finishers = {};
+  });
+
+  it('runs the tasks of a key in the submission order, one at a time', async () => {
+    const executor = new KeyedExecutor(5);
+    const results = Promise.all(_.map(['a1', 'a2', 'a3'], (name) => executor.run('a', task(name))));
+    await tick();
+    assert.deepEqual(log, ['start a1']);
+    finishers.a1();
+    await tick();
+    finishers.a2();
+    await tick();
+    finishers.a3();
+    assert.deepEqual(await results, ['a1', 'a2', 'a3']);
+    assert.deepEqual(log, ['start a1', 'end a1', 'start a2', 'end a2', 'start a3', 'end a3']);
+  });
+
+  it('runs the tasks of the different keys up to the concurrency limit', async () => {
+    const executor = new KeyedExecutor(2);
+    const results = Promise.all(_.map(['a', 'b', 'c'], (key) => executor.run(key, task(key))));
+    await tick();
+    assert.deepEqual(log, ['start a', 'start b']);
+    assert.equal(executor.running, 2);
+    finishers.b();
+    await tick();
+    assert.deepEqual(log, ['start a', 'start b', 'end b', 'start c']);
+    finishers.a();
+    finishers.c();
+    assert.deepEqual(await results, ['a', 'b', 'c']);
+    assert.equal(executor.running, 0);
+    assert.equal(executor.queues.size, 0);
+  });
+
+  it('gives the free slot to the waiting keys before the next task of the same key', async () => {
+    const executor = new KeyedExecutor(1);
+    const results = Promise.all([executor.run('a', task('a1')), executor.run('a', task('a2')), executor.run('b', task('b1'))]);
+    await tick();
+    finishers.a1();
+    await tick();
+    finishers.b1();
+    await tick();
+    finishers.a2();
+    await results;
+    assert.deepEqual(log, ['start a1', 'end a1', 'start b1', 'end b1', 'start a2', 'end a2']);
+  });
+
+  it('rejects the failed task and runs the next tasks of its key', async () => {
+    const executor = new KeyedExecutor(1);
+    const failed = executor.run('a', () => Promise.reject(new Error('failed')));
+    const next = executor.run('a', () => Promise.resolve('next'));
+    try {
+      await failed;
+      assert.fail('the task must fail');
+    } catch (err) {
+      assert.equal(err.message, 'failed');
+    }
+    assert.equal(await next, 'next');
+    assert.equal(executor.running, 0);
+  });
+});
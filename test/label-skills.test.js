@@ -0,0 +1,59 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the challenge skills mapped from the ticket labels, see utils/label-skills.js.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+
+process.env.NODE_ENV = 'test';
+
+const {assert} = require('chai');
+const labelSkills = require('../utils/label-skills');
+
+const PYTHON = {id: 'python', name: 'Python'};
+
+const NODE = {id: 'node', name: 'Node.js'};
+
+const PROJECT = {
+  tags: [NODE],
+  labelSkills: [
+    {label: 'lang:python', id: PYTHON.id, name: PYTHON.name},
+    {label: 'lang:node', id: NODE.id, name: NODE.name}
+  ]
+};
+
+describe('Label skills', () => {
+  it('adds the skills mapped to the ticket labels to the project tags', () => {
+    assert.deepEqual(labelSkills.getChallengeSkills(PROJECT, ['bug', 'lang:python']), [NODE, PYTHON]);
+  });
+
+  it('matches the labels case insensitively', () => {
+    assert.deepEqual(labelSkills.getChallengeSkills(PROJECT, ['Lang:Python']), [NODE, PYTHON]);
+  });
+
+  it('gives each skill once', () => {
+    assert.deepEqual(labelSkills.getChallengeSkills(PROJECT, ['lang:node', 'lang:python']), [NODE, PYTHON]);
+  });
+
+  it('gives the project tags without mapped labels', () => {
+    assert.deepEqual(labelSkills.getChallengeSkills(PROJECT, []), [NODE]);
+    assert.deepEqual(labelSkills.getChallengeSkills(PROJECT, null), [NODE]);
+    assert.deepEqual(labelSkills.getChallengeSkills({tags: [NODE]}, ['lang:python']), [NODE]);
+  });
+
+  it('ignores the tags which aren\'t a list', () => {
+    assert.deepEqual(labelSkills.getChallengeSkills({tags: 'node', labelSkills: PROJECT.labelSkills}, ['lang:python']), [PYTHON]);
+    assert.deepEqual(labelSkills.getChallengeSkills(null, ['lang:python']), []);
+  });
+
+  it('compares the skills by id', () => {
+    assert.isTrue(labelSkills.isSameSkills([NODE, PYTHON], [{id: 'python'}, {id: 'node'}]));
+    assert.isFalse(labelSkills.isSameSkills([NODE], [NODE, PYTHON]));
+    assert.isTrue(labelSkills.isSameSkills([], null));
+  });
+});
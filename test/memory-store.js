@@ -0,0 +1,235 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * An in-memory store for the unit tests, it implements the store contract of utils/storage/index.js
+ * and passes the storage contract tests. The records are kept by model name until clear is called.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const _ = require('lodash');
+const storage = require('../utils/storage');
+
+// the records by model name and id
+let tables = {};
+
+/**
+ * gets the records of a model
+ * @param {Object} model the model
+ * @returns {Object} the records by id
+ * @private
+ */
+function getTable(model) {
+  const name = model.$__.name;
+  tables[name] = tables[name] || {};
+  return tables[name];
+}
+
+/**
+ * converts a value to a comparable value, the dates are compared by time
+ * @param {*} value the value
+ * @returns {*} the comparable value
+ * @private
+ */
+function toComparable(value) {
+  return _.isDate(value) ? value.getTime() : value;
+}
+
+/**
+ * copies the attributes of a record, the date attributes are dates as in the real stores
+ * @param {Object} model the model
+ * @param {Object} data the attributes
+ * @returns {Object} the copy
+ * @private
+ */
+function toRecord(model, data) {
+  return _.mapValues(_.cloneDeep(data), (value, field) => {
+    if (!_.isNil(value) && storage.getAttributeType(model, field) === 'date') {
+      return new Date(value);
+    }
+    return value;
+  });
+}
+
+/**
+ * applies the defaults of the model to the missing attributes of a new record
+ * @param {Object} model the model
+ * @param {Object} data the record
+ * @returns {Promise<Object>} the record with the defaults
+ * @private
+ */
+async function withDefaults(model, data) {
+  const record = _.omitBy(data, _.isNil);
+  for (const attribute of _.values(model.$__.schema.attributes)) { // eslint-disable-line no-restricted-syntax
+    if (attribute.default && _.isNil(record[attribute.name])) {
+      record[attribute.name] = await attribute.default(record);
+    }
+  }
+  return record;
+}
+
+/**
+ * checks whether a record matches a comparison
+ * @param {Object} record the record
+ * @param {Object} comparison the comparison, see storage.parseConditions
+ * @returns {Boolean} true if it matches
+ * @private
+ */
+function matches(record, {field, comparison, value}) {
+  const recordValue = toComparable(record[field]);
+  if (_.isNull(value)) {
+    return comparison === 'ne' ? !_.isNil(recordValue) : _.isNil(recordValue);
+  }
+  if (comparison === 'le') {
+    return !_.isNil(recordValue) && recordValue <= toComparable(value);
+  }
+  const equal = _.isEqual(recordValue, toComparable(value));
+  return comparison === 'ne' ? !equal : equal;
+}
+
+/**
+ * creates or updates the tables
+ * @returns {Promise<Array>} the applied changes, there are none
+ */
+async function migrate() {
+  return [];
+}
+
+/**
+ * gets a record
+ * @param {Object} model the model
+ * @param {String} id the id
+ * @returns {Promise<Object>} the record, null if it doesn't exist
+ */
+async function getById(model, id) {
+  return _.cloneDeep(getTable(model)[id]) || null;
+}
+
+/**
+ * gets all the records matching the conditions
+ * @param {Object} model the model
+ * @param {Object} conditions the conditions
+ * @returns {Promise<Array>} the records
+ */
+async function find(model, conditions) {
+  const comparisons = storage.parseConditions(conditions);
+  let records = _.filter(_.values(getTable(model)), (record) => _.every(comparisons, (comparison) => matches(record, comparison)));
+  const key = storage.getFindKey(model, comparisons);
+  if (key && key.rangeKey) {
+    records = _.sortBy(records, (record) => toComparable(record[key.rangeKey]));
+  }
+  return _.cloneDeep(records);
+}
+
+/**
+ * creates a record, it replaces the record with the same id
+ * @param {Object} model the model
+ * @param {Object} data the record
+ * @returns {Promise<Object>} the created record
+ */
+async function create(model, data) {
+  const record = toRecord(model, await withDefaults(model, data));
+  getTable(model)[record.id] = record;
+  return _.cloneDeep(record);
+}
+
+/**
+ * updates the attributes of a record
+ * @param {Object} model the model
+ * @param {String} id the id
+ * @param {Object} data the updated attributes
+ * @returns {Promise<Object>} the updated record, null if it doesn't exist
+ */
+async function update(model, id, data) {
+  const table = getTable(model);
+  if (!table[id]) {
+    return null;
+  }
+  table[id] = _.omitBy(_.assign(table[id], toRecord(model, data)), _.isNil);
+  return _.cloneDeep(table[id]);
+}
+
+/**
+ * creates or replaces the records
+ * @param {Object} model the model
+ * @param {Array} records the records
+ */
+async function putMany(model, records) {
+  for (const record of records) { // eslint-disable-line no-restricted-syntax
+    await create(model, record);
+  }
+}
+
+/**
+ * deletes a record
+ * @param {Object} model the model
+ * @param {String} id the id
+ * @returns {Promise<Boolean>} true if deleted, false if it doesn't exist
+ */
+async function remove(model, id) {
+  const table = getTable(model);
+  const exists = _.has(table, id);
+  delete table[id];
+  return exists;
+}
+
+/**
+ * locks a record if it isn't locked or its lock expired
+ * @param {Object} model the model
+ * @param {String} id the id
+ * @param {String} lockId ID of the lock
+ * @param {Number} ttl the time to live of the lock in milliseconds
+ * @param {Object} [options] the options, `upsert` creates the record if it doesn't exist
+ * @returns {Promise<Object>} the locked record, or null if it is locked by someone else or doesn't exist
+ */
+async function acquireLock(model, id, lockId, ttl, options) {
+  const table = getTable(model);
+  const record = table[id];
+  if (!record && !_.get(options, 'upsert')) {
+    return null;
+  }
+  if (record && record.lockId && record.lockExpiration.getTime() >= Date.now()) {
+    return null;
+  }
+  table[id] = _.assign(record || {id}, {lockId, lockExpiration: new Date(Date.now() + ttl)});
+  return _.cloneDeep(table[id]);
+}
+
+/**
+ * updates the attributes of a record locked by the lock
+ * @param {Object} model the model
+ * @param {String} id the id
+ * @param {String} lockId ID of the lock
+ * @param {Object} data the updated attributes
+ * @returns {Promise<Object>} the updated record, or null if it isn't locked by the lock anymore
+ */
+async function updateLocked(model, id, lockId, data) {
+  const record = getTable(model)[id];
+  if (!record || record.lockId !== lockId) {
+    return null;
+  }
+  return await update(model, id, data);
+}
+
+/**
+ * removes all the records
+ */
+function clear() {
+  tables = {};
+}
+
+module.exports = {
+  name: 'memory',
+  migrate,
+  getById,
+  find,
+  create,
+  update,
+  putMany,
+  remove,
+  acquireLock,
+  updateLocked,
+  clear
+};
@@ -0,0 +1,175 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the prize grammar of the issue titles and front matters, see utils/prize-parser.js.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+/* eslint-disable no-magic-numbers */
+
+process.env.NODE_ENV = 'test';
+
+const {assert} = require('chai');
+const prizeParser = require('../utils/prize-parser');
+
+/**
+ * asserts the prizes can't be parsed
+ * @param {String} title the issue title
+ * @param {String} body the issue body
+ * @param {RegExp} message the expected error message
+ */
+function assertParseError(title, body, message) {
+  assert.throws(() => prizeParser.parse(title, body), message);
+}
+
+describe('Prize parser', () => {
+  describe('title brackets', () => {
+    it('parses a single placement in dollars', () => {
+      assert.deepEqual(prizeParser.parse('[$500] Fix the login', 'body'), {
+        prizes: [500],
+        currency: 'USD',
+        title: 'Fix the login',
+        body: 'body'
+      });
+    });
+
+    it('parses the placements and the copilot and reviewer modifiers', () => {
+      const prize = prizeParser.parse('[$500, $200 +cp $50 +rv $30] Fix the login');
+      assert.deepEqual(prize.prizes, [500, 200]);
+      assert.equal(prize.copilotFee, 50);
+      assert.equal(prize.reviewerPrize, 30);
+      assert.equal(prize.title, 'Fix the login');
+    });
+
+    it('parses the currency symbols, codes and points', () => {
+      assert.include(prizeParser.parse('[€500] title'), {currency: 'EUR'});
+      assert.include(prizeParser.parse('[£500] title'), {currency: 'GBP'});
+      assert.include(prizeParser.parse('[500 EUR, 200 EUR] title'), {currency: 'EUR'});
+      assert.include(prizeParser.parse('[EUR 500] title'), {currency: 'EUR'});
+      assert.include(prizeParser.parse('[100pts] title'), {currency: 'POINT'});
+    });
+
+    it('parses the amounts with thousands separators', () => {
+      assert.deepEqual(prizeParser.parse('[$1,000] title').prizes, [1000]);
+      assert.deepEqual(prizeParser.parse('[$1,000, $500 +cp $1,250.50] title'), {
+        prizes: [1000, 500],
+        currency: 'USD',
+        copilotFee: 1250.5,
+        title: 'title',
+        body: undefined // eslint-disable-line no-undefined
+      });
+      assert.deepEqual(prizeParser.parse('[1,000,000 EUR] title').prizes, [1000000]);
+    });
+
+    it('separates the placements given without spaces', () => {
+      assert.deepEqual(prizeParser.parse('[$500,$200] title').prizes, [500, 200]);
+    });
+
+    it('leaves the brackets which don\'t start with an amount in the title', () => {
+      assert.isNull(prizeParser.parse('[Node 18 LTS] upgrade'));
+      assert.isNull(prizeParser.parse('[API 2 migration] x'));
+      assert.isNull(prizeParser.parse('[WIP] title'));
+      assert.isNull(prizeParser.parse('[$20 budget left] title'));
+      assert.isNull(prizeParser.parse('[+cp $50] title'));
+    });
+
+    it('leaves the brackets with a three letter word which isn\'t a supported currency in the title', () => {
+      assert.isNull(prizeParser.parse('[CSS 3] layout fix'));
+      assert.isNull(prizeParser.parse('Fix [PHP 8] deprecation'));
+      assert.isNull(prizeParser.parse('[API 2] rate limits'));
+      assert.isNull(prizeParser.parse('[3 CSS] layout fix'));
+      assert.isNull(prizeParser.parse('[500 CHF] title'));
+    });
+
+    it('keeps the other brackets of the title', () => {
+      const prize = prizeParser.parse('[API 2 migration] [$20] title');
+      assert.deepEqual(prize.prizes, [20]);
+      assert.equal(prize.title, '[API 2 migration]  title');
+    });
+
+    it('removes the prize bracket of the title', () => {
+      assert.equal(prizeParser.removePrize('[$500, soon] Fix the login'), 'Fix the login');
+      assert.equal(prizeParser.removePrize('[WIP] Fix the login'), '[WIP] Fix the login');
+    });
+
+    it('rejects the invalid amounts of a prize bracket', () => {
+      assertParseError('[$500, soon] title', '', /Can't parse the placement prize `soon`/);
+      assertParseError('[$500 +cp] title', '', /Can't parse the \+cp amount ``/);
+      assertParseError('[$500 +xx $5] title', '', /Unknown prize modifier `\+xx`/);
+      assertParseError('[$500 +cp $5 +cp $6] title', '', /`\+cp` is given more than once/);
+      assertParseError('[$500, 200 EUR] title', '', /same currency, found USD, EUR/);
+    });
+  });
+
+  describe('front matter', () => {
+    it('parses the prizes of the front matter and removes it from the body', () => {
+      const body = '---\nprizes: [500, 200]\ncopilot: 50\nreviewer: 30\ncurrency: eur\n---\nThe description';
+      assert.deepEqual(prizeParser.parse('Fix the login', body), {
+        prizes: [500, 200],
+        currency: 'EUR',
+        copilotFee: 50,
+        reviewerPrize: 30,
+        title: 'Fix the login',
+        body: 'The description'
+      });
+    });
+
+    it('prefers the prizes of the title', () => {
+      assert.deepEqual(prizeParser.parse('[$20] title', '---\nprizes: 500\n---\n').prizes, [20]);
+    });
+
+    it('ignores a front matter without prizes', () => {
+      assert.isNull(prizeParser.parse('title', '---\nauthor: someone\n---\nbody'));
+      assert.isNull(prizeParser.parse('title', 'no front matter'));
+      assert.isNull(prizeParser.parse('title'));
+    });
+
+    it('rejects an invalid front matter', () => {
+      assertParseError('title', '---\nprizes: [500\n---\n', /not valid YAML/);
+      assertParseError('title', '---\nprizes: -5\n---\n', /can't be negative/);
+      assertParseError('title', '---\nprizes: 5\ncurrency: dollars\n---\n', /is not supported, use USD, EUR, GBP, POINT/);
+      assertParseError('title', '---\nprizes: 5\ncurrency: CSS\n---\n', /is not supported/);
+      assertParseError('title', '---\nprizes: []\n---\n', /At least one placement prize is required/);
+    });
+  });
+
+  describe('amounts', () => {
+    it('parses an amount', () => {
+      assert.deepEqual(prizeParser.parseAmount('$1,500.25'), {value: 1500.25, currency: 'USD'});
+      assert.deepEqual(prizeParser.parseAmount('100 points'), {value: 100, currency: 'POINT'});
+      assert.deepEqual(prizeParser.parseAmount(50, 'GBP'), {value: 50, currency: 'GBP'});
+    });
+
+    it('rejects the amounts in an unsupported currency', () => {
+      assert.throws(() => prizeParser.parseAmount('3 CSS'), /Can't parse the amount `3 CSS`/);
+      assert.throws(() => prizeParser.parseAmount('PHP 8'), /Can't parse the amount `PHP 8`/);
+    });
+
+    it('formats an amount', () => {
+      assert.equal(prizeParser.formatAmount(500), '$500');
+      assert.equal(prizeParser.formatAmount(500, 'EUR'), '€500');
+      assert.equal(prizeParser.formatAmount(500, 'CHF'), '500 CHF');
+      assert.equal(prizeParser.formatAmount(100, 'POINT'), '100pts');
+    });
+
+    it('formats the prize bracket of a title', () => {
+      const title = `[${prizeParser.formatPrize(prizeParser.parse('[€500, €200 +cp €50 +rv €30] title'))}] title`;
+      assert.equal(title, '[€500, €200 +cp €50 +rv €30] title');
+      assert.equal(prizeParser.formatPrize({prizes: [500], currency: 'CHF'}), '500 CHF');
+      assert.deepEqual(prizeParser.parse('[500 GBP, 200 GBP] title').prizes, [500, 200]);
+    });
+
+    it('builds the prize sets of the challenge', () => {
+      const prize = prizeParser.parse('[€500, €200 +rv €30] title');
+      assert.deepEqual(prizeParser.toPrizeSets(prize, prize.prizes, 50), [
+        {type: 'placement', prizes: [{type: 'EUR', value: 500}, {type: 'EUR', value: 200}]},
+        {type: 'copilot', prizes: [{type: 'EUR', value: 50}]},
+        {type: 'reviewer', prizes: [{type: 'EUR', value: 30}]}
+      ]);
+    });
+  });
+});
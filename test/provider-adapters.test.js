@@ -0,0 +1,257 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The conformance tests every git provider adapter must pass, see utils/providers/index.js.
+ * They don't call the git hosts, the adapters are given a missing copilot so they fail before any request.
+ * The behavior tests check the calls of each adapter to its git host service, the services are stubbed.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+
+process.env.NODE_ENV = 'test';
+
+const _ = require('lodash');
+const {assert} = require('chai');
+const models = require('../models');
+const providers = require('../utils/providers');
+const gitHelper = require('../utils/git-helper');
+const GithubService = require('../services/GithubService');
+const AzureService = require('../services/AzureService');
+const GitlabService = require('../services/GitlabService');
+const BitbucketService = require('../services/BitbucketService');
+const GiteaService = require('../services/GiteaService');
+const stubs = require('./stubs');
+
+const REPOSITORY = {
+  id: 1,
+  name: 'repo',
+  full_name: 'owner/repo'
+};
+
+const ISSUE_NUMBER = 1;
+
+const COPILOT = {topcoderUsername: 'copilot'};
+
+// the result of every stubbed service method
+const RESULT = 'result';
+
+// the arguments given to each method of the contract
+const ARGUMENTS = {
+  createComment: [null, REPOSITORY, ISSUE_NUMBER, 'comment'],
+  addLabels: [null, REPOSITORY, ISSUE_NUMBER, ['tcx_OpenForPickup']],
+  updateIssue: [null, REPOSITORY, ISSUE_NUMBER, 'title'],
+  reOpenIssue: [null, REPOSITORY, ISSUE_NUMBER],
+  assignUser: [null, REPOSITORY, ISSUE_NUMBER, 'username'],
+  removeAssign: [null, REPOSITORY, ISSUE_NUMBER, {id: 1, username: 'username'}],
+  getUsernameById: [null, REPOSITORY, 1],
+  getUserIdByLogin: [null, REPOSITORY, 'username'],
+  markIssueAsPaid: [null, REPOSITORY, ISSUE_NUMBER, {challengeUUID: 'challenge', existLabels: [], winner: 'winner'}]
+};
+
+describe('Provider adapter registry', () => {
+  it('registers the github, gitlab, azure, bitbucket and gitea adapters', () => {
+    assert.includeMembers(providers.getProviders(), ['github', 'gitlab', 'azure', 'bitbucket', 'gitea']);
+  });
+
+  it('rejects an unknown provider', () => {
+    assert.isFalse(providers.isSupported('unknown'));
+    assert.throws(() => providers.getAdapter('unknown'), /not supported/);
+  });
+
+  it('rejects an adapter which does not implement the contract', () => {
+    assert.throws(() => providers.register({name: 'incomplete', getRepoUrl: _.identity}), /doesn't implement: createComment/);
+    assert.isFalse(providers.isSupported('incomplete'));
+  });
+
+  it('rejects an adapter without user mapping', () => {
+    const adapter = _.assign(_.pick(providers.getAdapter('github'), providers.ADAPTER_METHODS), {name: 'unmapped'});
+    assert.throws(() => providers.register(adapter), /doesn't implement: userMapping/);
+    assert.isFalse(providers.isSupported('unmapped'));
+  });
+});
+
+_.forEach(providers.getProviders(), (provider) => {
+  describe(`Provider adapter conformance: ${provider}`, () => {
+    const adapter = providers.getAdapter(provider);
+
+    it('is registered under its name', () => {
+      assert.equal(adapter.name, provider);
+    });
+
+    it('implements every method of the contract', () => {
+      _.forEach(providers.ADAPTER_METHODS, (method) => {
+        assert.isFunction(adapter[method], `${provider} adapter must implement ${method}`);
+      });
+    });
+
+    it('declares the user mapping model of the provider', () => {
+      assert.exists(models[adapter.userMapping.model], `${provider} adapter must declare a user mapping model`);
+      assert.isString(adapter.userMapping.userId);
+      assert.isString(adapter.userMapping.username);
+    });
+
+    it('builds the repository url from the full name', () => {
+      const url = adapter.getRepoUrl(REPOSITORY.full_name);
+      assert.match(url, /^https?:\/\//);
+      assert.isTrue(_.endsWith(url, `/${REPOSITORY.full_name}`));
+    });
+
+    _.forEach(ARGUMENTS, (args, method) => {
+      it(`returns a promise from ${method}`, async () => {
+        const result = adapter[method](...args);
+        assert.instanceOf(result, Promise);
+        await result.catch(_.noop);
+      });
+    });
+
+    it('covers every asynchronous method of the contract in the conformance arguments', () => {
+      assert.sameMembers(_.keys(ARGUMENTS), _.without(providers.ADAPTER_METHODS, 'getRepoUrl'));
+    });
+  });
+});
+
+// the service calls `[method, ...args]` expected from each adapter method, by provider
+const SERVICE_CALLS = {
+  github: {
+    createComment: [['createComment', COPILOT, 'owner/repo', ISSUE_NUMBER, 'comment']],
+    addLabels: [['addLabels', COPILOT, 'owner/repo', ISSUE_NUMBER, ['tcx_OpenForPickup']]],
+    updateIssue: [['updateIssue', COPILOT, 'owner/repo', ISSUE_NUMBER, 'title']],
+    reOpenIssue: [['changeState', COPILOT, 'owner/repo', ISSUE_NUMBER, 'open']],
+    assignUser: [['assignUser', COPILOT, 'owner/repo', ISSUE_NUMBER, 'username']],
+    removeAssign: [['removeAssign', COPILOT, 'owner/repo', ISSUE_NUMBER, 'username']],
+    getUsernameById: [['getUsernameById', COPILOT, 'owner/repo', 1]],
+    getUserIdByLogin: [['getUserIdByLogin', COPILOT, 'owner/repo', 'username']],
+    markIssueAsPaid: [['markIssueAsPaid', COPILOT, 'owner/repo', ISSUE_NUMBER, 'challenge', [], 'winner', undefined]] // eslint-disable-line no-undefined
+  },
+  azure: {
+    createComment: [['createComment', COPILOT, 'owner/repo', ISSUE_NUMBER, 'comment']],
+    addLabels: [['addLabels', COPILOT, 'owner/repo', ISSUE_NUMBER, ['tcx_OpenForPickup']]],
+    updateIssue: [['updateIssue', COPILOT, 'owner/repo', ISSUE_NUMBER, 'title']],
+    reOpenIssue: [['changeState', COPILOT, 'owner/repo', ISSUE_NUMBER, 'Active']],
+    assignUser: [['assignUser', COPILOT, 'owner/repo', ISSUE_NUMBER, 'username']],
+    removeAssign: [['removeAssign', COPILOT, 'owner/repo', ISSUE_NUMBER]],
+    getUsernameById: [['getUsernameById', COPILOT, 1]],
+    getUserIdByLogin: [],
+    markIssueAsPaid: [['markIssueAsPaid', COPILOT, 'owner/repo', ISSUE_NUMBER, 'challenge', []]]
+  },
+  gitlab: {
+    createComment: [['createComment', REPOSITORY, ISSUE_NUMBER, 'comment']],
+    addLabels: [['addLabels', REPOSITORY, ISSUE_NUMBER, ['tcx_OpenForPickup']]],
+    updateIssue: [['updateIssue', REPOSITORY, ISSUE_NUMBER, 'title']],
+    reOpenIssue: [['changeState', REPOSITORY, ISSUE_NUMBER, 'reopen']],
+    assignUser: [['getUserIdByLogin', 'username'], ['assignUser', REPOSITORY, ISSUE_NUMBER, RESULT]],
+    removeAssign: [['removeAssign', REPOSITORY, ISSUE_NUMBER, 1]],
+    getUsernameById: [['getUsernameById', 1]],
+    getUserIdByLogin: [['getUserIdByLogin', 'username']],
+    markIssueAsPaid: [['markIssueAsPaid', REPOSITORY, ISSUE_NUMBER, 'challenge', [], 'winner', undefined]] // eslint-disable-line no-undefined
+  },
+  bitbucket: {
+    createComment: [['createComment', REPOSITORY, ISSUE_NUMBER, 'comment']],
+    addLabels: [['addLabels', REPOSITORY, ISSUE_NUMBER, ['tcx_OpenForPickup']]],
+    updateIssue: [['updateIssue', REPOSITORY, ISSUE_NUMBER, 'title']],
+    reOpenIssue: [['changeState', REPOSITORY, ISSUE_NUMBER, 'open']],
+    assignUser: [['getUserIdByLogin', 'username'], ['assignUser', REPOSITORY, ISSUE_NUMBER, RESULT]],
+    removeAssign: [['removeAssign', REPOSITORY, ISSUE_NUMBER]],
+    getUsernameById: [['getUsernameById', 1]],
+    getUserIdByLogin: [['getUserIdByLogin', 'username']],
+    markIssueAsPaid: [['markIssueAsPaid', REPOSITORY, ISSUE_NUMBER, 'challenge', [], 'winner', undefined]] // eslint-disable-line no-undefined
+  },
+  gitea: {
+    createComment: [['createComment', REPOSITORY, ISSUE_NUMBER, 'comment']],
+    addLabels: [['addLabels', REPOSITORY, ISSUE_NUMBER, ['tcx_OpenForPickup']]],
+    updateIssue: [['updateIssue', REPOSITORY, ISSUE_NUMBER, 'title']],
+    reOpenIssue: [['changeState', REPOSITORY, ISSUE_NUMBER, 'open']],
+    assignUser: [['assignUser', REPOSITORY, ISSUE_NUMBER, 'username']],
+    removeAssign: [['removeAssign', REPOSITORY, ISSUE_NUMBER, 'username']],
+    getUsernameById: [['getUsernameById', 1]],
+    getUserIdByLogin: [['getUserIdByLogin', 'username']],
+    markIssueAsPaid: [['markIssueAsPaid', REPOSITORY, ISSUE_NUMBER, 'challenge', [], 'winner', undefined]] // eslint-disable-line no-undefined
+  }
+};
+
+// the services of the providers, the module services are stubbed and the class services create a stubbed instance
+const SERVICES = {
+  github: {module: GithubService},
+  azure: {module: AzureService},
+  gitlab: {class: GitlabService},
+  bitbucket: {class: BitbucketService},
+  gitea: {class: GiteaService}
+};
+
+/**
+ * stubs the service methods called by an adapter
+ * @param {String} provider the provider
+ * @returns {Array<Array>} the service calls `[method, ...args]`
+ */
+function stubService(provider) {
+  const calls = [];
+  const methods = _(SERVICE_CALLS[provider]).values() // eslint-disable-line lodash/chaining
+    .flatten()
+    .map(0)
+    .uniq()
+    .value();
+  const fakeMethods = _.zipObject(methods, _.map(methods, (method) => (...args) => {
+    calls.push([method, ...args]);
+    return Promise.resolve(RESULT);
+  }));
+  if (SERVICES[provider].module) {
+    _.forEach(fakeMethods, (fake, method) => stubs.stub(SERVICES[provider].module, method, fake));
+  } else {
+    stubs.stub(SERVICES[provider].class, 'create', (copilot) => {
+      calls.push(['create', copilot]);
+      return Promise.resolve(fakeMethods);
+    });
+  }
+  return calls;
+}
+
+_.forEach(SERVICE_CALLS, (expectedCalls, provider) => {
+  describe(`Provider adapter behavior: ${provider}`, () => {
+    const adapter = providers.getAdapter(provider);
+    let calls;
+
+    beforeEach(() => {
+      calls = stubService(provider);
+    });
+
+    afterEach(() => {
+      stubs.restore();
+    });
+
+    _.forEach(expectedCalls, (expected, method) => {
+      it(`maps the arguments of ${method}`, async () => {
+        await adapter[method](COPILOT, ..._.tail(ARGUMENTS[method]));
+        const serviceCalls = SERVICES[provider].class ? _.reject(calls, {0: 'create'}) : calls;
+        assert.deepEqual(serviceCalls, expected);
+        if (SERVICES[provider].class) {
+          assert.deepEqual(_.filter(calls, {0: 'create'}), [['create', COPILOT]]);
+        }
+      });
+    });
+
+    it('returns the user lookups of the service', async () => {
+      assert.equal(await adapter.getUsernameById(COPILOT, REPOSITORY, 1), RESULT);
+      assert.equal(await adapter.getUserIdByLogin(COPILOT, REPOSITORY, 'username'),
+        provider === 'azure' ? 'username' : RESULT);
+    });
+  });
+});
+
+describe('Git helper', () => {
+  afterEach(() => {
+    stubs.restore();
+  });
+
+  it('resolves the adapter once per event', async () => {
+    const getAdapterCalls = stubs.stub(providers, 'getAdapter', _.constant({createComment: _.noop, addLabels: _.noop}));
+    const event = {provider: 'github', copilot: COPILOT, data: {repository: REPOSITORY}};
+    await gitHelper.createComment(event, ISSUE_NUMBER, 'comment');
+    await gitHelper.addLabels(event, ISSUE_NUMBER, []);
+    await gitHelper.createComment(_.clone(event), ISSUE_NUMBER, 'comment');
+    assert.deepEqual(getAdapterCalls, [['github'], ['github']]);
+  });
+});
@@ -0,0 +1,89 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the reconciliation, see services/ReconciliationService.js.
+ * The database is in memory and the git host, the Topcoder API and kafka are stubbed.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+/* eslint-disable no-magic-numbers */
+
+process.env.NODE_ENV = 'test';
+
+const _ = require('lodash');
+const {assert} = require('chai');
+const models = require('../models');
+const constants = require('../constants');
+const dbHelper = require('../utils/db-helper');
+const kafkaSender = require('../utils/kafka-sender');
+const providers = require('../utils/providers');
+const topcoderApiHelper = require('../utils/topcoder-api-helper');
+const ReconciliationService = require('../services/ReconciliationService');
+const UserService = require('../services/UserService');
+const stubs = require('./stubs');
+
+const PROJECT = {id: 'project', title: 'Project', tcDirectId: 1, copilot: 'copilot', owner: 'owner', archived: 'false'};
+
+const REPOSITORY = {id: 'repository', projectId: PROJECT.id, url: 'https://github.com/owner/repo', archived: 'false'};
+
+describe('Reconciliation', () => {
+  let gitIssue;
+  let updateChallengeCalls;
+  let sendCalls;
+
+  beforeEach(async () => {
+    stubs.useMemoryStore();
+    gitIssue = {number: 1, title: '[$500] Fix the login', body: 'body', labels: ['tcx_OpenForPickup'], assignees: [], state: 'open'};
+    const adapter = providers.getAdapter('github');
+    stubs.stub(adapter, 'getRepository', _.constant(Promise.resolve({id: 1, name: 'repo', full_name: 'owner/repo'})));
+    stubs.stub(adapter, 'listIssues', () => Promise.resolve([gitIssue]));
+    stubs.stub(UserService, 'getRepositoryCopilotOrOwner', _.constant(Promise.resolve({username: 'copilot'})));
+    stubs.stub(topcoderApiHelper, 'getChallengeById', _.constant(Promise.resolve({name: 'Old name', status: constants.CHALLENGE_STATUS.ACTIVE})));
+    updateChallengeCalls = stubs.stub(topcoderApiHelper, 'updateChallenge');
+    sendCalls = stubs.stub(kafkaSender, 'send');
+    await dbHelper.create(models.Project, PROJECT);
+    await dbHelper.create(models.Repository, REPOSITORY);
+    await dbHelper.create(models.Issue, {
+      id: 'issue',
+      number: 1,
+      title: 'Fix the login',
+      body: 'body',
+      prizes: [500],
+      provider: 'github',
+      repositoryId: 1,
+      repoUrl: REPOSITORY.url,
+      projectId: PROJECT.id,
+      status: constants.ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL,
+      challengeUUID: 'challenge',
+      labels: ['tcx_OpenForPickup']
+    });
+  });
+
+  afterEach(() => {
+    stubs.restore();
+  });
+
+  it('renames the challenge with the title of the record', async () => {
+    const report = await ReconciliationService.reconcile({fix: true});
+    assert.deepEqual(_.map(report.repositories[0].drifts, 'type'), ['challenge_name']);
+    assert.deepEqual(_.map(updateChallengeCalls, 1), [{name: 'Fix the login'}]);
+  });
+
+  it('renames the challenge with the title of the ticket when the record is outdated', async () => {
+    gitIssue.title = '[$500] Fix the logout';
+    const report = await ReconciliationService.reconcile({fix: true});
+    assert.deepEqual(_.map(report.repositories[0].drifts, 'type'), ['content', 'challenge_name']);
+    assert.deepEqual(_.map(updateChallengeCalls, 1), [{name: 'Fix the logout'}]);
+    assert.lengthOf(sendCalls, 1);
+  });
+
+  it('only reports the drifts without fix', async () => {
+    const report = await ReconciliationService.reconcile();
+    assert.isFalse(report.repositories[0].drifts[0].fixed);
+    assert.lengthOf(updateChallengeCalls, 0);
+  });
+});
@@ -0,0 +1,120 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the retry policies of the failed events, see utils/retry-policy.js.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+/* eslint-disable no-magic-numbers */
+
+process.env.NODE_ENV = 'test';
+
+const config = require('config');
+const _ = require('lodash');
+const {assert} = require('chai');
+const constants = require('../constants');
+const errors = require('../utils/errors');
+const retryPolicy = require('../utils/retry-policy');
+const stubs = require('./stubs');
+
+/**
+ * gets the name of the policy of an error
+ * @param {String} errorAt where the error happened
+ * @param {Number} statusCode the status code
+ * @param {String} message the error message
+ * @returns {String} the policy name, null if the error isn't retried
+ */
+function getPolicyName(errorAt, statusCode, message = 'error') {
+  return _.get(retryPolicy.getPolicy({errorAt, statusCode, message}), 'name', null);
+}
+
+/**
+ * builds a policy without jitter
+ * @param {String} backoff the backoff curve
+ * @returns {Object} the policy
+ */
+function buildPolicy(backoff) {
+  return {name: 'test', backoff, baseDelay: 1000, jitter: 0};
+}
+
+describe('Retry policy', () => {
+  describe('matching', () => {
+    it('selects the policy of the error', () => {
+      assert.equal(getPolicyName('processor', 500, 'Issue issue-github-1-1 is creating, rescheduling this event'), 'challenge-creating');
+      assert.equal(getPolicyName('topcoder', 429), 'topcoder-rate-limit');
+      assert.equal(getPolicyName('topcoder', 503), 'topcoder-server-error');
+      assert.equal(getPolicyName('gitlab', 500, 'Failed to acquire lock on user 1 after 5 attempts.'), 'gitlab-lock-timeout');
+    });
+
+    it('falls back to the default policy of the error origin', () => {
+      assert.equal(getPolicyName('topcoder', 400), 'topcoder-default');
+      assert.equal(getPolicyName('processor', 500), 'processor-default');
+    });
+
+    it('doesn\'t retry the errors of the other origins', () => {
+      assert.isNull(getPolicyName('github', 500));
+      assert.isNull(getPolicyName('gitlab', 404));
+      assert.isNull(retryPolicy.getPolicy(new Error('error')));
+    });
+
+    it('selects the policy of the converted Topcoder API errors', () => {
+      const err = errors.convertTopcoderApiError({response: {status: 429}}, 'Failed to create the challenge.');
+      assert.equal(retryPolicy.getPolicy(err).name, 'topcoder-rate-limit');
+    });
+  });
+
+  describe('backoff', () => {
+    afterEach(() => {
+      stubs.restore();
+    });
+
+    it('keeps the same delay', () => {
+      const policy = buildPolicy(constants.RETRY_BACKOFF.CONSTANT);
+      assert.deepEqual(_.map([1, 2, 5], (attempt) => retryPolicy.getDelay(policy, attempt)), [1000, 1000, 1000]);
+    });
+
+    it('increases the delay linearly', () => {
+      const policy = buildPolicy(constants.RETRY_BACKOFF.LINEAR);
+      assert.deepEqual(_.map([1, 2, 5], (attempt) => retryPolicy.getDelay(policy, attempt)), [1000, 2000, 5000]);
+    });
+
+    it('doubles the delay', () => {
+      const policy = buildPolicy(constants.RETRY_BACKOFF.EXPONENTIAL);
+      assert.deepEqual(_.map([1, 2, 5], (attempt) => retryPolicy.getDelay(policy, attempt)), [1000, 2000, 16000]);
+    });
+
+    it('caps the delay at RETRY_MAX_INTERVAL', () => {
+      stubs.set(config, 'RETRY_MAX_INTERVAL', 5000);
+      assert.equal(retryPolicy.getDelay(buildPolicy(constants.RETRY_BACKOFF.EXPONENTIAL), 10), 5000);
+    });
+  });
+
+  describe('jitter', () => {
+    afterEach(() => {
+      stubs.restore();
+    });
+
+    it('spreads the delay within the jitter ratio', () => {
+      const policy = _.assign(buildPolicy(constants.RETRY_BACKOFF.CONSTANT), {jitter: 0.5});
+      stubs.stub(Math, 'random', _.constant(0));
+      assert.equal(retryPolicy.getDelay(policy, 1), 500);
+      stubs.stub(Math, 'random', _.constant(0.999999));
+      assert.closeTo(retryPolicy.getDelay(policy, 1), 1500, 1);
+      stubs.stub(Math, 'random', _.constant(0.5));
+      assert.equal(retryPolicy.getDelay(policy, 1), 1000);
+    });
+
+    it('keeps the delays of the policies within their bounds', () => {
+      const policy = retryPolicy.getPolicy({errorAt: 'topcoder', statusCode: 429});
+      _.times(100, () => {
+        const delay = retryPolicy.getDelay(policy, 3);
+        assert.isAtLeast(delay, 120000 * 0.5);
+        assert.isAtMost(delay, 120000 * 1.5);
+      });
+    });
+  });
+});
@@ -0,0 +1,226 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The contract tests every store must pass, see utils/storage/index.js.
+ * They run against DynamoDB when AWS_REGION or IS_LOCAL (DynamoDB Local) is set and against PostgreSQL when POSTGRES_URL is set,
+ * the tables are migrated first. The in-memory store of the unit tests always runs them. The records are created with unique ids and removed afterwards.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+
+process.env.NODE_ENV = 'test';
+
+const config = require('config');
+const _ = require('lodash');
+const {assert} = require('chai');
+const uuid = require('uuid').v4;
+const models = require('../models');
+const storage = require('../utils/storage');
+const memoryStore = require('./memory-store');
+
+const MIGRATION_TIMEOUT = 120000;
+const LOCK_TTL = 60000;
+
+/**
+ * builds an issue record
+ * @param {Number} repositoryId the repository id
+ * @param {Number} number the issue number
+ * @param {Object} [data] the other attributes
+ * @returns {Object} the issue
+ */
+function buildIssue(repositoryId, number, data) {
+  return _.assign({
+    id: uuid(),
+    number,
+    title: `[$20] issue ${number}`,
+    prizes: [20], // eslint-disable-line no-magic-numbers
+    provider: 'github',
+    repositoryId
+  }, data);
+}
+
+describe('Storage registry', () => {
+  it('registers the dynamodb and postgres stores', () => {
+    assert.includeMembers(storage.getStores(), ['dynamodb', 'postgres']);
+  });
+
+  it('rejects an unknown store', () => {
+    assert.throws(() => storage.getStore('unknown'), /not supported/);
+  });
+
+  it('rejects a store which does not implement the contract', () => {
+    assert.throws(() => storage.register({name: 'incomplete', migrate: _.noop}), /doesn't implement: getById/);
+    assert.notInclude(storage.getStores(), 'incomplete');
+  });
+
+  it('rejects an unknown comparison', () => {
+    assert.throws(() => storage.parseConditions({number: {gt: 1}}), /comparisons: eq, ne, le/);
+  });
+});
+
+// the in-memory store of the unit tests must behave as the real stores
+storage.register(memoryStore);
+
+// the stores which can be reached with the configuration, the others are skipped
+const CONFIGURED_STORES = {
+  memory: true,
+  dynamodb: config.DYNAMODB.IS_LOCAL === 'true' || Boolean(config.DYNAMODB.AWS_REGION),
+  postgres: Boolean(config.POSTGRES.URL)
+};
+
+_.forEach(storage.getStores(), (name) => {
+  const describeStore = CONFIGURED_STORES[name] ? describe : describe.skip;
+
+  describeStore(`Storage contract: ${name}`, function test() {
+    this.timeout(MIGRATION_TIMEOUT); // eslint-disable-line no-invalid-this
+
+    const store = storage.getStore(name);
+    // the created records by model name, removed after each test
+    let created;
+    // the issues of each test are in their own repository
+    let repositoryId;
+
+    /**
+     * creates a record and registers it for removal
+     * @param {String} modelName the model name
+     * @param {Object} data the record
+     * @returns {Promise<Object>} the created record
+     */
+    async function create(modelName, data) {
+      created.push({modelName, id: data.id});
+      return await store.create(models[modelName], data);
+    }
+
+    before(async () => {
+      await store.migrate();
+    });
+
+    beforeEach(() => {
+      created = [];
+      repositoryId = _.random(1, Number.MAX_SAFE_INTEGER);
+    });
+
+    afterEach(async () => {
+      for (const record of created) { // eslint-disable-line no-restricted-syntax
+        await store.remove(models[record.modelName], record.id);
+      }
+    });
+
+    it('migrates the migrated tables again', async () => {
+      await store.migrate();
+    });
+
+    it('gets a created record by id, with its dates and defaults', async () => {
+      const nextRunAt = new Date();
+      const retry = await create('EventRetry', {id: uuid(), keyName: uuid(), event: '{}', status: 'pending', nextRunAt});
+      const found = await store.getById(models.EventRetry, retry.id);
+      assert.equal(found.keyName, retry.keyName);
+      assert.instanceOf(found.nextRunAt, Date);
+      assert.equal(found.nextRunAt.getTime(), nextRunAt.getTime());
+      assert.instanceOf(found.createdAt, Date);
+    });
+
+    it('gets null for a missing record', async () => {
+      assert.isNull(await store.getById(models.Issue, uuid()));
+    });
+
+    it('replaces the record with the same id on creation', async () => {
+      const issue = await create('Issue', buildIssue(repositoryId, 1, {assignee: 'member'}));
+      await store.create(models.Issue, _.assign(_.omit(issue, 'assignee'), {title: 'replaced'}));
+      const found = await store.getById(models.Issue, issue.id);
+      assert.equal(found.title, 'replaced');
+      assert.notExists(found.assignee);
+    });
+
+    it('updates and removes the attributes of a record', async () => {
+      const issue = await create('Issue', buildIssue(repositoryId, 1, {assignee: 'member', assignedAt: new Date()}));
+      const updated = await store.update(models.Issue, issue.id, {title: 'updated', assignee: null, assignedAt: null});
+      assert.equal(updated.title, 'updated');
+      const found = await store.getById(models.Issue, issue.id);
+      assert.equal(found.title, 'updated');
+      assert.equal(found.number, 1);
+      assert.notExists(found.assignee);
+      assert.notExists(found.assignedAt);
+    });
+
+    it('finds the records by the hash key of an index, sorted by its range key', async () => {
+      await create('Issue', buildIssue(repositoryId, 10)); // eslint-disable-line no-magic-numbers
+      await create('Issue', buildIssue(repositoryId, 2)); // eslint-disable-line no-magic-numbers
+      await create('Issue', buildIssue(repositoryId + 1, 1));
+      assert.deepEqual(_.map(await store.find(models.Issue, {repositoryId}), 'number'), [2, 10]); // eslint-disable-line no-magic-numbers
+    });
+
+    it('finds the records by key and filter conditions', async () => {
+      const issue = await create('Issue', buildIssue(repositoryId, 1));
+      await create('Issue', buildIssue(repositoryId, 1, {provider: 'gitlab'}));
+      const found = await store.find(models.Issue, {repositoryId, number: 1, provider: 'github'});
+      assert.deepEqual(_.map(found, 'id'), [issue.id]);
+    });
+
+    it('finds the records with and without an attribute', async () => {
+      const status = uuid();
+      const assigned = await create('Issue', buildIssue(repositoryId, 1, {status, assignedAt: new Date()}));
+      const unassigned = await create('Issue', buildIssue(repositoryId, 2, {status})); // eslint-disable-line no-magic-numbers
+      assert.deepEqual(_.map(await store.find(models.Issue, {status, assignedAt: {ne: null}}), 'id'), [assigned.id]);
+      assert.deepEqual(_.map(await store.find(models.Issue, {repositoryId, assignedAt: null}), 'id'), [unassigned.id]);
+    });
+
+    it('finds the records by comparison', async () => {
+      const keyName = uuid();
+      const due = await create('EventRetry', {id: uuid(), keyName, event: '{}', status: 'pending', nextRunAt: new Date(Date.now() - LOCK_TTL)});
+      await create('EventRetry', {id: uuid(), keyName, event: '{}', status: 'pending', nextRunAt: new Date(Date.now() + LOCK_TTL)});
+      const found = await store.find(models.EventRetry, {keyName, nextRunAt: {le: new Date()}});
+      assert.deepEqual(_.map(found, 'id'), [due.id]);
+      assert.lengthOf(await store.find(models.EventRetry, {keyName, status: {ne: 'published'}}), 2); // eslint-disable-line no-magic-numbers
+    });
+
+    it('creates or replaces many records', async () => {
+      const issues = [buildIssue(repositoryId, 1), buildIssue(repositoryId, 2)]; // eslint-disable-line no-magic-numbers
+      created.push(..._.map(issues, (issue) => ({modelName: 'Issue', id: issue.id})));
+      await store.putMany(models.Issue, issues);
+      await store.putMany(models.Issue, [_.assign({}, issues[0], {title: 'replaced'})]);
+      const found = await store.find(models.Issue, {repositoryId});
+      assert.deepEqual(_.map(found, 'title'), ['replaced', issues[1].title]);
+    });
+
+    it('removes a record', async () => {
+      const issue = await create('Issue', buildIssue(repositoryId, 1));
+      assert.isTrue(await store.remove(models.Issue, issue.id));
+      assert.isNull(await store.getById(models.Issue, issue.id));
+      assert.isFalse(await store.remove(models.Issue, issue.id));
+    });
+
+    it('acquires a lock once until it is released', async () => {
+      const id = uuid();
+      created.push({modelName: 'Lock', id});
+      const lock = await store.acquireLock(models.Lock, id, 'first', LOCK_TTL, {upsert: true});
+      assert.equal(lock.lockId, 'first');
+      assert.isNull(await store.acquireLock(models.Lock, id, 'second', LOCK_TTL, {upsert: true}));
+      assert.isNull(await store.updateLocked(models.Lock, id, 'second', {lockId: null, lockExpiration: null}));
+      const released = await store.updateLocked(models.Lock, id, 'first', {lockId: null, lockExpiration: null});
+      assert.notExists(released.lockId);
+      assert.equal((await store.acquireLock(models.Lock, id, 'second', LOCK_TTL, {upsert: true})).lockId, 'second');
+    });
+
+    it('takes over an expired lock', async () => {
+      const id = uuid();
+      created.push({modelName: 'Lock', id});
+      await store.acquireLock(models.Lock, id, 'first', -LOCK_TTL, {upsert: true});
+      assert.equal((await store.acquireLock(models.Lock, id, 'second', LOCK_TTL, {upsert: true})).lockId, 'second');
+    });
+
+    it('locks only the existing records without upsert', async () => {
+      assert.isNull(await store.acquireLock(models.EventRetry, uuid(), 'first', LOCK_TTL));
+      const retry = await create('EventRetry', {id: uuid(), keyName: uuid(), event: '{}', status: 'pending', nextRunAt: new Date()});
+      const locked = await store.acquireLock(models.EventRetry, retry.id, 'first', LOCK_TTL);
+      assert.equal(locked.lockId, 'first');
+      assert.equal(locked.keyName, retry.keyName);
+      const published = await store.updateLocked(models.EventRetry, retry.id, 'first', {status: 'published'});
+      assert.equal(published.status, 'published');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This provides the stubs of the unit tests: the methods and the settings of the modules are replaced, the calls are recorded,
+ * and the database is replaced by the in-memory store. restore puts everything back, call it after each test.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const _ = require('lodash');
+const storage = require('../utils/storage');
+const memoryStore = require('./memory-store');
+
+// the functions restoring the stubbed methods, the last stubbed first
+const restorers = [];
+
+/**
+ * replaces a property of a module
+ * @param {Object} object the module
+ * @param {String} property the property name
+ * @param {*} value the value
+ */
+function set(object, property, value) {
+  const original = object[property];
+  object[property] = value;
+  restorers.push(() => {
+    object[property] = original;
+  });
+}
+
+/**
+ * replaces a method of a module and records its calls, the stub is called on the object of the call
+ * @param {Object} object the module
+ * @param {String} method the method name
+ * @param {Function} [implementation] the stub, does nothing by default
+ * @returns {Array<Array>} the arguments of each call
+ */
+function stub(object, method, implementation = _.noop) {
+  const calls = [];
+  set(object, method, function stubbed(...args) {
+    calls.push(args);
+    return implementation.apply(this, args); // eslint-disable-line no-invalid-this
+  });
+  return calls;
+}
+
+/**
+ * replaces the configured store by an empty in-memory store
+ * @returns {Object} the in-memory store
+ */
+function useMemoryStore() {
+  memoryStore.clear();
+  stub(storage, 'getStore', () => memoryStore);
+  return memoryStore;
+}
+
+/**
+ * restores the stubbed methods
+ */
+function restore() {
+  _.forEachRight(restorers, (restorer) => restorer());
+  restorers.length = 0;
+}
+
+module.exports = {
+  set,
+  stub,
+  useMemoryStore,
+  restore
+};
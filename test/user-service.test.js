@@ -0,0 +1,90 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The tests of the user lookups through the provider adapters, see services/UserService.js. The database is in memory.
+ * @author TCSCODER
+ * @version 1.0
+ */
+/* eslint-env node, mocha */
+/* eslint-disable no-magic-numbers */
+
+process.env.NODE_ENV = 'test';
+
+const _ = require('lodash');
+const {assert} = require('chai');
+const models = require('../models');
+const dbHelper = require('../utils/db-helper');
+const providers = require('../utils/providers');
+const AzureService = require('../services/AzureService');
+const UserService = require('../services/UserService');
+const stubs = require('./stubs');
+
+const PROJECT = {id: 'project', title: 'Project', tcDirectId: 1, copilot: 'copilot', owner: 'owner', archived: 'false'};
+
+describe('User service', () => {
+  beforeEach(async () => {
+    stubs.useMemoryStore();
+    await dbHelper.create(models.Project, PROJECT);
+  });
+
+  afterEach(() => {
+    stubs.restore();
+  });
+
+  describe('Topcoder handles', () => {
+    beforeEach(async () => {
+      await dbHelper.create(models.GithubUserMapping, {id: 'github', topcoderUsername: 'member', githubUserId: 2, githubUsername: 'octocat'});
+      await dbHelper.create(models.BitbucketUserMapping, {
+        id: 'bitbucket',
+        topcoderUsername: 'member',
+        bitbucketUserId: '557058:0a1b2c3d-4e5f-6a7b-8c9d-0e1f2a3b4c5d',
+        bitbucketUsername: 'bucket'
+      });
+    });
+
+    it('finds the handle of a git user by id or by username', async () => {
+      assert.equal((await UserService.getTCUserName('github', 2)).topcoderUsername, 'member');
+      assert.equal((await UserService.getTCUserName('github', 'octocat')).topcoderUsername, 'member');
+      assert.isNull(await UserService.getTCUserName('github', 3));
+    });
+
+    it('finds the bitbucket users by account id', async () => {
+      assert.equal((await UserService.getTCUserName('bitbucket', '557058:0a1b2c3d-4e5f-6a7b-8c9d-0e1f2a3b4c5d')).topcoderUsername, 'member');
+      assert.equal((await UserService.getTCUserName('bitbucket', 'bucket')).topcoderUsername, 'member');
+    });
+
+    it('rejects an invalid git user', async () => {
+      try {
+        await UserService.getTCUserName('github', {id: 2});
+      } catch (err) {
+        assert.match(err.message, /Invalid gitUser/);
+        return;
+      }
+      throw new Error('the lookup must fail');
+    });
+  });
+
+  describe('repository copilot', () => {
+    it('refreshes the token of the azure copilot', async () => {
+      const refreshCalls = stubs.stub(AzureService, 'refreshAccessToken', (user) =>
+        Promise.resolve(_.assign({}, user, {accessToken: 'refreshed'})));
+      const url = providers.getAdapter('azure').getRepoUrl('owner/repo');
+      await dbHelper.create(models.Repository, {id: 'repository', projectId: PROJECT.id, url, archived: 'false'});
+      await dbHelper.create(models.AzureUserMapping, {id: 'azure', topcoderUsername: 'copilot', azureUserId: 'uid', azureEmail: 'copilot@example.com'});
+      await dbHelper.create(models.User, {id: 'user', username: 'copilot@example.com', type: 'azure', role: 'copilot', accessToken: 'expired'});
+      const copilot = await UserService.getRepositoryCopilotOrOwner('azure', 'owner/repo');
+      assert.lengthOf(refreshCalls, 1);
+      assert.include(copilot, {accessToken: 'refreshed', topcoderUsername: 'copilot'});
+    });
+
+    it('keeps the token of the other copilots', async () => {
+      await dbHelper.create(models.Repository, {id: 'repository', projectId: PROJECT.id, url: 'https://github.com/owner/repo', archived: 'false'});
+      await dbHelper.create(models.GithubUserMapping, {id: 'github', topcoderUsername: 'copilot', githubUserId: 1, githubUsername: 'copilot'});
+      await dbHelper.create(models.User, {id: 'user', username: 'copilot', type: 'github', role: 'copilot', accessToken: 'token'});
+      assert.include(await UserService.getRepositoryCopilotOrOwner('github', 'owner/repo'), {accessToken: 'token', topcoderUsername: 'copilot'});
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module renders the markdown body of an issue to the HTML description of its challenge.
+ * The relative links and images of the body are resolved against the repository, so the attachments
+ * still show on the challenge page.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const {URL} = require('url');
+const _ = require('lodash');
+const MarkdownIt = require('markdown-it');
+
+// the raw HTML of the body is escaped, the challenge page doesn't sanitize the description
+const md = new MarkdownIt({html: false, linkify: true});
+
+// the upload links relative to the repository by provider, e.g. `/uploads/<secret>/image.png` on GitLab,
+// the other root-relative links are relative to the git host
+const REPOSITORY_UPLOADS = {
+  gitlab: /^\/uploads\//
+};
+
+// the absolute, protocol-relative and anchor links are kept
+const KEPT_LINK = /^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i;
+
+// the link and image attributes of the rendered HTML
+const LINK_ATTRIBUTE = /\b(src|href)="([^"]*)"/g;
+
+/**
+ * resolves a link of the body
+ * @param {String} url the link
+ * @param {String} repoUrl the repository url
+ * @param {String} provider the git provider
+ * @returns {String} the absolute link
+ * @private
+ */
+function toAbsoluteUrl(url, repoUrl, provider) {
+  if (_.isEmpty(url) || KEPT_LINK.test(url)) {
+    return url;
+  }
+  if (REPOSITORY_UPLOADS[provider] && REPOSITORY_UPLOADS[provider].test(url)) {
+    return `${repoUrl}${url}`;
+  }
+  try {
+    return new URL(url, `${repoUrl}/`).href;
+  } catch (err) {
+    return url;
+  }
+}
+
+/**
+ * renders the body of an issue to the description of its challenge
+ * @param {String} body the markdown body of the issue
+ * @param {String} repoUrl the repository url
+ * @param {String} provider the git provider
+ * @returns {String} the HTML description
+ */
+function render(body, repoUrl, provider) {
+  return md.render(body || '').replace(LINK_ATTRIBUTE, (attribute, name, url) =>
+    `${name}="${toAbsoluteUrl(url, repoUrl, provider)}"`);
+}
+
+module.exports = {
+  render
+};
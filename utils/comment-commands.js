@@ -0,0 +1,72 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module is the registry of the issue comment commands.
+ * A command is a comment line starting with `/<name>`, the rest of the line holds its arguments.
+ * The services register their commands when they are loaded, see services/CommentCommandService.js.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const _ = require('lodash');
+const constants = require('../constants');
+
+/**
+ * @typedef {Object} CommentCommand
+ * @property {String} name the command name, e.g. `bid` for `/bid`
+ * @property {String} usage the command syntax shown in the help and the error replies, e.g. `/bid <amount>`
+ * @property {String} description what the command does
+ * @property {String} role the lowest role which can run the command, one of constants.COMMAND_ROLES
+ * @property {RegExp} syntax the pattern of the arguments, its named groups are passed to the handler
+ * @property {function(Object, Object, Object): Promise} handler (event, issue, args) runs the command
+ */
+
+// a command line, the name is made of letters, `_` and `-`
+const COMMAND_LINE = /^\s*\/(?<name>[a-z][a-z_-]*)(?<text>.*)$/i;
+
+// the registered commands by name
+const commands = {};
+
+/**
+ * registers a command
+ * @param {CommentCommand} command the command
+ */
+function register(command) {
+  if (!command.name || !_.isRegExp(command.syntax) || !_.isFunction(command.handler) ||
+    !_.includes(_.values(constants.COMMAND_ROLES), command.role)) {
+    throw new Error(`The comment command '${command.name}' must have a name, a syntax, a handler and a role`);
+  }
+  commands[command.name.toLowerCase()] = command;
+}
+
+/**
+ * gets the registered commands, sorted by name
+ * @returns {CommentCommand[]} the commands
+ */
+function getCommands() {
+  return _.sortBy(_.values(commands), 'name');
+}
+
+/**
+ * finds the registered commands of a comment, the other lines are ignored
+ * @param {String} body the comment body
+ * @returns {Array<{command: CommentCommand, text: String}>} the commands with their argument text, in the comment order
+ */
+function parse(body) {
+  return _(body || '').split(/\r?\n/)
+    .invokeMap('match', COMMAND_LINE)
+    .filter((match) => match && _.has(commands, match.groups.name.toLowerCase()))
+    .map((match) => ({
+      command: commands[match.groups.name.toLowerCase()],
+      text: _.trim(match.groups.text)
+    }))
+    .value();
+}
+
+module.exports = {
+  register,
+  getCommands,
+  parse
+};
@@ -0,0 +1,101 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module calculates the copilot fee of a paid ticket from the copilot fee policy of its project.
+ * The projects without a policy pay the DEFAULT_COPILOT_FEE.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const config = require('config');
+const _ = require('lodash');
+const Joi = require('joi');
+const constants = require('../constants');
+
+const PERCENT = 100;
+
+// the fees are rounded to the cent
+const FEE_PRECISION = 2;
+
+/**
+ * @typedef {Object} CopilotFeeTier
+ * @property {Number} [upTo] The highest winner prize of the band, the band without it has no upper bound.
+ * @property {Number} [amount] The fixed fee of the band.
+ * @property {Number} [percentage] The percentage of the winner prize paid in the band.
+ */
+
+/**
+ * @typedef {Object} CopilotFeePolicy
+ * @property {String} type The policy type, one of constants.COPILOT_FEE_TYPES.
+ * @property {Number} [amount] The fixed fee.
+ * @property {Number} [percentage] The percentage of the winner prize.
+ * @property {CopilotFeeTier[]} [tiers] The fees by winner prize band.
+ * @property {Number} [minimum] The lowest fee.
+ * @property {Number} [maximum] The highest fee.
+ */
+
+const amountSchema = Joi.number().min(0);
+const percentageSchema = Joi.number().min(0).max(PERCENT);
+
+// the amount and the percentage required by the policy type can't be null
+const policySchema = Joi.object().keys({
+  type: Joi.string().valid(_.values(constants.COPILOT_FEE_TYPES)).required(),
+  amount: amountSchema.when('type', {is: constants.COPILOT_FEE_TYPES.FIXED, then: Joi.required(), otherwise: Joi.allow(null)}),
+  percentage: percentageSchema.when('type', {is: constants.COPILOT_FEE_TYPES.PERCENTAGE, then: Joi.required(), otherwise: Joi.allow(null)}),
+  tiers: Joi.array().items(Joi.object().keys({
+    upTo: amountSchema.allow(null),
+    amount: amountSchema.allow(null),
+    // the bands without fixed fee pay a percentage
+    percentage: percentageSchema.when('amount', {is: Joi.number(), then: Joi.allow(null), otherwise: Joi.required()})
+  }).or('amount', 'percentage')).allow(null)
+    .when('type', {is: constants.COPILOT_FEE_TYPES.TIERED, then: Joi.array().min(1).required()}),
+  minimum: amountSchema.allow(null),
+  maximum: amountSchema.allow(null)
+});
+
+/**
+ * gets the band of the winner prize, the prizes above every band are in the highest one
+ * @param {CopilotFeeTier[]} tiers the bands
+ * @param {Number} winnerPrize the winner prize
+ * @returns {CopilotFeeTier} the band
+ * @private
+ */
+function getTier(tiers, winnerPrize) {
+  const sortedTiers = _.sortBy(tiers, (tier) => _.defaultTo(tier.upTo, Infinity));
+  return _.find(sortedTiers, (tier) => _.isNil(tier.upTo) || winnerPrize <= tier.upTo) || _.last(sortedTiers);
+}
+
+/**
+ * calculates the copilot fee
+ * @param {CopilotFeePolicy} policy the copilot fee policy of the project
+ * @param {Number} winnerPrize the prize paid to the winners
+ * @returns {Number} the copilot fee
+ */
+function calculate(policy, winnerPrize) {
+  if (!policy) {
+    return _.toNumber(config.DEFAULT_COPILOT_FEE);
+  }
+  Joi.attempt(policy, policySchema, 'Invalid copilot fee policy');
+  let fee;
+  if (policy.type === constants.COPILOT_FEE_TYPES.FIXED) {
+    fee = policy.amount;
+  } else if (policy.type === constants.COPILOT_FEE_TYPES.PERCENTAGE) {
+    fee = winnerPrize * policy.percentage / PERCENT;
+  } else {
+    const tier = getTier(policy.tiers, winnerPrize);
+    fee = _.isNil(tier.amount) ? winnerPrize * tier.percentage / PERCENT : tier.amount;
+  }
+  if (!_.isNil(policy.minimum)) {
+    fee = Math.max(fee, policy.minimum);
+  }
+  if (!_.isNil(policy.maximum)) {
+    fee = Math.min(fee, policy.maximum);
+  }
+  return _.round(fee, FEE_PRECISION);
+}
+
+module.exports = {
+  calculate
+};
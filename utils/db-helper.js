@@ -2,11 +2,15 @@
  * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
  */
 'use strict';
+const _ = require('lodash');
 const models = require('../models');
+const constants = require('../constants');
 const logger = require('./logger');
+const storage = require('./storage');
 
 /**
  * This module contains the database helper methods.
+ * The records are read and written through the store selected by the `STORAGE` configuration, see ./storage/index.js.
  *
  * @version 1.0
  */
@@ -29,6 +33,17 @@ const logger = require('./logger');
  * @property {String} registeredWebhookId the registered webhook id
  */
 
+/**
+ * Get the first record matching the conditions
+ * @param {Object} model The dynamoose model to query
+ * @param {Object} conditions The conditions, see ./storage/index.js
+ * @returns {Promise<Object>} the record, null if none matches
+ * @private
+ */
+async function findOne(model, conditions) {
+  return _.head(await storage.getStore().find(model, conditions)) || null;
+}
+
 /**
  * Get Data by model id
  * @param {Object} model The dynamoose model to query
@@ -36,33 +51,17 @@ const logger = require('./logger');
  * @returns {Promise<void>}
  */
 async function getById(model, id) {
-  return await new Promise((resolve, reject) => {
-    model.queryOne('id').eq(id).consistent().exec((err, result) => {
-      if (err) {
-        return reject(err);
-      }
-
-      return resolve(result);
-    });
-  });
+  return await storage.getStore().getById(model, id);
 }
 
 /**
- * Get data collection by scan parameters
+ * Get data collection by conditions
  * @param {Object} model The dynamoose model to scan
- * @param {Object} scanParams The scan parameters object
- * @returns {Promise<void>}
+ * @param {Object} conditions The conditions, see ./storage/index.js
+ * @returns {Promise<Array>} the items of all the pages
  */
-async function scan(model, scanParams) {
-  return await new Promise((resolve, reject) => {
-    model.scan(scanParams).consistent().all().exec((err, result) => {
-      if (err) {
-        return reject(err);
-      }
-
-      return resolve(result.count === 0 ? [] : result);
-    });
-  });
+async function scan(model, conditions) {
+  return await storage.getStore().find(model, conditions);
 }
 
 /**
@@ -74,22 +73,7 @@ async function scan(model, scanParams) {
  * @returns {Promise<void>}
  */
 async function queryOneIssue(model, repositoryId, number, provider) {
-  return await new Promise((resolve, reject) => {
-    model.query('repositoryId').eq(repositoryId)
-      .where('number')
-      .eq(number)
-      .filter('provider')
-      .eq(provider)
-      .all()
-      .exec((err, result) => {
-        if (err || !result) {
-          logger.debug(`queryOne. Error. ${err}`);
-          return reject(err);
-        }
-
-        return resolve(result.count === 0 ? null : result[0]);
-      });
-  });
+  return await findOne(model, {repositoryId, number, provider});
 }
 
 /**
@@ -99,22 +83,8 @@ async function queryOneIssue(model, repositoryId, number, provider) {
  * @returns {Promise<void>}
  */
 async function queryOneActiveProject(model, repoUrl) {
-  return await new Promise((resolve, reject) => {
-    queryOneActiveRepository(models.Repository, repoUrl).then((repo) => {
-      if (!repo) {
-        resolve(null);
-      } else {
-        model.queryOne('id').eq(repo.projectId).consistent()
-          .exec((err, result) => {
-            if (err) {
-              logger.debug(`queryOneActiveProject. Error. ${err}`);
-              return reject(err);
-            }
-            return resolve(result);
-          });
-      }
-    });
-  });
+  const repo = await queryOneActiveRepository(models.Repository, repoUrl);
+  return repo ? await getById(model, repo.projectId) : null;
 }
 
 /**
@@ -125,19 +95,7 @@ async function queryOneActiveProject(model, repoUrl) {
  * @returns {Promise<void>}
  */
 async function queryOneUserByType(model, username, type) {
-  return await new Promise((resolve, reject) => {
-    model.query('username').eq(username)
-      .where('type')
-      .eq(type)
-      .all()
-      .exec((err, result) => {
-        if (err || !result) {
-          logger.debug(`queryOneUserByType. Error. ${err}`);
-          return reject(err);
-        }
-        return resolve(result.count === 0 ? null : result[0]);
-      });
-  });
+  return await findOne(model, {username, type});
 }
 
 /**
@@ -149,20 +107,7 @@ async function queryOneUserByType(model, username, type) {
  * @returns {Promise<void>}
  */
 async function queryOneUserByTypeAndRole(model, username, type, role) {
-  return await new Promise((resolve, reject) => {
-    model.query('username').eq(username)
-      .where('type')
-      .eq(type)
-      .all()
-      .exec((err, result) => {
-        if (err || !result) {
-          logger.debug(`queryOneUserByType. Error. ${err}`);
-          return reject(err);
-        }
-        const filteredResult = result.filter((item) => item.role === role);
-        return resolve(filteredResult.count === 0 ? null : filteredResult[0]);
-      });
-  });
+  return await findOne(model, {username, type, role});
 }
 
 /**
@@ -171,34 +116,19 @@ async function queryOneUserByTypeAndRole(model, username, type, role) {
  * @returns {Promise<Repository>}
  */
 async function queryOneProjectByRepositoryLink(repoUrl) {
-  const projectId = await new Promise((resolve, reject) => {
-    models.Repository.query('url')
-      .eq(repoUrl)
-      .all()
-      .exec((err, result) => {
-        if (err) {
-          return reject(err);
-        }
-        return resolve(result);
-      });
-  });
-  if (!projectId || projectId.length === 0) {
-    return null;
-  }
-  return await new Promise((resolve, reject) => {
-    models.Project.queryOne('id')
-      .eq(projectId[0].projectId)
-      .all()
-      .exec((err, result) => {
-        if (err) {
-          return reject(err);
-        }
-        if (!result || result.length === 0) {
-          return resolve(null);
-        }
-        return resolve(result);
-      });
-  });
+  const repository = await findOne(models.Repository, {url: repoUrl});
+  return repository ? await getById(models.Project, repository.projectId) : null;
+}
+
+/**
+ * Get the user mapping of a git user
+ * @param {Object} model The dynamoose model to query
+ * @param {String} field The field holding the git user id or username
+ * @param {String|Number} gitUser The git user id or username
+ * @returns {Promise<Object>} the user mapping, null if there is none
+ */
+async function queryOneUserMapping(model, field, gitUser) {
+  return await findOne(model, {[field]: gitUser});
 }
 
 /**
@@ -208,17 +138,7 @@ async function queryOneProjectByRepositoryLink(repoUrl) {
  * @returns {Promise<GitlabUserMapping>}
  */
 async function queryOneUserMappingByTCUsername(model, tcusername) {
-  return await new Promise((resolve, reject) => {
-    model.queryOne('topcoderUsername').eq(tcusername)
-      .all()
-      .exec((err, result) => {
-        if (err) {
-          logger.debug(`queryOneUserMappingByTCUsername. Error. ${err}`);
-          return reject(err);
-        }
-        return resolve(result);
-      });
-  });
+  return await findOne(model, {topcoderUsername: tcusername});
 }
 
 /**
@@ -228,17 +148,7 @@ async function queryOneUserMappingByTCUsername(model, tcusername) {
  * @returns {Promise<void>}
  */
 async function queryOneUserMappingByGithubUsername(model, username) {
-  return await new Promise((resolve, reject) => {
-    model.queryOne('githubUsername').eq(username)
-      .all()
-      .exec((err, result) => {
-        if (err || !result) {
-          logger.debug(`queryOneUserMappingByGithubUsername. Error. ${err}`);
-          return reject(err);
-        }
-        return resolve(result);
-      });
-  });
+  return await findOne(model, {githubUsername: username});
 }
 
 /**
@@ -248,17 +158,7 @@ async function queryOneUserMappingByGithubUsername(model, username) {
  * @returns {Promise<void>}
  */
 async function queryOneUserMappingByGitlabUsername(model, username) {
-  return await new Promise((resolve, reject) => {
-    model.queryOne('gitlabUsername').eq(username)
-      .all()
-      .exec((err, result) => {
-        if (err || !result) {
-          logger.debug(`queryOneUserMappingByGitlabUsername. Error. ${err}`);
-          return reject(err);
-        }
-        return resolve(result);
-      });
-  });
+  return await findOne(model, {gitlabUsername: username});
 }
 
 /**
@@ -268,17 +168,7 @@ async function queryOneUserMappingByGitlabUsername(model, username) {
  * @returns {Promise<void>}
  */
 async function queryOneUserMappingByGithubUserId(model, userId) {
-  return await new Promise((resolve, reject) => {
-    model.queryOne('githubUserId').eq(userId)
-      .all()
-      .exec((err, result) => {
-        if (err || !result) {
-          logger.debug(`queryOneUserMappingByGithubUserId. Error. ${err}`);
-          return reject(err);
-        }
-        return resolve(result);
-      });
-  });
+  return await findOne(model, {githubUserId: userId});
 }
 
 /**
@@ -288,36 +178,76 @@ async function queryOneUserMappingByGithubUserId(model, userId) {
  * @returns {Promise<GitlabUserMapping>}
  */
 async function queryOneUserMappingByGitlabUserId(model, userId) {
-  return await new Promise((resolve, reject) => {
-    model.queryOne('gitlabUserId').eq(userId)
-      .all()
-      .exec((err, result) => {
-        if (err || !result) {
-          logger.debug(`queryOneUserMappingByGitlabUserId. Error. ${err}`);
-          return reject(err);
-        }
-        return resolve(result);
-      });
-  });
+  return await findOne(model, {gitlabUserId: userId});
+}
+
+/**
+ * Get single data by query parameters
+ * @param {Object} model The dynamoose model to query
+ * @param {String} email The azure user email
+ * @returns {Promise<void>}
+ */
+async function queryOneUserMappingByAzureEmail(model, email) {
+  return await findOne(model, {azureEmail: email});
+}
+
+/**
+ * Get single data by query parameters
+ * @param {Object} model The dynamoose model to query
+ * @param {String} userId The azure user id
+ * @returns {Promise<void>}
+ */
+async function queryOneUserMappingByAzureUserId(model, userId) {
+  return await findOne(model, {azureUserId: userId});
+}
+
+/**
+ * Get single data by query parameters
+ * @param {Object} model The dynamoose model to query
+ * @param {String} username The bitbucket nickname
+ * @returns {Promise<void>}
+ */
+async function queryOneUserMappingByBitbucketUsername(model, username) {
+  return await findOne(model, {bitbucketUsername: username});
+}
+
+/**
+ * Get single data by query parameters
+ * @param {Object} model The dynamoose model to query
+ * @param {String} userId The bitbucket account id
+ * @returns {Promise<void>}
+ */
+async function queryOneUserMappingByBitbucketUserId(model, userId) {
+  return await findOne(model, {bitbucketUserId: userId});
+}
+
+/**
+ * Get single data by query parameters
+ * @param {Object} model The dynamoose model to query
+ * @param {String} username The gitea username
+ * @returns {Promise<void>}
+ */
+async function queryOneUserMappingByGiteaUsername(model, username) {
+  return await findOne(model, {giteaUsername: username});
+}
+
+/**
+ * Get single data by query parameters
+ * @param {Object} model The dynamoose model to query
+ * @param {Number} userId The gitea user id
+ * @returns {Promise<void>}
+ */
+async function queryOneUserMappingByGiteaUserId(model, userId) {
+  return await findOne(model, {giteaUserId: userId});
 }
 
 /**
  * Get all repositories by project id
  * @param {String} projectId The project id
- * @returns {Promise<import('dynamoose').ScanResult<any>>}
+ * @returns {Promise<Array>} the repositories
  */
 async function queryAllRepositoriesByProjectId(projectId) {
-  return await new Promise((resolve, reject) => {
-    models.Repository.scan({projectId: {eq: projectId}})
-      .all()
-      .exec((err, result) => {
-        if (err || !result) {
-          logger.debug(`queryAllRepositoriesByProjectId. Error. ${err}`);
-          return reject(err);
-        }
-        return resolve(result);
-      });
-  });
+  return await storage.getStore().find(models.Repository, {projectId});
 }
 
 /**
@@ -326,15 +256,7 @@ async function queryAllRepositoriesByProjectId(projectId) {
  * @param {Array} collection The update data collection
  */
 async function updateMany(model, collection) {
-  await new Promise((resolve, reject) => {
-    model.batchPut(collection, (err, result) => {
-      if (err) {
-        return reject(err);
-      }
-
-      return resolve(result);
-    });
-  });
+  await storage.getStore().putMany(model, collection);
 }
 
 /**
@@ -344,16 +266,7 @@ async function updateMany(model, collection) {
  * @returns {Promise<void>}
  */
 async function create(Model, data) {
-  return await new Promise((resolve, reject) => {
-    const dbItem = new Model(data);
-    dbItem.save((err) => {
-      if (err) {
-        return reject(err);
-      }
-
-      return resolve(dbItem);
-    });
-  });
+  return await storage.getStore().create(Model, data);
 }
 
 /**
@@ -364,19 +277,7 @@ async function create(Model, data) {
  * @returns {Promise<void>}
  */
 async function update(Model, id, data) {
-  const dbItem = await getById(Model, id);
-  Object.keys(data).forEach((key) => {
-    dbItem[key] = data[key];
-  });
-  return await new Promise((resolve, reject) => {
-    dbItem.save((err) => {
-      if (err) {
-        return reject(err);
-      }
-
-      return resolve(dbItem);
-    });
-  });
+  return await storage.getStore().update(Model, id, data);
 }
 
 /**
@@ -385,18 +286,7 @@ async function update(Model, id, data) {
  * @param {String} id The id of copilot payment
  */
 async function removeCopilotPayment(Model, id) {
-  const dbItem = await getById(Model, id);
-  await new Promise((resolve, reject) => {
-    if (dbItem != null) {
-      dbItem.delete((err) => {
-        if (err) {
-          return reject(err);
-        }
-
-        return resolve(dbItem);
-      });
-    }
-  });
+  await storage.getStore().remove(Model, id);
 }
 
 /**
@@ -408,17 +298,9 @@ async function removeCopilotPayment(Model, id) {
  */
 async function removeIssue(Model, repositoryId, number, provider) {
   const dbItem = await queryOneIssue(Model, repositoryId, number, provider);
-  await new Promise((resolve, reject) => {
-    if (dbItem != null) {
-      dbItem.delete((err) => {
-        if (err) {
-          return reject(err);
-        }
-
-        return resolve(dbItem);
-      });
-    }
-  });
+  if (dbItem) {
+    await storage.getStore().remove(Model, dbItem.id);
+  }
 }
 
 /**
@@ -428,37 +310,27 @@ async function removeIssue(Model, repositoryId, number, provider) {
  * @returns {Promise<Object>}
  */
 async function queryOneActiveRepository(model, url) {
-  return await new Promise((resolve, reject) => {
-    model.queryOne({
-      url,
-      archived: 'false'
-    })
-      .all()
-      .exec((err, result) => {
-        if (err) {
-          return reject(err);
-        }
-        return resolve(result);
-      });
-  });
+  return await findOne(model, {url, archived: 'false'});
 }
 
 /**
- * Get Issue's challengeUUID by repoUrl
+ * Get the Issues of a repository
  * @param {String} repoUrl The repo url
- * @returns {Promise<Object>}
+ * @returns {Promise<Array>} the issues
  */
-async function queryChallengeUUIDsByRepoUrl(repoUrl) {
-  return await new Promise((resolve, reject) => {
-    models.Issue.scan('repoUrl').eq(repoUrl)
-      .attributes(['challengeUUID'])
-      .exec((err, results) => {
-        if (err) {
-          return reject(err);
-        }
-        return resolve(results.map(({challengeUUID}) => challengeUUID));
-      });
-  });
+async function queryIssuesByRepoUrl(repoUrl) {
+  return await storage.getStore().find(models.Issue, {repoUrl});
+}
+
+/**
+ * Get the projects of a copilot, the projects they own included
+ * @param {String} handle the topcoder handle of the copilot
+ * @returns {Promise<Array>} the projects
+ */
+async function queryProjectsByCopilotOrOwner(handle) {
+  const owned = await storage.getStore().find(models.Project, {owner: handle});
+  const copiloted = await storage.getStore().find(models.Project, {copilot: handle});
+  return _.uniqBy(_.concat(owned, copiloted), 'id');
 }
 
 /**
@@ -469,26 +341,7 @@ async function queryChallengeUUIDsByRepoUrl(repoUrl) {
  * @returns {Promise<Object>} The lock object
  */
 async function acquireLockOnUser(userId, lockId, ttl) {
-  const lockExpiration = Date.now() + ttl;
-  return await new Promise(async (resolve) => {
-    try {
-      const res = await models.User.update(
-        {id: userId},
-        {lockId, lockExpiration},
-        {
-          condition: 'attribute_not_exists(lockId) OR (lockExpiration < :lockExpiration)',
-          conditionValues: {lockExpiration: new Date()},
-          returnValues: 'ALL_NEW'
-        },
-      );
-      return resolve(res);
-    } catch (err) {
-      if (err.code === 'ConditionalCheckFailedException') {
-        return resolve(null);
-      }
-      throw err;
-    }
-  });
+  return await storage.getStore().acquireLock(models.User, userId, lockId, ttl, {upsert: true});
 }
 
 /**
@@ -498,40 +351,134 @@ async function acquireLockOnUser(userId, lockId, ttl) {
  * @returns {Promise<Object>} The lock object
  */
 async function releaseLockOnUser(id, lockId) {
-  const user = await models.User.update(
-    {id},
-    {lockId: null, lockExpiration: null},
-    {
-      condition: 'lockId = :lockId',
-      conditionValues: {lockId}
-    },
-  );
+  const user = await storage.getStore().updateLocked(models.User, id, lockId, {lockId: null, lockExpiration: null});
+  if (!user) {
+    throw new Error(`The lock ${lockId} on the user ${id} was lost before its release.`);
+  }
   return user;
 }
 
+/**
+ * Acquire a named lock shared by all the processor replicas.
+ * The lock is taken over if its previous holder did not release it before its expiration.
+ * @param {String} name the name of the locked resource
+ * @param {String} lockId ID of the lock
+ * @param {Number} ttl the time to live of the lock in milliseconds
+ * @returns {Promise<Object>} The lock object, or null if the lock is held by someone else
+ */
+async function acquireLock(name, lockId, ttl) {
+  return await storage.getStore().acquireLock(models.Lock, name, lockId, ttl, {upsert: true});
+}
+
+/**
+ * Release a named lock
+ * @param {String} name the name of the locked resource
+ * @param {String} lockId ID of the lock
+ * @returns {Promise<Boolean>} false if the lock expired and was taken over by someone else
+ */
+async function releaseLock(name, lockId) {
+  if (!await storage.getStore().updateLocked(models.Lock, name, lockId, {lockId: null, lockExpiration: null})) {
+    logger.debug(`releaseLock. The lock ${name} is not held by ${lockId} anymore.`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get the pending event retries which are due to be published
+ * @param {Date} now the current date
+ * @returns {Promise<Array>} the due event retries
+ */
+async function queryDueEventRetries(now) {
+  return await storage.getStore().find(models.EventRetry, {status: 'pending', nextRunAt: {le: now}});
+}
+
+/**
+ * Get all event retries scheduled for an issue or a copilot payment
+ * @param {String} keyName the key of the issue or the copilot payment
+ * @returns {Promise<Array>} the event retries
+ */
+async function queryEventRetriesByKeyName(keyName) {
+  return await storage.getStore().find(models.EventRetry, {keyName});
+}
+
+/**
+ * Get the issues in progress which have an assignee
+ * @returns {Promise<Array>} the assigned issues
+ */
+async function queryAssignedIssues() {
+  return await storage.getStore().find(models.Issue, {
+    status: constants.ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL,
+    assignedAt: {ne: null}
+  });
+}
+
+/**
+ * Get the status transitions of an issue, oldest first
+ * @param {String} issueId the id of the issue record
+ * @returns {Promise<Array>} the issue history
+ */
+async function queryIssueHistory(issueId) {
+  return await storage.getStore().find(models.IssueHistory, {issueId});
+}
+
+/**
+ * Get the bids placed on an issue, oldest first
+ * @param {String} issueId the id of the issue record
+ * @returns {Promise<Array>} the bids
+ */
+async function queryBidsByIssueId(issueId) {
+  return await storage.getStore().find(models.Bid, {issueId});
+}
+
+/**
+ * Get the copilot payments of a project
+ * @param {String} projectId the project id
+ * @param {String} closed 'true' for the closed payments, 'false' for the unclosed ones
+ * @returns {Promise<Array>} the copilot payments
+ */
+async function queryCopilotPaymentsByProject(projectId, closed) {
+  return await storage.getStore().find(models.CopilotPayment, {project: projectId, closed});
+}
+
+/**
+ * Acquire lock on event retry to prevent concurrent publishing by several pollers
+ * @param {String} id ID of the event retry
+ * @param {String} lockId ID of the lock
+ * @param {Number} ttl Time to live (in milliseconds)
+ * @returns {Promise<Object>} The locked event retry, or null if it is locked or does not exist anymore
+ */
+async function acquireLockOnEventRetry(id, lockId, ttl) {
+  return await storage.getStore().acquireLock(models.EventRetry, id, lockId, ttl);
+}
+
+/**
+ * Mark a locked event retry as published
+ * @param {String} id ID of the event retry
+ * @param {String} lockId ID of the lock
+ * @returns {Promise<Boolean>} true if updated, false if the lock was lost or the retry is already consumed
+ */
+async function markEventRetryPublished(id, lockId) {
+  return Boolean(await storage.getStore().updateLocked(models.EventRetry, id, lockId, {status: 'published'}));
+}
+
+/**
+ * Delete an event retry
+ * @param {String} id ID of the event retry
+ * @returns {Promise<Boolean>} true if deleted, false if it does not exist
+ */
+async function removeEventRetry(id) {
+  return await storage.getStore().remove(models.EventRetry, id);
+}
+
 /**
  * Find the TC Challenge ID for a given TCX project ID
  * @param {String} projectId Project ID
  * @returns {Promise<String | null>} Challenge ID
  */
 async function queryChallengeIdByProjectId(projectId) {
-  const filter = {
-    FilterExpression: '#projectId = :projectId',
-    ExpressionAttributeNames: {
-      '#projectId': 'projectId'
-    },
-    ExpressionAttributeValues: {
-      ':projectId': projectId
-    }
-  };
-  return new Promise((resolve, reject) => {
-    models.ProjectChallengeMapping.scan(filter, (err, result) => {
-      if (err) {
-        return reject(err);
-      }
-      return resolve(result.count === 0 ? null : result[0].challengeId);
-    });
-  });
+  const mapping = await findOne(models.ProjectChallengeMapping, {projectId});
+  return mapping ? mapping.challengeId : null;
 }
 
 /**
@@ -540,23 +487,8 @@ async function queryChallengeIdByProjectId(projectId) {
  * @returns {Promise<String | null>} Project ID
  */
 async function queryProjectIdByChallengeId(challengeId) {
-  const filter = {
-    FilterExpression: '#challengeId = :challengeId',
-    ExpressionAttributeNames: {
-      '#challengeId': 'challengeId'
-    },
-    ExpressionAttributeValues: {
-      ':challengeId': challengeId
-    }
-  };
-  return new Promise((resolve, reject) => {
-    models.ProjectChallengeMapping.scan(filter, (err, result) => {
-      if (err) {
-        return reject(err);
-      }
-      return resolve(result.count === 0 ? null : result[0].projectId);
-    });
-  });
+  const mapping = await findOne(models.ProjectChallengeMapping, {challengeId});
+  return mapping ? mapping.projectId : null;
 }
 
 module.exports = {
@@ -571,17 +503,36 @@ module.exports = {
   queryOneUserByType,
   queryOneUserMappingByGithubUserId,
   queryOneUserMappingByGitlabUserId,
+  queryOneUserMappingByAzureEmail,
+  queryOneUserMappingByAzureUserId,
+  queryOneUserMappingByBitbucketUsername,
+  queryOneUserMappingByBitbucketUserId,
+  queryOneUserMappingByGiteaUsername,
+  queryOneUserMappingByGiteaUserId,
   queryOneUserMappingByGithubUsername,
   queryOneUserMappingByGitlabUsername,
   queryOneUserByTypeAndRole,
   queryOneProjectByRepositoryLink,
   queryOneUserMappingByTCUsername,
-  queryChallengeUUIDsByRepoUrl,
+  queryOneUserMapping,
+  queryIssuesByRepoUrl,
+  queryProjectsByCopilotOrOwner,
   queryAllRepositoriesByProjectId,
   removeCopilotPayment,
   removeIssue,
   acquireLockOnUser,
   releaseLockOnUser,
+  acquireLock,
+  releaseLock,
+  queryDueEventRetries,
+  queryEventRetriesByKeyName,
+  queryIssueHistory,
+  queryAssignedIssues,
+  queryBidsByIssueId,
+  queryCopilotPaymentsByProject,
+  acquireLockOnEventRetry,
+  markEventRetryPublished,
+  removeEventRetry,
   queryChallengeIdByProjectId,
   queryProjectIdByChallengeId
 };
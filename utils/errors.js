@@ -80,6 +80,79 @@ errors.handleGitLabError = function handleGitLabError(err, message, copilotHandl
   return apiError;
 };
 
+/**
+ * Handle gitea api error. Return converted error.
+ * @param {Error} err the gitea api error
+ * @param {String} message the error message
+ * @param {String} copilotHandle the handle name of the copilot
+ * @param {String} repoPath the link to related gitea page
+ * @returns {Error} converted error
+ */
+errors.handleGiteaError = function handleGiteaError(err, message, copilotHandle, repoPath) {
+  if (err.status === 401 && copilotHandle && repoPath) { // eslint-disable-line no-magic-numbers
+    notification.sendTokenExpiredAlert(copilotHandle, repoPath, 'Gitea');
+  }
+  let resMsg = `${message}: ${err.message}.`;
+  const detail = _.get(err, 'response.body.message');
+  if (detail) {
+    resMsg += ` Detail: ${detail}`;
+  }
+  const apiError = new ProcessorError(
+    err.status || _.get(err, 'response.status', constants.SERVICE_ERROR_STATUS),
+    resMsg,
+    'gitea'
+  );
+  logger.error(`Gitea error thrown: ${JSON.stringify(apiError)}`);
+  return apiError;
+};
+
+/**
+ * Convert bitbucket api error.
+ * @param {Error} err the bitbucket api error
+ * @param {String} message the error message
+ * @param {String} copilotHandle the handle name of the copilot
+ * @param {String} repoPath the link to related bitbucket page
+ * @returns {Error} converted error
+ */
+errors.handleBitbucketError = function handleBitbucketError(err, message, copilotHandle, repoPath) {
+  if (err.status === 401 && copilotHandle && repoPath) { // eslint-disable-line no-magic-numbers
+    notification.sendTokenExpiredAlert(copilotHandle, repoPath, 'Bitbucket');
+  }
+  let resMsg = `${message}: ${err.message}.`;
+  const detail = _.get(err, 'response.body.error.message');
+  if (detail) {
+    resMsg += ` Detail: ${detail}`;
+  }
+  const apiError = new ProcessorError(
+    err.status || _.get(err, 'response.status', constants.SERVICE_ERROR_STATUS),
+    resMsg,
+    'bitbucket'
+  );
+  logger.error(`Bitbucket error thrown: ${JSON.stringify(apiError)}`);
+  return apiError;
+};
+
+/**
+ * Convert azure api error.
+ * @param {Error} err the azure api error
+ * @param {String} message the error message
+ * @returns {Error} converted error
+ */
+errors.convertAzureError = function convertAzureError(err, message) {
+  let resMsg = `${message}: ${err.message}.`;
+  const detail = _.get(err, 'response.body.message');
+  if (detail) {
+    resMsg += ` Detail: ${detail}`;
+  }
+  const apiError = new ProcessorError(
+    err.status || _.get(err, 'response.status', constants.SERVICE_ERROR_STATUS),
+    resMsg,
+    'azure'
+  );
+  logger.error(`Azure error thrown: ${JSON.stringify(apiError)}`);
+  return apiError;
+};
+
 /**
  * Convert topcoder api error.
  * @param {Error} err the topcoder api error
@@ -117,4 +190,36 @@ errors.internalDependencyError = function internalDependencyError(message) {
   return apiError;
 };
 
+/**
+ * Convert an illegal status transition of an issue, it is not retried.
+ * @param {Object} issue the issue
+ * @param {String} fromStatus the current status
+ * @param {String} toStatus the requested status
+ * @returns {Error} converted error
+ */
+errors.illegalTransitionError = function illegalTransitionError(issue, fromStatus, toStatus) {
+  const apiError = new ProcessorError(
+    409, // eslint-disable-line no-magic-numbers
+    `Illegal status transition of issue ${issue.number} from ${fromStatus || 'none'} to ${toStatus || 'none'}`,
+    'state'
+  );
+  logger.error(`Illegal transition error thrown: ${JSON.stringify(apiError)}`);
+  return apiError;
+};
+
+/**
+ * Convert a prize which can't be parsed from the issue, it is explained on the ticket and not retried.
+ * @param {String} message the parse error
+ * @returns {Error} converted error
+ */
+errors.prizeParseError = function prizeParseError(message) {
+  const apiError = new ProcessorError(
+    400, // eslint-disable-line no-magic-numbers
+    message,
+    'prize'
+  );
+  logger.debug(`Prize parse error thrown: ${JSON.stringify(apiError)}`);
+  return apiError;
+};
+
 module.exports = errors;
@@ -3,6 +3,7 @@
  */
 /**
  * This module is the wrapper for git services.
+ * It resolves the adapter of the event provider once per event, see ./providers/index.js.
  *
  * Changes in 1.1:
  * - changes related to https://www.topcoder.com/challenges/30060466
@@ -11,54 +12,52 @@
  */
 'use strict';
 
-const config = require('config');
-const gitHubService = require('../services/GithubService');
-const GitlabService = require('../services/GitlabService');
-const azureService = require('../services/AzureService');
+const providers = require('./providers');
+
+// the adapter of each event, it is resolved once per event
+const eventAdapters = new WeakMap();
+
+/**
+ * gets the adapter of the event provider
+ * @param {Object} event the event
+ * @returns {Object} the adapter
+ * @private
+ */
+function getAdapter(event) {
+  if (!eventAdapters.has(event)) {
+    eventAdapters.set(event, providers.getAdapter(event.provider));
+  }
+  return eventAdapters.get(event);
+}
 
 class GitHelper {
   /**
-   * Creates the comments on github/gitlab issue
+   * Creates the comments on the git issue
    * @param {Object} event the event
    * @param {Number} issueNumber the issue Number
    * @param {String} comment the comment body text
    */
   async createComment(event, issueNumber, comment) {
-    if (event.provider === 'github') {
-      await gitHubService.createComment(event.copilot, event.data.repository.full_name, issueNumber, comment);
-    } else if (event.provider === 'gitlab') {
-      const gitlabService = await GitlabService.create(event.copilot);
-      await gitlabService.createComment(event.data.repository, issueNumber, comment);
-    }
+    await getAdapter(event).createComment(event.copilot, event.data.repository, issueNumber, comment);
   }
 
   /**
-   * Updates the github/gitlab issue with new labels
+   * Updates the git issue with new labels
    * @param {Object} event the event
    * @param {Number} issueNumber the issue Number
    * @param {Array} labels the labels
    */
   async addLabels(event, issueNumber, labels) {
-    if (event.provider === 'github') {
-      await gitHubService.addLabels(event.copilot, event.data.repository.full_name, issueNumber, labels);
-    } else if (event.provider === 'gitlab') {
-      const gitlabService = await GitlabService.create(event.copilot);
-      await gitlabService.addLabels(event.data.repository, issueNumber, labels);
-    }
+    await getAdapter(event).addLabels(event.copilot, event.data.repository, issueNumber, labels);
   }
 
   /**
-   * Change the state of github/gitlab issue to open
+   * Change the state of git issue to open
    * @param {Object} event the event
    * @param {Object} issue the issue
    */
   async reOpenIssue(event, issue) {
-    if (event.provider === 'github') {
-      await gitHubService.changeState(event.copilot, event.data.repository.full_name, issue.number, 'open');
-    } else if (event.provider === 'gitlab') {
-      const gitlabService = await GitlabService.create(event.copilot);
-      await gitlabService.changeState(event.data.repository, issue.number, 'reopen');
-    }
+    await getAdapter(event).reOpenIssue(event.copilot, event.data.repository, issue.number);
   }
 
   /**
@@ -68,13 +67,7 @@ class GitHelper {
    * @returns {Promise<String>} the username
    */
   async getUsernameById(event, assigneeUserId) {
-    if (event.provider === 'github') {
-      return await gitHubService.getUsernameById(event.copilot, assigneeUserId);
-    } else if (event.provider === 'gitlab') {
-      const gitlabService = await GitlabService.create(event.copilot);
-      return await gitlabService.getUsernameById(assigneeUserId);
-    }
-    return null;
+    return await getAdapter(event).getUsernameById(event.copilot, event.data.repository, assigneeUserId);
   }
 
   /**
@@ -85,27 +78,20 @@ class GitHelper {
    * @param {String} assigneeUsername the username
    */
   async removeAssign(event, issueNumber, assigneeUserId, assigneeUsername) {
-    if (event.provider === 'github') {
-      await gitHubService.removeAssign(event.copilot, event.data.repository.full_name, issueNumber, assigneeUsername);
-    } else if (event.provider === 'gitlab') {
-      const gitlabService = await GitlabService.create(event.copilot);
-      await gitlabService.removeAssign(event.data.repository, issueNumber, assigneeUserId);
-    }
+    await getAdapter(event).removeAssign(event.copilot, event.data.repository, issueNumber, {
+      id: assigneeUserId,
+      username: assigneeUsername
+    });
   }
 
   /**
-   * updates the title of github/gitlab issue
+   * updates the title of git issue
    * @param {Object} event the event
    * @param {Number} issueNumber the issue Number
    * @param {String} newTitle the issue's new title
    */
   async updateIssue(event, issueNumber, newTitle) {
-    if (event.provider === 'github') {
-      await gitHubService.updateIssue(event.copilot, event.data.repository.full_name, issueNumber, newTitle);
-    } else if (event.provider === 'gitlab') {
-      const gitlabService = await GitlabService.create(event.copilot);
-      await gitlabService.updateIssue(event.data.repository, issueNumber, newTitle);
-    }
+    await getAdapter(event).updateIssue(event.copilot, event.data.repository, issueNumber, newTitle);
   }
 
   /**
@@ -115,35 +101,25 @@ class GitHelper {
    * @param {String} assignedUser the username
    */
   async assignUser(event, issueNumber, assignedUser) {
-    if (event.provider === 'github') {
-      await gitHubService.assignUser(event.copilot, event.data.repository.full_name, issueNumber, assignedUser);
-    } else if (event.provider === 'gitlab') {
-      const gitlabService = await GitlabService.create(event.copilot);
-      const userId = await gitlabService.getUserIdByLogin(event.copilot, assignedUser);
-      await gitlabService.assignUser(event.data.repository, issueNumber, userId);
-    }
+    await getAdapter(event).assignUser(event.copilot, event.data.repository, issueNumber, assignedUser);
   }
 
   /**
-   * updates the github/gitlab issue as paid and fix accepted
+   * updates the git issue as paid and fix accepted
    * @param {Object} event the event
    * @param {Number} issueNumber the issue Number
    * @param {String} challengeUUID the challenge id
    * @param {Array} existLabels the exist labels of the issue
-   * @param {String} winner the winner topcoder handle
-   * @param {Boolean} createCopilotPayments the option to create copilot payments or not
+   * @param {String} winner the winner topcoder handle, or every payee with their prize when the prize is split
+   * @param {String} copilotFee the formatted copilot fee, the copilot is not paid if it is not given
    */
-  async markIssueAsPaid(event, issueNumber, challengeUUID, existLabels, winner, createCopilotPayments = false) {
-    if (event.provider === 'github') {
-      await gitHubService.markIssueAsPaid(event.copilot, event.data.repository.full_name, issueNumber, challengeUUID, existLabels, winner,
-        createCopilotPayments);
-    } else if (event.provider === 'gitlab') {
-      const gitlabService = await GitlabService.create(event.copilot);
-      await gitlabService.markIssueAsPaid(event.data.repository, issueNumber, challengeUUID, existLabels, winner,
-        createCopilotPayments);
-    } else if (event.provider === 'azure') {
-      await azureService.markIssueAsPaid(event.copilot, event.data.repository.full_name, issueNumber, challengeUUID, existLabels);
-    }
+  async markIssueAsPaid(event, issueNumber, challengeUUID, existLabels, winner, copilotFee = null) {
+    await getAdapter(event).markIssueAsPaid(event.copilot, event.data.repository, issueNumber, {
+      challengeUUID,
+      existLabels,
+      winner,
+      copilotFee
+    });
   }
 
   /**
@@ -152,12 +128,7 @@ class GitHelper {
    * @returns {String} the repository full url
    */
   getFullRepoUrl(event) {
-    if (event.provider === 'github') {
-      return `https://github.com/${event.data.repository.full_name}`;
-    } else if (event.provider === 'gitlab') {
-      return `${config.GITLAB_API_BASE_URL}/${event.data.repository.full_name}`;
-    }
-    return null;
+    return getAdapter(event).getRepoUrl(event.data.repository.full_name);
   }
 
   /**
@@ -167,13 +138,21 @@ class GitHelper {
    * @returns {Promise<Number>}
    */
   async getUserIdByLogin(event, assignee) {
-    if (event.provider === 'github') {
-      return await gitHubService.getUserIdByLogin(event.copilot, assignee);
-    } else if (event.provider === 'gitlab') {
-      const gitlabService = await GitlabService.create(event.copilot);
-      return gitlabService.getUserIdByLogin(assignee);
+    return await getAdapter(event).getUserIdByLogin(event.copilot, event.data.repository, assignee);
+  }
+
+  /**
+   * Returns the date of the latest pull request or commit linked to the git issue
+   * @param {Object} event the event
+   * @param {Number} issueNumber the issue Number
+   * @returns {Promise<Date>} the date, null if there is no linked work or the provider can't find it
+   */
+  async getLinkedWorkAt(event, issueNumber) {
+    const adapter = getAdapter(event);
+    if (!adapter.getLinkedWorkAt) {
+      return null;
     }
-    return null;
+    return await adapter.getLinkedWorkAt(event.copilot, event.data.repository, issueNumber);
   }
 }
 
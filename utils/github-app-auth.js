@@ -0,0 +1,177 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module authenticates the processor as a GitHub App.
+ * When the app is configured and installed on a repository, the repository is accessed with an installation token
+ * instead of the copilot token: the installation tokens are cached and refreshed before they expire.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const crypto = require('crypto');
+const config = require('config');
+const _ = require('lodash');
+const superagent = require('superagent');
+const superagentPromise = require('superagent-promise');
+const logger = require('./logger');
+
+const request = superagentPromise(superagent, Promise);
+
+const GITHUB_API_URL = 'https://api.github.com';
+
+// milliseconds per second
+const MS_PER_SECOND = 1000;
+
+// the app JWT is valid for 10 minutes at most, the issue time is set in the past for the clock drift
+const JWT_EXPIRATION_SECONDS = 540;
+const JWT_CLOCK_DRIFT_SECONDS = 60;
+
+// the time a repository without installation is remembered, the app may be installed later
+const NO_INSTALLATION_CACHE_TIME = 600000;
+
+// the installation id by repository full name, null if the app is not installed
+const installations = new Map();
+
+// the cached installation token by installation id
+const tokens = new Map();
+
+// the pending token requests by installation id, so concurrent events request a single token
+const pendingTokens = new Map();
+
+/**
+ * encodes a value in base64url
+ * @param {String|Buffer} value the value
+ * @returns {String} the encoded value
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * checks whether the GitHub App is configured
+ * @returns {Boolean} true if the app id and the private key are set
+ */
+function isEnabled() {
+  return Boolean(config.GITHUB_APP_ID && config.GITHUB_APP_PRIVATE_KEY);
+}
+
+/**
+ * creates the JWT authenticating the app, signed with RS256
+ * @returns {String} the JWT
+ */
+function createAppJwt() {
+  const now = Math.floor(Date.now() / MS_PER_SECOND);
+  const header = base64url(JSON.stringify({alg: 'RS256', typ: 'JWT'}));
+  const payload = base64url(JSON.stringify({
+    iat: now - JWT_CLOCK_DRIFT_SECONDS,
+    exp: now + JWT_EXPIRATION_SECONDS,
+    iss: String(config.GITHUB_APP_ID)
+  }));
+  // the private key may be set in an env variable with escaped new lines
+  const privateKey = config.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+  const signature = crypto.createSign('RSA-SHA256').update(`${header}.${payload}`)
+    .sign(privateKey);
+  return `${header}.${payload}.${base64url(signature)}`;
+}
+
+/**
+ * gets the id of the app installation of a repository
+ * @param {String} repoFullName the repository full name
+ * @returns {Promise<Number>} the installation id, null if the app is not installed on the repository
+ */
+async function getInstallationId(repoFullName) {
+  const cached = installations.get(repoFullName);
+  if (cached && (cached.id || cached.checkedAt > Date.now() - NO_INSTALLATION_CACHE_TIME)) {
+    return cached.id;
+  }
+  let id = null;
+  try {
+    const installation = await request
+      .get(`${GITHUB_API_URL}/repos/${repoFullName}/installation`)
+      .set('Authorization', `Bearer ${createAppJwt()}`)
+      .set('Accept', 'application/vnd.github+json')
+      .end()
+      .then((res) => res.body);
+    id = installation.id;
+  } catch (err) {
+    if (err.status !== 404) { // eslint-disable-line no-magic-numbers
+      throw err;
+    }
+    logger.debug(`The GitHub App is not installed on ${repoFullName}`);
+  }
+  installations.set(repoFullName, {id, checkedAt: Date.now()});
+  return id;
+}
+
+/**
+ * requests a new installation token
+ * @param {Number} installationId the installation id
+ * @returns {Promise<Object>} the token and its expiration date
+ */
+async function requestInstallationToken(installationId) {
+  const result = await request
+    .post(`${GITHUB_API_URL}/app/installations/${installationId}/access_tokens`)
+    .set('Authorization', `Bearer ${createAppJwt()}`)
+    .set('Accept', 'application/vnd.github+json')
+    .end()
+    .then((res) => res.body);
+  logger.debug(`A new token is issued for the GitHub App installation ${installationId}`);
+  return {token: result.token, expiresAt: new Date(result.expires_at)};
+}
+
+/**
+ * gets a valid token of an installation, the cached one is refreshed when it is about to expire
+ * @param {Number} installationId the installation id
+ * @returns {Promise<String>} the installation token
+ */
+async function getInstallationToken(installationId) {
+  const cached = tokens.get(installationId);
+  if (cached && cached.expiresAt.getTime() - (config.GITHUB_APP_REFRESH_TOKEN_BEFORE_EXPIRATION * MS_PER_SECOND) > Date.now()) {
+    return cached.token;
+  }
+  if (!pendingTokens.has(installationId)) {
+    pendingTokens.set(installationId, requestInstallationToken(installationId)
+      .then((token) => {
+        tokens.set(installationId, token);
+        return token;
+      })
+      .finally(() => pendingTokens.delete(installationId)));
+  }
+  const token = await pendingTokens.get(installationId);
+  return token.token;
+}
+
+/**
+ * gets the token of the app installation of a repository
+ * @param {String} repoFullName the repository full name
+ * @returns {Promise<String>} the installation token, null if the app is not configured or not installed on the repository
+ */
+async function getRepositoryToken(repoFullName) {
+  if (!isEnabled() || _.isEmpty(repoFullName)) {
+    return null;
+  }
+  const installationId = await getInstallationId(repoFullName);
+  if (!installationId) {
+    return null;
+  }
+  try {
+    return await getInstallationToken(installationId);
+  } catch (err) {
+    // the app may have been uninstalled, the installation is looked up again by the next event
+    installations.delete(repoFullName);
+    throw err;
+  }
+}
+
+module.exports = {
+  isEnabled,
+  createAppJwt,
+  getInstallationId,
+  getInstallationToken,
+  getRepositoryToken
+};
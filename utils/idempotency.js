@@ -0,0 +1,45 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module records the completed outbound side effects of the events in a ledger,
+ * so a retried or replayed event resumes from its first unfinished step.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const _ = require('lodash');
+const models = require('../models');
+const dbHelper = require('./db-helper');
+const logger = require('./logger');
+
+/**
+ * runs the step of the event unless the ledger shows it already completed
+ * @param {Object} event the event, the step is not recorded if it has no id
+ * @param {String} step the name of the step, unique within the event
+ * @param {Function} fn the async function performing the side effect
+ * @returns {Promise<Object>} the result of the step, or the recorded result if it already completed
+ */
+async function runOnce(event, step, fn) {
+  if (!event.id) {
+    return await fn();
+  }
+  const id = `${event.id}-${step}`;
+  const sideEffect = await dbHelper.getById(models.SideEffect, id);
+  if (sideEffect) {
+    logger.debug(`The step ${step} of the event ${event.id} is already completed, skipping it.`);
+    return _.isNil(sideEffect.result) ? null : JSON.parse(sideEffect.result);
+  }
+  const result = await fn();
+  const entry = {id, eventId: event.id, step};
+  if (!_.isNil(result)) {
+    entry.result = JSON.stringify(result);
+  }
+  await dbHelper.create(models.SideEffect, entry);
+  return result;
+}
+
+module.exports = {
+  runOnce
+};
@@ -0,0 +1,155 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module defines the lifecycle of the issue records.
+ * Every status change goes through it, illegal transitions are rejected
+ * and the legal ones are written to the IssueHistory table.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const _ = require('lodash');
+const constants = require('../constants');
+const models = require('../models');
+const dbHelper = require('./db-helper');
+const errors = require('./errors');
+const helper = require('./helper');
+const logger = require('./logger');
+
+const ISSUE_STATUS = constants.ISSUE_STATUS;
+
+// the status of an issue without record
+const NONE = '';
+
+// the statuses each status can move to, the removal of the record is always legal
+const TRANSITIONS = {
+  [NONE]: [ISSUE_STATUS.CHALLENGE_CREATION_PENDING],
+  [ISSUE_STATUS.CHALLENGE_CREATION_PENDING]: [ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL, ISSUE_STATUS.CHALLENGE_CREATION_FAILED],
+  [ISSUE_STATUS.CHALLENGE_CREATION_FAILED]: [ISSUE_STATUS.CHALLENGE_CREATION_RETRIED, ISSUE_STATUS.CHALLENGE_CREATION_PENDING],
+  [ISSUE_STATUS.CHALLENGE_CREATION_RETRIED]: [ISSUE_STATUS.CHALLENGE_CREATION_PENDING, ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL,
+    ISSUE_STATUS.CHALLENGE_CREATION_FAILED],
+  [ISSUE_STATUS.CHALLENGE_CREATION_SUCCESSFUL]: [ISSUE_STATUS.CHALLENGE_PAYMENT_PENDING, ISSUE_STATUS.CHALLENGE_CANCELLED],
+  [ISSUE_STATUS.CHALLENGE_PAYMENT_PENDING]: [ISSUE_STATUS.CHALLENGE_PAYMENT_SUCCESSFUL, ISSUE_STATUS.CHALLENGE_PAYMENT_FAILED],
+  [ISSUE_STATUS.CHALLENGE_PAYMENT_FAILED]: [ISSUE_STATUS.CHALLENGE_PAYMENT_PENDING, ISSUE_STATUS.CHALLENGE_CANCELLED],
+  [ISSUE_STATUS.CHALLENGE_PAYMENT_SUCCESSFUL]: [],
+  [ISSUE_STATUS.CHALLENGE_CANCELLED]: [ISSUE_STATUS.CHALLENGE_CREATION_PENDING]
+};
+
+/**
+ * checks whether the issue can move from a status to another
+ * @param {String} fromStatus the current status, empty if the issue has no record
+ * @param {String} toStatus the requested status
+ * @returns {Boolean} true if the transition is legal
+ */
+function canTransition(fromStatus, toStatus) {
+  return _.includes(TRANSITIONS[fromStatus || NONE], toStatus);
+}
+
+/**
+ * gets the git user who triggered the event
+ * @param {Object} event the event
+ * @returns {String} the actor
+ */
+function getActor(event) {
+  const userId = _.get(event, 'data.comment.user.id');
+  return userId ? `${event.provider}:${userId}` : 'system';
+}
+
+/**
+ * writes the transition to the issue history
+ * @param {Object} dbIssue the issue record
+ * @param {String} fromStatus the status before the transition
+ * @param {String} toStatus the status after the transition
+ * @param {Object} context the context of the transition: the event and the reason (if any)
+ */
+async function recordTransition(dbIssue, fromStatus, toStatus, context) {
+  const event = context.event || {};
+  await dbHelper.create(models.IssueHistory, _.omitBy({
+    id: helper.generateIdentifier(),
+    issueId: dbIssue.id,
+    provider: dbIssue.provider,
+    repositoryId: dbIssue.repositoryId,
+    number: dbIssue.number,
+    fromStatus,
+    toStatus,
+    eventId: event.id,
+    event: event.event,
+    actor: getActor(event),
+    reason: context.reason
+  }, (value) => _.isNil(value) || value === NONE));
+  logger.debug(`Issue ${dbIssue.id} moved from ${fromStatus || 'none'} to ${toStatus || 'none'}`);
+}
+
+/**
+ * creates the record of the issue in challenge creation pending status
+ * @param {Object} data the issue data
+ * @param {Object} context the context of the transition: the event and the reason (if any)
+ * @returns {Promise<Object>} the issue record
+ */
+async function createIssue(data, context) {
+  const dbIssue = await dbHelper.create(models.Issue, _.assign({}, data, {
+    status: ISSUE_STATUS.CHALLENGE_CREATION_PENDING
+  }));
+  await recordTransition(dbIssue, NONE, ISSUE_STATUS.CHALLENGE_CREATION_PENDING, context);
+  return dbIssue;
+}
+
+/**
+ * moves the issue to a new status
+ * @param {Object} dbIssue the issue record
+ * @param {String} toStatus the new status
+ * @param {Object} context the context of the transition: the event and the reason (if any)
+ * @param {Object} data the other fields of the issue to update with the status
+ * @returns {Promise<Object>} the updated issue record
+ */
+async function transition(dbIssue, toStatus, context, data = {}) {
+  const fromStatus = dbIssue.status;
+  if (fromStatus === toStatus) {
+    return await dbHelper.update(models.Issue, dbIssue.id, _.assign({updatedAt: new Date()}, data));
+  }
+  // the records created before the statuses existed can move to any status
+  if (fromStatus && !canTransition(fromStatus, toStatus)) {
+    throw errors.illegalTransitionError(dbIssue, fromStatus, toStatus);
+  }
+  const updated = await dbHelper.update(models.Issue, dbIssue.id, _.assign({
+    status: toStatus,
+    updatedAt: new Date()
+  }, data));
+  await recordTransition(dbIssue, fromStatus, toStatus, context);
+  // the callers keep using their record for the next transitions
+  dbIssue.status = toStatus;
+  return updated;
+}
+
+/**
+ * updates the issue without changing its status, the reason of the update is written to the issue history
+ * @param {Object} dbIssue the issue record
+ * @param {Object} context the context of the update: the event and the reason
+ * @param {Object} data the fields of the issue to update
+ * @returns {Promise<Object>} the updated issue record
+ */
+async function recordUpdate(dbIssue, context, data) {
+  const updated = await dbHelper.update(models.Issue, dbIssue.id, _.assign({updatedAt: new Date()}, data));
+  await recordTransition(dbIssue, dbIssue.status, dbIssue.status, context);
+  return updated;
+}
+
+/**
+ * removes the record of the issue
+ * @param {Object} dbIssue the issue record
+ * @param {Object} context the context of the removal: the event and the reason (if any)
+ */
+async function removeIssue(dbIssue, context) {
+  await dbHelper.removeIssue(models.Issue, dbIssue.repositoryId, dbIssue.number, dbIssue.provider);
+  await recordTransition(dbIssue, dbIssue.status, NONE, context);
+}
+
+module.exports = {
+  canTransition,
+  createIssue,
+  transition,
+  recordUpdate,
+  removeIssue
+};
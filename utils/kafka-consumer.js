@@ -16,26 +16,99 @@ const ChallengeService = require('../services/ChallengeService');
 const PrivateForkService = require('../services/PrivateForkService');
 const NotificationService = require('../services/NotificationService');
 const PullRequestService = require('../services/PullRequestService');
+const EventService = require('../services/EventService');
+const AssignmentSlaService = require('../services/AssignmentSlaService');
+const ReconciliationService = require('../services/ReconciliationService');
 const logger = require('./logger');
 const kafka = require('./kafka');
+const kafkaSender = require('./kafka-sender');
+const KeyedExecutor = require('./keyed-executor');
+
+// the events of the same issue are processed in arrival order, different issues concurrently
+const executor = new KeyedExecutor(_.toInteger(config.EVENT_PROCESSING_CONCURRENCY));
+
+/**
+ * Publishes a message which could not be parsed to the dead-letter topic
+ * @param {String} message the raw kafka message
+ * @param {String} topic the topic the message was consumed from
+ * @param {String} stage the parsing stage which failed, 'message' or 'payload'
+ * @param {Object} err the parsing error
+ */
+function sendToDeadLetter(message, topic, stage, err) {
+  kafkaSender.sendDeadLetter(message, {
+    sourceTopic: topic,
+    stage,
+    error: _.pick(err, ['name', 'message'])
+  }).catch((e) => {
+    logger.error(`Failed to publish the message to the dead-letter topic. ${e.message}`);
+  });
+}
 
 /**
  * Parses the raw payload from a Kafka message
  * @param {import('no-kafka').Message} event the message
+ * @param {String} topic the topic the message was consumed from
  * @returns {import('no-kafka').Message}
  */
-function parsePayload(event) {
+function parsePayload(event, topic) {
+  const rawMessage = event.message.value.toString('utf8');
   try {
-    const _message = JSON.parse(event.message.value.toString('utf8'));
+    const _message = JSON.parse(rawMessage);
     event.message.value = _message;
     logger.debug(`Decoded message from kafka: ${JSON.stringify(_.omit(event, 'payload.value.data.issue.body'))}`);
     return event;
   } catch (err) {
     logger.error('"message" is not a valid JSON-formatted string.', err);
+    sendToDeadLetter(rawMessage, topic, 'message', err);
     return null;
   }
 }
 
+/**
+ * Dispatch the payload of a Topcoder-X message to the service handling its event
+ * @param {Object} payload the decoded payload
+ */
+async function dispatchPayload(payload) {
+  // Retried events may be published more than once, skip the ones already consumed
+  if (!await EventService.acknowledgeRetry(payload)) {
+    return;
+  }
+  if (_.includes(['issue.created', 'issue.updated', 'issue.closed', 'issue.recreated',
+    'comment.created', 'comment.updated', 'issue.assigned', 'issue.labelUpdated', 'issue.unassigned', 'issue.bidDeadline'], payload.event)) {
+    await IssueService.process(payload);
+  } else if (_.includes(['copilotPayment.add', 'copilotPayment.update', 'copilotPayment.delete', 'copilotPayment.checkUpdates']
+    , payload.event)) {
+    await CopilotPaymentService.process(payload);
+  } else if (_.includes(['challengeTags.update']
+    , payload.event)) {
+    await ChallengeService.process(payload);
+  } else if (_.includes(['notification.tokenExpired']
+    , payload.event)) {
+    await NotificationService.process(payload);
+  } else if (_.includes(['pull_request.created'], payload.event)) {
+    await PullRequestService.process(payload);
+  }
+}
+
+/**
+ * Get the key of the events which must be processed in order with the given one
+ * @param {Object} payload the decoded payload
+ * @returns {String} the key
+ */
+function getOrderingKey(payload) {
+  const repositoryId = _.get(payload, 'data.repository.id');
+  const issueNumber = _.get(payload, 'data.issue.number');
+  if (!_.isNil(repositoryId) && !_.isNil(issueNumber)) {
+    return `${payload.provider}-${repositoryId}-${issueNumber}`;
+  }
+  const paymentProject = _.get(payload, 'data.payment.project');
+  if (payload.provider === 'copilotPayment' && paymentProject) {
+    return `${payload.provider}-${paymentProject}`;
+  }
+  // the other events do not need to be ordered
+  return _.uniqueId('unordered-');
+}
+
 /**
  * Handle the messages published to Topcoder-X topic of kafka
  * @param {import('no-kafka').Message[]} messageSet the message set
@@ -44,44 +117,20 @@ function tcxMessageHandler(messageSet, topic) {
   logger.debug('Incoming message', {messageSet, topic});
   messageSet.forEach((event) => {
     // The event should be a JSON object
-    event = parsePayload(event);
+    event = parsePayload(event, topic);
+    if (!event) {
+      return;
+    }
     try {
       event.message.value.payload.value = JSON.parse(event.message.value.payload.value);
     } catch (e) {
       logger.error('Invalid message payload', e);
+      sendToDeadLetter(JSON.stringify(event.message.value), topic, 'payload', e);
       return;
     }
     const payload = event.message.value.payload.value;
     logger.debug(`[kafka-consumer#tcxMessageHandler] Decoded Payload  ${JSON.stringify(payload)}`);
-    if (_.includes(['issue.created', 'issue.updated', 'issue.closed', 'issue.recreated',
-      'comment.created', 'comment.updated', 'issue.assigned', 'issue.labelUpdated', 'issue.unassigned'], payload.event)) {
-      IssueService
-        .process(payload)
-        .catch(logger.error);
-    }
-    if (_.includes(['copilotPayment.add', 'copilotPayment.update', 'copilotPayment.delete', 'copilotPayment.checkUpdates']
-      , payload.event)) {
-      CopilotPaymentService
-        .process(payload)
-        .catch(logger.error);
-    }
-    if (_.includes(['challengeTags.update']
-      , payload.event)) {
-      ChallengeService
-        .process(payload)
-        .catch(logger.error);
-    }
-    if (_.includes(['notification.tokenExpired']
-      , payload.event)) {
-      NotificationService
-        .process(payload)
-        .catch(logger.error);
-    }
-    if (_.includes(['pull_request.created'], payload.event)) {
-      PullRequestService
-        .process(payload)
-        .catch(logger.error);
-    }
+    executor.run(getOrderingKey(payload), () => dispatchPayload(payload)).catch(logger.error);
   });
 }
 
@@ -92,7 +141,10 @@ function tcxMessageHandler(messageSet, topic) {
 function challengeResourceCreationHandler(messageSet, topic) {
   logger.debug('Incoming message', {messageSet, topic});
   messageSet.forEach((event) => {
-    event = parsePayload(event);
+    event = parsePayload(event, topic);
+    if (!event) {
+      return;
+    }
     const payload = event.message.value.payload;
     logger.debug(`[kafka-consumer#challengeResourceCreationHandler] Decoded Payload  ${JSON.stringify(payload)}`);
     PrivateForkService.process(payload);
@@ -108,6 +160,20 @@ function run() {
     healthcheck.init();
     kafka.consumer.subscribe(config.TOPIC, {}, tcxMessageHandler);
     kafka.consumer.subscribe(config.TOPIC_CHALLENGE_ACTION_RESOURCE_CREATE, {}, challengeResourceCreationHandler);
+    // publish the scheduled event retries when they are due
+    setInterval(() => {
+      EventService.publishDueRetries().catch(logger.error);
+    }, config.RETRY_POLL_INTERVAL);
+    // remind and unassign the assignees without linked work
+    setInterval(() => {
+      AssignmentSlaService.sweep().catch(logger.error);
+    }, config.ASSIGNMENT_SLA_SWEEP_INTERVAL);
+    // report the drift between the tickets, the records and the challenges
+    if (_.toInteger(config.RECONCILE_INTERVAL) > 0) {
+      setInterval(() => {
+        ReconciliationService.runScheduled().catch(logger.error);
+      }, config.RECONCILE_INTERVAL);
+    }
   }).catch((err) => {
     logger.error(`kafka consumer is not connected. ${err.stack}`);
   });
@@ -55,7 +55,33 @@ function sendNotification(notification) {
   });
 }
 
+/**
+ * Send message to dead-letter topic in kafka.
+ * @param {String} message the original message which could not be processed
+ * @param {Object} metadata the metadata describing why the message could not be processed
+ * @returns {Object} Result from kafka
+ */
+function sendDeadLetter(message, metadata) {
+  const data = JSON.stringify({
+    topic: config.TOPIC_DEAD_LETTER,
+    originator: 'topcoder-x-processor',
+    timestamp: new Date().toISOString(),
+    'mime-type': 'application/json',
+    payload: {
+      ...metadata,
+      value: message
+    }
+  });
+  return kafka.producer.send({
+    topic: config.TOPIC_DEAD_LETTER,
+    message: {
+      value: data
+    }
+  });
+}
+
 module.exports = {
   send,
-  sendNotification
+  sendNotification,
+  sendDeadLetter
 };
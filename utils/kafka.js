@@ -20,7 +20,8 @@ class Kafka {
     this.consumer = new kafka.SimpleConsumer(config.KAFKA_OPTIONS);
 
     this.producer = new kafka.Producer(config.KAFKA_OPTIONS);
-    this.producer.init().then(() => {
+    // the scripts wait for the producer before sending
+    this.producerReady = this.producer.init().then(() => {
       logger.info('kafka producer is ready.');
     }).catch((err) => {
       logger.error(`kafka producer is not connected. ${err.stack}`);
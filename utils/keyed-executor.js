@@ -0,0 +1,82 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module runs asynchronous tasks serially per key.
+ * Tasks sharing a key run strictly in the order they were submitted,
+ * tasks with different keys run concurrently up to the concurrency limit.
+ * @author TCSCODER
+ * @version 1.0
+ */
+
+class KeyedExecutor {
+  /**
+   * Constructor
+   * @param {Number} concurrency the maximum number of tasks running at the same time
+   */
+  constructor(concurrency) {
+    this.concurrency = concurrency;
+    // the pending tasks of each key, the first one is running if the key is active
+    this.queues = new Map();
+    // the keys having pending tasks and waiting for a free slot
+    this.waitingKeys = [];
+    this.running = 0;
+  }
+
+  /**
+   * Submit a task
+   * @param {String} key the key of the task
+   * @param {Function} task the async function to run
+   * @returns {Promise} the result of the task
+   */
+  run(key, task) {
+    return new Promise((resolve, reject) => {
+      const entry = {task, resolve, reject};
+      if (this.queues.has(key)) {
+        // the key is already running or waiting, the task runs after the previous ones
+        this.queues.get(key).push(entry);
+        return;
+      }
+      this.queues.set(key, [entry]);
+      this.waitingKeys.push(key);
+      this.#schedule();
+    });
+  }
+
+  /**
+   * Start the tasks of the waiting keys while there are free slots
+   */
+  #schedule() {
+    while (this.running < this.concurrency && this.waitingKeys.length > 0) { // eslint-disable-line no-restricted-syntax
+      this.running += 1;
+      this.#runNext(this.waitingKeys.shift());
+    }
+  }
+
+  /**
+   * Run the first pending task of the key, then give the slot to the next waiting key
+   * @param {String} key the key
+   */
+  async #runNext(key) {
+    const queue = this.queues.get(key);
+    const entry = queue[0];
+    try {
+      entry.resolve(await entry.task());
+    } catch (err) {
+      entry.reject(err);
+    }
+    queue.shift();
+    if (queue.length > 0) {
+      // other keys get their turn before the next task of this key
+      this.waitingKeys.push(key);
+    } else {
+      this.queues.delete(key);
+    }
+    this.running -= 1;
+    this.#schedule();
+  }
+}
+
+module.exports = KeyedExecutor;
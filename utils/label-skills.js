@@ -0,0 +1,47 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module gets the skills of a challenge from its project: the project tags and the skills
+ * mapped to the labels of its ticket by the `labelSkills` of the project, e.g. `lang:python` to the Python skill.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const _ = require('lodash');
+
+/**
+ * @typedef {Object} LabelSkill
+ * @property {String} label The git label, matched case insensitively.
+ * @property {String} id The skill id.
+ * @property {String} name The skill name.
+ */
+
+/**
+ * gets the skills of a challenge
+ * @param {Object} project the project, with its `tags` and `labelSkills`
+ * @param {Array<String>} labels the labels of the ticket
+ * @returns {Array<{id: String, name: String}>} the skills, without duplicates
+ */
+function getChallengeSkills(project, labels) {
+  const ticketLabels = _.map(labels, _.toLower);
+  const labelSkills = _.filter(_.get(project, 'labelSkills'), (labelSkill) => _.includes(ticketLabels, _.toLower(labelSkill.label)));
+  const tags = _.isArray(_.get(project, 'tags')) ? project.tags : [];
+  return _.uniqBy(_.concat(tags, _.map(labelSkills, (labelSkill) => _.pick(labelSkill, ['id', 'name']))), 'id');
+}
+
+/**
+ * checks whether two skill sets have the same skills
+ * @param {Array<{id: String}>} skills the skills
+ * @param {Array<{id: String}>} otherSkills the other skills
+ * @returns {Boolean} true if the skill ids are the same
+ */
+function isSameSkills(skills, otherSkills) {
+  return _.isEmpty(_.xorBy(skills, otherSkills, 'id'));
+}
+
+module.exports = {
+  getChallengeSkills,
+  isSameSkills
+};
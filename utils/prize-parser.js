@@ -0,0 +1,286 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module parses the prizes of an issue.
+ * The prizes are given in a bracket of the title, e.g. `[$500, $200 +cp $50 +rv $30]`,
+ * or in a YAML front matter block at the start of the body, e.g.
+ *
+ *     ---
+ *     prizes: [500, 200]
+ *     copilot: 50
+ *     reviewer: 30
+ *     currency: EUR
+ *     ---
+ *
+ * An amount is `$500`, `€500`, `£500`, `500 EUR`, `EUR 500` or `100pts`, all the amounts of a prize are in the same currency.
+ * The currency codes are USD, EUR and GBP, the currencies of the Topcoder prize types.
+ * The amounts may have thousands separators, e.g. `$1,000`. A title bracket holds the prizes only when it starts with an amount.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const errors = require('./errors');
+
+const DEFAULT_CURRENCY = 'USD';
+
+// the prize type of the point values
+const POINTS = 'POINT';
+
+const CURRENCY_SYMBOLS = {
+  $: 'USD',
+  '€': 'EUR',
+  '£': 'GBP'
+};
+
+// the currency codes of the supported Topcoder prize types, the other three letter words like `CSS` or `API` aren't currencies
+const CURRENCY_CODES = _.values(CURRENCY_SYMBOLS);
+
+// a currency code of an amount
+const CODE = `(?:${CURRENCY_CODES.join('|')})`;
+
+// the modifiers following the placements in the title, with the prize field they set
+const MODIFIERS = {
+  '+cp': 'copilotFee',
+  '+rv': 'reviewerPrize'
+};
+
+// the front matter keys of the modifiers
+const FRONT_MATTER_MODIFIERS = {
+  copilot: 'copilotFee',
+  reviewer: 'reviewerPrize'
+};
+
+const FRONT_MATTER = /^\s*---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// an amount value, with optional thousands separators, e.g. `1,000.50`
+const NUMBER = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d{1,2})?|\\d+(?:\\.\\d{1,2})?';
+
+// the amount formats, the currency is given by a symbol, a code or the points unit
+const AMOUNT_FORMATS = [
+  new RegExp(`^(?<symbol>[$€£])\\s*(?<value>${NUMBER})$`),
+  new RegExp(`^(?<value>${NUMBER})\\s*(?<points>pts?|points)$`, 'i'),
+  new RegExp(`^(?<value>${NUMBER})\\s*(?<code>${CODE})$`),
+  new RegExp(`^(?<code>${CODE})\\s*(?<value>${NUMBER})$`)
+];
+
+// an amount of the title, in any of the amount formats
+const AMOUNT = `(?:[$€£]\\s*(?:${NUMBER})|(?:${NUMBER})\\s*(?:pts?|points|${CODE})|${CODE}\\s*(?:${NUMBER}))`;
+
+// a bracket of the title holds the prizes if it starts with an amount followed by another placement, a modifier or the bracket end,
+// so the brackets like `[Node 18 LTS]`, `[API 2 migration]` or `[CSS 3]` are left in the title
+const PRIZE_BRACKET = new RegExp(`\\[(\\s*${AMOUNT}\\s*(?=[,+\\]])[^\\]]*)\\]`);
+
+// the separator of the placements, the comma of a thousands separator doesn't separate placements
+const PLACEMENT_SEPARATOR = /,(?!\d{3}(?!\d))/;
+
+/**
+ * parses an amount
+ * @param {String|Number} token the amount text, a number is in the default currency
+ * @param {String} defaultCurrency the currency of a number
+ * @param {String} name the name of the amount in the error message
+ * @returns {{value: Number, currency: String}} the amount
+ * @throws {Error} the parse error if the amount is not valid
+ */
+function parseAmount(token, defaultCurrency = DEFAULT_CURRENCY, name = 'amount') {
+  if (_.isNumber(token)) {
+    if (token < 0) {
+      throw errors.prizeParseError(`The ${name} ${token} can't be negative`);
+    }
+    return {value: token, currency: defaultCurrency};
+  }
+  const text = _.trim(token);
+  const format = _.find(AMOUNT_FORMATS, (regex) => regex.test(text));
+  if (!format) {
+    throw errors.prizeParseError(`Can't parse the ${name} \`${text}\`, use an amount like \`$500\`, \`500 EUR\` or \`100pts\``);
+  }
+  const {value, symbol, points, code} = text.match(format).groups;
+  return {
+    value: parseFloat(value.replace(/,/g, '')),
+    currency: symbol ? CURRENCY_SYMBOLS[symbol] : points ? POINTS : code // eslint-disable-line no-nested-ternary
+  };
+}
+
+/**
+ * builds the prize from the parsed amounts, all the amounts must be in the same currency
+ * @param {Array} placements the placement amounts
+ * @param {Object} modifiers the copilot fee and reviewer prize amounts by prize field
+ * @returns {Object} the prizes, currency, copilot fee and reviewer prize
+ * @private
+ */
+function buildPrize(placements, modifiers) {
+  if (_.isEmpty(placements)) {
+    throw errors.prizeParseError('At least one placement prize is required');
+  }
+  const currencies = _(placements).concat(_.values(modifiers))
+    .map('currency')
+    .uniq()
+    .value();
+  if (currencies.length > 1) {
+    throw errors.prizeParseError(`All the amounts of the prize must be in the same currency, found ${currencies.join(', ')}`);
+  }
+  return _.assign({
+    prizes: _.map(placements, 'value'),
+    currency: currencies[0]
+  }, _.mapValues(modifiers, 'value'));
+}
+
+/**
+ * parses the prize bracket of the title, e.g. `$500, $200 +cp $50 +rv $30`
+ * @param {String} spec the bracket content
+ * @returns {Object} the prizes, currency, copilot fee and reviewer prize
+ * @private
+ */
+function parseTitleSpec(spec) {
+  // the placements are given before the first modifier
+  const placementsText = _.head(spec.split(/\+[a-z]+/i));
+  const placements = _(placementsText).split(PLACEMENT_SEPARATOR)
+    .map((token) => _.trim(token))
+    .reject(_.isEmpty)
+    .map((token) => parseAmount(token, DEFAULT_CURRENCY, 'placement prize'))
+    .value();
+  const modifiers = {};
+  _.forEach(spec.match(/\+[a-z]+[^+]*/gi), (text) => {
+    const {name, amount} = text.match(/^(?<name>\+[a-z]+)(?<amount>.*)$/i).groups;
+    const modifier = name.toLowerCase();
+    const field = MODIFIERS[modifier];
+    if (!field) {
+      throw errors.prizeParseError(`Unknown prize modifier \`${name}\`, use \`+cp\` for the copilot fee or \`+rv\` for the reviewer prize`);
+    }
+    if (modifiers[field]) {
+      throw errors.prizeParseError(`The prize modifier \`${modifier}\` is given more than once`);
+    }
+    modifiers[field] = parseAmount(amount, DEFAULT_CURRENCY, `${modifier} amount`);
+  });
+  return buildPrize(placements, modifiers);
+}
+
+/**
+ * parses the front matter of the body
+ * @param {String} frontMatter the front matter block content
+ * @returns {Object} the prizes, currency, copilot fee and reviewer prize, null if the front matter has no prizes
+ * @private
+ */
+function parseFrontMatter(frontMatter) {
+  let data;
+  try {
+    data = yaml.load(frontMatter);
+  } catch (err) {
+    throw errors.prizeParseError(`The front matter of the description is not valid YAML: ${err.reason || err.message}`);
+  }
+  if (!_.isPlainObject(data) || _.isNil(data.prizes)) {
+    return null;
+  }
+  const currency = _.isNil(data.currency) ? DEFAULT_CURRENCY : _.toUpper(data.currency);
+  if (!_.includes(CURRENCY_CODES, currency) && currency !== POINTS) {
+    throw errors.prizeParseError(`The currency \`${data.currency}\` is not supported, use ${_.concat(CURRENCY_CODES, POINTS).join(', ')}`);
+  }
+  const placements = _.map(_.castArray(data.prizes), (token) => parseAmount(token, currency, 'placement prize'));
+  const modifiers = {};
+  _.forEach(FRONT_MATTER_MODIFIERS, (field, key) => {
+    if (!_.isNil(data[key])) {
+      modifiers[field] = parseAmount(data[key], currency, `${key} amount`);
+    }
+  });
+  return buildPrize(placements, modifiers);
+}
+
+/**
+ * parses the prizes of an issue, from the title or else from the front matter of the body
+ * @param {String} title the issue title
+ * @param {String} body the issue body
+ * @returns {Object} the title and the body without the prizes, the placement prizes, their currency,
+ *  the copilot fee and the reviewer prize; null if the issue has no prizes
+ * @throws {Error} the parse error if the prizes are not valid
+ */
+function parse(title, body) {
+  const bracket = title.match(PRIZE_BRACKET);
+  if (bracket) {
+    return _.assign(parseTitleSpec(bracket[1]), {
+      title: _.trim(title.replace(bracket[0], '')),
+      body
+    });
+  }
+  const frontMatter = (body || '').match(FRONT_MATTER);
+  const prize = frontMatter ? parseFrontMatter(frontMatter[1]) : null;
+  if (!prize) {
+    return null;
+  }
+  return _.assign(prize, {
+    title,
+    body: body.replace(frontMatter[0], '')
+  });
+}
+
+/**
+ * removes the prize bracket of a title, valid or not
+ * @param {String} title the issue title
+ * @returns {String} the title without the prizes
+ */
+function removePrize(title) {
+  return _.trim(title.replace(PRIZE_BRACKET, ''));
+}
+
+/**
+ * builds the prize sets of the challenge
+ * @param {Object} prize the parsed prizes
+ * @param {Array<Number>} placementPrizes the placement prizes, the parsed ones if not given
+ * @param {Number} copilotFee the copilot fee, no copilot prize set if not given
+ * @returns {Array} the prize sets
+ */
+function toPrizeSets(prize, placementPrizes = prize.prizes, copilotFee = 0) {
+  const type = prize.currency || DEFAULT_CURRENCY;
+  const prizeSets = [{
+    type: 'placement',
+    prizes: _.map(placementPrizes, (value) => ({type, value}))
+  }];
+  if (copilotFee) {
+    prizeSets.push({type: 'copilot', prizes: [{type, value: copilotFee}]});
+  }
+  if (prize.reviewerPrize) {
+    prizeSets.push({type: 'reviewer', prizes: [{type, value: prize.reviewerPrize}]});
+  }
+  return prizeSets;
+}
+
+/**
+ * formats an amount for the comments
+ * @param {Number} value the amount value
+ * @param {String} currency the currency
+ * @returns {String} the formatted amount, e.g. `$500`, `500 EUR` or `100pts`
+ */
+function formatAmount(value, currency = DEFAULT_CURRENCY) {
+  if (currency === POINTS) {
+    return `${value}pts`;
+  }
+  const symbol = _.findKey(CURRENCY_SYMBOLS, (code) => code === currency);
+  return symbol ? `${symbol}${value}` : `${value} ${currency}`;
+}
+
+/**
+ * formats the prizes as the prize bracket of a title, the reverse of parse
+ * @param {Object} prize the placement prizes, their currency, the copilot fee and the reviewer prize
+ * @returns {String} the bracket content, e.g. `$500, $200 +cp $50 +rv $30`
+ */
+function formatPrize(prize) {
+  let spec = _.map(prize.prizes, (value) => formatAmount(value, prize.currency)).join(', ');
+  if (!_.isNil(prize.copilotFee)) {
+    spec += ` +cp ${formatAmount(prize.copilotFee, prize.currency)}`;
+  }
+  if (!_.isNil(prize.reviewerPrize)) {
+    spec += ` +rv ${formatAmount(prize.reviewerPrize, prize.currency)}`;
+  }
+  return spec;
+}
+
+module.exports = {
+  parse,
+  parseAmount,
+  removePrize,
+  toPrizeSets,
+  formatAmount,
+  formatPrize
+};
@@ -0,0 +1,145 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module is the adapter of Azure DevOps, see the adapter contract in ./index.js.
+ * Azure addresses the projects by their `organization/project` full name, the issues are the work items
+ * and the users are assigned by their unique name.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const config = require('config');
+const azureService = require('../../services/AzureService');
+
+/**
+ * returns the full url of a repository
+ * @param {String} repoFullName the full name of the repository
+ * @returns {String} the repository url
+ */
+function getRepoUrl(repoFullName) {
+  return `${config.AZURE_DEVOPS_API_BASE_URL}/${repoFullName}`;
+}
+
+/**
+ * creates a comment on the work item
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the work item id
+ * @param {String} body the comment body text
+ */
+async function createComment(copilot, repository, issueNumber, body) {
+  await azureService.createComment(copilot, repository.full_name, issueNumber, body);
+}
+
+/**
+ * replaces the tags of the work item
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the work item id
+ * @param {Array} labels the labels
+ */
+async function addLabels(copilot, repository, issueNumber, labels) {
+  await azureService.addLabels(copilot, repository.full_name, issueNumber, labels);
+}
+
+/**
+ * updates the title of the work item
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the work item id
+ * @param {String} title the new title
+ */
+async function updateIssue(copilot, repository, issueNumber, title) {
+  await azureService.updateIssue(copilot, repository.full_name, issueNumber, title);
+}
+
+/**
+ * reopens the work item
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the work item id
+ */
+async function reOpenIssue(copilot, repository, issueNumber) {
+  await azureService.changeState(copilot, repository.full_name, issueNumber, 'Active');
+}
+
+/**
+ * assigns the work item to the user
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the work item id
+ * @param {String} username the unique name of the user
+ */
+async function assignUser(copilot, repository, issueNumber, username) {
+  await azureService.assignUser(copilot, repository.full_name, issueNumber, username);
+}
+
+/**
+ * removes the assignee from the work item, a work item has a single assignee
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the work item id
+ */
+async function removeAssign(copilot, repository, issueNumber) {
+  await azureService.removeAssign(copilot, repository.full_name, issueNumber);
+}
+
+/**
+ * gets the email of the user
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {String} userId the user id
+ * @returns {Promise<String>} the email
+ */
+async function getUsernameById(copilot, repository, userId) {
+  return await azureService.getUsernameById(copilot, userId);
+}
+
+/**
+ * gets the id of the user, the work items are assigned by the unique name so it's the login itself
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {String} login the unique name
+ * @returns {Promise<String>} the unique name
+ */
+async function getUserIdByLogin(copilot, repository, login) {
+  return login;
+}
+
+/**
+ * comments the payment and tags the work item as paid
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the work item id
+ * @param {Object} payment the challenge id and the exist labels
+ */
+async function markIssueAsPaid(copilot, repository, issueNumber, payment) {
+  await azureService.markIssueAsPaid(copilot, repository.full_name, issueNumber, payment.challengeUUID, payment.existLabels);
+}
+
+/**
+ * refreshes the access token of the copilot, the azure services are stateless so it is refreshed once for the whole event
+ * @param {Object} user the copilot user
+ * @returns {Promise<Object>} the user with a valid access token
+ */
+async function refreshCopilot(user) {
+  return await azureService.refreshAccessToken(user);
+}
+
+module.exports = {
+  name: 'azure',
+  userMapping: {model: 'AzureUserMapping', userId: 'azureUserId', username: 'azureEmail'},
+  getRepoUrl,
+  createComment,
+  addLabels,
+  updateIssue,
+  reOpenIssue,
+  assignUser,
+  removeAssign,
+  getUsernameById,
+  getUserIdByLogin,
+  markIssueAsPaid,
+  refreshCopilot
+};
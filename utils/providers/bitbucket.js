@@ -0,0 +1,155 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module is the adapter of Bitbucket Cloud, see the adapter contract in ./index.js.
+ * Bitbucket addresses the repositories by their `workspace/repo_slug` full name and the users by their account id,
+ * a BitbucketService is created for each call so the copilot token is refreshed when needed.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const BitbucketService = require('../../services/BitbucketService');
+
+/**
+ * returns the full url of a repository
+ * @param {String} repoFullName the full name of the repository
+ * @returns {String} the repository url
+ */
+function getRepoUrl(repoFullName) {
+  return BitbucketService.getRepoUrl(repoFullName);
+}
+
+/**
+ * creates a comment on the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {String} body the comment body text
+ */
+async function createComment(copilot, repository, issueNumber, body) {
+  const bitbucketService = await BitbucketService.create(copilot);
+  await bitbucketService.createComment(repository, issueNumber, body);
+}
+
+/**
+ * replaces the component and the kind of the issue matching the labels
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {Array} labels the labels
+ */
+async function addLabels(copilot, repository, issueNumber, labels) {
+  const bitbucketService = await BitbucketService.create(copilot);
+  await bitbucketService.addLabels(repository, issueNumber, labels);
+}
+
+/**
+ * updates the title of the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {String} title the new title
+ */
+async function updateIssue(copilot, repository, issueNumber, title) {
+  const bitbucketService = await BitbucketService.create(copilot);
+  await bitbucketService.updateIssue(repository, issueNumber, title);
+}
+
+/**
+ * reopens the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ */
+async function reOpenIssue(copilot, repository, issueNumber) {
+  const bitbucketService = await BitbucketService.create(copilot);
+  await bitbucketService.changeState(repository, issueNumber, 'open');
+}
+
+/**
+ * assigns the issue to the user
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {String} username the nickname of the user
+ */
+async function assignUser(copilot, repository, issueNumber, username) {
+  const bitbucketService = await BitbucketService.create(copilot);
+  const userId = await bitbucketService.getUserIdByLogin(username);
+  await bitbucketService.assignUser(repository, issueNumber, userId);
+}
+
+/**
+ * removes the assignee from the issue, a bitbucket issue has a single assignee
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ */
+async function removeAssign(copilot, repository, issueNumber) {
+  const bitbucketService = await BitbucketService.create(copilot);
+  await bitbucketService.removeAssign(repository, issueNumber);
+}
+
+/**
+ * gets the nickname of the user
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {String} userId the account id
+ * @returns {Promise<String>} the nickname
+ */
+async function getUsernameById(copilot, repository, userId) {
+  const bitbucketService = await BitbucketService.create(copilot);
+  return await bitbucketService.getUsernameById(userId);
+}
+
+/**
+ * gets the account id of the user
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {String} login the nickname
+ * @returns {Promise<String>} the account id
+ */
+async function getUserIdByLogin(copilot, repository, login) {
+  const bitbucketService = await BitbucketService.create(copilot);
+  return await bitbucketService.getUserIdByLogin(login);
+}
+
+/**
+ * comments the payment and sets the paid component of the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {Object} payment the challenge id, the exist labels, the winner and the copilot fee
+ */
+async function markIssueAsPaid(copilot, repository, issueNumber, payment) {
+  const bitbucketService = await BitbucketService.create(copilot);
+  await bitbucketService.markIssueAsPaid(repository, issueNumber, payment.challengeUUID, payment.existLabels, payment.winner,
+    payment.copilotFee);
+}
+
+/**
+ * checks whether the git user is given by id, the bitbucket users have no numeric id but an account id
+ * @param {String} gitUser the account id or the nickname
+ * @returns {Boolean} true if it is an account id
+ */
+function isUserId(gitUser) {
+  return BitbucketService.isAccountId(gitUser);
+}
+
+module.exports = {
+  name: 'bitbucket',
+  userMapping: {model: 'BitbucketUserMapping', userId: 'bitbucketUserId', username: 'bitbucketUsername'},
+  getRepoUrl,
+  createComment,
+  addLabels,
+  updateIssue,
+  reOpenIssue,
+  assignUser,
+  removeAssign,
+  getUsernameById,
+  getUserIdByLogin,
+  markIssueAsPaid,
+  isUserId
+};
@@ -0,0 +1,144 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module is the adapter of Gitea and Forgejo, see the adapter contract in ./index.js.
+ * Gitea addresses the repositories by their `owner/repo` full name and assigns the issues by username.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const GiteaService = require('../../services/GiteaService');
+
+/**
+ * returns the full url of a repository
+ * @param {String} repoFullName the full name of the repository
+ * @returns {String} the repository url
+ */
+function getRepoUrl(repoFullName) {
+  return GiteaService.getRepoUrl(repoFullName);
+}
+
+/**
+ * creates a comment on the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {String} body the comment body text
+ */
+async function createComment(copilot, repository, issueNumber, body) {
+  const giteaService = await GiteaService.create(copilot);
+  await giteaService.createComment(repository, issueNumber, body);
+}
+
+/**
+ * replaces the labels of the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {Array} labels the labels
+ */
+async function addLabels(copilot, repository, issueNumber, labels) {
+  const giteaService = await GiteaService.create(copilot);
+  await giteaService.addLabels(repository, issueNumber, labels);
+}
+
+/**
+ * updates the title of the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {String} title the new title
+ */
+async function updateIssue(copilot, repository, issueNumber, title) {
+  const giteaService = await GiteaService.create(copilot);
+  await giteaService.updateIssue(repository, issueNumber, title);
+}
+
+/**
+ * reopens the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ */
+async function reOpenIssue(copilot, repository, issueNumber) {
+  const giteaService = await GiteaService.create(copilot);
+  await giteaService.changeState(repository, issueNumber, 'open');
+}
+
+/**
+ * assigns the issue to the user
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {String} username the username of the user
+ */
+async function assignUser(copilot, repository, issueNumber, username) {
+  const giteaService = await GiteaService.create(copilot);
+  await giteaService.assignUser(repository, issueNumber, username);
+}
+
+/**
+ * removes the assignee from the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {Object} assignee the id and username of the assignee
+ */
+async function removeAssign(copilot, repository, issueNumber, assignee) {
+  const giteaService = await GiteaService.create(copilot);
+  await giteaService.removeAssign(repository, issueNumber, assignee.username);
+}
+
+/**
+ * gets the username of the user
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} userId the user id
+ * @returns {Promise<String>} the username
+ */
+async function getUsernameById(copilot, repository, userId) {
+  const giteaService = await GiteaService.create(copilot);
+  return await giteaService.getUsernameById(userId);
+}
+
+/**
+ * gets the id of the user
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {String} login the username
+ * @returns {Promise<Number>} the user id
+ */
+async function getUserIdByLogin(copilot, repository, login) {
+  const giteaService = await GiteaService.create(copilot);
+  return await giteaService.getUserIdByLogin(login);
+}
+
+/**
+ * comments the payment and labels the issue as paid
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {Object} payment the challenge id, the exist labels, the winner and the copilot fee
+ */
+async function markIssueAsPaid(copilot, repository, issueNumber, payment) {
+  const giteaService = await GiteaService.create(copilot);
+  await giteaService.markIssueAsPaid(repository, issueNumber, payment.challengeUUID, payment.existLabels, payment.winner,
+    payment.copilotFee);
+}
+
+module.exports = {
+  name: 'gitea',
+  userMapping: {model: 'GiteaUserMapping', userId: 'giteaUserId', username: 'giteaUsername'},
+  getRepoUrl,
+  createComment,
+  addLabels,
+  updateIssue,
+  reOpenIssue,
+  assignUser,
+  removeAssign,
+  getUsernameById,
+  getUserIdByLogin,
+  markIssueAsPaid
+};
@@ -0,0 +1,169 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module is the adapter of GitHub, see the adapter contract in ./index.js.
+ * GitHub addresses the repositories by their full name and the users by their login.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const gitHubService = require('../../services/GithubService');
+
+/**
+ * returns the full url of a repository
+ * @param {String} repoFullName the full name of the repository
+ * @returns {String} the repository url
+ */
+function getRepoUrl(repoFullName) {
+  return `https://github.com/${repoFullName}`;
+}
+
+/**
+ * creates a comment on the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {String} body the comment body text
+ */
+async function createComment(copilot, repository, issueNumber, body) {
+  await gitHubService.createComment(copilot, repository.full_name, issueNumber, body);
+}
+
+/**
+ * replaces the labels of the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {Array} labels the labels
+ */
+async function addLabels(copilot, repository, issueNumber, labels) {
+  await gitHubService.addLabels(copilot, repository.full_name, issueNumber, labels);
+}
+
+/**
+ * updates the title of the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {String} title the new title
+ */
+async function updateIssue(copilot, repository, issueNumber, title) {
+  await gitHubService.updateIssue(copilot, repository.full_name, issueNumber, title);
+}
+
+/**
+ * reopens the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ */
+async function reOpenIssue(copilot, repository, issueNumber) {
+  await gitHubService.changeState(copilot, repository.full_name, issueNumber, 'open');
+}
+
+/**
+ * assigns the issue to the user
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {String} username the login of the user
+ */
+async function assignUser(copilot, repository, issueNumber, username) {
+  await gitHubService.assignUser(copilot, repository.full_name, issueNumber, username);
+}
+
+/**
+ * removes the assignee from the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {Object} assignee the id and username of the assignee
+ */
+async function removeAssign(copilot, repository, issueNumber, assignee) {
+  await gitHubService.removeAssign(copilot, repository.full_name, issueNumber, assignee.username);
+}
+
+/**
+ * gets the login of the user
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} userId the user id
+ * @returns {Promise<String>} the login
+ */
+async function getUsernameById(copilot, repository, userId) {
+  return await gitHubService.getUsernameById(copilot, repository.full_name, userId);
+}
+
+/**
+ * gets the id of the user
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {String} login the login
+ * @returns {Promise<Number>} the user id
+ */
+async function getUserIdByLogin(copilot, repository, login) {
+  return await gitHubService.getUserIdByLogin(copilot, repository.full_name, login);
+}
+
+/**
+ * gets the date of the latest pull request or commit linked to the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @returns {Promise<Date>} the date of the latest linked work, null if there is none
+ */
+async function getLinkedWorkAt(copilot, repository, issueNumber) {
+  return await gitHubService.getLinkedWorkAt(copilot, repository.full_name, issueNumber);
+}
+
+/**
+ * gets the repository
+ * @param {Object} copilot the copilot
+ * @param {String} repoFullName the full name of the repository
+ * @returns {Promise<Object>} the repository, as in the events
+ */
+async function getRepository(copilot, repoFullName) {
+  return await gitHubService.getRepository(copilot, repoFullName);
+}
+
+/**
+ * lists the open and closed issues of the repository
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @returns {Promise<Array>} the issues as in the events, with their state
+ */
+async function listIssues(copilot, repository) {
+  return await gitHubService.listIssues(copilot, repository.full_name);
+}
+
+/**
+ * comments the payment and labels the issue as paid
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {Object} payment the challenge id, the exist labels, the winner and the copilot fee
+ */
+async function markIssueAsPaid(copilot, repository, issueNumber, payment) {
+  await gitHubService.markIssueAsPaid(copilot, repository.full_name, issueNumber, payment.challengeUUID, payment.existLabels,
+    payment.winner, payment.copilotFee);
+}
+
+module.exports = {
+  name: 'github',
+  userMapping: {model: 'GithubUserMapping', userId: 'githubUserId', username: 'githubUsername'},
+  getRepoUrl,
+  createComment,
+  addLabels,
+  updateIssue,
+  reOpenIssue,
+  assignUser,
+  removeAssign,
+  getUsernameById,
+  getUserIdByLogin,
+  markIssueAsPaid,
+  getLinkedWorkAt,
+  getRepository,
+  listIssues
+};
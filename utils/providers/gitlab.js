@@ -0,0 +1,185 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module is the adapter of GitLab, see the adapter contract in ./index.js.
+ * GitLab addresses the projects by their id and the users by their numeric id,
+ * a GitlabService is created for each call so the copilot token is refreshed when needed.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const config = require('config');
+const GitlabService = require('../../services/GitlabService');
+
+/**
+ * returns the full url of a repository
+ * @param {String} repoFullName the full name of the repository
+ * @returns {String} the repository url
+ */
+function getRepoUrl(repoFullName) {
+  return `${config.GITLAB_API_BASE_URL}/${repoFullName}`;
+}
+
+/**
+ * creates a comment on the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {String} body the comment body text
+ */
+async function createComment(copilot, repository, issueNumber, body) {
+  const gitlabService = await GitlabService.create(copilot);
+  await gitlabService.createComment(repository, issueNumber, body);
+}
+
+/**
+ * replaces the labels of the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {Array} labels the labels
+ */
+async function addLabels(copilot, repository, issueNumber, labels) {
+  const gitlabService = await GitlabService.create(copilot);
+  await gitlabService.addLabels(repository, issueNumber, labels);
+}
+
+/**
+ * updates the title of the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {String} title the new title
+ */
+async function updateIssue(copilot, repository, issueNumber, title) {
+  const gitlabService = await GitlabService.create(copilot);
+  await gitlabService.updateIssue(repository, issueNumber, title);
+}
+
+/**
+ * reopens the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ */
+async function reOpenIssue(copilot, repository, issueNumber) {
+  const gitlabService = await GitlabService.create(copilot);
+  await gitlabService.changeState(repository, issueNumber, 'reopen');
+}
+
+/**
+ * assigns the issue to the user
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {String} username the username of the user
+ */
+async function assignUser(copilot, repository, issueNumber, username) {
+  const gitlabService = await GitlabService.create(copilot);
+  const userId = await gitlabService.getUserIdByLogin(username);
+  await gitlabService.assignUser(repository, issueNumber, userId);
+}
+
+/**
+ * removes the assignee from the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {Object} assignee the id and username of the assignee
+ */
+async function removeAssign(copilot, repository, issueNumber, assignee) {
+  const gitlabService = await GitlabService.create(copilot);
+  await gitlabService.removeAssign(repository, issueNumber, assignee.id);
+}
+
+/**
+ * gets the username of the user
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} userId the user id
+ * @returns {Promise<String>} the username
+ */
+async function getUsernameById(copilot, repository, userId) {
+  const gitlabService = await GitlabService.create(copilot);
+  return await gitlabService.getUsernameById(userId);
+}
+
+/**
+ * gets the id of the user
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {String} login the username
+ * @returns {Promise<Number>} the user id
+ */
+async function getUserIdByLogin(copilot, repository, login) {
+  const gitlabService = await GitlabService.create(copilot);
+  return await gitlabService.getUserIdByLogin(login);
+}
+
+/**
+ * gets the date of the latest pull request or commit linked to the issue
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @returns {Promise<Date>} the date of the latest linked work, null if there is none
+ */
+async function getLinkedWorkAt(copilot, repository, issueNumber) {
+  const gitlabService = await GitlabService.create(copilot);
+  return await gitlabService.getLinkedWorkAt(repository, issueNumber);
+}
+
+/**
+ * gets the repository
+ * @param {Object} copilot the copilot
+ * @param {String} repoFullName the full name of the repository
+ * @returns {Promise<Object>} the repository, as in the events
+ */
+async function getRepository(copilot, repoFullName) {
+  const gitlabService = await GitlabService.create(copilot);
+  const project = await gitlabService.getRepository(repoFullName);
+  return {id: project.id, name: project.path, full_name: project.path_with_namespace};
+}
+
+/**
+ * lists the open and closed issues of the repository
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @returns {Promise<Array>} the issues as in the events, with their state
+ */
+async function listIssues(copilot, repository) {
+  const gitlabService = await GitlabService.create(copilot);
+  return await gitlabService.listIssues(repository);
+}
+
+/**
+ * comments the payment and labels the issue as paid
+ * @param {Object} copilot the copilot
+ * @param {Object} repository the repository
+ * @param {Number} issueNumber the issue number
+ * @param {Object} payment the challenge id, the exist labels, the winner and the copilot fee
+ */
+async function markIssueAsPaid(copilot, repository, issueNumber, payment) {
+  const gitlabService = await GitlabService.create(copilot);
+  await gitlabService.markIssueAsPaid(repository, issueNumber, payment.challengeUUID, payment.existLabels, payment.winner,
+    payment.copilotFee);
+}
+
+module.exports = {
+  name: 'gitlab',
+  userMapping: {model: 'GitlabUserMapping', userId: 'gitlabUserId', username: 'gitlabUsername'},
+  getRepoUrl,
+  createComment,
+  addLabels,
+  updateIssue,
+  reOpenIssue,
+  assignUser,
+  removeAssign,
+  getUsernameById,
+  getUserIdByLogin,
+  markIssueAsPaid,
+  getLinkedWorkAt,
+  getRepository,
+  listIssues
+};
@@ -0,0 +1,142 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module is the registry of the git provider adapters.
+ * The core services never branch on the provider, they resolve its adapter once per event
+ * and call the methods of the adapter contract below.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const _ = require('lodash');
+
+/**
+ * The contract every git provider adapter implements.
+ * The repository is always the `data.repository` object of the event, the copilot is the
+ * git user of the repository's copilot/owner as returned by UserService.getRepositoryCopilotOrOwner.
+ * @typedef {Object} ProviderAdapter
+ * @property {String} name the provider name, as found in the `provider` field of the events
+ * @property {{model: String, userId: String, username: String}} userMapping the user mapping model of the provider
+ *  and its fields holding the git user id and username
+ * @property {function(String): String} getRepoUrl returns the full url of a repository from its full name
+ * @property {function(Object, Object, Number, String): Promise} createComment (copilot, repository, issueNumber, body)
+ *  creates a comment on the issue
+ * @property {function(Object, Object, Number, Array): Promise} addLabels (copilot, repository, issueNumber, labels)
+ *  replaces the labels of the issue
+ * @property {function(Object, Object, Number, String): Promise} updateIssue (copilot, repository, issueNumber, title)
+ *  updates the title of the issue
+ * @property {function(Object, Object, Number): Promise} reOpenIssue (copilot, repository, issueNumber) reopens the issue
+ * @property {function(Object, Object, Number, String): Promise} assignUser (copilot, repository, issueNumber, username)
+ *  assigns the issue to the git user
+ * @property {function(Object, Object, Number, Object): Promise} removeAssign (copilot, repository, issueNumber, assignee)
+ *  removes the assignee `{id, username}` from the issue
+ * @property {function(Object, Object, String|Number): Promise<String>} getUsernameById (copilot, repository, userId)
+ *  gets the username of a git user
+ * @property {function(Object, Object, String): Promise<String|Number>} getUserIdByLogin (copilot, repository, login)
+ *  gets the id of a git user
+ * @property {function(Object, Object, Number, Object): Promise} markIssueAsPaid (copilot, repository, issueNumber, payment)
+ *  comments the payment and labels the issue as paid, the payment is `{challengeUUID, existLabels, winner, copilotFee}`
+ * @property {function(String|Number): Boolean} [isUserId] (gitUser) checks whether the git user is given by id rather than by username,
+ *  by default the numbers and the UUIDs are ids
+ * @property {function(Object): Promise<Object>} [refreshCopilot] (copilot) refreshes the access token of the copilot once per event,
+ *  it is optional, the providers without it refresh the token themselves
+ * @property {function(Object, Object, Number): Promise<Date>} [getLinkedWorkAt] (copilot, repository, issueNumber) gets the date of
+ *  the latest pull request or commit linked to the issue, null if there is none. It is optional, the providers without it have no linked work
+ * @property {function(Object, String): Promise<Object>} [getRepository] (copilot, repoFullName) gets the repository `{id, name, full_name}`
+ *  as in the events. It is optional like listIssues, the providers without them can't be reconciled
+ * @property {function(Object, Object): Promise<Array>} [listIssues] (copilot, repository) lists the open and closed issues of the repository
+ *  as in the events, with their `state`: `open` or `closed`
+ */
+
+// the methods every adapter must implement
+const ADAPTER_METHODS = ['getRepoUrl', 'createComment', 'addLabels', 'updateIssue', 'reOpenIssue', 'assignUser', 'removeAssign',
+  'getUsernameById', 'getUserIdByLogin', 'markIssueAsPaid'];
+
+// the fields of the user mapping descriptor
+const USER_MAPPING_FIELDS = ['model', 'userId', 'username'];
+
+// the registered adapters by provider name
+const adapters = {};
+
+/**
+ * registers the adapter of a git provider
+ * @param {ProviderAdapter} adapter the adapter
+ */
+function register(adapter) {
+  const missing = _.filter(ADAPTER_METHODS, (method) => !_.isFunction(_.get(adapter, method)));
+  if (!_.every(USER_MAPPING_FIELDS, (field) => _.isString(_.get(adapter, ['userMapping', field])))) {
+    missing.push('userMapping');
+  }
+  if (!_.get(adapter, 'name') || missing.length > 0) {
+    throw new Error(`The provider adapter '${_.get(adapter, 'name')}' doesn't implement: ${missing.join(', ') || 'name'}`);
+  }
+  adapters[adapter.name] = adapter;
+}
+
+/**
+ * gets the adapter of a git provider
+ * @param {String} provider the provider name
+ * @returns {ProviderAdapter} the adapter
+ */
+function getAdapter(provider) {
+  if (!_.has(adapters, provider)) {
+    throw new Error(`The git provider '${provider}' is not supported.`);
+  }
+  return adapters[provider];
+}
+
+/**
+ * checks whether the git provider has a registered adapter
+ * @param {String} provider the provider name
+ * @returns {Boolean} true if the provider is supported
+ */
+function isSupported(provider) {
+  return _.has(adapters, provider);
+}
+
+/**
+ * finds the git provider of a repository from its url
+ * @param {String} repoUrl the repository url
+ * @returns {{provider: String, fullName: String}} the provider and the full name of the repository, null if no provider hosts it
+ */
+function parseRepoUrl(repoUrl) {
+  const provider = _.find(_.keys(adapters), (name) => _.startsWith(repoUrl, adapters[name].getRepoUrl('')));
+  return provider ? {provider, fullName: repoUrl.slice(adapters[provider].getRepoUrl('').length)} : null;
+}
+
+/**
+ * converts an issue listed by an adapter to the issue of the events, as sent by the receiver
+ * @param {Object} listedIssue the listed issue
+ * @returns {Object} the event issue
+ */
+function toEventIssue(listedIssue) {
+  return _.assign(_.omit(listedIssue, 'state'), {
+    assignees: _.map(listedIssue.assignees, (assignee) => _.pick(assignee, 'id'))
+  });
+}
+
+/**
+ * gets the names of the registered providers
+ * @returns {Array} the provider names
+ */
+function getProviders() {
+  return _.keys(adapters);
+}
+
+module.exports = {
+  ADAPTER_METHODS,
+  register,
+  getAdapter,
+  isSupported,
+  parseRepoUrl,
+  toEventIssue,
+  getProviders
+};
+
+register(require('./github'));
+register(require('./gitlab'));
+register(require('./azure'));
+register(require('./bitbucket'));
+register(require('./gitea'));
@@ -0,0 +1,125 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module defines the retry policies of the events which failed to be processed.
+ * A policy is selected by the errorAt and the status code (and optionally the message) of the ProcessorError.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const config = require('config');
+const _ = require('lodash');
+const constants = require('../constants');
+
+const MS_PER_SECOND = 1000;
+const HTTP_TOO_MANY_REQUESTS = 429;
+const HTTP_SERVER_ERROR = 500;
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {String} name The name of the policy.
+ * @property {String} errorAt Where the error happened, matched against ProcessorError.errorAt.
+ * @property {Function} [statusCode] Predicate on the status code of the error (any status code if not set).
+ * @property {RegExp} [message] Pattern the error message must match (any message if not set).
+ * @property {Number} maxAttempts The number of times the event is retried before giving up.
+ * @property {String} backoff The backoff curve, one of constants.RETRY_BACKOFF.
+ * @property {Number} baseDelay The delay before the first retry in milliseconds.
+ * @property {Number} jitter The ratio of the delay randomly added or removed, between 0 and 1.
+ * @property {String} giveUp The action taken when the retries are exhausted, one of constants.RETRY_GIVE_UP_ACTIONS.
+ */
+
+/**
+ * The policies, the first matching one applies.
+ * @type {RetryPolicy[]}
+ */
+const policies = [{
+  name: 'challenge-creating',
+  errorAt: 'processor',
+  message: /is creating/,
+  maxAttempts: 10, // eslint-disable-line no-magic-numbers
+  backoff: constants.RETRY_BACKOFF.LINEAR,
+  baseDelay: 30 * MS_PER_SECOND, // eslint-disable-line no-magic-numbers
+  jitter: 0.2, // eslint-disable-line no-magic-numbers
+  // the creation event reports its own failure, the queued events are only dead-lettered
+  giveUp: constants.RETRY_GIVE_UP_ACTIONS.IGNORE
+}, {
+  name: 'topcoder-rate-limit',
+  errorAt: 'topcoder',
+  statusCode: (statusCode) => statusCode === HTTP_TOO_MANY_REQUESTS,
+  maxAttempts: 8, // eslint-disable-line no-magic-numbers
+  backoff: constants.RETRY_BACKOFF.EXPONENTIAL,
+  baseDelay: 30 * MS_PER_SECOND, // eslint-disable-line no-magic-numbers
+  jitter: 0.5, // eslint-disable-line no-magic-numbers
+  giveUp: constants.RETRY_GIVE_UP_ACTIONS.NOTIFY
+}, {
+  name: 'topcoder-server-error',
+  errorAt: 'topcoder',
+  statusCode: (statusCode) => statusCode >= HTTP_SERVER_ERROR,
+  maxAttempts: 5, // eslint-disable-line no-magic-numbers
+  backoff: constants.RETRY_BACKOFF.EXPONENTIAL,
+  baseDelay: 60 * MS_PER_SECOND, // eslint-disable-line no-magic-numbers
+  jitter: 0.3, // eslint-disable-line no-magic-numbers
+  giveUp: constants.RETRY_GIVE_UP_ACTIONS.NOTIFY
+}, {
+  name: 'gitlab-lock-timeout',
+  errorAt: 'gitlab',
+  message: /Failed to acquire lock/,
+  maxAttempts: 5, // eslint-disable-line no-magic-numbers
+  backoff: constants.RETRY_BACKOFF.EXPONENTIAL,
+  baseDelay: 10 * MS_PER_SECOND, // eslint-disable-line no-magic-numbers
+  jitter: 0.5, // eslint-disable-line no-magic-numbers
+  giveUp: constants.RETRY_GIVE_UP_ACTIONS.NOTIFY
+}, {
+  name: 'topcoder-default',
+  errorAt: 'topcoder',
+  maxAttempts: _.toInteger(config.RETRY_COUNT),
+  backoff: constants.RETRY_BACKOFF.CONSTANT,
+  baseDelay: _.toInteger(config.RETRY_INTERVAL),
+  jitter: 0,
+  giveUp: constants.RETRY_GIVE_UP_ACTIONS.NOTIFY
+}, {
+  name: 'processor-default',
+  errorAt: 'processor',
+  maxAttempts: _.toInteger(config.RETRY_COUNT),
+  backoff: constants.RETRY_BACKOFF.CONSTANT,
+  baseDelay: _.toInteger(config.RETRY_INTERVAL),
+  jitter: 0,
+  giveUp: constants.RETRY_GIVE_UP_ACTIONS.NOTIFY
+}];
+
+/**
+ * gets the retry policy of the error
+ * @param {Object} err the error
+ * @returns {RetryPolicy} the policy, or null if the error must not be retried
+ */
+function getPolicy(err) {
+  return _.find(policies, (policy) => policy.errorAt === err.errorAt &&
+    (!policy.statusCode || policy.statusCode(err.statusCode)) &&
+    (!policy.message || policy.message.test(err.message))) || null;
+}
+
+/**
+ * gets the delay before the given retry
+ * @param {RetryPolicy} policy the retry policy
+ * @param {Number} attempt the number of the retry, starting at 1
+ * @returns {Number} the delay in milliseconds
+ */
+function getDelay(policy, attempt) {
+  let delay = policy.baseDelay;
+  if (policy.backoff === constants.RETRY_BACKOFF.LINEAR) {
+    delay = policy.baseDelay * attempt;
+  } else if (policy.backoff === constants.RETRY_BACKOFF.EXPONENTIAL) {
+    delay = policy.baseDelay * Math.pow(2, attempt - 1); // eslint-disable-line no-magic-numbers
+  }
+  delay = Math.min(delay, _.toInteger(config.RETRY_MAX_INTERVAL));
+  // spread the retries of events failing together, so they are not retried at the same time again
+  const jitter = delay * policy.jitter * (Math.random() * 2 - 1); // eslint-disable-line no-magic-numbers
+  return Math.round(delay + jitter);
+}
+
+module.exports = {
+  getPolicy,
+  getDelay
+};
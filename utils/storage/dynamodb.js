@@ -0,0 +1,259 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module is the DynamoDB store, see the store contract in ./index.js.
+ * The records are the dynamoose documents of the models, a find is a query on the table or on a global index
+ * when it has an equality on their hash key, otherwise a scan.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const _ = require('lodash');
+const models = require('../../models');
+const storage = require('./index');
+
+// the condition of acquireLock, the lock expiration is compared to the current date
+const UNLOCKED_CONDITION = 'attribute_not_exists(lockId) OR (lockExpiration < :lockExpiration)';
+
+/**
+ * Execute a query or a scan page by page, a page is read from the `lastKey` of the previous one,
+ * so the result isn't truncated at the 1 MB limit of DynamoDB
+ * @param {Object} request The dynamoose query or scan
+ * @returns {Promise<Array>} the items of all the pages
+ * @private
+ */
+async function execAll(request) {
+  const items = [];
+  let lastKey;
+  do { // eslint-disable-line no-restricted-syntax
+    if (lastKey) {
+      request.startAt(lastKey);
+    }
+    const page = await new Promise((resolve, reject) => {
+      request.exec((err, result) => {
+        if (err) {
+          return reject(err);
+        }
+        return resolve(result);
+      });
+    });
+    items.push(...page);
+    lastKey = page.lastKey;
+  } while (lastKey);
+  return items;
+}
+
+/**
+ * applies a comparison to the attribute selected by where() or filter()
+ * @param {Object} request The dynamoose query or scan
+ * @param {Object} comparison the comparison
+ * @returns {Object} the request
+ * @private
+ */
+function compare(request, comparison) {
+  if (_.isNull(comparison.value)) {
+    return comparison.comparison === 'ne' ? request.not().null() : request.null();
+  }
+  return comparison.comparison === 'ne' ? request.not().eq(comparison.value) : request[comparison.comparison](comparison.value);
+}
+
+/**
+ * creates or updates the tables and their indexes
+ * @returns {Promise<Array>} the names of the synchronized tables
+ */
+async function migrate() {
+  const names = [];
+  for (const model of _.values(models)) { // eslint-disable-line no-restricted-syntax
+    const {table} = model.$__;
+    _.assign(table.options, {create: true, update: true, waitForActive: true});
+    await table.init();
+    names.push(table.name);
+  }
+  return names;
+}
+
+/**
+ * gets a record
+ * @param {Object} model the model
+ * @param {String} id the id
+ * @returns {Promise<Object>} the record, null if it doesn't exist
+ */
+async function getById(model, id) {
+  return await new Promise((resolve, reject) => {
+    model.queryOne('id').eq(id).consistent().exec((err, result) => {
+      if (err) {
+        return reject(err);
+      }
+
+      return resolve(result || null);
+    });
+  });
+}
+
+/**
+ * gets all the records matching the conditions
+ * @param {Object} model the model
+ * @param {Object} conditions the conditions
+ * @returns {Promise<Array>} the records
+ */
+async function find(model, conditions) {
+  const comparisons = storage.parseConditions(conditions);
+  const key = storage.getFindKey(model, comparisons);
+  let request = key ? model.query(key.hashKey).eq(_.find(comparisons, {field: key.hashKey}).value) : model.scan().consistent();
+  _.forEach(comparisons, (comparison) => {
+    if (key && comparison.field === key.hashKey) {
+      return;
+    }
+    // the key conditions of DynamoDB can't compare with null nor test an inequality, they are filters
+    const isKeyCondition = key && comparison.field === key.rangeKey && comparison.comparison !== 'ne' && !_.isNull(comparison.value);
+    request = compare(isKeyCondition ? request.where(comparison.field) : request.filter(comparison.field), comparison);
+  });
+  return await execAll(request);
+}
+
+/**
+ * creates a record, it replaces the record with the same id
+ * @param {Object} Model the model
+ * @param {Object} data the record
+ * @returns {Promise<Object>} the created record
+ */
+async function create(Model, data) {
+  return await new Promise((resolve, reject) => {
+    const dbItem = new Model(data);
+    dbItem.save((err) => {
+      if (err) {
+        return reject(err);
+      }
+
+      return resolve(dbItem);
+    });
+  });
+}
+
+/**
+ * updates the attributes of a record
+ * @param {Object} Model the model
+ * @param {String} id the id
+ * @param {Object} data the updated attributes
+ * @returns {Promise<Object>} the updated record
+ */
+async function update(Model, id, data) {
+  const dbItem = await getById(Model, id);
+  Object.keys(data).forEach((key) => {
+    dbItem[key] = data[key];
+  });
+  return await new Promise((resolve, reject) => {
+    dbItem.save((err) => {
+      if (err) {
+        return reject(err);
+      }
+
+      return resolve(dbItem);
+    });
+  });
+}
+
+/**
+ * creates or replaces the records
+ * @param {Object} model the model
+ * @param {Array} records the records
+ */
+async function putMany(model, records) {
+  await new Promise((resolve, reject) => {
+    model.batchPut(records, (err, result) => {
+      if (err) {
+        return reject(err);
+      }
+
+      return resolve(result);
+    });
+  });
+}
+
+/**
+ * deletes a record
+ * @param {Object} model the model
+ * @param {String} id the id
+ * @returns {Promise<Boolean>} true if deleted, false if it doesn't exist
+ */
+async function remove(model, id) {
+  try {
+    await model.delete({id}, {update: true});
+    return true;
+  } catch (err) {
+    if (err.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * locks a record if it isn't locked or its lock expired
+ * @param {Object} model the model
+ * @param {String} id the id
+ * @param {String} lockId ID of the lock
+ * @param {Number} ttl the time to live of the lock in milliseconds
+ * @param {Object} [options] the options, `upsert` creates the record if it doesn't exist
+ * @returns {Promise<Object>} the locked record, or null if it is locked by someone else or doesn't exist
+ */
+async function acquireLock(model, id, lockId, ttl, options) {
+  try {
+    return await model.update(
+      {id},
+      {lockId, lockExpiration: Date.now() + ttl},
+      {
+        condition: _.get(options, 'upsert') ? UNLOCKED_CONDITION : `attribute_exists(id) AND (${UNLOCKED_CONDITION})`,
+        conditionValues: {lockExpiration: new Date()},
+        returnValues: 'ALL_NEW'
+      },
+    );
+  } catch (err) {
+    if (err.code === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * updates the attributes of a record locked by the lock
+ * @param {Object} model the model
+ * @param {String} id the id
+ * @param {String} lockId ID of the lock
+ * @param {Object} data the updated attributes
+ * @returns {Promise<Object>} the updated record, or null if it isn't locked by the lock anymore
+ */
+async function updateLocked(model, id, lockId, data) {
+  try {
+    return await model.update(
+      {id},
+      data,
+      {
+        condition: 'lockId = :lockId',
+        conditionValues: {lockId},
+        returnValues: 'ALL_NEW'
+      },
+    );
+  } catch (err) {
+    if (err.code === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  name: 'dynamodb',
+  migrate,
+  getById,
+  find,
+  create,
+  update,
+  putMany,
+  remove,
+  acquireLock,
+  updateLocked
+};
@@ -0,0 +1,145 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module is the registry of the stores the records are persisted in.
+ * The database helpers never call a database directly, they call the methods of the store contract below
+ * on the store selected by the `STORAGE` configuration.
+ * The tables are described by the models of ../../models: their hash key, their global indexes and the types of their attributes.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const config = require('config');
+const _ = require('lodash');
+
+/**
+ * The conditions of a find, by attribute name. A value is an equality, `null` matches the records without the attribute,
+ * an object is a comparison: `{ne: value}` or `{le: value}`, e.g. `{status: 'pending', nextRunAt: {le: now}, lockId: {ne: null}}`.
+ * @typedef {Object} Conditions
+ */
+
+/**
+ * The contract every store implements. The model is a model of ../../models, the records are identified by their `id`.
+ * @typedef {Object} Store
+ * @property {String} name the store name, as set in the `STORAGE` configuration
+ * @property {function(): Promise<Array>} migrate creates or updates the tables and their indexes, returns the names of the applied changes
+ * @property {function(Object, String): Promise<Object>} getById (model, id) gets a record, null if it doesn't exist
+ * @property {function(Object, Conditions): Promise<Array>} find (model, conditions) gets all the records matching the conditions.
+ *  When the conditions have an equality on the hash key of a global index, the records are sorted by the range key of the index
+ * @property {function(Object, Object): Promise<Object>} create (model, data) creates a record, it replaces the record with the same id
+ * @property {function(Object, String, Object): Promise<Object>} update (model, id, data) updates the attributes of a record, a `null`
+ *  value removes the attribute
+ * @property {function(Object, Array): Promise} putMany (model, records) creates or replaces the records
+ * @property {function(Object, String): Promise<Boolean>} remove (model, id) deletes a record, false if it doesn't exist
+ * @property {function(Object, String, String, Number, Object): Promise<Object>} acquireLock (model, id, lockId, ttl, options)
+ *  sets the `lockId` and the `lockExpiration` of a record if it isn't locked or its lock expired, returns the locked record
+ *  or null. The record is created when it doesn't exist if `options.upsert` is true, otherwise null is returned
+ * @property {function(Object, String, String, Object): Promise<Object>} updateLocked (model, id, lockId, data) updates the attributes
+ *  of a record locked by the lock, returns the updated record or null if the record isn't locked by it anymore
+ */
+
+// the methods every store must implement
+const STORE_METHODS = ['migrate', 'getById', 'find', 'create', 'update', 'putMany', 'remove', 'acquireLock', 'updateLocked'];
+
+// the comparisons of the conditions
+const COMPARISONS = ['eq', 'ne', 'le'];
+
+// the registered stores by name
+const stores = {};
+
+/**
+ * registers a store
+ * @param {Store} store the store
+ */
+function register(store) {
+  const missing = _.filter(STORE_METHODS, (method) => !_.isFunction(_.get(store, method)));
+  if (!_.get(store, 'name') || missing.length > 0) {
+    throw new Error(`The store '${_.get(store, 'name')}' doesn't implement: ${missing.join(', ') || 'name'}`);
+  }
+  stores[store.name] = store;
+}
+
+/**
+ * gets a store
+ * @param {String} [name] the store name, defaults to the configured store
+ * @returns {Store} the store
+ */
+function getStore(name) {
+  const storeName = name || config.STORAGE;
+  if (!_.has(stores, storeName)) {
+    throw new Error(`The storage '${storeName}' is not supported.`);
+  }
+  return stores[storeName];
+}
+
+/**
+ * gets the names of the registered stores
+ * @returns {Array} the store names
+ */
+function getStores() {
+  return _.keys(stores);
+}
+
+/**
+ * converts the conditions of a find to a list of comparisons
+ * @param {Conditions} conditions the conditions
+ * @returns {Array<{field: String, comparison: String, value: *}>} the comparisons
+ */
+function parseConditions(conditions) {
+  return _.map(conditions, (condition, field) => {
+    if (!_.isPlainObject(condition)) {
+      return {field, comparison: 'eq', value: _.isUndefined(condition) ? null : condition};
+    }
+    const comparison = _.head(_.keys(condition));
+    if (_.size(condition) !== 1 || !_.includes(COMPARISONS, comparison)) {
+      throw new Error(`The condition on ${field} must have one of the comparisons: ${COMPARISONS.join(', ')}`);
+    }
+    return {field, comparison, value: _.isUndefined(condition[comparison]) ? null : condition[comparison]};
+  });
+}
+
+/**
+ * gets the key a find is made on: the hash key of the table or of a global index with an equality condition
+ * @param {Object} model the model
+ * @param {Array} comparisons the comparisons of the find
+ * @returns {{hashKey: String, rangeKey: String}} the key, null if the find scans the table
+ */
+function getFindKey(model, comparisons) {
+  const {schema} = model.$__;
+  const isKey = (field) => _.some(comparisons, (comparison) => comparison.field === field && comparison.comparison === 'eq' &&
+    !_.isNil(comparison.value));
+  if (isKey(schema.hashKey.name)) {
+    return {hashKey: schema.hashKey.name, rangeKey: _.get(schema, 'rangeKey.name')};
+  }
+  const indexName = _.findKey(schema.indexes.global, (attribute) => isKey(attribute.name));
+  if (!indexName) {
+    return null;
+  }
+  const attribute = schema.indexes.global[indexName];
+  return {hashKey: attribute.name, rangeKey: attribute.indexes[indexName].rangeKey};
+}
+
+/**
+ * gets the type of an attribute of a model
+ * @param {Object} model the model
+ * @param {String} field the attribute name
+ * @returns {String} the type: string, number, boolean, date, array, object or map, undefined if the attribute isn't in the schema
+ */
+function getAttributeType(model, field) {
+  return _.get(model.$__.schema.attributes, [field, 'type', 'name']);
+}
+
+module.exports = {
+  STORE_METHODS,
+  register,
+  getStore,
+  getStores,
+  parseConditions,
+  getFindKey,
+  getAttributeType
+};
+
+register(require('./dynamodb'));
+register(require('./postgres'));
@@ -0,0 +1,27 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The migrations of the PostgreSQL store, applied in order by its migrate method and recorded in the `topcoder_x_migration` table.
+ * A released migration is never changed, the schema changes are new migrations appended to the list.
+ * Each model is a table of JSONB documents by id, its GIN index serves the equality conditions of the finds.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const _ = require('lodash');
+
+// the tables of the models, named after the snake case of the DynamoDB table names
+const TABLES = ['topcoder_x_issue', 'topcoder_x_project', 'topcoder_x_project_challenge_mapping', 'topcoder_x_user',
+  'topcoder_x_copilot_payment', 'topcoder_x_github_user_mapping', 'topcoder_x_gitlab_user_mapping', 'topcoder_x_azure_user_mapping',
+  'topcoder_x_bitbucket_user_mapping', 'topcoder_x_gitea_user_mapping', 'topcoder_x_repository', 'topcoder_x_event_retry',
+  'topcoder_x_lock', 'topcoder_x_side_effect', 'topcoder_x_issue_history', 'topcoder_x_bid'];
+
+module.exports = [{
+  id: '001-create-tables',
+  statements: _.flatMap(TABLES, (table) => [
+    `CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, data JSONB NOT NULL)`,
+    `CREATE INDEX IF NOT EXISTS ${table}_data_index ON ${table} USING GIN (data jsonb_path_ops)`
+  ])
+}];
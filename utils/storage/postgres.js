@@ -0,0 +1,321 @@
+/*
+ * Copyright (c) 2018 TopCoder, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * This module is the PostgreSQL store, see the store contract in ./index.js.
+ * A model is a table of JSONB documents by id, named after the snake case of its DynamoDB table name, see ./postgres-migrations.js.
+ * The date attributes are saved as ISO strings and read back as dates, the defaults of the model are applied on creation.
+ * @author TCSCODER
+ * @version 1.0
+ */
+const config = require('config');
+const _ = require('lodash');
+const {Pool} = require('pg');
+const migrations = require('./postgres-migrations');
+const storage = require('./index');
+
+// the table of the applied migrations
+const MIGRATION_TABLE = 'topcoder_x_migration';
+
+let pool;
+
+/**
+ * gets the connection pool, it is created on first use
+ * @returns {Object} the pool
+ * @private
+ */
+function getPool() {
+  if (!pool) {
+    if (!config.POSTGRES.URL) {
+      throw new Error('The POSTGRES_URL must be configured to use the postgres storage.');
+    }
+    // the idle pool doesn't keep the scripts running
+    pool = new Pool({connectionString: config.POSTGRES.URL, max: _.toInteger(config.POSTGRES.POOL_SIZE), allowExitOnIdle: true});
+  }
+  return pool;
+}
+
+/**
+ * runs statements in a transaction
+ * @param {function(Object): Promise} statements runs the statements with the client of the transaction
+ * @returns {Promise<*>} the result of the statements
+ * @private
+ */
+async function transaction(statements) {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const result = await statements(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * gets the table of a model
+ * @param {Object} model the model
+ * @returns {String} the table name
+ * @private
+ */
+function getTable(model) {
+  return _.snakeCase(model.$__.name);
+}
+
+/**
+ * gets the JSON path of an attribute in the documents
+ * @param {String} field the attribute name
+ * @returns {String} the path, the attribute is read as text
+ * @private
+ */
+function getPath(field) {
+  if (!/^\w+$/.test(field)) {
+    throw new Error(`Invalid attribute name ${field}`);
+  }
+  return `data->>'${field}'`;
+}
+
+/**
+ * converts the attributes of a record to JSON, the dates are ISO strings
+ * @param {Object} model the model
+ * @param {Object} data the attributes
+ * @returns {Object} the JSON attributes
+ * @private
+ */
+function toDocument(model, data) {
+  return _.mapValues(_.omitBy(data, _.isUndefined), (value, field) => {
+    if (!_.isNil(value) && storage.getAttributeType(model, field) === 'date') {
+      return new Date(value).toISOString();
+    }
+    return value;
+  });
+}
+
+/**
+ * converts a document to a record, the dates are read back as dates
+ * @param {Object} model the model
+ * @param {Object} document the document
+ * @returns {Object} the record
+ * @private
+ */
+function toRecord(model, document) {
+  return _.mapValues(document, (value, field) => {
+    if (storage.getAttributeType(model, field) === 'date') {
+      return new Date(value);
+    }
+    return value;
+  });
+}
+
+/**
+ * applies the defaults of the model to the missing attributes of a new record
+ * @param {Object} model the model
+ * @param {Object} data the record
+ * @returns {Promise<Object>} the record with the defaults
+ * @private
+ */
+async function withDefaults(model, data) {
+  const record = _.clone(data);
+  for (const attribute of _.values(model.$__.schema.attributes)) { // eslint-disable-line no-restricted-syntax
+    if (attribute.default && _.isNil(record[attribute.name])) {
+      record[attribute.name] = await attribute.default(record);
+    }
+  }
+  return record;
+}
+
+/**
+ * gets the condition of acquireLock, the ISO strings of the lock expiration and of the current date compare as the dates
+ * @param {String} document the column of the locked document
+ * @param {String} now the parameter of the current date
+ * @returns {String} the condition
+ * @private
+ */
+function getUnlockedCondition(document, now) {
+  return `(${document}->>'lockId' IS NULL OR ${document}->>'lockExpiration' < ${now})`;
+}
+
+/**
+ * creates or replaces a record
+ * @param {Object} client the client or the pool
+ * @param {Object} model the model
+ * @param {Object} data the record
+ * @returns {Promise<Object>} the created record
+ * @private
+ */
+async function put(client, model, data) {
+  const document = toDocument(model, await withDefaults(model, data));
+  const result = await client.query(`INSERT INTO ${getTable(model)} (id, data) VALUES ($1, jsonb_strip_nulls($2::jsonb))
+    ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data RETURNING data`, [document.id, JSON.stringify(document)]);
+  return toRecord(model, result.rows[0].data);
+}
+
+/**
+ * applies the migrations which aren't applied yet
+ * @returns {Promise<Array>} the ids of the applied migrations
+ */
+async function migrate() {
+  return await transaction(async (client) => {
+    await client.query(`CREATE TABLE IF NOT EXISTS ${MIGRATION_TABLE} (id TEXT PRIMARY KEY, "appliedAt" TIMESTAMPTZ NOT NULL DEFAULT now())`);
+    // the processors migrating at the same time wait for each other
+    await client.query(`LOCK TABLE ${MIGRATION_TABLE} IN EXCLUSIVE MODE`);
+    const applied = _.map((await client.query(`SELECT id FROM ${MIGRATION_TABLE}`)).rows, 'id');
+    const pending = _.reject(migrations, (migration) => _.includes(applied, migration.id));
+    for (const migration of pending) { // eslint-disable-line no-restricted-syntax
+      for (const statement of migration.statements) { // eslint-disable-line no-restricted-syntax
+        await client.query(statement);
+      }
+      await client.query(`INSERT INTO ${MIGRATION_TABLE} (id) VALUES ($1)`, [migration.id]);
+    }
+    return _.map(pending, 'id');
+  });
+}
+
+/**
+ * gets a record
+ * @param {Object} model the model
+ * @param {String} id the id
+ * @returns {Promise<Object>} the record, null if it doesn't exist
+ */
+async function getById(model, id) {
+  const result = await getPool().query(`SELECT data FROM ${getTable(model)} WHERE id = $1`, [id]);
+  return result.rows.length === 0 ? null : toRecord(model, result.rows[0].data);
+}
+
+/**
+ * gets all the records matching the conditions
+ * @param {Object} model the model
+ * @param {Object} conditions the conditions
+ * @returns {Promise<Array>} the records
+ */
+async function find(model, conditions) {
+  const comparisons = storage.parseConditions(conditions);
+  const params = [];
+  const where = _.map(comparisons, ({field, comparison, value}) => {
+    if (_.isNull(value)) {
+      return `${getPath(field)} IS ${comparison === 'ne' ? 'NOT NULL' : 'NULL'}`;
+    }
+    const jsonValue = toDocument(model, {[field]: value})[field];
+    if (comparison === 'eq') {
+      // the containment is served by the GIN index of the table
+      params.push(JSON.stringify({[field]: jsonValue}));
+      return `data @> $${params.length}::jsonb`;
+    }
+    params.push(_.isString(jsonValue) ? jsonValue : JSON.stringify(jsonValue));
+    if (comparison === 'ne') {
+      return `${getPath(field)} IS DISTINCT FROM $${params.length}`;
+    }
+    return _.isNumber(jsonValue) ? `(${getPath(field)})::numeric <= $${params.length}` : `${getPath(field)} <= $${params.length}`;
+  });
+  // the records found by the hash key of an index are sorted by its range key, as in DynamoDB
+  const key = storage.getFindKey(model, comparisons);
+  let orderBy = '';
+  if (key && key.rangeKey) {
+    orderBy = storage.getAttributeType(model, key.rangeKey) === 'number' ? ` ORDER BY (${getPath(key.rangeKey)})::numeric` :
+      ` ORDER BY ${getPath(key.rangeKey)}`;
+  }
+  const result = await getPool().query(`SELECT data FROM ${getTable(model)}${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''}${orderBy}`,
+    params);
+  return _.map(result.rows, (row) => toRecord(model, row.data));
+}
+
+/**
+ * creates a record, it replaces the record with the same id
+ * @param {Object} model the model
+ * @param {Object} data the record
+ * @returns {Promise<Object>} the created record
+ */
+async function create(model, data) {
+  return await put(getPool(), model, data);
+}
+
+/**
+ * updates the attributes of a record
+ * @param {Object} model the model
+ * @param {String} id the id
+ * @param {Object} data the updated attributes
+ * @returns {Promise<Object>} the updated record, null if it doesn't exist
+ */
+async function update(model, id, data) {
+  const result = await getPool().query(`UPDATE ${getTable(model)} SET data = jsonb_strip_nulls(data || $2::jsonb) WHERE id = $1 RETURNING data`,
+    [id, JSON.stringify(toDocument(model, data))]);
+  return result.rows.length === 0 ? null : toRecord(model, result.rows[0].data);
+}
+
+/**
+ * creates or replaces the records
+ * @param {Object} model the model
+ * @param {Array} records the records
+ */
+async function putMany(model, records) {
+  await transaction(async (client) => {
+    for (const record of records) { // eslint-disable-line no-restricted-syntax
+      await put(client, model, record);
+    }
+  });
+}
+
+/**
+ * deletes a record
+ * @param {Object} model the model
+ * @param {String} id the id
+ * @returns {Promise<Boolean>} true if deleted, false if it doesn't exist
+ */
+async function remove(model, id) {
+  const result = await getPool().query(`DELETE FROM ${getTable(model)} WHERE id = $1`, [id]);
+  return result.rowCount > 0;
+}
+
+/**
+ * locks a record if it isn't locked or its lock expired
+ * @param {Object} model the model
+ * @param {String} id the id
+ * @param {String} lockId ID of the lock
+ * @param {Number} ttl the time to live of the lock in milliseconds
+ * @param {Object} [options] the options, `upsert` creates the record if it doesn't exist
+ * @returns {Promise<Object>} the locked record, or null if it is locked by someone else or doesn't exist
+ */
+async function acquireLock(model, id, lockId, ttl, options) {
+  const table = getTable(model);
+  const params = [id, JSON.stringify(toDocument(model, {id, lockId, lockExpiration: Date.now() + ttl})), new Date().toISOString()];
+  // the existing row of an upsert is referenced by the table name, the inserted one by EXCLUDED
+  const result = _.get(options, 'upsert') ?
+    await getPool().query(`INSERT INTO ${table} (id, data) VALUES ($1, $2::jsonb) ON CONFLICT (id)
+      DO UPDATE SET data = ${table}.data || EXCLUDED.data WHERE ${getUnlockedCondition(`${table}.data`, '$3')} RETURNING data`, params) :
+    await getPool().query(`UPDATE ${table} SET data = data || $2::jsonb WHERE id = $1 AND ${getUnlockedCondition('data', '$3')} RETURNING data`,
+      params);
+  return result.rows.length === 0 ? null : toRecord(model, result.rows[0].data);
+}
+
+/**
+ * updates the attributes of a record locked by the lock
+ * @param {Object} model the model
+ * @param {String} id the id
+ * @param {String} lockId ID of the lock
+ * @param {Object} data the updated attributes
+ * @returns {Promise<Object>} the updated record, or null if it isn't locked by the lock anymore
+ */
+async function updateLocked(model, id, lockId, data) {
+  const result = await getPool().query(`UPDATE ${getTable(model)} SET data = jsonb_strip_nulls(data || $3::jsonb)
+    WHERE id = $1 AND data->>'lockId' = $2 RETURNING data`, [id, lockId, JSON.stringify(toDocument(model, data))]);
+  return result.rows.length === 0 ? null : toRecord(model, result.rows[0].data);
+}
+
+module.exports = {
+  name: 'postgres',
+  migrate,
+  getById,
+  find,
+  create,
+  update,
+  putMany,
+  remove,
+  acquireLock,
+  updateLocked
+};
@@ -61,7 +61,7 @@ async function createProject(projectName) {
 
 /**
  * Create a new challenge.
- * @param {Object} challenge the challenge to create
+ * @param {Object} challenge the challenge to create, with its name, project id, requirements and prize sets
  * @returns {Promise<Number>} the created challenge id
  */
 async function createChallenge(challenge) {
@@ -70,10 +70,7 @@ async function createChallenge(challenge) {
     typeId: config.TYPE_ID_TASK,
     name: challenge.name,
     description: challenge.detailedRequirements,
-    prizeSets: [{
-      type: 'placement',
-      prizes: _.map(challenge.prizes, (prize) => ({type: 'USD', value: prize}))
-    }],
+    prizeSets: challenge.prizeSets,
     timelineTemplateId: config.DEFAULT_TIMELINE_TEMPLATE_ID,
     projectId: challenge.projectId,
     tags: [],
@@ -231,20 +228,19 @@ async function getChallengeById(id) {
 /**
  * closes the topcoder challenge
  * @param {String} id the challenge id
- * @param {Number} winnerId the winner id
- * @param {String} winnerUsername the winner handle
+ * @param {Array<{userId: Number, handle: String}>} winners the winners, placed in the given order
  */
-async function closeChallenge(id, winnerId, winnerUsername) {
+async function closeChallenge(id, winners) {
   const apiKey = await getM2Mtoken();
   logger.debug(`Closing challenge ${id}`);
   try {
     const response = await axios.patch(`${config.TC_API_URL}/challenges/${id}`, {
       status: constants.CHALLENGE_STATUS.COMPLETED,
-      winners: [{
-        userId: winnerId,
-        handle: winnerUsername,
-        placement: 1
-      }]
+      winners: _.map(winners, (winner, index) => ({
+        userId: winner.userId,
+        handle: winner.handle,
+        placement: index + 1
+      }))
     }, {
       headers: {
         authorization: `Bearer ${apiKey}`,